@@ -42,7 +42,7 @@ Context is about to be compacted. Before continuing, consider saving important f
 - Use save_wisdom to persist any lessons, patterns, or decisions discovered during this session
 - Use save_wisdom with file_path for file-specific notes on files you've been working with
 - Use update_plan if you've been working on a feature plan
-Check get_wisdom() first to avoid saving duplicates.
+save_wisdom flags near-duplicates of existing entries — annotate or merge into those instead of saving again.
 MSG
 
 exit 2
@@ -7,6 +7,10 @@
  * V1b: save_wisdom, get_wisdom, update_plan, list_wisdom
  * V1c: reindex_project, get_project_overview
  * V1d: check_symbols, refresh_symbols
+ *
+ * Wisdom is also exposed as MCP resources (see lib/wisdom-resources.js), with
+ * update notifications for subscribed URIs when files are written, and the
+ * session hand-off request as a prompt (see lib/wisdom-prompts.js).
  */
 
 import { readFileSync } from 'fs';
@@ -30,7 +34,16 @@ import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
   CallToolRequestSchema,
-  ListToolsRequestSchema
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode
 } from '@modelcontextprotocol/sdk/types.js';
 
 import { handleContextStatus } from './tools/context-status.js';
@@ -40,14 +53,39 @@ import { handleRestoreContext } from './tools/restore-context.js';
 import { handleSaveWisdom } from './tools/save-wisdom.js';
 import { handleGetWisdom } from './tools/get-wisdom.js';
 import { handleUpdatePlan } from './tools/update-plan.js';
+import { handleUpdatePlanTask } from './tools/update-plan-task.js';
+import { handlePlanReport } from './tools/plan-report.js';
+import { handleProposeAdr } from './tools/propose-adr.js';
+import { handleAcceptAdr } from './tools/accept-adr.js';
+import { handleSupersedeAdr } from './tools/supersede-adr.js';
+import { handleListAdrs } from './tools/list-adrs.js';
 import { handleListWisdom } from './tools/list-wisdom.js';
 import { handleReindexProject } from './tools/reindex-project.js';
+import { handleListCodeNotes } from './tools/list-code-notes.js';
 import { handleGetProjectOverview } from './tools/get-project-overview.js';
 import { handleCheckSymbols } from './tools/check-symbols.js';
 import { handleRefreshSymbols } from './tools/refresh-symbols.js';
 import { handleBackupPlan } from './tools/backup-plan.js';
 import { handleCompactContext } from './tools/compact-context.js';
 import { handleAnnotateWisdom } from './tools/annotate-wisdom.js';
+import { handleEditWisdom } from './tools/edit-wisdom.js';
+import { handleDeleteWisdom } from './tools/delete-wisdom.js';
+import { handleSupersedeWisdom } from './tools/supersede-wisdom.js';
+import { handleReviewStaleWisdom } from './tools/review-stale-wisdom.js';
+import { handleRelocateWisdom } from './tools/relocate-wisdom.js';
+import { handleExportWisdom } from './tools/export-wisdom.js';
+import { handleImportWisdom } from './tools/import-wisdom.js';
+import { handleExportRules } from './tools/export-rules.js';
+import { handleImportWisdomSources } from './tools/import-wisdom-sources.js';
+import { handleInstallMergeDriver } from './tools/install-merge-driver.js';
+import { handleBuildWisdomSite } from './tools/build-wisdom-site.js';
+import { handleDedupeWisdom } from './tools/dedupe-wisdom.js';
+import { handleReviewConflicts } from './tools/review-conflicts.js';
+import { handleWisdomHistory } from './tools/wisdom-history.js';
+import { handleWisdomSource } from './tools/wisdom-source.js';
+import { handleUndoWisdomChange } from './tools/undo-wisdom-change.js';
+import { handleCheckWisdom } from './tools/check-wisdom.js';
+import { handleWisdomStats } from './tools/wisdom-stats.js';
 import { handleInspectPrunedMessages } from './tools/inspect-pruned-messages.js';
 import { handleSandwichPrune } from './tools/sandwich-prune.js';
 import { handlePruneToHandoff } from './tools/prune-to-handoff.js';
@@ -56,10 +94,26 @@ import { handleCondenseJsonlBlocks } from './tools/condense-jsonl-blocks.js';
 import { handleApplyArchivePlan } from './tools/apply-archive-plan.js';
 import { handleRestoreArchiveBackup } from './tools/restore-archive-backup.js';
 import { handleAddDir } from './tools/add-dir.js';
+import { findProjectRoot } from './lib/wisdom.js';
+import { onWisdomChange } from './lib/wisdom-events.js';
+import {
+  OVERVIEW_URI,
+  RESOURCE_TEMPLATES,
+  listResources,
+  readResource,
+  resourceUrisForPath
+} from './lib/wisdom-resources.js';
+import { PROMPTS, getPrompt } from './lib/wisdom-prompts.js';
 
 const server = new Server(
   { name: 'wisdom-store', version: '0.3.0' },
-  { capabilities: { tools: {} } }
+  {
+    capabilities: {
+      tools: {},
+      resources: { subscribe: true, listChanged: true },
+      prompts: {}
+    }
+  }
 );
 
 // Tool definitions
@@ -228,7 +282,7 @@ const TOOLS = [
   // V1b: Wisdom Files
   {
     name: 'save_wisdom',
-    description: 'Persist a lesson, pattern, caution, edge case, or decision so future sessions can benefit. Save when you discover something non-obvious: a tricky bug, an important constraint, a pattern that works well, or a decision rationale. Use file_path for file-specific wisdom (creates sidecar), section for broader project area knowledge, or scope:"global" for cross-project patterns. Keep entries concise and actionable — future you will thank present you.',
+    description: 'Persist a lesson, pattern, caution, edge case, or decision so future sessions can benefit. Save when you discover something non-obvious: a tricky bug, an important constraint, a pattern that works well, or a decision rationale. Use file_path for file-specific wisdom (creates sidecar), section for broader project area knowledge, or scope:"global" for cross-project patterns. Keep entries concise and actionable — future you will thank present you. Returns the new entry\'s ID (e.g. w-1a2b3c4d) for use with other wisdom tools.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -252,12 +306,41 @@ const TOOLS = [
         scope: {
           type: 'string',
           enum: ['project', 'global'],
-          description: 'Scope: "project" (default) or "global" (cross-project, saved to ~/.claude/wisdom/).'
+          description: 'Scope: "project" (default) or "global" (cross-project, saved to a global wisdom root — ~/.claude/wisdom/ unless WISDOM_PATH configures others).'
+        },
+        root: {
+          type: 'string',
+          description: 'With scope:"global": name of the WISDOM_PATH root to save to (e.g. "team"). Default: the first writable root. Read-only roots are refused.'
         },
         keywords: {
           type: 'array',
           items: { type: 'string' },
-          description: 'Keywords for indexing. Helps palette find this wisdom later.'
+          description: 'Keywords for indexing. Helps palette find this wisdom later. Added to the keywords extracted from the content.'
+        },
+        auto_keywords: {
+          type: 'boolean',
+          description: 'Extract keywords from the content — symbols known to .wisdom/symbols.json, route strings, file paths, salient terms — and link the entry to the symbols it names. Default: true. Set false to index only the given keywords.'
+        },
+        on_duplicate: {
+          type: 'string',
+          enum: ['ask', 'annotate', 'merge', 'save'],
+          description: 'When the content closely matches an existing entry in the target file or related wisdom: "ask" (default) saves nothing and returns the matches; "annotate" adds the content as a note on the best match; "merge" rewords the match to this content (old wording kept as a note); "save" appends anyway.'
+        },
+        adr: {
+          type: 'boolean',
+          description: 'With wisdom_type "decision": save as an accepted Architecture Decision Record in .wisdom/decisions/NNNN-title.md instead of a bullet (file_path / section not needed). Use propose_adr to propose one for review.'
+        },
+        title: {
+          type: 'string',
+          description: 'With adr: the record\'s title. Default: the first sentence of content.'
+        },
+        context: {
+          type: 'string',
+          description: 'With adr: the forces and constraints behind the decision.'
+        },
+        consequences: {
+          type: 'string',
+          description: 'With adr: what becomes easier or harder because of it.'
         }
       },
       required: ['content']
@@ -265,7 +348,7 @@ const TOOLS = [
   },
   {
     name: 'get_wisdom',
-    description: 'Load relevant wisdom before working on a file or area. Call with no args for a project overview, then drill into specifics. Recommended workflow: get_wisdom() overview → get_wisdom(file_path) for the files you are about to edit → get_wisdom(keyword) if you need to find related knowledge. This gives you accumulated project knowledge from previous sessions.',
+    description: 'Load relevant wisdom before working on a file or area. Call with no args for a project overview, then drill into specifics. Recommended workflow: get_wisdom() overview → get_wisdom(files: [...]) or get_wisdom(git_diff: "HEAD") for the files you are about to edit (one call, token-budgeted) → get_wisdom(keyword) if you need to find related knowledge. This gives you accumulated project knowledge from previous sessions.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -279,16 +362,45 @@ const TOOLS = [
         },
         plan: {
           type: 'string',
-          description: 'Get a specific plan by name.'
+          description: 'Get a specific plan by name, with its related git commits and drift warnings.'
+        },
+        adr: {
+          type: 'string',
+          description: 'Get an Architecture Decision Record (e.g. "ADR-0003" or "3") and whether it is in force — a superseded record is followed along its supersede chain to the decision now in force.'
+        },
+        symbol: {
+          type: 'string',
+          description: 'Get every entry linked to this function, class, or route (e.g. "handleLogin", "POST /api/login" or "/api/login"), with where it is defined. Entries are linked when saved content names the symbol.'
         },
         keyword: {
           type: 'string',
-          description: 'Search all wisdom for this keyword.'
+          description: 'Ranked full-text search over all wisdom (sections, plans, patterns, sidecars, and every global root). Each result is labelled with its source (project or root name). Multiple terms are ranked by relevance (BM25); wrap exact phrases in double quotes. Returns individual entries with scores.'
+        },
+        limit: {
+          type: 'integer',
+          description: 'Max search results for keyword mode. Default: 20.'
+        },
+        include_superseded: {
+          type: 'boolean',
+          description: 'If true, also show entries that supersede_wisdom replaced. Default: false (they are hidden, with a pointer to the replacement).'
         },
         mode: {
           type: 'string',
           enum: ['overview'],
           description: 'Set to "overview" for compact project wisdom summary.'
+        },
+        files: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Load wisdom for several files at once: paths or globs (e.g. "src/auth/**"). Returns their sidecars, the sections index.json maps them to, active plans listing them, and global cautions — ranked cautions first, then by recency, and trimmed to max_tokens.'
+        },
+        git_diff: {
+          type: 'string',
+          description: 'Like files, for the files changed in a git diff: "HEAD" for uncommitted changes, "main...HEAD" for the current branch. Combines with files.'
+        },
+        max_tokens: {
+          type: 'integer',
+          description: 'Token budget for files / git_diff mode. Default: 4000.'
         }
       }
     }
@@ -329,7 +441,12 @@ const TOOLS = [
         decisions: {
           type: 'array',
           items: { type: 'string' },
-          description: 'Design decisions made for this plan.'
+          description: 'Design decisions made for this plan. One that starts with an ADR ID ("ADR-0003" or "ADR-0003: why it applies here") links to that record; get_wisdom(plan) shows its current status. Added to an existing plan\'s decisions.'
+        },
+        tasks: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Tasks to add to the plan\'s checklist (status todo). Each gets an ID; tick them off with update_plan_task.'
         },
         replace: {
           type: 'boolean',
@@ -339,6 +456,171 @@ const TOOLS = [
       required: ['name']
     }
   },
+  {
+    name: 'update_plan_task',
+    description: 'Add tasks to a plan\'s checklist or update one — mark it in_progress, done, blocked, or dropped, reword it, or link the commits that implemented it — without rewriting the plan. Taking a task up (in_progress/done) records your session as its owner. Returns the plan\'s progress.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        plan: {
+          type: 'string',
+          description: 'Plan name.'
+        },
+        add: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'New tasks to append (status todo).'
+        },
+        task_id: {
+          type: 'string',
+          description: 'ID of the task to update (e.g. "t-1a2b3c4d"), as shown by get_wisdom(plan).'
+        },
+        status: {
+          type: 'string',
+          enum: ['todo', 'in_progress', 'done', 'blocked', 'dropped'],
+          description: 'New task status.'
+        },
+        text: {
+          type: 'string',
+          description: 'New task wording.'
+        },
+        commits: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Commit hashes to link to the task (added to any already linked).'
+        }
+      },
+      required: ['plan']
+    }
+  },
+  {
+    name: 'plan_report',
+    description: 'Check plans against git history. Lists each plan\'s related commits (touching its files or mentioning its name) and flags drift: active plans with no related commits in stale_days days, and completed plans whose files kept changing. Records the related commits in each plan under "## Commits" unless attach is false.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        plan: {
+          type: 'string',
+          description: 'Report on this plan only (default: all plans).'
+        },
+        stale_days: {
+          type: 'number',
+          description: 'Days without a related commit before an active plan counts as stale (default: 30).'
+        },
+        attach: {
+          type: 'boolean',
+          description: 'Write the related commits into each plan file (default: true).'
+        },
+        limit: {
+          type: 'number',
+          description: 'Commits shown per plan (default: 10).'
+        }
+      }
+    }
+  },
+  {
+    name: 'propose_adr',
+    description: 'Record a decision as an Architecture Decision Record in .wisdom/decisions/NNNN-title.md, with context, decision, consequences and a status history. Starts as proposed (accept later with accept_adr) unless status is "accepted". supersedes lists the records it replaces; they are marked superseded when it is accepted.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        title: {
+          type: 'string',
+          description: 'Short title, e.g. "Use Postgres for sessions".'
+        },
+        decision: {
+          type: 'string',
+          description: 'What was decided.'
+        },
+        context: {
+          type: 'string',
+          description: 'The forces and constraints behind the decision.'
+        },
+        consequences: {
+          type: 'string',
+          description: 'What becomes easier or harder because of it.'
+        },
+        status: {
+          type: 'string',
+          enum: ['proposed', 'accepted'],
+          description: 'Initial status. Default: proposed.'
+        },
+        supersedes: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'ADR IDs this record replaces (e.g. ["ADR-0001"]).'
+        }
+      },
+      required: ['title', 'decision']
+    }
+  },
+  {
+    name: 'accept_adr',
+    description: 'Accept a proposed Architecture Decision Record (the records it supersedes are marked superseded), or set status "rejected" or "deprecated". The change is logged in the record\'s status history.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        adr: {
+          type: 'string',
+          description: 'ADR ID, e.g. "ADR-0003" or "3".'
+        },
+        status: {
+          type: 'string',
+          enum: ['accepted', 'rejected', 'deprecated'],
+          description: 'New status. Default: accepted.'
+        }
+      },
+      required: ['adr']
+    }
+  },
+  {
+    name: 'supersede_adr',
+    description: 'Replace an Architecture Decision Record with a newer one. The old record stays on file marked superseded, linked to its successor (which is accepted and links back), so get_wisdom follows the chain to the decision in force. Pass title + decision to write the successor, or by to name an existing record.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        adr: {
+          type: 'string',
+          description: 'ADR ID of the record being replaced.'
+        },
+        by: {
+          type: 'string',
+          description: 'ADR ID of an existing record that replaces it.'
+        },
+        title: {
+          type: 'string',
+          description: 'Title of the new record (with decision, instead of by).'
+        },
+        decision: {
+          type: 'string',
+          description: 'What the new record decides.'
+        },
+        context: {
+          type: 'string',
+          description: 'Why the earlier decision no longer holds.'
+        },
+        consequences: {
+          type: 'string',
+          description: 'What changes because of the new decision.'
+        }
+      },
+      required: ['adr']
+    }
+  },
+  {
+    name: 'list_adrs',
+    description: 'List the Architecture Decision Records in .wisdom/decisions/ with their status; superseded records show the record now in force.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        status: {
+          type: 'string',
+          enum: ['proposed', 'accepted', 'rejected', 'deprecated', 'superseded'],
+          description: 'Only list records with this status.'
+        }
+      }
+    }
+  },
   {
     name: 'list_wisdom',
     description: 'Browse what wisdom exists in the project. Filter by: all, sections, plans, patterns, sidecars, or global.',
@@ -349,6 +631,10 @@ const TOOLS = [
           type: 'string',
           enum: ['all', 'sections', 'plans', 'patterns', 'sidecars', 'global'],
           description: 'What to list. Default: all.'
+        },
+        entries: {
+          type: 'boolean',
+          description: 'If true, list every entry (ID, type, first 80 chars) under each section, pattern and sidecar. Default: false.'
         }
       }
     }
@@ -357,7 +643,7 @@ const TOOLS = [
   // V1c: Project Index
   {
     name: 'reindex_project',
-    description: 'Build or refresh the project symbol index. Extracts all functions, classes, variables, and exports using AST parsing (JS/TS) or regex (Python/Go/Rust). Run this when starting work on a project for the first time, or after significant code changes. The index powers check_symbols and get_project_overview. Fast: ~350 files in under 2 seconds.',
+    description: 'Build or refresh the project symbol index. Extracts all functions, classes, variables, and exports using AST parsing (JS/TS) or regex (Python/Go/Rust). Run this when starting work on a project for the first time, or after significant code changes. TODO / FIXME / HACK / XXX / NOTE: comments are indexed too (list_code_notes). The index powers check_symbols and get_project_overview. Fast: ~350 files in under 2 seconds.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -389,6 +675,36 @@ const TOOLS = [
       }
     }
   },
+  {
+    name: 'list_code_notes',
+    description: 'List TODO, FIXME, HACK, XXX and NOTE: comments in the code, grouped by file, with the owner tag (TODO(alice), FIXME @bob) and the function or class each sits in. Reads the index from the last reindex_project / get_project_overview; scans now if there is none. get_wisdom(file_path) shows a file\'s notes alongside its sidecar.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tag: {
+          type: 'array',
+          items: { type: 'string', enum: ['TODO', 'FIXME', 'HACK', 'XXX', 'NOTE'] },
+          description: 'Only these tags.'
+        },
+        dir: {
+          type: 'string',
+          description: 'Only notes in this directory (or file), relative to the project root.'
+        },
+        owner: {
+          type: 'string',
+          description: 'Only notes owned by this person, e.g. "alice".'
+        },
+        limit: {
+          type: 'integer',
+          description: 'Maximum notes to list. Default: 50.'
+        },
+        refresh: {
+          type: 'boolean',
+          description: 'Rescan the project first instead of using the last index. Default: false.'
+        }
+      }
+    }
+  },
 
   // V1d: Symbol Registry
   {
@@ -472,6 +788,10 @@ const TOOLS = [
           type: 'string',
           description: 'File path whose sidecar to annotate (<file>.wisdom)'
         },
+        entry_id: {
+          type: 'string',
+          description: 'ID of the entry to annotate (e.g. "w-1a2b3c4d", as shown by get_wisdom). Takes precedence over search.'
+        },
         search: {
           type: 'string',
           description: 'Text to search for within the wisdom file to place the annotation near. If omitted, appends to end.'
@@ -480,6 +800,417 @@ const TOOLS = [
       required: ['comment']
     }
   },
+  {
+    name: 'edit_wisdom',
+    description: 'Rewrite an existing wisdom entry by ID (IDs are shown by get_wisdom and list_wisdom(entries:true), e.g. w-1a2b3c4d). Use to fix a wrong or imprecise entry in a section, sidecar, plan, pattern, or global wisdom. Changing wisdom_type moves the entry under the matching header; passing keywords replaces its index keywords. To keep the old wording on record instead, use supersede_wisdom.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        entry_id: {
+          type: 'string',
+          description: 'ID of the entry to edit.'
+        },
+        content: {
+          type: 'string',
+          description: 'New text for the entry.'
+        },
+        wisdom_type: {
+          type: 'string',
+          enum: ['lesson', 'pattern', 'caution', 'edge_case', 'decision'],
+          description: 'New type for the entry.'
+        },
+        keywords: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Replacement keyword list (pass [] to clear).'
+        }
+      },
+      required: ['entry_id']
+    }
+  },
+  {
+    name: 'delete_wisdom',
+    description: 'Retire a stale or wrong wisdom entry by ID. The entry is removed from its file and from index.json keywords, and moved (with annotations) to .wisdom/history/ (or ~/.claude/wisdom/history/ for global wisdom) so it stays recoverable.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        entry_id: {
+          type: 'string',
+          description: 'ID of the entry to retire.'
+        },
+        reason: {
+          type: 'string',
+          description: 'Why the entry is being retired. Stored with the history record.'
+        }
+      },
+      required: ['entry_id']
+    }
+  },
+  {
+    name: 'supersede_wisdom',
+    description: 'Replace an outdated wisdom entry with a newer one while keeping the old one on record. Pass content to write the replacement next to the old entry, or by to point at an existing entry. get_wisdom hides superseded entries by default and points to the replacement. Index keywords move to the new entry.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        entry_id: {
+          type: 'string',
+          description: 'ID of the outdated entry.'
+        },
+        content: {
+          type: 'string',
+          description: 'Text of the replacement entry (written to the same file and header).'
+        },
+        by: {
+          type: 'string',
+          description: 'ID of an existing entry that replaces this one (instead of content).'
+        },
+        wisdom_type: {
+          type: 'string',
+          enum: ['lesson', 'pattern', 'caution', 'edge_case', 'decision'],
+          description: 'Type of the replacement entry. Default: same as the old entry.'
+        },
+        keywords: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Keywords for the replacement. Default: carried over from the old entry.'
+        },
+        reason: {
+          type: 'string',
+          description: 'Why the old entry no longer holds.'
+        }
+      },
+      required: ['entry_id']
+    }
+  },
+  {
+    name: 'review_stale_wisdom',
+    description: 'List wisdom entries that may be stale because the code they describe changed. When an entry is saved, the functions/classes it names and any line numbers it cites are anchored to the code (with the file\'s git blob hash). This reports entries whose anchored code changed or disappeared. Run it after large refactors; confirm still-accurate entries with reanchor.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        file_path: {
+          type: 'string',
+          description: 'Only review entries anchored to this source file.'
+        },
+        reanchor: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Entry IDs you have confirmed are still accurate. Their anchors are refreshed to the current code before the review runs.'
+        },
+        include_file_changes: {
+          type: 'boolean',
+          description: 'Also list entries whose file changed while their anchored code did not. Default: false.'
+        }
+      }
+    }
+  },
+  {
+    name: 'relocate_wisdom',
+    description: 'Reattach sidecars (<file>.wisdom) whose source file was renamed or moved. With no args, lists orphaned sidecars and suggests where each source went (git renames, including staged `git mv`, and content similarity). Pass from + to to move one sidecar, or apply_suggestions:true to move all confident matches. Entry anchors and index.json refs are updated to the new path.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        from: {
+          type: 'string',
+          description: 'Old source file path (relative to project root) whose sidecar should move.'
+        },
+        to: {
+          type: 'string',
+          description: 'New source file path the sidecar should sit next to.'
+        },
+        apply_suggestions: {
+          type: 'boolean',
+          description: 'Move every orphan whose best suggestion is a git rename or scores at least min_score. Default: false (list only).'
+        },
+        min_score: {
+          type: 'number',
+          description: 'Similarity score (0-1) needed to apply a non-git suggestion. Default: 0.8.'
+        }
+      }
+    }
+  },
+  {
+    name: 'export_wisdom',
+    description: 'Export project wisdom to one portable JSON bundle (markdown files plus the index.json keywords that point at them) for another project or an archive. Select sections, plans, patterns, and sidecars by name/path; with no selection everything in .wisdom/ and every sidecar is exported. Global wisdom is not included.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sections: { type: 'array', items: { type: 'string' }, description: 'Section names to export.' },
+        plans: { type: 'array', items: { type: 'string' }, description: 'Plan names to export.' },
+        patterns: { type: 'array', items: { type: 'string' }, description: 'Pattern names to export.' },
+        sidecars: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Source file paths or directory prefixes (relative to project root) whose sidecars to export, e.g. ["src/api/"].'
+        },
+        output: {
+          type: 'string',
+          description: 'Where to write the bundle. Default: .wisdom/exports/<project>-<date>.wisdom-bundle.json'
+        }
+      }
+    }
+  },
+  {
+    name: 'import_wisdom',
+    description: 'Merge a bundle from export_wisdom into this project. Entries already present (same ID or same text) are not duplicated. on_conflict handles an incoming entry that shares an ID with a different local entry: "skip" keeps yours, "rename" imports it under a new ID, "merge" keeps yours and folds in its annotations, keywords, and text as an annotation. Sidecars whose source file moved are remapped via path_map, then by matching file name.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        bundle: {
+          type: 'string',
+          description: 'Path to the bundle JSON file.'
+        },
+        on_conflict: {
+          type: 'string',
+          enum: ['skip', 'rename', 'merge'],
+          description: 'Conflict handling. Default: skip.'
+        },
+        path_map: {
+          type: 'object',
+          additionalProperties: { type: 'string' },
+          description: 'Sidecar path remapping, old prefix → new prefix, e.g. {"lib/": "src/lib/"}. Longest matching prefix wins.'
+        }
+      },
+      required: ['bundle']
+    }
+  },
+  {
+    name: 'export_rules',
+    description: 'Write project wisdom into the rule files other editors and agents read: AGENTS.md (agents), .github/copilot-instructions.md (copilot), .cursor/rules/wisdom.mdc (cursor), .windsurf/rules/wisdom.md (windsurf). Cautions come first, then section entries, then patterns, cut to each target\'s size limit. Only the block between the export_rules markers is rewritten, so hand-written rules are kept, and re-running over unchanged wisdom writes nothing. check: true reports drift without writing.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        targets: {
+          type: 'array',
+          items: { type: 'string', enum: ['agents', 'copilot', 'cursor', 'windsurf'] },
+          description: 'Rule files to build. Default: the targets whose file already exists, or agents if none do.'
+        },
+        sections: { type: 'array', items: { type: 'string' }, description: 'Only these sections (cautions from sidecars and patterns are still included).' },
+        max_chars: {
+          type: 'integer',
+          description: 'Size limit for the generated block, overriding the target\'s own (agents 32000, cursor 12000, copilot 8000, windsurf 6000).'
+        },
+        check: {
+          type: 'boolean',
+          description: 'Write nothing; report which rule files are missing or out of date. Default: false.'
+        }
+      }
+    }
+  },
+  {
+    name: 'import_wisdom_sources',
+    description: 'Import knowledge already written in the project\'s docs into .wisdom: CLAUDE.md, MEMORY.md, CONTRIBUTING guides, ADR folders (docs/adr, docs/decisions, ...) and Claude memory files for this project. Bullets become entries in the section named by their heading (cautions for don\'t/never/avoid, decisions and patterns under matching headings), ADRs become decisions, memory files are filed by type. Entries already in wisdom are left out, and each keeps a link to its document. Without confirm, only previews; confirm: true with the preview_id writes.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        paths: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Markdown files or directories to import instead of the discovered ones.'
+        },
+        confirm: {
+          type: 'boolean',
+          description: 'Write the previewed entries. Requires preview_id. Default: false (preview only).'
+        },
+        preview_id: {
+          type: 'string',
+          description: 'ID from the preview being confirmed; refused if the sources or wisdom changed since.'
+        },
+        skip: {
+          type: 'array',
+          items: { type: 'integer' },
+          description: 'Preview numbers of entries to leave out.'
+        }
+      }
+    }
+  },
+  {
+    name: 'install_merge_driver',
+    description: 'Set up a git merge driver for wisdom files so branches that both add wisdom merge cleanly. Writes the merge.wisdom entry to the repository\'s git config and .gitattributes patterns for .wisdom/**/*.md, .wisdom/index.json and *.wisdom sidecars. The driver merges structurally: entries under each ## header are unioned (identical bullets deduplicated, annotations kept with their entry) and index.json keyword arrays are deep-merged; only an entry or prose changed differently on both branches is left in conflict. Safe to re-run; run once per clone.',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'build_wisdom_site',
+    description: 'Publish the project\'s wisdom as a static HTML site: sections, plans with status and task progress, patterns, decisions (ADRs), sidecars grouped by directory, and global wisdom. Includes a client-side search index, a page of source files with backlinks to the wisdom about them, and links to the source files. Runs fully offline — open index.html from disk. Rebuilding over unchanged wisdom writes nothing.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        out_dir: { type: 'string', description: 'Output directory, relative to the project root. Default: .wisdom/site. Must be empty or an earlier build.' },
+        include_global: { type: 'boolean', description: 'Include global wisdom roots. Default: true.' },
+        source_url: {
+          type: 'string',
+          description: 'Base URL for source file links, e.g. https://github.com/org/repo/blob/main/. Default: links relative to the site, to the files on disk.'
+        }
+      }
+    }
+  },
+  {
+    name: 'dedupe_wisdom',
+    description: 'Find clusters of near-duplicate wisdom entries (the same lesson saved several times in different words, by TF-IDF cosine similarity) and merge them. With no merge args, lists clusters with a suggested entry to keep. merge folds each group into its first ID — annotations, keywords, and differing wording carry over — and retires the rest to .wisdom/history/.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        file_path: {
+          type: 'string',
+          description: 'Only look within this file\'s sidecar.'
+        },
+        section: {
+          type: 'string',
+          description: 'Only look within this section.'
+        },
+        threshold: {
+          type: 'number',
+          description: 'Similarity (0-1) at which two entries count as duplicates. Default: 0.6.'
+        },
+        merge: {
+          type: 'array',
+          items: { type: 'array', items: { type: 'string' } },
+          description: 'Groups of entry IDs to merge, e.g. [["w-keep", "w-dup1", "w-dup2"]]. The first ID in each group is kept.'
+        },
+        merge_all: {
+          type: 'boolean',
+          description: 'Merge every cluster found, keeping each cluster\'s suggested entry. Default: false.'
+        }
+      }
+    }
+  },
+  {
+    name: 'review_conflicts',
+    description: 'Find wisdom entries that may contradict each other — e.g. "always use bullseye-slim" vs "alpine is fine now". Entries about the same symbol, file, or keyword are compared offline for negation, opposing imperatives (always/never, use/avoid, enable/disable, before/after, ...), and one reversing the other. get_wisdom flags the same conflicts inline. Resolve with supersede_wisdom or edit_wisdom, or dismiss a pair that is fine.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        file_path: {
+          type: 'string',
+          description: 'Only pairs involving this file\'s sidecar.'
+        },
+        section: {
+          type: 'string',
+          description: 'Only pairs involving this section.'
+        },
+        limit: {
+          type: 'integer',
+          description: 'Max conflicts to show. Default: 20.'
+        },
+        dismiss: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Two entry IDs reviewed as compatible, e.g. ["w-1a2b3c4d", "w-5e6f7a8b"]; the pair is not flagged again.'
+        },
+        use_llm: {
+          type: 'boolean',
+          description: 'Have a model confirm or reject the candidates, including topic-sharing pairs the heuristics did not flag (up to 40 pairs). Uses OAuth; default false.'
+        },
+        model: {
+          type: 'string',
+          description: 'Model for use_llm. Default: claude-haiku-4-5-20251001.'
+        },
+        allowApiKey: {
+          type: 'boolean',
+          description: 'Default false. With use_llm, refuses without OAuth unless explicitly opted into ANTHROPIC_API_KEY (no surprise charges).',
+          default: false
+        }
+      }
+    }
+  },
+  {
+    name: 'wisdom_history',
+    description: 'Show recorded changes to wisdom (saves, edits, annotations, plan rewrites, retirements, imports, undos) from .wisdom/journal.jsonl, newest first. Filter by file, section, plan, or entry ID. Pass journal_id to see one change with the lines it removed and added.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        file_path: {
+          type: 'string',
+          description: 'Only changes to this file\'s sidecar.'
+        },
+        section: {
+          type: 'string',
+          description: 'Only changes to this section.'
+        },
+        plan: {
+          type: 'string',
+          description: 'Only changes to this plan.'
+        },
+        entry_id: {
+          type: 'string',
+          description: 'Only changes that added, removed, or changed this entry.'
+        },
+        journal_id: {
+          type: 'string',
+          description: 'Show a single change in full (e.g. "j-1a2b3c4d").'
+        },
+        limit: {
+          type: 'integer',
+          description: 'Maximum changes to list. Default: 20.'
+        }
+      }
+    }
+  },
+  {
+    name: 'wisdom_source',
+    description: 'Open the conversation turn a wisdom entry was saved in: the user prompt and the actions of that turn, with inspect_pruned_messages calls to drill further. Works after the conversation was pruned. Uses the conversation, message and time save_wisdom records; older entries fall back to their author session and save time.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        entry_id: {
+          type: 'string',
+          description: 'ID of the wisdom entry (e.g. "w-1a2b3c4d").'
+        }
+      },
+      required: ['entry_id']
+    }
+  },
+  {
+    name: 'undo_wisdom_change',
+    description: 'Revert one change listed by wisdom_history: its file goes back to the content it had before, and index keywords follow the entries that disappear or come back. The undo is journaled too. Refused if the file changed again since, unless force is set. Changes spanning several files (retire, relocate) are recorded per file — undo each.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        journal_id: {
+          type: 'string',
+          description: 'ID of the journal entry to revert (e.g. "j-1a2b3c4d").'
+        },
+        force: {
+          type: 'boolean',
+          description: 'Revert even if the file has changed since, discarding those later changes. Default: false.'
+        }
+      },
+      required: ['journal_id']
+    }
+  },
+  {
+    name: 'check_wisdom',
+    description: 'Check .wisdom/index.json against the files on disk: indexed plans or sections without a file, plan files missing from the index, plan ↔ section cross-references that disagree, keyword refs to moved or deleted entries, entry keywords missing from the index, stale scanned files, and sidecars whose source file is gone. Reports by default; repair: true fixes what it safely can. A corrupt index is backed up (index.corrupt-<time>.json) and rebuilt from the files.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        repair: {
+          type: 'boolean',
+          description: 'Fix repairable problems. Default: false (report only).'
+        }
+      }
+    }
+  },
+  {
+    name: 'wisdom_stats',
+    description: 'Show which wisdom is actually used. Retrievals by get_wisdom, list_wisdom(entries: true) and keyword search are recorded locally (.wisdom/usage.jsonl, with time and session); this reports the most-read entries, entries never read, and entries not reviewed in a long time — candidates for review_stale_wisdom or cleanup. Keyword search ranks entries read in more sessions slightly higher.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: {
+          type: 'integer',
+          description: 'Max entries per list. Default: 10.'
+        },
+        review_days: {
+          type: 'integer',
+          description: 'Entries not reviewed, edited, or saved in this many days are listed as unreviewed. Default: 90.'
+        }
+      }
+    }
+  },
   {
     name: 'inspect_pruned_messages',
     description: 'Reveal content from a section orphaned by prune_context, with nested progressive disclosure. The orphaned messages are still in the JSONL file (parentUuid:null on the new root just hides them from Claude); this tool reads them back. Five modes from narrowest-and-cheapest to widest:\n\n  1. turn_id: N (no other args) → lightweight TURN SUMMARY: user prompt + numbered action list (each tool call with key params + final assistant text). Default turn_id behavior, designed for "what happened in this turn?" without loading 30 raw messages.\n  2. turn_id: N, action_id: M → drill into one specific action\'s raw message.\n  3. turn_id: N, action_range: [M, K] → range of actions within the turn.\n  4. turn_id: N, full: true → all raw messages in turn (heavy; use only when you really need it).\n  5. turn_range: [N, M] → all messages across multiple turns.\n  6. message_range: [start, end] → arbitrary 1-indexed message range (max 100).\n  7. segment_id: N → 200-message chunk matching prune_context output IDs.\n\nRecommended workflow: prune_context output gives you turn IDs and action counts. Use turn_id alone for the summary, then action_id/action_range to drill in.',
@@ -734,10 +1465,24 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         return await handleGetWisdom(args);
       case 'update_plan':
         return await handleUpdatePlan(args);
+      case 'update_plan_task':
+        return await handleUpdatePlanTask(args);
+      case 'plan_report':
+        return await handlePlanReport(args);
+      case 'propose_adr':
+        return await handleProposeAdr(args);
+      case 'accept_adr':
+        return await handleAcceptAdr(args);
+      case 'supersede_adr':
+        return await handleSupersedeAdr(args);
+      case 'list_adrs':
+        return await handleListAdrs(args);
       case 'list_wisdom':
         return await handleListWisdom(args);
       case 'reindex_project':
         return await handleReindexProject(args);
+      case 'list_code_notes':
+        return await handleListCodeNotes(args);
       case 'get_project_overview':
         return await handleGetProjectOverview(args);
       case 'check_symbols':
@@ -750,6 +1495,42 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         return await handleCompactContext(args);
       case 'annotate_wisdom':
         return await handleAnnotateWisdom(args);
+      case 'edit_wisdom':
+        return await handleEditWisdom(args);
+      case 'delete_wisdom':
+        return await handleDeleteWisdom(args);
+      case 'supersede_wisdom':
+        return await handleSupersedeWisdom(args);
+      case 'review_stale_wisdom':
+        return await handleReviewStaleWisdom(args);
+      case 'relocate_wisdom':
+        return await handleRelocateWisdom(args);
+      case 'export_wisdom':
+        return await handleExportWisdom(args);
+      case 'import_wisdom':
+        return await handleImportWisdom(args);
+      case 'export_rules':
+        return await handleExportRules(args);
+      case 'import_wisdom_sources':
+        return await handleImportWisdomSources(args);
+      case 'install_merge_driver':
+        return await handleInstallMergeDriver(args);
+      case 'build_wisdom_site':
+        return await handleBuildWisdomSite(args);
+      case 'dedupe_wisdom':
+        return await handleDedupeWisdom(args);
+      case 'review_conflicts':
+        return await handleReviewConflicts(args);
+      case 'wisdom_history':
+        return await handleWisdomHistory(args);
+      case 'wisdom_source':
+        return await handleWisdomSource(args);
+      case 'undo_wisdom_change':
+        return await handleUndoWisdomChange(args);
+      case 'check_wisdom':
+        return await handleCheckWisdom(args);
+      case 'wisdom_stats':
+        return await handleWisdomStats(args);
       case 'inspect_pruned_messages':
         return await handleInspectPrunedMessages(args);
       case 'sandwich_prune':
@@ -780,6 +1561,59 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   }
 });
 
+// Resources
+server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+  resources: listResources(findProjectRoot())
+}));
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+  resourceTemplates: RESOURCE_TEMPLATES
+}));
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  const { uri } = request.params;
+  if (uri === OVERVIEW_URI) {
+    const result = await handleGetWisdom({ mode: 'overview' });
+    return { contents: [{ uri, mimeType: 'text/markdown', text: result.content[0].text }] };
+  }
+  try {
+    return { contents: [readResource(findProjectRoot(), uri)] };
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, error.message);
+  }
+});
+
+const subscriptions = new Set();
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  subscriptions.add(request.params.uri);
+  return {};
+});
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  subscriptions.delete(request.params.uri);
+  return {};
+});
+
+// Writes made by this process's tools become resource notifications
+onWisdomChange(({ filePath, created, deleted }) => {
+  for (const uri of resourceUrisForPath(findProjectRoot(), filePath)) {
+    if (subscriptions.has(uri)) server.sendResourceUpdated({ uri }).catch(() => {});
+  }
+  if (created || deleted) server.sendResourceListChanged().catch(() => {});
+});
+
+// Prompts
+server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+  prompts: PROMPTS
+}));
+
+server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+  try {
+    return getPrompt(request.params.name, request.params.arguments);
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, error.message);
+  }
+});
+
 // Start server
 const transport = new StdioServerTransport();
 await server.connect(transport);
@@ -21,7 +21,8 @@ import fs from 'fs';
 import path from 'path';
 import { heuristicSectionSummary } from './refetch-summarizer.js';
 
-const MEMORY_FILE_PATTERNS = [
+// Memory-style files; lib/wisdom-sources.js uses the same list to find docs to import
+export const MEMORY_FILE_PATTERNS = [
   /\/MEMORY\.md$/i,
   /\/CLAUDE\.md$/i,
   /\/\.wisdom\//i,
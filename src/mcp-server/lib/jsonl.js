@@ -278,6 +278,24 @@ export function readJsonlLine(filePath, lineIndex) {
   return null;
 }
 
+/**
+ * Read every message line (anything with a uuid) of a conversation with full
+ * bodies, in file order — including messages orphaned by a prune. One-shot
+ * read: readJsonl degrades to lightweight mode for files >50MB, which strips
+ * the bodies interactive tools want to show.
+ */
+export function readAllMessages(filePath) {
+  const messages = [];
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const data = JSON.parse(line);
+      if (data?.uuid !== undefined) messages.push(data);
+    } catch (_) { /* skip malformed */ }
+  }
+  return messages;
+}
+
 /**
  * Walk the parentUuid chain from the latest message back to the root.
  * Returns messages in chain order (root first).
@@ -0,0 +1,271 @@
+/**
+ * Architecture Decision Records in .wisdom/decisions/.
+ *
+ * A decision that deserves more than one bullet is kept as an ADR, one file
+ * per record, numbered in order of creation:
+ *
+ *   .wisdom/decisions/0003-use-postgres-for-sessions.md
+ *
+ *   # ADR-0003: Use Postgres for sessions
+ *
+ *   *Status*: accepted | *Date*: 2026-10-19 | *Updated*: 2026-10-21
+ *
+ *   ## Context / ## Decision / ## Consequences
+ *   ...
+ *
+ *   ## Links
+ *   - Supersedes [ADR-0001](0001-use-redis-for-sessions.md)
+ *   - Superseded by [ADR-0004](0004-....md)
+ *
+ *   ## Status History
+ *   - 2026-10-19 14:03: created as proposed
+ *   - 2026-10-21 09:12: proposed → accepted
+ *
+ * The *Status* line and history use the same format as plans
+ * (lib/wisdom-plans.js). Status is one of proposed, accepted, rejected,
+ * deprecated, superseded. A superseded record names its successor, so the
+ * decision in force is found by following "Superseded by" links
+ * (resolveAdr). Other wisdom refers to records as ADR-0003; plans link them
+ * from ## Design Decisions.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { writeJournaled } from './wisdom-journal.js';
+import { planStatus, setPlanStatus, startPlanHistory } from './wisdom-plans.js';
+
+export const ADR_STATUSES = ['proposed', 'accepted', 'rejected', 'deprecated', 'superseded'];
+export const ADR_DIR = 'decisions';
+const ADR_FIELDS = ['context', 'decision', 'consequences'];
+const ADR_REF_RE = /\bADR-(\d{1,4})\b/g;
+// A plan decision that names a record: "ADR-0003", "adr-3: because ..."
+const DECISION_REF_RE = /^(adr-?\d{1,4})\b[\s:,—-]*([\s\S]*)$/i;
+
+/**
+ * The record number named by "ADR-0003", "adr-3", "0003" or 3; null if none.
+ */
+export function parseAdrId(ref) {
+  const m = String(ref ?? '').trim().match(/^(?:adr-?)?0*(\d{1,4})$/i);
+  return m ? Number(m[1]) : null;
+}
+
+export function formatAdrId(number) {
+  return `ADR-${String(number).padStart(4, '0')}`;
+}
+
+/**
+ * Record numbers mentioned in a text ("... see ADR-0003"), in order, deduped.
+ */
+export function findAdrRefs(text) {
+  return [...new Set([...(text || '').matchAll(ADR_REF_RE)].map(m => Number(m[1])))];
+}
+
+function slugify(title) {
+  return title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+/, '').slice(0, 50).replace(/-+$/, '') || 'decision';
+}
+
+function section(content, name) {
+  const m = content.match(new RegExp(`^## ${name}\\n([\\s\\S]*?)(?=^## |(?![\\s\\S]))`, 'm'));
+  return m ? m[1].trim() : '';
+}
+
+/**
+ * Parse one record file. Returns { number, id, file, title, status, date,
+ * context, decision, consequences, supersedes, supersededBy, content }.
+ */
+export function parseAdr(file, content) {
+  const number = Number(file.match(/^(\d+)-/)?.[1]);
+  const linked = (label) => [...content.matchAll(new RegExp(`^- ${label} \\[ADR-(\\d+)\\]`, 'gm'))].map(m => Number(m[1]));
+  const adr = {
+    number,
+    id: formatAdrId(number),
+    file,
+    title: content.match(/^# (?:ADR-\d+: )?(.+)$/m)?.[1].trim() || file,
+    status: planStatus(content) || 'proposed',
+    date: content.match(/\*Date\*: (\S+)/)?.[1] || null,
+    supersedes: linked('Supersedes'),
+    supersededBy: linked('Superseded by')[0] || null,
+    content
+  };
+  for (const field of ADR_FIELDS) adr[field] = section(content, field[0].toUpperCase() + field.slice(1));
+  return adr;
+}
+
+/**
+ * Every record, by number.
+ */
+export function listAdrs(wisdomDir) {
+  const dir = path.join(wisdomDir, ADR_DIR);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => /^\d+-.*\.md$/.test(f))
+    .map(f => parseAdr(f, fs.readFileSync(path.join(dir, f), 'utf8')))
+    .sort((a, b) => a.number - b.number);
+}
+
+/**
+ * The record named by `ref` (see parseAdrId), or null.
+ */
+export function readAdr(wisdomDir, ref) {
+  const number = parseAdrId(ref);
+  if (number === null) return null;
+  return listAdrs(wisdomDir).find(a => a.number === number) || null;
+}
+
+function writeAdr(wisdomDir, file, content, op) {
+  writeJournaled(path.dirname(wisdomDir), path.join(wisdomDir, ADR_DIR, file), content, op);
+}
+
+/**
+ * Write a new record with the next free number. Returns the parsed record.
+ */
+export function createAdr(wisdomDir, { title, context, decision, consequences, status = 'proposed', supersedes = [] }, { op = 'propose_adr', date = new Date() } = {}) {
+  const existing = listAdrs(wisdomDir);
+  const number = existing.length > 0 ? existing[existing.length - 1].number + 1 : 1;
+  const file = `${String(number).padStart(4, '0')}-${slugify(title)}.md`;
+  const byNumber = new Map(existing.map(a => [a.number, a]));
+
+  let content = [
+    `# ${formatAdrId(number)}: ${title.trim()}`,
+    '',
+    `*Status*: ${status} | *Date*: ${date.toISOString().split('T')[0]}`,
+    '',
+    `## Context\n${context?.trim() || '_Not recorded._'}\n`,
+    `## Decision\n${decision.trim()}\n`,
+    `## Consequences\n${consequences?.trim() || '_Not recorded._'}\n`
+  ].join('\n');
+  if (supersedes.length > 0) {
+    const links = supersedes.map(n => `- Supersedes [${formatAdrId(n)}](${byNumber.get(n)?.file || ''})`);
+    content += `\n## Links\n${links.join('\n')}\n`;
+  }
+  content = startPlanHistory(content, status, { date });
+  writeAdr(wisdomDir, file, content, op);
+  return parseAdr(file, content);
+}
+
+/**
+ * Change a record's status, logging the transition. Returns the updated
+ * record, or null if there is no such record.
+ */
+export function setAdrStatus(wisdomDir, ref, status, { op = 'accept_adr', date = new Date() } = {}) {
+  const adr = readAdr(wisdomDir, ref);
+  if (!adr) return null;
+  const content = setPlanStatus(adr.content, status, { date });
+  writeAdr(wisdomDir, adr.file, content, op);
+  return parseAdr(adr.file, content);
+}
+
+function addLink(content, line) {
+  if (content.includes(line)) return content;
+  const lines = content.trimEnd().split('\n');
+  const start = lines.indexOf('## Links');
+  if (start === -1) {
+    const history = lines.indexOf('## Status History');
+    const at = history === -1 ? lines.length : history;
+    lines.splice(at, 0, ...(history === -1 ? ['', '## Links', line] : ['## Links', line, '']));
+    return lines.join('\n') + '\n';
+  }
+  let end = start + 1;
+  while (end < lines.length && !lines[end].startsWith('## ')) end++;
+  while (end > start + 1 && lines[end - 1] === '') end--;
+  lines.splice(end, 0, line);
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Mark record `oldRef` superseded by `newRef` and link the two both ways;
+ * the successor becomes accepted. Returns { old, next } (the updated
+ * records), or null if either is unknown.
+ */
+export function supersedeAdr(wisdomDir, oldRef, newRef, { date = new Date() } = {}) {
+  const old = readAdr(wisdomDir, oldRef);
+  const next = readAdr(wisdomDir, newRef);
+  if (!old || !next) return null;
+
+  let oldContent = addLink(old.content, `- Superseded by [${next.id}](${next.file})`);
+  oldContent = setPlanStatus(oldContent, 'superseded', { date });
+  writeAdr(wisdomDir, old.file, oldContent, 'supersede_adr');
+
+  let nextContent = addLink(next.content, `- Supersedes [${old.id}](${old.file})`);
+  nextContent = setPlanStatus(nextContent, 'accepted', { date });
+  writeAdr(wisdomDir, next.file, nextContent, 'supersede_adr');
+
+  return { old: parseAdr(old.file, oldContent), next: parseAdr(next.file, nextContent) };
+}
+
+/**
+ * Accept a record; the records it lists under "Supersedes" that are still
+ * in force become superseded by it. Returns { adr, superseded } or null if
+ * there is no such record.
+ */
+export function acceptAdr(wisdomDir, ref, { date = new Date() } = {}) {
+  let adr = setAdrStatus(wisdomDir, ref, 'accepted', { date });
+  if (!adr) return null;
+  const superseded = [];
+  for (const number of adr.supersedes) {
+    const old = readAdr(wisdomDir, number);
+    if (!old || old.status === 'superseded') continue;
+    const result = supersedeAdr(wisdomDir, old.number, adr.number, { date });
+    superseded.push(result.old);
+    adr = result.next;
+  }
+  return { adr, superseded };
+}
+
+/**
+ * Plan "Design Decisions" bullets: a decision that starts with an ADR ID
+ * links to the record ("- [ADR-0003](../decisions/0003-….md) Use Postgres —
+ * note"), others are kept as written. Returns { bullets, unknown }, with
+ * the IDs that match no record.
+ */
+export function linkPlanDecisions(wisdomDir, decisions) {
+  const adrs = listAdrs(wisdomDir);
+  const bullets = [];
+  const unknown = [];
+  for (const decision of decisions) {
+    const m = decision.trim().match(DECISION_REF_RE);
+    if (!m) {
+      bullets.push(`- ${decision}`);
+      continue;
+    }
+    const adr = adrs.find(a => a.number === parseAdrId(m[1]));
+    if (!adr) {
+      unknown.push(m[1]);
+      continue;
+    }
+    bullets.push(`- [${adr.id}](../${ADR_DIR}/${adr.file}) ${adr.title}${m[2] ? ` — ${m[2]}` : ''}`);
+  }
+  return { bullets, unknown };
+}
+
+/**
+ * Follow a record's "Superseded by" links to the decision now in force.
+ * Returns { adr, chain, current } — chain runs from the record to current
+ * inclusive — or null if there is no such record. A link to a missing
+ * record (or a loop) ends the chain there.
+ */
+export function resolveAdr(wisdomDir, ref, adrs = listAdrs(wisdomDir)) {
+  const number = parseAdrId(ref);
+  const byNumber = new Map(adrs.map(a => [a.number, a]));
+  const adr = byNumber.get(number);
+  if (!adr) return null;
+  const chain = [adr];
+  let current = adr;
+  while (current.supersededBy && byNumber.has(current.supersededBy) && !chain.includes(byNumber.get(current.supersededBy))) {
+    current = byNumber.get(current.supersededBy);
+    chain.push(current);
+  }
+  return { adr, chain, current };
+}
+
+/**
+ * One line on where a record stands: "ADR-0003 Use Postgres — accepted", or
+ * for a superseded one "ADR-0001 Use Redis — superseded; now ADR-0004 Use
+ * Postgres (accepted) via ADR-0003".
+ */
+export function formatAdrResolution({ adr, chain, current }) {
+  const head = `${adr.id} ${adr.title} — ${adr.status}`;
+  if (current === adr) return head;
+  const via = chain.slice(1, -1).map(a => a.id);
+  return `${head}; now ${current.id} ${current.title} (${current.status})${via.length > 0 ? ` via ${via.join(', ')}` : ''}`;
+}
@@ -0,0 +1,218 @@
+/**
+ * Code anchors for wisdom entries — detect wisdom that may have gone stale.
+ *
+ * When an entry is saved, we record what code it talks about:
+ *   - symbols named in the entry text that are defined in the file
+ *     (resolved through .wisdom/symbols.json, plus a fresh scan of the file)
+ *   - explicit line references ("line 42", "lines 10-20", "L7")
+ *   - the file's git blob hash at save time
+ * Each symbol/line anchor stores a short hash of the code it covers. Later,
+ * checkAnchors re-locates the symbols and re-hashes; a changed hash or a
+ * vanished symbol means the entry is possibly stale.
+ *
+ * Stored in entry metadata as:
+ *   anchors: [{ file, blob, symbols: [{ name, start, end, hash }], lines: [{ start, end, hash }] }]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getWisdomDir } from './wisdom.js';
+import { scanFile, readSymbols } from './indexer.js';
+
+// Symbol categories whose entries carry a definition line
+const ANCHOR_CATEGORIES = ['functions', 'classes', 'variables'];
+// Identifiers shorter than this are too ambiguous to anchor on
+const MIN_SYMBOL_LENGTH = 3;
+const LINE_REF_RE = /\b(?:lines?\s+|L)(\d+)(?:\s*(?:-|–|to)\s*L?(\d+))?\b/gi;
+
+/**
+ * Git's blob hash for file content (same as `git hash-object <file>`).
+ * Computed in-process so it works without git or outside a repository.
+ */
+export function gitBlobHash(content) {
+  const buf = Buffer.isBuffer(content) ? content : Buffer.from(content);
+  return crypto.createHash('sha1')
+    .update(`blob ${buf.length}\0`)
+    .update(buf)
+    .digest('hex');
+}
+
+function hashLines(lines, start, end) {
+  const slice = lines.slice(start - 1, end).map(l => l.trimEnd()).join('\n');
+  return crypto.createHash('sha1').update(slice).digest('hex').slice(0, 12);
+}
+
+/**
+ * Last line of the block starting at `start` (1-indexed): the block ends just
+ * before the next non-blank line indented no deeper than the start line —
+ * or on that line, if it is a closing bracket.
+ */
+export function blockEnd(lines, start) {
+  const indentOf = l => l.match(/^\s*/)[0].length;
+  const startIndent = indentOf(lines[start - 1] || '');
+  for (let i = start; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.trim()) continue;
+    if (indentOf(line) <= startIndent) {
+      return /^\s*[}\])]/.test(line) ? i + 1 : lastNonBlank(lines, i - 1, start);
+    }
+  }
+  return lastNonBlank(lines, lines.length - 1, start);
+}
+
+function lastNonBlank(lines, fromIdx, start) {
+  let i = fromIdx;
+  while (i >= start && !lines[i].trim()) i--;
+  return Math.max(start, i + 1);
+}
+
+/**
+ * Definition line of each symbol defined in this file: a fresh scan first,
+ * then .wisdom/symbols.json for names the scan can't see (unsupported
+ * languages, parse failures).
+ */
+function currentDefinitions(projectRoot, relPath) {
+  const defs = new Map();
+  const symbols = scanFile(projectRoot, relPath);
+  const registry = readSymbols(getWisdomDir(projectRoot));
+  for (const source of [symbols, registry]) {
+    for (const cat of ANCHOR_CATEGORIES) {
+      for (const [name, info] of Object.entries(source?.[cat] || {})) {
+        if (info.file === relPath && info.line && !defs.has(name)) defs.set(name, info.line);
+      }
+    }
+  }
+  return defs;
+}
+
+function identifiersIn(text) {
+  return new Set((text.match(/[A-Za-z_$][\w$]*/g) || []).filter(w => w.length >= MIN_SYMBOL_LENGTH));
+}
+
+/**
+ * Build the anchor record for an entry about `relPath`.
+ * Returns null if the file doesn't exist.
+ */
+export function computeAnchor(projectRoot, relPath, text) {
+  let content;
+  try {
+    content = fs.readFileSync(path.join(projectRoot, relPath), 'utf8');
+  } catch { return null; }
+  const lines = content.split('\n');
+
+  const defs = currentDefinitions(projectRoot, relPath);
+  const symbols = [];
+  for (const name of identifiersIn(text)) {
+    if (!defs.has(name)) continue;
+    const start = defs.get(name);
+    const end = blockEnd(lines, start);
+    symbols.push({ name, start, end, hash: hashLines(lines, start, end) });
+  }
+
+  const lineRefs = [];
+  for (const m of text.matchAll(LINE_REF_RE)) {
+    const start = parseInt(m[1], 10);
+    const end = m[2] ? parseInt(m[2], 10) : start;
+    if (start < 1 || end < start || end > lines.length) continue;
+    lineRefs.push({ start, end, hash: hashLines(lines, start, end) });
+  }
+
+  const anchor = { file: relPath, blob: gitBlobHash(content) };
+  if (symbols.length > 0) anchor.symbols = symbols;
+  if (lineRefs.length > 0) anchor.lines = lineRefs;
+  return anchor;
+}
+
+/**
+ * Anchors for an entry that names symbols without being attached to a file
+ * (section entries): every identifier the registry knows is anchored in the
+ * file that defines it. Only identifier-looking words count (camelCase,
+ * snake_case, or written as a call), so plain English doesn't match.
+ */
+export function computeRegistryAnchors(projectRoot, text) {
+  const registry = readSymbols(getWisdomDir(projectRoot));
+  if (!registry) return [];
+
+  const byFile = new Map();
+  for (const name of identifiersIn(text)) {
+    const codeLike = /[a-z][A-Z]|_|\$/.test(name) || new RegExp(`\\b${name.replace(/\$/g, '\\$')}\\(`).test(text);
+    if (!codeLike) continue;
+    for (const cat of ANCHOR_CATEGORIES) {
+      const info = registry[cat]?.[name];
+      if (info?.file) {
+        if (!byFile.has(info.file)) byFile.set(info.file, []);
+        byFile.get(info.file).push(name);
+        break;
+      }
+    }
+  }
+
+  const anchors = [];
+  for (const [file, names] of byFile) {
+    const anchor = computeAnchor(projectRoot, file, names.join(' '));
+    if (anchor) anchors.push(anchor);
+  }
+  return anchors;
+}
+
+/**
+ * Anchors for an entry: a sidecar entry (relPath = its source file) anchors
+ * into that file; an entry with no file resolves symbols via the registry.
+ */
+export function computeEntryAnchors(projectRoot, relPath, text) {
+  if (relPath) {
+    const anchor = computeAnchor(projectRoot, relPath, text);
+    return anchor ? [anchor] : [];
+  }
+  return computeRegistryAnchors(projectRoot, text);
+}
+
+/**
+ * Compare an entry's anchors against the code on disk.
+ * Returns { stale, fileChanged, problems: [string] }:
+ *   stale       — an anchored symbol/line range changed or vanished, or the file is gone
+ *   fileChanged — the file differs from save time (may be unrelated to the entry)
+ */
+export function checkAnchors(projectRoot, anchors) {
+  const problems = [];
+  let stale = false;
+  let fileChanged = false;
+
+  for (const anchor of anchors || []) {
+    let content;
+    try {
+      content = fs.readFileSync(path.join(projectRoot, anchor.file), 'utf8');
+    } catch {
+      stale = true;
+      problems.push(`${anchor.file} no longer exists`);
+      continue;
+    }
+    if (gitBlobHash(content) === anchor.blob) continue;
+    fileChanged = true;
+
+    const lines = content.split('\n');
+    const defs = anchor.symbols?.length ? currentDefinitions(projectRoot, anchor.file) : new Map();
+    for (const sym of anchor.symbols || []) {
+      const start = defs.get(sym.name);
+      if (!start) {
+        stale = true;
+        problems.push(`\`${sym.name}\` was removed or renamed in ${anchor.file}`);
+        continue;
+      }
+      if (hashLines(lines, start, blockEnd(lines, start)) !== sym.hash) {
+        stale = true;
+        problems.push(`\`${sym.name}\` changed in ${anchor.file}`);
+      }
+    }
+    for (const ref of anchor.lines || []) {
+      const label = ref.start === ref.end ? `line ${ref.start}` : `lines ${ref.start}-${ref.end}`;
+      if (ref.end > lines.length || hashLines(lines, ref.start, ref.end) !== ref.hash) {
+        stale = true;
+        problems.push(`${label} of ${anchor.file} changed`);
+      }
+    }
+  }
+
+  return { stale, fileChanged, problems };
+}
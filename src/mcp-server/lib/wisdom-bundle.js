@@ -0,0 +1,390 @@
+/**
+ * Portable wisdom bundles: move knowledge between projects, or archive it.
+ *
+ * A bundle is one JSON file holding the raw markdown of the selected wisdom
+ * files plus the index.json data that points at them:
+ *
+ *   {
+ *     format: "wisdom-bundle", version: 1, exported, project,
+ *     files:    [{ ref, kind, content }],   // ref as in wisdom-edit.js; sidecars
+ *                                           // are project-relative source paths
+ *     keywords: { keyword: [ref or ref#id] },
+ *     sections: { name: { files, plans } },
+ *     plans:    { name: { file, status, sections, files } }
+ *   }
+ *
+ * Importing merges entry by entry. An incoming entry that matches an existing
+ * one (same ID, or same text under the same header) is a duplicate; when the
+ * IDs match but the text differs, onConflict decides:
+ *   skip   — keep the local entry (default)
+ *   rename — import the incoming entry under a fresh ID
+ *   merge  — keep the local entry, fold in the incoming annotations, keywords
+ *            and (as an annotation) its differing text
+ * Sidecars are remapped through pathMap (old path prefix → new prefix), then
+ * by looking for a file with the same name; sidecars whose source can't be
+ * found are left out.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  getWisdomDir,
+  readIndex,
+  writeIndex,
+  parseWisdomMarkdown,
+  serializeWisdomMarkdown,
+  findEntry,
+  generateEntryId
+} from './wisdom.js';
+import { listWisdomFiles, insertEntryWithAnnotations } from './wisdom-edit.js';
+import { withWisdomLock } from './wisdom-lock.js';
+import { writeJournaled } from './wisdom-journal.js';
+
+export const BUNDLE_FORMAT = 'wisdom-bundle';
+export const BUNDLE_VERSION = 1;
+export const CONFLICT_MODES = ['skip', 'rename', 'merge'];
+
+const PROJECT_DIRS = { section: 'sections', plan: 'plans', pattern: 'patterns' };
+const SKIP_DIRS = new Set(['node_modules', 'dist', 'build', 'coverage', 'vendor', 'target']);
+
+/**
+ * Build a bundle from the project's wisdom. `selection` picks what goes in:
+ *   { sections: [names], plans: [names], patterns: [names], sidecars: [paths or dir prefixes] }
+ * An empty selection exports everything (global wisdom is never included).
+ */
+export function exportBundle(projectRoot, selection = {}) {
+  const wisdomDir = getWisdomDir(projectRoot);
+  const index = readIndex(wisdomDir);
+  const everything = !['sections', 'plans', 'patterns', 'sidecars'].some(k => selection[k]?.length);
+
+  const picked = listWisdomFiles(projectRoot).filter(file => {
+    if (file.kind === 'global') return false;
+    if (everything) return true;
+    if (file.kind === 'sidecar') {
+      return (selection.sidecars || []).some(p => {
+        const prefix = p.replace(/\\/g, '/').replace(/\.wisdom$/, '');
+        return file.ref === prefix || file.ref.startsWith(prefix.endsWith('/') ? prefix : prefix + '/');
+      });
+    }
+    const name = path.basename(file.ref, '.md');
+    return (selection[PROJECT_DIRS[file.kind]] || []).includes(name);
+  });
+
+  const refs = new Set(picked.map(f => f.ref));
+  const keywords = {};
+  for (const [kw, kwRefs] of Object.entries(index.keywords || {})) {
+    const kept = kwRefs.filter(r => refs.has(r.split('#')[0]));
+    if (kept.length > 0) keywords[kw] = kept;
+  }
+  const namesOf = kind => new Set(picked.filter(f => f.kind === kind).map(f => path.basename(f.ref, '.md')));
+  const pick = (group, names) => Object.fromEntries(Object.entries(group || {}).filter(([name]) => names.has(name)));
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exported: new Date().toISOString(),
+    project: path.basename(projectRoot),
+    files: picked.map(f => ({
+      ref: f.ref.split(path.sep).join('/'),
+      kind: f.kind,
+      content: fs.readFileSync(f.filePath, 'utf8')
+    })),
+    keywords,
+    sections: pick(index.sections, namesOf('section')),
+    plans: pick(index.plans, namesOf('plan'))
+  };
+}
+
+/**
+ * Check that a parsed JSON value is a bundle this version can import.
+ * Returns an error message, or null if it's fine.
+ */
+export function validateBundle(bundle) {
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) return 'Not a wisdom bundle (missing format: "wisdom-bundle").';
+  if (bundle.version > BUNDLE_VERSION) return `Bundle version ${bundle.version} is newer than this wisdom-store supports (${BUNDLE_VERSION}).`;
+  if (!Array.isArray(bundle.files)) return 'Bundle has no files list.';
+  for (const file of bundle.files) {
+    if (typeof file.ref !== 'string' || typeof file.content !== 'string') return 'Bundle file entries need ref and content.';
+    if (path.isAbsolute(file.ref) || file.ref.split('/').includes('..')) return `Unsafe path in bundle: ${file.ref}`;
+    if (!['section', 'plan', 'pattern', 'sidecar'].includes(file.kind)) return `Unknown file kind in bundle: ${file.kind}`;
+    // A section must land in sections/ and so on — never on index.json or the journal
+    if (file.kind !== 'sidecar' && !new RegExp(`^${PROJECT_DIRS[file.kind]}/[^/]+\\.md$`).test(file.ref)) {
+      return `Bundle ${file.kind} must be ${PROJECT_DIRS[file.kind]}/<name>.md, not ${file.ref}`;
+    }
+    if (file.kind === 'sidecar' && file.ref.split('/').some(part => part.startsWith('.'))) return `Unsafe path in bundle: ${file.ref}`;
+  }
+  return null;
+}
+
+/**
+ * Merge a bundle into the project.
+ * Returns a report: { files: [{ ref, to, action, added, duplicates, conflicts }],
+ * unmapped: [ref], keywords } where action is created | merged | renamed | skipped.
+ */
+export function importBundle(projectRoot, bundle, { onConflict = 'skip', pathMap = {} } = {}) {
+  return withWisdomLock(getWisdomDir(projectRoot), () => {
+    const wisdomDir = getWisdomDir(projectRoot, true);
+    const fileMap = new Map();   // bundle ref → local ref
+    const idMap = new Map();     // "bundleRef#id" → local id
+    const report = { files: [], unmapped: [], keywords: 0 };
+    const locate = sidecarLocator(projectRoot, pathMap);
+
+    for (const file of bundle.files) {
+      let ref = file.ref;
+      let content = file.content;
+
+      if (file.kind === 'sidecar') {
+        ref = locate(file.ref);
+        if (!ref) {
+          report.unmapped.push(file.ref);
+          continue;
+        }
+        if (ref !== file.ref) content = retargetSidecar(content, file.ref, ref);
+      }
+
+      let target = file.kind === 'sidecar'
+        ? path.join(projectRoot, ref) + '.wisdom'
+        : path.join(wisdomDir, ref);
+      if (!isInside(file.kind === 'sidecar' ? projectRoot : wisdomDir, target)) {
+        throw new Error(`Refusing to import ${file.ref}: ${target} is outside the project`);
+      }
+      const result = { ref: file.ref, to: ref, action: 'created', added: 0, duplicates: 0, conflicts: 0 };
+
+      if (fs.existsSync(target)) {
+        const incoming = parseWisdomMarkdown(content);
+        const local = fs.readFileSync(target, 'utf8');
+        if (local === content) {
+          result.action = 'skipped';
+          result.duplicates = incoming.entries.length;
+        } else if (incoming.entries.length > 0) {
+          result.action = 'merged';
+          content = mergeEntries(local, incoming, onConflict, result, (id, localId) => idMap.set(`${file.ref}#${id}`, localId));
+        } else if (onConflict === 'rename' && file.kind !== 'sidecar') {
+          ref = freeName(wisdomDir, ref);
+          target = path.join(wisdomDir, ref);
+          result.to = ref;
+          result.action = 'renamed';
+        } else if (onConflict === 'merge') {
+          // Prose-only file (e.g. a plan written by update_plan): append the incoming body
+          const body = content.replace(/^# .+\n/, '').trim();
+          content = `${local.trimEnd()}\n\n## Imported from ${bundle.project || 'bundle'} (${bundle.exported?.split('T')[0] || 'unknown date'})\n\n${body}\n`;
+          result.action = 'merged';
+        } else {
+          result.action = 'skipped';
+        }
+      } else {
+        result.added = parseWisdomMarkdown(content).entries.length;
+      }
+
+      if (result.action !== 'skipped') {
+        writeJournaled(projectRoot, target, content, 'import');
+      }
+      fileMap.set(file.ref, ref);
+      report.files.push(result);
+    }
+
+    report.keywords = mergeIndex(wisdomDir, bundle, fileMap, idMap);
+    return report;
+  });
+}
+
+/**
+ * Merge incoming entries into local markdown; see the file comment for the
+ * conflict rules. Tallies into `result`; reports ID changes via onIdMapped.
+ */
+function mergeEntries(local, incoming, onConflict, result, onIdMapped) {
+  let content = local;
+  const date = new Date().toISOString().split('T')[0];
+  const norm = t => t.replace(/\s+/g, ' ').trim().toLowerCase();
+
+  // insertEntry puts each entry directly below its header, so go bottom-up to keep order
+  for (const entry of [...incoming.entries].reverse()) {
+    const doc = parseWisdomMarkdown(content);
+    const sameText = doc.entries.find(e => e.header === entry.header && norm(e.text) === norm(entry.text));
+    const sameId = findEntry(doc, entry.id);
+
+    if (sameText) {
+      result.duplicates++;
+      onIdMapped(entry.id, sameText.id);
+      if (onConflict === 'merge' && foldInto(sameText, entry)) content = serializeWisdomMarkdown(doc);
+      continue;
+    }
+
+    if (sameId) {
+      result.conflicts++;
+      if (onConflict === 'rename') {
+        const renamed = { ...entry, id: generateEntryId(), meta: { ...entry.meta, imported_from: entry.id }, raw: null };
+        onIdMapped(entry.id, renamed.id);
+        content = insertEntryWithAnnotations(content, entry.header, renamed);
+      } else if (onConflict === 'merge') {
+        foldInto(sameId, entry);
+        sameId.annotations.push(`  > _${date}_: imported variant: ${entry.text.replace(/\s*\n\s*/g, ' ')}`);
+        content = serializeWisdomMarkdown(doc);
+      }
+      continue;
+    }
+
+    result.added++;
+    content = insertEntryWithAnnotations(content, entry.header, { ...entry, raw: null });
+  }
+  return content;
+}
+
+/**
+ * Copy annotations and keywords the local entry lacks. Returns true if it changed.
+ */
+function foldInto(target, incoming) {
+  let changed = false;
+  for (const a of incoming.annotations) {
+    if (!target.annotations.includes(a)) {
+      target.annotations.push(a);
+      changed = true;
+    }
+  }
+  const keywords = [...new Set([...(target.meta.keywords || []), ...(incoming.meta.keywords || [])])];
+  if (keywords.length > (target.meta.keywords || []).length) {
+    target.meta.keywords = keywords;
+    target.raw = null;
+    changed = true;
+  }
+  return changed;
+}
+
+/**
+ * Resolver from a bundle sidecar ref to the local source path: pathMap
+ * (longest matching prefix), then the same path, then a unique file with the
+ * same name (preferring the longest shared path suffix). Null if none.
+ */
+function sidecarLocator(projectRoot, pathMap) {
+  const prefixes = Object.keys(pathMap).sort((a, b) => b.length - a.length);
+  let allFiles = null;
+
+  return ref => {
+    const prefix = prefixes.find(p => ref === p || ref.startsWith(p.endsWith('/') ? p : p + '/'));
+    const mapped = prefix !== undefined ? pathMap[prefix] + ref.slice(prefix.length) : ref;
+    const clean = path.posix.normalize(mapped.replace(/\\/g, '/')).replace(/^\/+/, '');
+    // A path_map target may not lead out of the project or into dot dirs like .wisdom/
+    const escapes = clean === '..' || clean.startsWith('../') || clean.split('/').some(part => part.startsWith('.'));
+    if (!escapes && fs.existsSync(path.join(projectRoot, clean))) return clean;
+
+    allFiles ??= walkFiles(projectRoot);
+    const name = path.posix.basename(ref);
+    const parts = ref.split('/');
+    let best = null;
+    let bestScore = 0;
+    let tie = false;
+    for (const candidate of allFiles) {
+      if (path.posix.basename(candidate) !== name) continue;
+      const cparts = candidate.split('/');
+      let score = 0;
+      while (score < parts.length && score < cparts.length && parts[parts.length - 1 - score] === cparts[cparts.length - 1 - score]) score++;
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+        tie = false;
+      } else if (score === bestScore) {
+        tie = true;
+      }
+    }
+    return best && !tie ? best : null;
+  };
+}
+
+function isInside(dir, target) {
+  const rel = path.relative(dir, target);
+  return rel !== '' && rel !== '..' && !rel.startsWith(`..${path.sep}`) && !path.isAbsolute(rel);
+}
+
+function walkFiles(projectRoot, dir = projectRoot, depth = 0, out = []) {
+  if (depth > 8) return out;
+  let dirents;
+  try { dirents = fs.readdirSync(dir, { withFileTypes: true }); } catch { return out; }
+  for (const d of dirents) {
+    if (d.name.startsWith('.') || SKIP_DIRS.has(d.name)) continue;
+    const full = path.join(dir, d.name);
+    if (d.isDirectory()) {
+      walkFiles(projectRoot, full, depth + 1, out);
+    } else if (!d.name.endsWith('.wisdom')) {
+      out.push(path.relative(projectRoot, full).split(path.sep).join('/'));
+    }
+  }
+  return out;
+}
+
+/**
+ * Point a sidecar's title and entry anchors at its new source path.
+ */
+function retargetSidecar(content, from, to) {
+  const doc = parseWisdomMarkdown(content);
+  const titleIdx = doc.blocks.indexOf(`# ${path.posix.basename(from)} — Wisdom`);
+  if (titleIdx !== -1) doc.blocks[titleIdx] = `# ${path.posix.basename(to)} — Wisdom`;
+  for (const entry of doc.entries) {
+    for (const anchor of entry.meta?.anchors || []) {
+      if (anchor.file === from) {
+        anchor.file = to;
+        entry.raw = null;
+      }
+    }
+  }
+  return serializeWisdomMarkdown(doc);
+}
+
+function freeName(wisdomDir, ref) {
+  const dir = path.posix.dirname(ref);
+  const base = path.posix.basename(ref, '.md');
+  let candidate = `${dir}/${base}-imported.md`;
+  for (let n = 2; fs.existsSync(path.join(wisdomDir, candidate)); n++) candidate = `${dir}/${base}-imported-${n}.md`;
+  return candidate;
+}
+
+/**
+ * Fold the bundle's keywords and section/plan metadata into index.json,
+ * rewriting refs through fileMap/idMap. Returns the number of keyword refs added.
+ */
+function mergeIndex(wisdomDir, bundle, fileMap, idMap) {
+  const index = readIndex(wisdomDir);
+  index.keywords = index.keywords || {};
+  let added = 0;
+
+  const remap = ref => {
+    const [fileRef, id] = ref.split('#');
+    const local = fileMap.get(fileRef);
+    if (!local) return null;
+    return id ? `${local}#${idMap.get(`${fileRef}#${id}`) || id}` : local;
+  };
+
+  for (const [kw, refs] of Object.entries(bundle.keywords || {})) {
+    for (const ref of refs) {
+      const local = remap(ref);
+      if (!local) continue;
+      if (!index.keywords[kw]) index.keywords[kw] = [];
+      if (!index.keywords[kw].includes(local)) {
+        index.keywords[kw].push(local);
+        added++;
+      }
+    }
+  }
+
+  const union = (a = [], b = []) => [...new Set([...a, ...b])];
+  for (const [name, meta] of Object.entries(bundle.sections || {})) {
+    const local = fileMap.get(`sections/${name}.md`);
+    if (!local) continue;
+    const localName = path.posix.basename(local, '.md');
+    index.sections = index.sections || {};
+    const existing = index.sections[localName] || { files: [], plans: [] };
+    index.sections[localName] = { ...meta, ...existing, files: union(existing.files, meta.files), plans: union(existing.plans, meta.plans) };
+  }
+  for (const [name, meta] of Object.entries(bundle.plans || {})) {
+    const local = fileMap.get(`plans/${name}.md`);
+    if (!local) continue;
+    const localName = path.posix.basename(local, '.md');
+    index.plans = index.plans || {};
+    const existing = index.plans[localName];
+    index.plans[localName] = existing
+      ? { ...existing, sections: union(existing.sections, meta.sections), files: union(existing.files, meta.files) }
+      : { ...meta, file: local };
+  }
+
+  writeIndex(wisdomDir, index);
+  return added;
+}
@@ -0,0 +1,234 @@
+/**
+ * Consistency check of .wisdom/index.json against the files on disk.
+ *
+ * Problems, by kind (→ what repair does):
+ *   corrupt_index         index.json doesn't parse → backed up, rebuilt from the files
+ *   missing_plan          index entry for a plan with no file → dropped
+ *   unindexed_plan        plan file with no index entry → added from the file
+ *   plan_status           index status differs from the plan's *Status* → synced to the file
+ *   plan_link             plan ↔ section cross-references disagree → follow the plan's list
+ *   missing_section       index entry for a section with no file, used by no plan → dropped
+ *   plan_section_missing  a plan lists a section that has no file → reported only
+ *   keyword_ref           keyword ref to a missing file or entry → moved to where the
+ *                         entry lives now, or dropped
+ *   unindexed_keywords    entry keywords the index doesn't point at → added
+ *   stale_files           index.files paths that no longer exist → dropped
+ *   orphaned_sidecar      sidecar whose source file is gone → reported (relocate_wisdom)
+ *
+ * Repairs run under the wisdom lock and write the index once.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  getWisdomDir,
+  writeIndex,
+  backupCorruptIndex
+} from './wisdom.js';
+import { listWisdomFiles, readWisdomFile } from './wisdom-edit.js';
+import { listOrphanedSidecars } from './wisdom-relocate.js';
+import { withWisdomLock } from './wisdom-lock.js';
+import { planStatus } from './wisdom-plans.js';
+import { planFiles } from './wisdom-plan-activity.js';
+
+function listBullets(content, header) {
+  const section = content.match(new RegExp(`^## ${header}\\n([\\s\\S]*?)(?=^## |(?![\\s\\S]))`, 'm'))?.[1] || '';
+  return [...section.matchAll(/^- `?([^`\s]+)`?/gm)].map(m => m[1]);
+}
+
+/**
+ * Wisdom files on disk: { plans: Map name → content, sections: Set,
+ * entries: Map fileRef → Map id → entry, byId: Map id → fileRef }.
+ */
+function scanDisk(projectRoot, wisdomDir) {
+  const plans = new Map();
+  const plansDir = path.join(wisdomDir, 'plans');
+  if (fs.existsSync(plansDir)) {
+    for (const f of fs.readdirSync(plansDir).filter(f => f.endsWith('.md'))) {
+      plans.set(f.slice(0, -3), fs.readFileSync(path.join(plansDir, f), 'utf8'));
+    }
+  }
+  const sectionsDir = path.join(wisdomDir, 'sections');
+  const sections = new Set(fs.existsSync(sectionsDir)
+    ? fs.readdirSync(sectionsDir).filter(f => f.endsWith('.md')).map(f => f.slice(0, -3))
+    : []);
+
+  const entries = new Map();
+  const byId = new Map();
+  for (const file of listWisdomFiles(projectRoot)) {
+    let doc;
+    try { doc = readWisdomFile(file); } catch { continue; }
+    const ids = new Map();
+    for (const entry of doc.entries) {
+      ids.set(entry.id, { entry, kind: file.kind });
+      if (!byId.has(entry.id)) byId.set(entry.id, file.ref);
+    }
+    entries.set(file.ref, ids);
+  }
+  return { plans, sections, entries, byId };
+}
+
+/**
+ * Check (and with repair, fix) the project's wisdom index.
+ * Returns { problems: [{ kind, ref, message, repairable, repaired }], backup }
+ * — `backup` is the path a corrupt index was copied to, if any.
+ */
+export function checkWisdom(projectRoot, { repair = false } = {}) {
+  const wisdomDir = getWisdomDir(projectRoot);
+  if (!fs.existsSync(wisdomDir)) return { problems: [], backup: null };
+  return withWisdomLock(wisdomDir, () => runCheck(projectRoot, wisdomDir, repair));
+}
+
+function runCheck(projectRoot, wisdomDir, repair) {
+  const problems = [];
+  let dirty = false;
+  const report = (kind, ref, message, fix) => {
+    const problem = { kind, ref, message, repairable: !!fix, repaired: false };
+    if (fix && repair) {
+      fix();
+      problem.repaired = true;
+      dirty = true;
+    }
+    problems.push(problem);
+  };
+
+  const indexPath = path.join(wisdomDir, 'index.json');
+  let index = {};
+  let backup = null;
+  if (fs.existsSync(indexPath)) {
+    try {
+      index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    } catch (err) {
+      report('corrupt_index', 'index.json', `index.json does not parse (${err.message}); repair backs it up and rebuilds it from the files`, () => {
+        backup = backupCorruptIndex(wisdomDir);
+      });
+      // Without a rebuild every file would read as unindexed
+      if (!repair) return { problems: [...problems, ...sidecarProblems(projectRoot)], backup };
+    }
+  }
+  index.sections = index.sections || {};
+  index.plans = index.plans || {};
+  index.keywords = index.keywords || {};
+
+  const disk = scanDisk(projectRoot, wisdomDir);
+
+  // Plans
+  for (const name of Object.keys(index.plans)) {
+    if (!disk.plans.has(name)) {
+      report('missing_plan', `plans/${name}.md`, `Plan "${name}" is indexed but plans/${name}.md does not exist`, () => {
+        delete index.plans[name];
+      });
+    }
+  }
+  for (const [name, content] of disk.plans) {
+    const status = planStatus(content) || 'active';
+    const entry = index.plans[name];
+    if (!entry) {
+      report('unindexed_plan', `plans/${name}.md`, `Plan "${name}" has a file but no index entry`, () => {
+        index.plans[name] = {
+          file: `plans/${name}.md`,
+          status,
+          sections: listBullets(content, 'Sections'),
+          files: planFiles(content)
+        };
+      });
+    } else if (entry.status !== status) {
+      report('plan_status', `plans/${name}.md`, `Plan "${name}" is "${status}" but indexed as "${entry.status}"`, () => {
+        entry.status = status;
+      });
+    }
+  }
+
+  // Plan ↔ section cross-references; the plan's own list wins
+  for (const [name, plan] of Object.entries(index.plans)) {
+    for (const section of plan.sections || []) {
+      if (index.sections[section]?.plans?.includes(name)) continue;
+      report('plan_link', `plans/${name}.md`, `Plan "${name}" lists section "${section}", which doesn't list it back`, () => {
+        index.sections[section] = index.sections[section] || { files: [], plans: [] };
+        index.sections[section].plans = [...(index.sections[section].plans || []), name];
+      });
+    }
+  }
+  for (const [section, entry] of Object.entries(index.sections)) {
+    for (const name of entry.plans || []) {
+      if (index.plans[name]?.sections?.includes(section)) continue;
+      const why = index.plans[name] ? "which doesn't list it back" : "which doesn't exist";
+      report('plan_link', `sections/${section}.md`, `Section "${section}" points at plan "${name}", ${why}`, () => {
+        entry.plans = entry.plans.filter(p => p !== name);
+      });
+    }
+  }
+
+  // Sections without a file
+  for (const section of Object.keys(index.sections)) {
+    if (disk.sections.has(section)) continue;
+    const usedBy = Object.keys(index.plans).filter(name => index.plans[name].sections?.includes(section));
+    if (usedBy.length > 0) {
+      report('plan_section_missing', `sections/${section}.md`, `Section "${section}" has no file but plan${usedBy.length === 1 ? '' : 's'} ${usedBy.join(', ')} list${usedBy.length === 1 ? 's' : ''} it — save wisdom to it or drop it from the plan`);
+    } else {
+      report('missing_section', `sections/${section}.md`, `Section "${section}" is indexed but sections/${section}.md does not exist`, () => {
+        delete index.sections[section];
+      });
+    }
+  }
+
+  // Keyword refs ("<file ref>#<entry id>", or a bare file ref from older saves)
+  for (const [keyword, refs] of Object.entries(index.keywords)) {
+    for (const ref of refs) {
+      const [fileRef, id] = ref.split('#');
+      const ids = disk.entries.get(fileRef);
+      if (ids && (!id || ids.has(id))) continue;
+      const movedTo = id && disk.byId.get(id);
+      if (movedTo) {
+        report('keyword_ref', ref, `Keyword "${keyword}" points at ${ref}, but the entry is now in ${movedTo}`, () => {
+          index.keywords[keyword] = [...new Set(index.keywords[keyword].map(r => (r === ref ? `${movedTo}#${id}` : r)))];
+        });
+      } else {
+        report('keyword_ref', ref, `Keyword "${keyword}" points at ${ref}, which ${ids ? 'has no such entry' : 'does not exist'}`, () => {
+          index.keywords[keyword] = index.keywords[keyword].filter(r => r !== ref);
+          if (index.keywords[keyword].length === 0) delete index.keywords[keyword];
+        });
+      }
+    }
+  }
+
+  // Entry keywords missing from the index (global entries aren't indexed here)
+  for (const [fileRef, ids] of disk.entries) {
+    for (const [id, { entry, kind }] of ids) {
+      if (kind === 'global') continue;
+      const missing = (entry.meta.keywords || []).map(k => k.toLowerCase()).filter(k => {
+        const refs = index.keywords[k] || [];
+        return !refs.includes(`${fileRef}#${id}`) && !refs.includes(fileRef);
+      });
+      if (missing.length === 0) continue;
+      report('unindexed_keywords', `${fileRef}#${id}`, `Entry ${id} in ${fileRef} has unindexed keywords: ${missing.join(', ')}`, () => {
+        for (const k of missing) index.keywords[k] = [...(index.keywords[k] || []), `${fileRef}#${id}`];
+      });
+    }
+  }
+
+  // Project file list from the last scan
+  if (Array.isArray(index.files)) {
+    const gone = index.files.filter(f => !fs.existsSync(path.join(projectRoot, f.path)));
+    if (gone.length > 0) {
+      const shown = gone.slice(0, 5).map(f => f.path).join(', ') + (gone.length > 5 ? ', ...' : '');
+      report('stale_files', 'index.json', `${gone.length} indexed file${gone.length === 1 ? '' : 's'} no longer exist${gone.length === 1 ? 's' : ''}: ${shown}`, () => {
+        index.files = index.files.filter(f => !gone.includes(f));
+      });
+    }
+  }
+
+  problems.push(...sidecarProblems(projectRoot));
+  if (dirty) writeIndex(wisdomDir, index);
+  return { problems, backup };
+}
+
+function sidecarProblems(projectRoot) {
+  return listOrphanedSidecars(projectRoot).map(o => ({
+    kind: 'orphaned_sidecar',
+    ref: o.ref,
+    message: `${o.ref}.wisdom has no source file — run relocate_wisdom`,
+    repairable: false,
+    repaired: false
+  }));
+}
@@ -0,0 +1,230 @@
+/**
+ * Contradiction detection between wisdom entries.
+ *
+ * Entries are grouped by what they are about — linked symbols (meta.symbols
+ * and code anchors), files (the sidecar's source file, anchored files) and
+ * keywords — and every pair sharing a topic is checked offline:
+ *
+ *   negation   one side negates (never, don't, avoid, no longer, ...) and the
+ *              other doesn't, about the same terms
+ *   opposing   the sides use opposite imperatives: always/never, use/avoid,
+ *              enable/disable, add/remove, before/after, ...
+ *   reversal   one side says an earlier rule no longer applies ("is fine now",
+ *              "no longer needed", "was fixed") and the other states a rule
+ *
+ * Pairs with two signals, or opposing verbs about two shared terms, are
+ * "likely"; the rest are "possible". A pair marked compatible
+ * (review_conflicts dismiss, meta.compatible_with) is not flagged again.
+ *
+ * judgeConflicts asks a model to confirm or reject candidate pairs; it is
+ * only used when the caller opts in (review_conflicts use_llm), never on
+ * get_wisdom reads.
+ */
+
+import { isSuperseded } from './wisdom.js';
+import { isPlanTask } from './wisdom-plans.js';
+import { listWisdomFiles, readWisdomFile } from './wisdom-edit.js';
+import { tokenize } from './wisdom-search.js';
+import { anchoredSymbols } from './wisdom-keywords.js';
+
+export const DEFAULT_CONFLICT_MODEL = 'claude-haiku-4-5-20251001';
+// Pairs sent to the model in one review
+export const MAX_LLM_PAIRS = 40;
+
+const NEGATION_RE = /\b(never|not|no longer|don'?t|doesn'?t|shouldn'?t|mustn'?t|can'?t|cannot|won'?t|avoid|stop)\b/i;
+const REVERSAL_RE = /\b(no longer|any ?more|(?:is|are) (?:fine|ok|okay|safe) now|(?:fine|ok|okay|safe|works) now|now works|(?:was|were|has been|have been) fixed|fixed in|not needed|not required|obsolete|outdated)\b/i;
+const RULE_RE = /\b(always|never|must|should|use|avoid|do not|don'?t|require[sd]?)\b/i;
+
+// [axis, one side, the opposite side]
+const OPPOSITES = [
+  ['always/never', /\balways\b/i, /\bnever\b/i],
+  ['use/avoid', /\b(use|uses|using|prefer)\b/i, /\b(avoid|don'?t use|do not use|never use|stop using)\b/i],
+  ['enable/disable', /\b(enable[sd]?|turn on|switch on)\b/i, /\b(disable[sd]?|turn off|switch off)\b/i],
+  ['add/remove', /\b(add|adds|keep|include)\b/i, /\b(remove|removes|drop|exclude|delete)\b/i],
+  ['increase/decrease', /\b(increase|raise|more than)\b/i, /\b(decrease|lower|reduce|less than)\b/i],
+  ['allow/block', /\b(allow|allows|permit|accept)\b/i, /\b(block|blocks|deny|forbid|reject|disallow)\b/i],
+  ['sync/async', /\b(synchronous(?:ly)?|sync)\b/i, /\b(asynchronous(?:ly)?|async)\b/i],
+  ['before/after', /\bbefore\b/i, /\bafter\b/i],
+  ['required/optional', /\b(required|mandatory|must)\b/i, /\b(optional|unnecessary)\b/i],
+  ['safe/unsafe', /\b(safe|works|reliable)\b/i, /\b(unsafe|broken|unreliable|fails)\b/i]
+];
+
+// Words that carry the signal, not the subject; left out of shared terms
+const SIGNAL_TERMS = new Set(tokenize([
+  'always never not no longer don doesn shouldn mustn can cannot won avoid stop use uses using prefer',
+  'enable enabled disable disabled add keep include remove drop exclude delete increase raise decrease',
+  'lower reduce allow permit accept block deny forbid reject disallow sync async before after required',
+  'mandatory must optional unnecessary safe unsafe works broken unreliable fails fine now anymore fixed',
+  'should do does any more need needed obsolete outdated'
+].join(' ')));
+
+/**
+ * Topics an entry is about: "symbol:<name>", "file:<path>", "keyword:<kw>".
+ */
+function entryTopics(ref, kind, entry) {
+  const meta = entry.meta || {};
+  const topics = new Set();
+  for (const s of [...(meta.symbols || []), ...anchoredSymbols(meta.anchors)]) topics.add(`symbol:${s}`);
+  if (kind === 'sidecar') topics.add(`file:${ref}`);
+  for (const a of meta.anchors || []) if (a.file) topics.add(`file:${a.file}`);
+  for (const k of meta.keywords || []) topics.add(`keyword:${k.toLowerCase()}`);
+  return topics;
+}
+
+function subjectTerms(text) {
+  return new Set(tokenize(text).filter(t => !SIGNAL_TERMS.has(t) && t.length > 2));
+}
+
+/**
+ * Current entries with their topics and subject terms.
+ */
+function collectEntries(projectRoot) {
+  const entries = [];
+  for (const file of listWisdomFiles(projectRoot)) {
+    let doc;
+    try { doc = readWisdomFile(file); } catch { continue; }
+    for (const entry of doc.entries) {
+      if (!entry.id || isSuperseded(entry) || isPlanTask(entry)) continue;
+      entries.push({
+        ref: file.ref,
+        kind: file.kind,
+        entry,
+        topics: entryTopics(file.ref, file.kind, entry),
+        terms: subjectTerms(entry.text)
+      });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Offline signals that two texts contradict each other: [reason].
+ */
+export function contradictionSignals(a, b, { typeA, typeB } = {}) {
+  const shared = [...subjectTerms(a)].filter(t => subjectTerms(b).has(t));
+  const reasons = [];
+
+  if (shared.length >= 2 && NEGATION_RE.test(a) !== NEGATION_RE.test(b)) {
+    reasons.push(`one negates, the other doesn't (both about ${shared.slice(0, 3).join(', ')})`);
+  }
+  if (shared.length >= 1) {
+    for (const [axis, one, other] of OPPOSITES) {
+      if ((one.test(a) && other.test(b) && !other.test(a) && !one.test(b)) ||
+          (other.test(a) && one.test(b) && !one.test(a) && !other.test(b))) {
+        reasons.push(`opposing ${axis}`);
+      }
+    }
+  }
+  const reverses = (text, otherText, otherType) =>
+    REVERSAL_RE.test(text) && !REVERSAL_RE.test(otherText) &&
+    (RULE_RE.test(otherText) || ['caution', 'decision'].includes(otherType));
+  if (reverses(a, b, typeB) || reverses(b, a, typeA)) {
+    reasons.push('one reads as a reversal of the other');
+  }
+  return { reasons, shared };
+}
+
+function confidenceOf(reasons, shared) {
+  const opposing = reasons.some(r => r.startsWith('opposing'));
+  return reasons.length >= 2 || (opposing && shared.length >= 2) ? 'likely' : 'possible';
+}
+
+/**
+ * Pairs of entries that share a topic and may contradict each other, likely
+ * ones first: [{ a, b, topics, reasons, confidence }] where a/b are
+ * { ref, kind, id, type, text }.
+ * Options: `ids` keeps pairs involving one of these entries, `ref` pairs
+ * involving that file; `includeUnflagged` also returns topic-sharing pairs
+ * with no offline signal (reasons: []), as candidates for judgeConflicts.
+ */
+export function findConflicts(projectRoot, { ids, ref, includeUnflagged = false } = {}) {
+  const entries = collectEntries(projectRoot);
+  const wanted = ids ? new Set(ids) : null;
+  const byTopic = new Map();
+  entries.forEach((e, i) => {
+    for (const t of e.topics) {
+      if (!byTopic.has(t)) byTopic.set(t, []);
+      byTopic.get(t).push(i);
+    }
+  });
+
+  const pairs = new Map();
+  for (const members of byTopic.values()) {
+    for (let x = 0; x < members.length; x++) {
+      for (let y = x + 1; y < members.length; y++) {
+        const key = `${members[x]}:${members[y]}`;
+        if (!pairs.has(key)) pairs.set(key, [members[x], members[y]]);
+      }
+    }
+  }
+
+  const conflicts = [];
+  for (const [i, j] of pairs.values()) {
+    const a = entries[i];
+    const b = entries[j];
+    if (a.entry.id === b.entry.id) continue;
+    if (wanted && !wanted.has(a.entry.id) && !wanted.has(b.entry.id)) continue;
+    if (ref && a.ref !== ref && b.ref !== ref) continue;
+    if ((a.entry.meta?.compatible_with || []).includes(b.entry.id) ||
+        (b.entry.meta?.compatible_with || []).includes(a.entry.id)) continue;
+
+    const { reasons, shared } = contradictionSignals(a.entry.text, b.entry.text, { typeA: a.entry.type, typeB: b.entry.type });
+    if (reasons.length === 0 && !includeUnflagged) continue;
+    conflicts.push({
+      a: describe(a),
+      b: describe(b),
+      topics: [...a.topics].filter(t => b.topics.has(t)),
+      reasons,
+      confidence: reasons.length > 0 ? confidenceOf(reasons, shared) : null
+    });
+  }
+
+  const rank = c => (c.confidence === 'likely' ? 0 : c.confidence === 'possible' ? 1 : 2);
+  conflicts.sort((x, y) => rank(x) - rank(y) || y.reasons.length - x.reasons.length);
+  return conflicts;
+}
+
+function describe({ ref, kind, entry }) {
+  return { ref, kind, id: entry.id, type: entry.type, text: entry.text };
+}
+
+/**
+ * "symbol:handleLogin" → "handleLogin", "keyword:docker" → "docker".
+ */
+export function formatTopic(topic) {
+  return topic.replace(/^[a-z]+:/, '');
+}
+
+/**
+ * Ask a model which candidate pairs really contradict each other. `client`
+ * is an Anthropic SDK client (lib/anthropic-client.js). Each pair gets
+ * `llm: { contradicts, reason }`; pairs the model skipped keep no verdict.
+ * Returns { pairs, usage }.
+ */
+export async function judgeConflicts(client, pairs, { model = DEFAULT_CONFLICT_MODEL } = {}) {
+  const batch = pairs.slice(0, MAX_LLM_PAIRS);
+  if (batch.length === 0) return { pairs, usage: { input_tokens: 0, output_tokens: 0 } };
+  const listing = batch.map((p, i) =>
+    `Pair ${i + 1} (about ${p.topics.map(formatTopic).join(', ')}):\nA [${p.a.type || 'note'}]: ${p.a.text}\nB [${p.b.type || 'note'}]: ${p.b.text}`
+  ).join('\n\n');
+
+  const resp = await client.messages.create({
+    model,
+    max_tokens: 2000,
+    system: 'You review notes that coding agents saved about a software project. For each pair, decide whether following one note would violate the other (a contradiction), as opposed to notes that are compatible, complementary, or about different situations. Answer with only a JSON array: [{"pair": <number>, "contradicts": true|false, "reason": "<one short sentence>"}].',
+    messages: [{ role: 'user', content: listing }]
+  });
+
+  const text = resp.content.find(b => b.type === 'text')?.text || '';
+  let verdicts = [];
+  try {
+    verdicts = JSON.parse(text.slice(text.indexOf('['), text.lastIndexOf(']') + 1));
+  } catch {
+    // Unparseable answer: keep the offline verdicts
+  }
+  for (const v of Array.isArray(verdicts) ? verdicts : []) {
+    const pair = batch[v.pair - 1];
+    if (pair) pair.llm = { contradicts: v.contradicts === true, reason: String(v.reason || '') };
+  }
+  return { pairs, usage: resp.usage };
+}
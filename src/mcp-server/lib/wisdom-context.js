@@ -0,0 +1,244 @@
+/**
+ * Token-budgeted wisdom for a set of files — what an agent should know
+ * before an edit session, in one call.
+ *
+ * Target files come from explicit paths, globs ("src/auth/**", "*.{js,ts}")
+ * and/or the files a git diff touches. For them we gather:
+ *   - their sidecar entries
+ *   - entries of sections whose index.json `files` list matches them, or that
+ *     an active plan listing them points to
+ *   - a summary of each active plan that lists them
+ *   - cautions from every global root
+ * Items are ranked by type (cautions first, lessons last), then recency, and
+ * added until the token budget is spent; the rest are counted as omitted.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import {
+  getWisdomDir,
+  readIndex,
+  readSidecar,
+  readSection,
+  readPlan,
+  parseWisdomMarkdown,
+  isSuperseded
+} from './wisdom.js';
+import { listWisdomFiles, readWisdomFile } from './wisdom-edit.js';
+import { checkAnchors } from './wisdom-anchors.js';
+import { estimateTokens } from './jsonl.js';
+import { planProgress } from './wisdom-plans.js';
+
+export const DEFAULT_BUDGET = 4000;
+// Lower ranks first
+const TYPE_RANK = { caution: 0, edge_case: 1, decision: 2, plan: 3, pattern: 4, lesson: 5 };
+const INACTIVE_PLAN = /^(completed|done|abandoned|archived)$/i;
+// Characters of a plan's description kept in its summary
+const PLAN_SUMMARY_CHARS = 600;
+const SKIP_DIRS = new Set(['node_modules', 'dist', 'build', 'coverage', 'vendor', 'target']);
+const MAX_WALK_FILES = 20000;
+
+function toRef(projectRoot, p) {
+  return path.relative(projectRoot, path.resolve(projectRoot, p)).split(path.sep).join('/');
+}
+
+/**
+ * Regex for a glob: "**" spans directories, "*" and "?" stay within one,
+ * "{a,b}" alternates. A pattern without a slash matches the basename anywhere.
+ */
+export function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      re += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '{') {
+      const end = glob.indexOf('}', i);
+      if (end === -1) { re += '\\{'; continue; }
+      re += '(?:' + glob.slice(i + 1, end).split(',').map(s => s.replace(/[.+^$()|[\]\\]/g, '\\$&')).join('|') + ')';
+      i = end;
+    } else {
+      re += c.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(glob.includes('/') ? `^${re}$` : `(?:^|/)${re}$`);
+}
+
+const isGlob = p => /[*?{]/.test(p);
+
+/**
+ * True if project-relative `file` is covered by `pattern`: the same path, a
+ * directory prefix ("src/auth/"), or a glob.
+ */
+export function matchesPattern(file, pattern) {
+  if (isGlob(pattern)) return globToRegExp(pattern).test(file);
+  const p = pattern.replace(/^\.\//, '');
+  return file === p || file.startsWith(p.endsWith('/') ? p : p + '/');
+}
+
+function walkFiles(projectRoot, dir = projectRoot, depth = 0, out = []) {
+  if (depth > 10 || out.length >= MAX_WALK_FILES) return out;
+  let dirents;
+  try { dirents = fs.readdirSync(dir, { withFileTypes: true }); } catch { return out; }
+  for (const d of dirents) {
+    if (d.name.startsWith('.') || SKIP_DIRS.has(d.name)) continue;
+    const full = path.join(dir, d.name);
+    if (d.isDirectory()) {
+      walkFiles(projectRoot, full, depth + 1, out);
+    } else if (!d.name.endsWith('.wisdom')) {
+      out.push(toRef(projectRoot, full));
+    }
+  }
+  return out;
+}
+
+/**
+ * Files changed according to `git diff --name-only <range>` ("HEAD" for
+ * uncommitted changes, "main...HEAD" for a branch), relative to the project.
+ * Throws if git fails, or if the range looks like an option — git would
+ * read "--output=..." as one and write wherever it points.
+ */
+export function gitDiffFiles(projectRoot, range) {
+  if (typeof range !== 'string' || range.startsWith('-')) {
+    throw new Error(`Invalid git diff range: ${range}`);
+  }
+  let out;
+  try {
+    out = execFileSync('git', ['diff', '--name-only', '--relative', range, '--'], {
+      cwd: projectRoot,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      timeout: 5000
+    });
+  } catch (err) {
+    const reason = err.stderr?.toString().trim().split('\n')[0] || err.message;
+    throw new Error(`git diff ${range} failed: ${reason}`);
+  }
+  return out.split('\n').filter(Boolean);
+}
+
+/**
+ * Project-relative target files from paths, globs, and a git diff range.
+ */
+export function resolveTargetFiles(projectRoot, { files = [], gitDiff } = {}) {
+  const out = new Set();
+  let walked = null;
+  for (const f of files) {
+    if (isGlob(f)) {
+      walked = walked || walkFiles(projectRoot);
+      const re = globToRegExp(f.replace(/^\.\//, ''));
+      for (const w of walked) if (re.test(w)) out.add(w);
+    } else {
+      out.add(toRef(projectRoot, f));
+    }
+  }
+  if (gitDiff) for (const f of gitDiffFiles(projectRoot, gitDiff)) out.add(f);
+  return [...out];
+}
+
+function entryItem(projectRoot, entry, source, ref) {
+  const lines = [`- [${entry.id}] ${entry.text}`, ...entry.annotations];
+  if (entry.meta?.anchors) {
+    const check = checkAnchors(projectRoot, entry.meta.anchors);
+    if (check.stale) lines.push(`  ⚠ _Possibly stale: ${check.problems.join('; ')}_`);
+  }
+  return {
+    id: entry.id,
+    type: entry.type || 'lesson',
+    date: entry.meta?.updated || entry.date || '',
+    source,
+    ref,
+    text: lines.join('\n')
+  };
+}
+
+function planItem(name, content) {
+  const status = content.match(/^\*Status\*: .*$/m)?.[0] || '';
+  const description = content.match(/^## Description\n([\s\S]*?)(?=^## |(?![\s\S]))/m)?.[1].trim() || '';
+  const summary = description.length > PLAN_SUMMARY_CHARS
+    ? description.slice(0, PLAN_SUMMARY_CHARS) + '...'
+    : description;
+  const date = status.match(/(\d{4}-\d{2}-\d{2})(?!.*\d{4}-\d{2}-\d{2})/)?.[1] || '';
+  const { done, total } = planProgress(content);
+  const progress = total > 0 ? ` (${done}/${total} tasks done)` : '';
+  return {
+    id: null,
+    type: 'plan',
+    date,
+    source: `plan ${name}`,
+    ref: `plans/${name}.md`,
+    text: [`- **${name}** ${status}${progress}`.trimEnd(), summary && `  ${summary.replace(/\n+/g, '\n  ')}`].filter(Boolean).join('\n')
+  };
+}
+
+/**
+ * Gather and budget wisdom for a set of files.
+ * Returns { files, items, omitted, tokens, budget } — `items` in rank order,
+ * each { id, type, date, source, ref, text, tokens }.
+ */
+export function gatherContext(projectRoot, { files = [], gitDiff, maxTokens = DEFAULT_BUDGET } = {}) {
+  const targets = resolveTargetFiles(projectRoot, { files, gitDiff });
+  const wisdomDir = getWisdomDir(projectRoot);
+  const index = readIndex(wisdomDir);
+  const covers = list => targets.some(f => (list || []).some(p => matchesPattern(f, p)));
+  const candidates = [];
+  const seen = new Set();
+  const add = item => {
+    const key = item.id || item.ref;
+    if (seen.has(key)) return;
+    seen.add(key);
+    candidates.push(item);
+  };
+
+  for (const file of targets) {
+    const doc = readSidecar(path.join(projectRoot, file));
+    for (const entry of doc?.entries || []) {
+      if (!isSuperseded(entry)) add(entryItem(projectRoot, entry, file, file));
+    }
+  }
+
+  const sections = new Set(Object.entries(index.sections || {}).filter(([, s]) => covers(s.files)).map(([name]) => name));
+  for (const [name, plan] of Object.entries(index.plans || {})) {
+    if (INACTIVE_PLAN.test(plan.status || '') || !covers(plan.files)) continue;
+    const content = readPlan(wisdomDir, name);
+    if (content) add(planItem(name, content));
+    for (const s of plan.sections || []) sections.add(s);
+  }
+
+  for (const name of sections) {
+    const content = readSection(wisdomDir, name);
+    if (!content) continue;
+    for (const entry of parseWisdomMarkdown(content).entries) {
+      if (!isSuperseded(entry)) add(entryItem(projectRoot, entry, `section ${name}`, `sections/${name}.md`));
+    }
+  }
+
+  for (const file of listWisdomFiles(projectRoot)) {
+    if (file.kind !== 'global') continue;
+    let doc;
+    try { doc = readWisdomFile(file); } catch { continue; }
+    const entry = doc.entries[0];
+    if (entry?.type === 'caution' && !isSuperseded(entry)) add(entryItem(projectRoot, entry, file.root, file.ref));
+  }
+
+  candidates.sort((a, b) =>
+    (TYPE_RANK[a.type] ?? TYPE_RANK.lesson) - (TYPE_RANK[b.type] ?? TYPE_RANK.lesson) ||
+    b.date.localeCompare(a.date));
+
+  const items = [];
+  let tokens = 0;
+  for (const item of candidates) {
+    item.tokens = estimateTokens(item.text) + estimateTokens(item.source) + 2;
+    if (tokens + item.tokens > maxTokens) continue;
+    tokens += item.tokens;
+    items.push(item);
+  }
+
+  return { files: targets, items, omitted: candidates.length - items.length, tokens, budget: maxTokens };
+}
@@ -0,0 +1,443 @@
+/**
+ * Entry-level mutations for wisdom files: locate an entry by ID anywhere in
+ * the project (sections, plans, patterns, sidecars) or global wisdom, then
+ * rewrite, retire, or supersede it.
+ *
+ * Refs name the file an entry lives in, in the same form index.json keywords use:
+ *   sections/auth.md, plans/v2.md, patterns/retry.md — under .wisdom/
+ *   src/foo.js                                       — sidecar src/foo.js.wisdom
+ *   global/lessons/bar.md                            — under a global root, by root name
+ *                                                      ("global" is ~/.claude/wisdom/)
+ * Index keyword refs point at a single entry as "<ref>#<id>".
+ *
+ * Retired entries are never dropped: they move to a history file —
+ * .wisdom/history/<ref>.md (sidecars under history/sidecars/), or
+ * <root>/history/ for global wisdom — under a "## Retired" header.
+ * Entries in read-only global roots cannot be changed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  getGlobalRoots,
+  getWisdomDir,
+  findSidecarFiles,
+  parseWisdomMarkdown,
+  serializeWisdomMarkdown,
+  parseGlobalWisdom,
+  formatGlobalWisdom,
+  findEntry,
+  createEntry,
+  insertEntry,
+  headerForType,
+  updateIndexKeywords,
+  removeIndexRef
+} from './wisdom.js';
+import { computeEntryAnchors } from './wisdom-anchors.js';
+import { withWisdomLock } from './wisdom-lock.js';
+import { writeJournaled } from './wisdom-journal.js';
+
+const PROJECT_KINDS = { sections: 'section', plans: 'plan', patterns: 'pattern' };
+
+/**
+ * List every wisdom file an entry can live in, as { ref, kind, filePath }.
+ * Global files also carry { root, rootDir, readOnly } for their root.
+ */
+export function listWisdomFiles(projectRoot) {
+  const files = [];
+  const wisdomDir = getWisdomDir(projectRoot);
+
+  for (const [sub, kind] of Object.entries(PROJECT_KINDS)) {
+    const dir = path.join(wisdomDir, sub);
+    if (!fs.existsSync(dir)) continue;
+    for (const f of fs.readdirSync(dir).filter(f => f.endsWith('.md'))) {
+      files.push({ ref: `${sub}/${f}`, kind, filePath: path.join(dir, f) });
+    }
+  }
+
+  for (const sidecar of findSidecarFiles(projectRoot)) {
+    const ref = path.relative(projectRoot, sidecar).slice(0, -'.wisdom'.length);
+    files.push({ ref, kind: 'sidecar', filePath: sidecar });
+  }
+
+  for (const root of getGlobalRoots()) {
+    for (const sub of ['patterns', 'lessons']) {
+      const dir = path.join(root.dir, sub);
+      if (!fs.existsSync(dir)) continue;
+      for (const f of fs.readdirSync(dir).filter(f => f.endsWith('.md'))) {
+        files.push({
+          ref: `${root.name}/${sub}/${f}`,
+          kind: 'global',
+          filePath: path.join(dir, f),
+          root: root.name,
+          rootDir: root.dir,
+          readOnly: root.readOnly
+        });
+      }
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Parse one wisdom file into its document form (global files hold one entry).
+ */
+export function readWisdomFile(file) {
+  const content = fs.readFileSync(file.filePath, 'utf8');
+  return file.kind === 'global'
+    ? parseGlobalWisdom(content, file.ref.slice(file.root.length + 1))
+    : parseWisdomMarkdown(content);
+}
+
+/**
+ * Find the entry with this ID. Returns { ref, kind, filePath, doc, entry } or null.
+ */
+export function locateEntry(projectRoot, id) {
+  for (const file of listWisdomFiles(projectRoot)) {
+    let doc;
+    try { doc = readWisdomFile(file); } catch { continue; }
+    const entry = findEntry(doc, id);
+    if (entry) return { ...file, doc, entry };
+  }
+  return null;
+}
+
+/**
+ * Locate an entry that is about to be changed. Throws if it lives in a
+ * read-only global root.
+ */
+function locateWritable(projectRoot, id) {
+  const located = locateEntry(projectRoot, id);
+  if (located?.readOnly) {
+    throw new Error(`${id} is in the read-only wisdom root "${located.root}"`);
+  }
+  return located;
+}
+
+/**
+ * Run a mutation of entry `id` under the lock of the store it lives in: the
+ * project's .wisdom/ (which also covers sidecars) or its global root.
+ * Read-only roots are not locked — the mutation refuses them anyway.
+ */
+function withEntryLock(projectRoot, id, fn) {
+  const located = locateEntry(projectRoot, id);
+  if (located?.readOnly) return fn();
+  return withWisdomLock(located?.kind === 'global' ? located.rootDir : getWisdomDir(projectRoot), fn);
+}
+
+/**
+ * Write a located document back to disk, journaled under `op`.
+ */
+function writeLocated(projectRoot, located, op) {
+  const content = located.kind === 'global'
+    ? formatGlobalWisdom(located.doc.entries[0], located.doc.title)
+    : serializeWisdomMarkdown(located.doc);
+  writeJournaled(projectRoot, located.filePath, content, op);
+}
+
+/**
+ * Rewrite an entry's text, keywords, and/or type in place.
+ * A type change moves the entry under the matching ## header.
+ * Returns { ref, kind, entry, previousText } or null if the ID is unknown.
+ */
+export function editEntry(projectRoot, id, { content, keywords, type } = {}) {
+  return withEntryLock(projectRoot, id, () => {
+    const located = locateWritable(projectRoot, id);
+    if (!located) return null;
+    const { entry } = located;
+    const previousText = entry.text;
+
+    if (content !== undefined) {
+      entry.text = content.trim();
+      reanchor(projectRoot, located, entry);
+    }
+    if (keywords) entry.meta.keywords = keywords.map(k => k.toLowerCase());
+    entry.meta.updated = new Date().toISOString();
+    entry.raw = null;
+
+    if (type && type !== entry.type) {
+      entry.type = type;
+      if (located.kind === 'global') {
+        writeLocated(projectRoot, located, 'edit');
+      } else {
+        removeBlock(located.doc, entry);
+        const header = headerForType(type, entry.bold ? 'section' : 'sidecar');
+        writeJournaled(projectRoot, located.filePath, insertEntryWithAnnotations(serializeWisdomMarkdown(located.doc), header, entry), 'edit');
+      }
+    } else {
+      writeLocated(projectRoot, located, 'edit');
+    }
+
+    if (keywords && located.kind !== 'global') {
+      const wisdomDir = getWisdomDir(projectRoot);
+      removeIndexRef(wisdomDir, `${located.ref}#${id}`);
+      if (keywords.length > 0) updateIndexKeywords(wisdomDir, keywords, `${located.ref}#${id}`);
+    }
+
+    return { ref: located.ref, kind: located.kind, entry, previousText };
+  });
+}
+
+/**
+ * Retire an entry: move it (with its annotations) to the history area and
+ * drop its index keyword refs.
+ * Returns { ref, kind, entry, historyPath } or null if the ID is unknown.
+ */
+export function retireEntry(projectRoot, id, { reason } = {}) {
+  return withEntryLock(projectRoot, id, () => {
+    const located = locateWritable(projectRoot, id);
+    if (!located) return null;
+    const { entry } = located;
+
+    const historyPath = archiveEntry(projectRoot, located, reason);
+
+    if (located.kind === 'global') {
+      writeJournaled(projectRoot, located.filePath, null, 'retire');
+    } else {
+      removeBlock(located.doc, entry);
+      writeLocated(projectRoot, located, 'retire');
+      removeIndexRef(getWisdomDir(projectRoot), `${located.ref}#${id}`);
+    }
+
+    return { ref: located.ref, kind: located.kind, entry, historyPath };
+  });
+}
+
+/**
+ * Mark an entry as superseded by a newer one. Either pass `content` to write
+ * the replacement next to the old entry (same file, same header), or `by` to
+ * link an existing entry. The old entry stays in place, hidden by default in
+ * get_wisdom, and its index keywords move to the replacement.
+ * Returns { ref, oldId, newId, newRef } or null if either ID is unknown.
+ */
+export function supersedeEntry(projectRoot, id, { content, by, type, keywords, reason, session } = {}) {
+  return withEntryLock(projectRoot, id, () => {
+    const located = locateWritable(projectRoot, id);
+    if (!located) return null;
+    const old = located.entry;
+    const now = new Date().toISOString();
+    const wisdomDir = getWisdomDir(projectRoot);
+
+    let newId;
+    let newRef;
+    let newKind;
+
+    if (by) {
+      // Replacement may live in the same document — reuse it so both edits land
+      const target = findEntry(located.doc, by)
+        ? { ...located, entry: findEntry(located.doc, by) }
+        : locateWritable(projectRoot, by);
+      if (!target) return null;
+      target.entry.meta.supersedes = [...new Set([...[].concat(target.entry.meta.supersedes || []), id])];
+      target.entry.meta.updated = now;
+      target.entry.raw = null;
+      markSuperseded(old, by, reason, now);
+      if (target.filePath !== located.filePath) writeLocated(projectRoot, target, 'supersede');
+      writeLocated(projectRoot, located, 'supersede');
+      newId = by;
+      newRef = target.ref;
+      newKind = target.kind;
+    } else {
+      const entry = createEntry(type || old.type || 'lesson', content, {
+        keywords: keywords || old.meta.keywords,
+        session,
+        bold: old.bold
+      });
+      entry.meta.supersedes = [id];
+      reanchor(projectRoot, located, entry);
+      markSuperseded(old, entry.id, reason, now);
+
+      if (located.kind === 'global') {
+        writeLocated(projectRoot, located, 'supersede');
+        const dir = path.dirname(located.filePath);
+        const name = (keywords?.[0] || content.slice(0, 30)).replace(/[^a-z0-9-]/gi, '-').toLowerCase();
+        let fileName = `${name}.md`;
+        if (fs.existsSync(path.join(dir, fileName))) fileName = `${name}-${entry.id}.md`;
+        writeJournaled(projectRoot, path.join(dir, fileName), formatGlobalWisdom(entry, content.split('.')[0]), 'supersede');
+        newRef = `${located.root}/${path.basename(dir)}/${fileName}`;
+      } else {
+        const header = old.header || headerForType(entry.type, old.bold ? 'section' : 'sidecar');
+        writeJournaled(projectRoot, located.filePath, insertEntry(serializeWisdomMarkdown(located.doc), header, entry), 'supersede');
+        newRef = located.ref;
+      }
+      newId = entry.id;
+      newKind = located.kind;
+    }
+
+    // Keywords follow the live entry
+    if (located.kind !== 'global') {
+      const carried = removeIndexRef(wisdomDir, `${located.ref}#${id}`);
+      const kws = keywords || (carried.length > 0 ? carried : null);
+      if (kws && newKind !== 'global') updateIndexKeywords(wisdomDir, kws, `${newRef}#${newId}`);
+    }
+
+    return { ref: located.ref, oldId: id, newId, newRef };
+  });
+}
+
+/**
+ * Append a dated annotation ("  > _YYYY-MM-DD_: comment") below an entry.
+ * Returns { ref, kind, entry } or null if the ID is unknown.
+ */
+export function annotateEntryById(projectRoot, id, comment) {
+  return withEntryLock(projectRoot, id, () => {
+    const located = locateWritable(projectRoot, id);
+    if (!located || located.kind === 'global') return null;
+    const date = new Date().toISOString().split('T')[0];
+    located.entry.annotations.push(`  > _${date}_: ${comment.replace(/\s*\n\s*/g, ' ').trim()}`);
+    writeLocated(projectRoot, located, 'annotate');
+    return { ref: located.ref, kind: located.kind, entry: located.entry };
+  });
+}
+
+/**
+ * Fold near-duplicate entries into the one to keep: their annotations and
+ * keywords move over, differing wording is kept as an annotation, and the
+ * duplicates are retired to history with reason "merged into <keepId>".
+ * Returns { ref, kept, merged: [{ id, ref }], missing: [id] } or null if
+ * keepId is unknown.
+ */
+export function mergeDuplicateEntries(projectRoot, keepId, duplicateIds) {
+  return withEntryLock(projectRoot, keepId, () => {
+    if (!locateWritable(projectRoot, keepId)) return null;
+    const merged = [];
+    const missing = [];
+    const wisdomDir = getWisdomDir(projectRoot);
+    const date = new Date().toISOString().split('T')[0];
+
+    for (const id of duplicateIds) {
+      if (id === keepId) continue;
+      const dup = locateWritable(projectRoot, id);
+      if (!dup) {
+        missing.push(id);
+        continue;
+      }
+      // Re-read the kept entry each time: it may share a file with the duplicate
+      const keep = locateEntry(projectRoot, keepId);
+      const kept = keep.entry;
+      for (const a of dup.entry.annotations) {
+        if (!kept.annotations.includes(a)) kept.annotations.push(a);
+      }
+      if (dup.entry.text.trim() !== kept.text.trim()) {
+        kept.annotations.push(`  > _${date}_: merged ${id}: ${dup.entry.text.replace(/\s*\n\s*/g, ' ')}`);
+      }
+      const keywords = [...new Set([...(kept.meta.keywords || []), ...(dup.entry.meta.keywords || [])])];
+      if (keywords.length > 0) kept.meta.keywords = keywords;
+      kept.meta.updated = new Date().toISOString();
+      kept.raw = null;
+      writeLocated(projectRoot, keep, 'merge');
+
+      const carried = dup.kind === 'global' ? [] : removeIndexRef(wisdomDir, `${dup.ref}#${id}`);
+      retireEntry(projectRoot, id, { reason: `merged into ${keepId}` });
+      if (carried.length > 0 && keep.kind !== 'global') {
+        updateIndexKeywords(wisdomDir, carried, `${keep.ref}#${keepId}`);
+      }
+      merged.push({ id, ref: dup.ref });
+    }
+
+    return { ref: locateEntry(projectRoot, keepId).ref, kept: keepId, merged, missing };
+  });
+}
+
+/**
+ * Record that two entries were reviewed and both hold, so review_conflicts
+ * stops flagging the pair (meta.compatible_with on each). A side in a
+ * read-only root is left as is; the other side's mark is enough.
+ * Returns the refs of both entries, or null if either ID is unknown.
+ */
+export function markCompatible(projectRoot, id, otherId) {
+  const first = locateEntry(projectRoot, id);
+  const second = locateEntry(projectRoot, otherId);
+  if (!first || !second) return null;
+  for (const [self, other] of [[id, otherId], [otherId, id]]) {
+    withEntryLock(projectRoot, self, () => {
+      const located = locateEntry(projectRoot, self);
+      if (located.readOnly) return;
+      located.entry.meta.compatible_with = [...new Set([...(located.entry.meta.compatible_with || []), other])];
+      located.entry.raw = null;
+      writeLocated(projectRoot, located, 'review_conflicts');
+    });
+  }
+  return [first.ref, second.ref];
+}
+
+/**
+ * Re-anchor an entry to the code as it is now (after its text changed, or
+ * after a reviewer confirmed it still holds). Global entries have no anchors.
+ */
+export function reanchor(projectRoot, located, entry) {
+  if (located.kind === 'global') return;
+  const anchors = computeEntryAnchors(projectRoot, located.kind === 'sidecar' ? located.ref : null, entry.text);
+  if (anchors.length > 0) {
+    entry.meta.anchors = anchors;
+  } else {
+    delete entry.meta.anchors;
+  }
+  entry.raw = null;
+}
+
+/**
+ * Re-anchor an entry by ID and record when it was reviewed.
+ * Returns { ref, entry } or null if the ID is unknown.
+ */
+export function reanchorEntry(projectRoot, id) {
+  return withEntryLock(projectRoot, id, () => {
+    const located = locateWritable(projectRoot, id);
+    if (!located) return null;
+    reanchor(projectRoot, located, located.entry);
+    located.entry.meta.reviewed = new Date().toISOString();
+    writeLocated(projectRoot, located, 'reanchor');
+    return { ref: located.ref, entry: located.entry };
+  });
+}
+
+function markSuperseded(entry, newId, reason, now) {
+  entry.meta.superseded_by = newId;
+  if (reason) entry.meta.superseded_reason = reason;
+  entry.meta.updated = now;
+  entry.raw = null;
+}
+
+function removeBlock(doc, entry) {
+  doc.blocks = doc.blocks.filter(b => b !== entry);
+  doc.entries = doc.entries.filter(e => e !== entry);
+}
+
+/**
+ * insertEntry plus the entry's annotation lines, which insertEntry doesn't carry.
+ */
+export function insertEntryWithAnnotations(content, header, entry) {
+  const doc = parseWisdomMarkdown(insertEntry(content, header, entry));
+  const inserted = findEntry(doc, entry.id);
+  if (inserted) inserted.annotations = [...entry.annotations];
+  return serializeWisdomMarkdown(doc);
+}
+
+/**
+ * Path of the history file that retired entries from this ref go to.
+ */
+export function historyPathFor(projectRoot, { ref, kind, root, rootDir }) {
+  if (kind === 'global') {
+    return path.join(rootDir, 'history', ref.slice(root.length + 1));
+  }
+  const rel = kind === 'sidecar' ? path.join('sidecars', `${ref}.md`) : ref;
+  return path.join(getWisdomDir(projectRoot), 'history', rel);
+}
+
+function archiveEntry(projectRoot, located, reason) {
+  const historyPath = historyPathFor(projectRoot, located);
+  fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+  const existing = fs.existsSync(historyPath)
+    ? fs.readFileSync(historyPath, 'utf8')
+    : `# History: ${located.ref}\n`;
+
+  const retired = {
+    ...located.entry,
+    text: located.entry.text.replace(/\s*\n\s*/g, ' '),
+    meta: { ...located.entry.meta, retired: new Date().toISOString(), retired_reason: reason || undefined },
+    raw: null
+  };
+  writeJournaled(projectRoot, historyPath, insertEntryWithAnnotations(existing, 'Retired', retired), 'retire');
+  return historyPath;
+}
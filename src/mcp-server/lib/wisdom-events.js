@@ -0,0 +1,25 @@
+/**
+ * In-process notifications of wisdom file writes.
+ *
+ * Writers call emitWisdomChange after a file lands (journaled wisdom files,
+ * index.json, symbols.json); the server listens to turn them into MCP
+ * resource notifications. Listener errors are swallowed — a failed
+ * notification must never fail the write that triggered it.
+ */
+
+const listeners = new Set();
+
+/**
+ * Register a listener for ({ filePath, created, deleted }). Returns an
+ * unsubscribe function.
+ */
+export function onWisdomChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function emitWisdomChange(filePath, { created = false, deleted = false } = {}) {
+  for (const listener of listeners) {
+    try { listener({ filePath, created, deleted }); } catch {}
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * Append-only journal of wisdom changes, for history and undo.
+ *
+ * Every write of a wisdom file — sections, plans, patterns, sidecars, global
+ * entries, history files — goes through writeJournaled, which appends one
+ * JSON line to .wisdom/journal.jsonl with the file's full content before and
+ * after:
+ *
+ *   { id: "j-1a2b3c4d", time, op, store, ref, entries: { added, removed, changed },
+ *     before, after, undoes? }
+ *
+ * `store` says where `ref` lives: "project" (under .wisdom/), "sidecar"
+ * (ref is the source path), or a global root name (ref is "<root>/<sub>/<file>").
+ * `before`/`after` are null for a file that didn't exist / was deleted.
+ * `entries` lists the entry IDs the change touched, so history can be
+ * filtered by entry. An operation that touches several files (retire,
+ * relocate) leaves one record per file.
+ *
+ * index.json and the search/symbol caches are not journaled; undo repairs the
+ * keyword refs of the entries it removes or restores.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import {
+  getWisdomDir,
+  getGlobalRoots,
+  parseWisdomMarkdown,
+  parseGlobalWisdom,
+  formatEntryLine,
+  updateIndexKeywords,
+  removeIndexRef
+} from './wisdom.js';
+import { withWisdomLock, writeFileAtomic } from './wisdom-lock.js';
+import { emitWisdomChange } from './wisdom-events.js';
+
+export const JOURNAL_FILE = 'journal.jsonl';
+
+/**
+ * Where a wisdom file lives, as { store, ref } (see the file comment).
+ */
+export function journalRefFor(projectRoot, filePath) {
+  const inside = (dir) => {
+    const rel = path.relative(dir, filePath);
+    return rel && !rel.startsWith('..') && !path.isAbsolute(rel) ? rel : null;
+  };
+  const project = inside(getWisdomDir(projectRoot));
+  if (project) return { store: 'project', ref: project };
+  for (const root of getGlobalRoots()) {
+    const rel = inside(root.dir);
+    if (rel) return { store: root.name, ref: `${root.name}/${rel}` };
+  }
+  return { store: 'sidecar', ref: path.relative(projectRoot, filePath).replace(/\.wisdom$/, '') };
+}
+
+/**
+ * Absolute path of a journal record's file, or null if its global root is
+ * no longer configured.
+ */
+export function journalPathFor(projectRoot, { store, ref }) {
+  if (store === 'project') return path.join(getWisdomDir(projectRoot), ref);
+  if (store === 'sidecar') return path.join(projectRoot, ref) + '.wisdom';
+  const root = getGlobalRoots().find(r => r.name === store);
+  return root ? path.join(root.dir, ref.slice(store.length + 1)) : null;
+}
+
+/**
+ * Write (or, with content null, delete) a wisdom file and journal the change.
+ * No record is written when the content is unchanged.
+ * Returns the journal record, or null.
+ */
+export function writeJournaled(projectRoot, filePath, content, op, extra = {}) {
+  const wisdomDir = getWisdomDir(projectRoot);
+  return withWisdomLock(wisdomDir, () => {
+    const before = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    if (content === null) {
+      if (before !== null) fs.unlinkSync(filePath);
+    } else {
+      writeFileAtomic(filePath, content);
+    }
+    if (before === content) return null;
+    emitWisdomChange(filePath, { created: before === null, deleted: content === null });
+
+    const { store, ref } = journalRefFor(projectRoot, filePath);
+    const record = {
+      id: 'j-' + crypto.randomBytes(4).toString('hex'),
+      time: new Date().toISOString(),
+      op,
+      store,
+      ref,
+      entries: diffEntries(store, ref, before, content),
+      ...extra,
+      before,
+      after: content
+    };
+    fs.appendFileSync(path.join(wisdomDir, JOURNAL_FILE), JSON.stringify(record) + '\n');
+    return record;
+  });
+}
+
+/**
+ * Journal records, newest first. Filters: `ref` (file ref), `entryId`
+ * (records that added, removed, or changed that entry), `limit`.
+ * Unparseable lines are skipped.
+ */
+export function readJournal(projectRoot, { ref, entryId, limit } = {}) {
+  const journalPath = path.join(getWisdomDir(projectRoot), JOURNAL_FILE);
+  if (!fs.existsSync(journalPath)) return [];
+  const records = [];
+  for (const line of fs.readFileSync(journalPath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    let record;
+    try { record = JSON.parse(line); } catch { continue; }
+    if (ref && record.ref !== ref) continue;
+    if (entryId && !Object.values(record.entries || {}).some(ids => ids.includes(entryId))) continue;
+    records.push(record);
+  }
+  records.reverse();
+  return limit ? records.slice(0, limit) : records;
+}
+
+/**
+ * Revert one journal record: put its file back to the `before` content.
+ * Refuses (throws) if the file changed since, unless `force`. Keyword refs of
+ * entries the revert removes are dropped; restored entries get theirs back.
+ * Returns { record, undo } — `undo` is the new journal record — or null if
+ * the journal ID is unknown.
+ */
+export function undoChange(projectRoot, journalId, { force = false } = {}) {
+  return withWisdomLock(getWisdomDir(projectRoot), () => {
+    const all = readJournal(projectRoot);
+    const at = all.findIndex(r => r.id === journalId);
+    if (at === -1) return null;
+    const record = all[at];
+
+    const filePath = journalPathFor(projectRoot, record);
+    if (!filePath) throw new Error(`Wisdom root "${record.store}" is no longer configured`);
+    const root = getGlobalRoots().find(r => r.name === record.store);
+    if (root?.readOnly) throw new Error(`Wisdom root "${root.name}" is read-only`);
+
+    const current = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    if (current !== record.after && !force) {
+      const later = all.slice(0, at).filter(r => r.ref === record.ref && r.store === record.store).map(r => r.id);
+      throw new Error(`${record.ref} has changed since ${journalId}` +
+        (later.length > 0 ? ` (later changes: ${later.join(', ')}); undo those first` : '') +
+        ', or pass force to overwrite');
+    }
+
+    const undo = writeJournaled(projectRoot, filePath, record.before, 'undo', { undoes: journalId });
+    // Only project files and sidecars are indexed; history files are not
+    const indexed = record.store === 'sidecar' || (record.store === 'project' && !record.ref.startsWith('history/'));
+    if (undo && indexed) repairIndex(projectRoot, record, current);
+    return { record, undo };
+  });
+}
+
+/**
+ * Keep index keyword refs ("<ref>#<id>") in step with a reverted file.
+ */
+function repairIndex(projectRoot, { store, ref, before: to }, from) {
+  const wisdomDir = getWisdomDir(projectRoot);
+  const before = entryMap(store, ref, from);
+  const after = entryMap(store, ref, to);
+  for (const id of before.keys()) {
+    if (!after.has(id)) removeIndexRef(wisdomDir, `${ref}#${id}`);
+  }
+  for (const [id, entry] of after) {
+    if (!before.has(id) && entry.meta.keywords?.length > 0) {
+      updateIndexKeywords(wisdomDir, entry.meta.keywords, `${ref}#${id}`);
+    }
+  }
+}
+
+function entryMap(store, ref, content) {
+  const map = new Map();
+  if (content === null) return map;
+  const isGlobal = store !== 'project' && store !== 'sidecar';
+  const entries = isGlobal
+    ? parseGlobalWisdom(content, ref.slice(store.length + 1)).entries
+    : parseWisdomMarkdown(content).entries;
+  for (const entry of entries) map.set(entry.id, entry);
+  return map;
+}
+
+function renderEntry(entry) {
+  return [entry.raw ?? formatEntryLine(entry), ...entry.annotations].join('\n');
+}
+
+function diffEntries(store, ref, before, after) {
+  const old = entryMap(store, ref, before);
+  const now = entryMap(store, ref, after);
+  const added = [...now.keys()].filter(id => !old.has(id));
+  const removed = [...old.keys()].filter(id => !now.has(id));
+  const changed = [...now.keys()].filter(id => old.has(id) && renderEntry(old.get(id)) !== renderEntry(now.get(id)));
+  return { added, removed, changed };
+}
@@ -0,0 +1,167 @@
+/**
+ * Keywords and symbol links pulled from an entry's text at save time, so
+ * index.json keywords fill in without callers passing them.
+ *
+ * From the text we take:
+ *   - identifiers defined in .wisdom/symbols.json (functions, classes,
+ *     variables, exports, ...) — only code-looking words (camelCase,
+ *     snake_case, `backticked`, or written as a call), so plain English
+ *     doesn't match a variable called "data"
+ *   - route strings ("/api/session", "POST /api/login"), linked to the
+ *     registry's apiRoutes when one matches
+ *   - file paths ("src/auth/login.js", "config.yml")
+ *   - a few salient terms: the longest, most repeated non-generic words
+ *
+ * Linked symbols are stored on the entry as meta.symbols (names, with routes
+ * as "METHOD /path"); get_wisdom(symbol) finds entries through them and
+ * through their code anchors.
+ */
+
+import { getWisdomDir, isSuperseded } from './wisdom.js';
+import { readSymbols } from './indexer.js';
+import { listWisdomFiles, readWisdomFile } from './wisdom-edit.js';
+
+// Registry categories that aren't identifiers
+const NON_SYMBOL_CATEGORIES = new Set(['_meta', 'apiRoutes', 'htmlPages']);
+const MIN_SYMBOL_LENGTH = 3;
+const MAX_SALIENT_TERMS = 3;
+const MAX_KEYWORDS = 12;
+const ROUTE_RE = /(?:^|[\s"'`(])(?:(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)\s+)?(\/[A-Za-z0-9_\-.:{}]+(?:\/[A-Za-z0-9_\-.:{}]*)*)/g;
+const FILE_RE = /(?:^|[\s"'`(])((?:[\w.-]+\/)*[\w-]+\.(?:js|mjs|cjs|ts|tsx|jsx|py|go|rs|java|kt|rb|php|c|h|cpp|cs|swift|json|ya?ml|toml|sql|html|css|scss|sh|md))\b/g;
+const GENERIC_WORDS = new Set([
+  'about', 'above', 'after', 'again', 'always', 'another', 'because', 'before',
+  'being', 'below', 'between', 'could', 'doesn', 'during', 'every', 'first',
+  'found', 'their', 'there', 'these', 'thing', 'things', 'those', 'through',
+  'under', 'until', 'using', 'where', 'which', 'while', 'without', 'would',
+  'should', 'still', 'other', 'never', 'since', 'when', 'instead', 'otherwise',
+  'make', 'makes', 'making', 'need', 'needs', 'must', 'only', 'also', 'just',
+  'into', 'onto', 'over', 'once', 'some', 'such', 'then', 'them', 'they',
+  'what', 'will', 'with', 'have', 'here', 'more', 'most', 'much', 'does',
+  'done', 'each', 'else', 'even', 'file', 'files', 'code', 'line', 'lines'
+]);
+
+const escapeRegExp = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function isCodeLike(name, text) {
+  return /[a-z][A-Z]|_|\$/.test(name) ||
+    new RegExp(`\`${escapeRegExp(name)}\`|\\b${escapeRegExp(name)}\\(`).test(text);
+}
+
+/**
+ * Registry symbols named in the text, as names.
+ */
+function registrySymbols(registry, text) {
+  if (!registry) return [];
+  const found = [];
+  for (const name of new Set(text.match(/[A-Za-z_$][\w$]*/g) || [])) {
+    if (name.length < MIN_SYMBOL_LENGTH || !isCodeLike(name, text)) continue;
+    const known = Object.entries(registry).some(([cat, syms]) =>
+      !NON_SYMBOL_CATEGORIES.has(cat) && syms && Object.hasOwn(syms, name));
+    if (known) found.push(name);
+  }
+  return found;
+}
+
+/**
+ * Route strings in the text: { route ("METHOD /path" if registered or a
+ * method is given, else "/path"), path }.
+ */
+function routesIn(registry, text) {
+  const routes = registry?.apiRoutes || {};
+  const out = new Map();
+  for (const m of text.matchAll(ROUTE_RE)) {
+    const [, method, routePath] = m;
+    const trimmed = routePath.replace(/[.:]+$/, '');
+    if (trimmed.length < 2 || /\.\w+$/.test(trimmed)) continue; // "/", or a file
+    const registered = Object.keys(routes).find(r =>
+      routes[r].path === trimmed && (!method || routes[r].method === method));
+    const route = registered || (method ? `${method} ${trimmed}` : trimmed);
+    out.set(route, { route, path: trimmed, registered: !!registered });
+  }
+  return [...out.values()];
+}
+
+function salientTerms(text, exclude) {
+  const counts = new Map();
+  for (const word of text.replace(/`[^`]*`/g, ' ').match(/\b[A-Za-z][a-z]{4,}\b/g) || []) {
+    const lower = word.toLowerCase();
+    if (GENERIC_WORDS.has(lower) || exclude.has(lower)) continue;
+    counts.set(lower, (counts.get(lower) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || b[0].length - a[0].length)
+    .slice(0, MAX_SALIENT_TERMS)
+    .map(([w]) => w);
+}
+
+/**
+ * Keywords and symbol links for an entry's text.
+ * `anchorSymbols` are names already anchored by computeEntryAnchors (they
+ * count even before the project has a symbol registry).
+ * Returns { keywords: [lowercase], symbols: [names / routes] }.
+ */
+export function extractKeywords(projectRoot, text, { anchorSymbols = [] } = {}) {
+  const registry = readSymbols(getWisdomDir(projectRoot));
+  const names = [...new Set([...anchorSymbols, ...registrySymbols(registry, text)])];
+  const routes = routesIn(registry, text);
+  const files = [...new Set([...text.matchAll(FILE_RE)].map(m => m[1]))];
+
+  const symbols = [...names, ...routes.filter(r => r.registered).map(r => r.route)];
+  const keywords = [...names, ...routes.map(r => r.path), ...files].map(k => k.toLowerCase());
+  const taken = new Set(keywords.flatMap(k => k.split(/[^a-z0-9]+/)));
+  keywords.push(...salientTerms(text, taken));
+
+  return { keywords: [...new Set(keywords)].slice(0, MAX_KEYWORDS), symbols };
+}
+
+/**
+ * Symbol names anchored by an entry's anchors.
+ */
+export function anchoredSymbols(anchors = []) {
+  return [...new Set(anchors.flatMap(a => (a.symbols || []).map(s => s.name)))];
+}
+
+/**
+ * True if an entry is linked to `symbol` — by meta.symbols or a code
+ * anchor. A route matches by "METHOD /path" or by its path alone.
+ */
+export function entryMentionsSymbol(entry, symbol) {
+  const meta = entry.meta || {};
+  const linked = [...(meta.symbols || []), ...anchoredSymbols(meta.anchors)];
+  return linked.some(s => s === symbol || s.replace(/^[A-Z]+ (?=\/)/, '') === symbol);
+}
+
+/**
+ * Where the registry says `symbol` is defined: [{ category, file, line }].
+ */
+export function findSymbolDefinitions(projectRoot, symbol) {
+  const registry = readSymbols(getWisdomDir(projectRoot));
+  if (!registry) return [];
+  const defs = [];
+  for (const [category, syms] of Object.entries(registry)) {
+    if (category === '_meta' || !syms) continue;
+    for (const [name, info] of Object.entries(syms)) {
+      if (name === symbol || (category === 'apiRoutes' && info.path === symbol)) {
+        defs.push({ category, name, file: info.file, line: info.line });
+      }
+    }
+  }
+  return defs;
+}
+
+/**
+ * Every project wisdom entry linked to `symbol`, in file order:
+ * [{ ref, kind, entry }]. Superseded entries are skipped unless asked for.
+ */
+export function findSymbolEntries(projectRoot, symbol, { includeSuperseded = false } = {}) {
+  const found = [];
+  for (const file of listWisdomFiles(projectRoot)) {
+    let doc;
+    try { doc = readWisdomFile(file); } catch { continue; }
+    for (const entry of doc.entries) {
+      if (isSuperseded(entry) && !includeSuperseded) continue;
+      if (entryMentionsSymbol(entry, symbol)) found.push({ ref: file.ref, kind: file.kind, entry });
+    }
+  }
+  return found;
+}
@@ -0,0 +1,160 @@
+/**
+ * Safe concurrent writes to wisdom stores.
+ *
+ * Several workers can share one project directory, and every wisdom mutation
+ * is a read-modify-write (insert an entry, bump index.json keywords). Two
+ * interleaved saves would lose one of them, so mutations run under an
+ * advisory lock and every file is replaced atomically:
+ *
+ *   withWisdomLock(dir, fn) — exclusive lock file <dir>/.lock (O_EXCL create),
+ *     retried with jittered backoff until LOCK_TIMEOUT_MS. A lock is broken
+ *     only when its owner process is gone, or after LOCK_ABANDONED_MS — a
+ *     live writer is never cut off mid-write. Re-entrant within a process, so
+ *     locked helpers can call each other. `fn` must be synchronous — the lock
+ *     is released when it returns.
+ *   writeFileAtomic(file, content) — tmp file + rename, same as rewriteJsonl in
+ *     lib/jsonl-mutate.js: readers see the old or the new file, never half.
+ *
+ * `dir` is the store being mutated: a project's .wisdom/ (which also covers
+ * that project's sidecars) or a global wisdom root.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const LOCK_FILE = '.lock';
+const LOCK_TIMEOUT_MS = 10000;
+// A lock whose owner is alive is only taken over after this long
+const LOCK_ABANDONED_MS = 10 * 60 * 1000;
+// A lock file with no pid in it (owner died between create and write)
+const LOCK_UNWRITTEN_MS = 30000;
+const RETRY_MIN_MS = 5;
+const RETRY_MAX_MS = 50;
+
+// lockPath → { depth, content } for locks this process holds
+const held = new Map();
+const sleepCell = new Int32Array(new SharedArrayBuffer(4));
+
+function sleepSync(ms) {
+  Atomics.wait(sleepCell, 0, 0, ms);
+}
+
+function ownerAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+function readLock(lockPath) {
+  try {
+    return { content: fs.readFileSync(lockPath, 'utf8'), mtimeMs: fs.statSync(lockPath).mtimeMs };
+  } catch {
+    return null;
+  }
+}
+
+function isStale(lock) {
+  const owner = parseInt(lock.content.split(' ')[0], 10);
+  const age = Date.now() - lock.mtimeMs;
+  if (!(owner > 0)) return age > LOCK_UNWRITTEN_MS;
+  if (owner !== process.pid && !ownerAlive(owner)) return true;
+  return age > LOCK_ABANDONED_MS;
+}
+
+/**
+ * Remove a lock left behind by a dead process (or abandoned for far too
+ * long). Returns true if the lock is gone and acquiring should be retried.
+ *
+ * The lock is renamed aside rather than unlinked: when two waiters both judge
+ * it stale, the second may find the first has already broken it and taken a
+ * fresh lock. Its rename then grabs that fresh lock, the content no longer
+ * matches what it judged, and it puts the lock back.
+ */
+function breakStaleLock(lockPath) {
+  const lock = readLock(lockPath);
+  if (!lock) return true; // released while we looked
+  if (!isStale(lock)) return false;
+
+  const aside = `${lockPath}.stale-${process.pid}-${Math.random().toString(36).slice(2, 10)}`;
+  try {
+    fs.renameSync(lockPath, aside);
+  } catch {
+    return true; // someone else broke or released it
+  }
+  let taken = null;
+  try { taken = fs.readFileSync(aside, 'utf8'); } catch {}
+  if (taken === lock.content) {
+    try { fs.unlinkSync(aside); } catch {}
+    return true;
+  }
+  // Not the lock we judged stale: restore it, unless a new one exists already
+  try { fs.linkSync(aside, lockPath); } catch {}
+  try { fs.unlinkSync(aside); } catch {}
+  return false;
+}
+
+function acquire(lockPath, timeoutMs) {
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+  const deadline = Date.now() + timeoutMs;
+  // The random suffix tells this lock apart from a later one by the same process
+  const content = `${process.pid} ${new Date().toISOString()} ${Math.random().toString(36).slice(2, 10)}\n`;
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      fs.writeSync(fd, content);
+      fs.closeSync(fd);
+      return content;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    if (breakStaleLock(lockPath)) continue;
+    if (Date.now() > deadline) {
+      let owner = 'unknown';
+      try { owner = fs.readFileSync(lockPath, 'utf8').trim(); } catch {}
+      throw new Error(`Timed out waiting for wisdom lock ${lockPath} (held by ${owner})`);
+    }
+    sleepSync(RETRY_MIN_MS + Math.random() * (RETRY_MAX_MS - RETRY_MIN_MS));
+  }
+}
+
+/**
+ * Run `fn` while holding the advisory lock on a wisdom store directory.
+ * Returns fn's result. `timeoutMs` bounds the wait for another holder.
+ */
+export function withWisdomLock(dir, fn, { timeoutMs = LOCK_TIMEOUT_MS } = {}) {
+  const lockPath = path.join(dir, LOCK_FILE);
+  const lock = held.get(lockPath) || { depth: 0, content: null };
+  if (lock.depth === 0) lock.content = acquire(lockPath, timeoutMs);
+  lock.depth++;
+  held.set(lockPath, lock);
+  try {
+    return fn();
+  } finally {
+    lock.depth--;
+    if (lock.depth === 0) {
+      held.delete(lockPath);
+      // Only remove our own lock — never one taken over after ours was broken
+      if (readLock(lockPath)?.content === lock.content) {
+        try { fs.unlinkSync(lockPath); } catch {}
+      }
+    }
+  }
+}
+
+/**
+ * Replace a file's content atomically (tmp + rename in the same directory).
+ */
+export function writeFileAtomic(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  fs.writeFileSync(tmpPath, content);
+  try {
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    try { fs.unlinkSync(tmpPath); } catch {}
+    throw err;
+  }
+}
@@ -0,0 +1,376 @@
+/**
+ * Structural three-way merge of wisdom files, for the git merge driver
+ * (src/merge-driver/wisdom-merge-driver.js, installed by
+ * install_merge_driver).
+ *
+ * A line-based merge conflicts whenever two branches add entries under the
+ * same header, since both insert at the same spot. Here a wisdom file —
+ * section, plan, pattern, ADR or sidecar — is merged as ## sections of
+ * entries (see parseWisdomMarkdown):
+ *
+ * - Sections are matched by header, entries by ID (bullets without one,
+ *   and the bookkeeping bullets of plans and ADRs, by their text). Entries
+ *   added on either side are kept, each after the entry it followed on its
+ *   side; an entry deleted on one side and left unchanged on the other is
+ *   dropped.
+ * - Identical bullets added on both sides collapse into one, even under
+ *   different IDs.
+ * - Annotations stay with their entry; those added on either side are kept.
+ * - An entry reworded differently on both sides, or prose (descriptions,
+ *   status lines) changed differently on both sides, is left between
+ *   conflict markers.
+ *
+ * index.json is deep-merged: objects key by key, arrays (keyword refs, file
+ * lists) as sets, scalars three-way with ours winning a clash — the index is
+ * derived data that check_wisdom can rebuild.
+ *
+ * installMergeDriver registers the driver in the repository's git config
+ * (merge.wisdom.*), routes wisdom files to it in .gitattributes, and keeps
+ * machine-local store files out of git with .wisdom/.gitignore.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { parseWisdomMarkdown, writeWisdomGitignore, RECORD_HEADERS } from './wisdom.js';
+import { writeFileAtomic } from './wisdom-lock.js';
+
+export const MERGE_DRIVER_NAME = 'wisdom';
+export const DRIVER_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../merge-driver/wisdom-merge-driver.js');
+// .gitattributes lines routing wisdom files to the driver
+const ATTRIBUTES_COMMENT = '# wisdom-store: merge wisdom files structurally (install_merge_driver)';
+const ATTRIBUTES = [
+  `.wisdom/**/*.md merge=${MERGE_DRIVER_NAME}`,
+  `.wisdom/index.json merge=${MERGE_DRIVER_NAME}`,
+  `*.wisdom merge=${MERGE_DRIVER_NAME}`
+];
+
+/**
+ * Merge one wisdom file. `base` may be '' (no common ancestor).
+ * Returns { content, conflicts } — conflicts counts marker blocks left in
+ * content. Throws if index.json does not parse on some side.
+ */
+export function mergeWisdomFile(filePath, base, ours, theirs) {
+  if (filePath.endsWith('.json')) {
+    return { content: mergeIndexJson(base, ours, theirs), conflicts: 0 };
+  }
+  return mergeWisdomMarkdown(base, ours, theirs);
+}
+
+// --- Markdown ---
+
+/**
+ * Split a file into sections: [{ key, header, blocks }], the first holding
+ * the lines before any ## header (header null). Blocks are raw lines or
+ * entries { key, text, line, annotations }.
+ */
+function splitSections(content) {
+  const sections = [{ key: '', header: null, blocks: [] }];
+  const seen = {};
+  for (const block of parseWisdomMarkdown(content || '').blocks) {
+    if (typeof block === 'string' && /^## /.test(block)) {
+      seen[block] = (seen[block] || 0) + 1;
+      sections.push({ key: `${block}#${seen[block]}`, header: block, blocks: [] });
+      continue;
+    }
+    const section = sections[sections.length - 1];
+    // Record bullets (plan history, file lists…) are unioned like entries, keyed by their text
+    if (typeof block === 'string' && block.startsWith('- ') && RECORD_HEADERS.has(section.header?.slice(3).trim())) {
+      section.blocks.push({ key: block, text: block, line: block, annotations: [] });
+      continue;
+    }
+    section.blocks.push(typeof block === 'string'
+      ? block
+      : { key: block.id, text: `${block.bold}:${block.text}`, line: block.raw, annotations: block.annotations });
+  }
+  return sections;
+}
+
+function sectionLines(section) {
+  if (!section) return null;
+  const lines = section.header ? [section.header] : [];
+  for (const block of section.blocks) lines.push(...blockLines(block));
+  return lines.join('\n');
+}
+
+function blockLines(block) {
+  return typeof block === 'string' ? [block] : [block.line, ...block.annotations];
+}
+
+function isProse(block) {
+  return typeof block === 'string' && block.trim() !== '';
+}
+
+function entriesByKey(section) {
+  return new Map((section?.blocks || []).filter(b => typeof b !== 'string').map(b => [b.key, b]));
+}
+
+function sameEntry(a, b) {
+  return a.line === b.line && a.annotations.join('\n') === b.annotations.join('\n');
+}
+
+/**
+ * Three-way choice of a value: { value } or { conflict: true }.
+ */
+function pick(base, ours, theirs) {
+  if (ours === theirs) return { value: ours };
+  if (ours === base) return { value: theirs };
+  if (theirs === base) return { value: ours };
+  return { conflict: true };
+}
+
+/**
+ * Three-way union: everything on either side, minus what a side removed
+ * from base. Keeps ours' order, then theirs' additions.
+ */
+function mergeSets(base = [], ours = [], theirs = [], id = x => x) {
+  const has = (list, x) => list.some(y => id(y) === id(x));
+  const removed = new Set(base.filter(x => !has(ours, x) || !has(theirs, x)).map(id));
+  const out = [];
+  for (const x of [...ours, ...theirs]) {
+    if (!removed.has(id(x)) && !has(out, x)) out.push(x);
+  }
+  return out;
+}
+
+function conflictLines(ours, theirs) {
+  return ['<<<<<<< ours', ...ours, '=======', ...theirs, '>>>>>>> theirs'];
+}
+
+/**
+ * Three-way merge of wisdom markdown. Returns { content, conflicts }.
+ */
+export function mergeWisdomMarkdown(base, ours, theirs) {
+  const [b, o, t] = [base, ours, theirs].map(splitSections);
+  const find = (sections, key) => sections.find(s => s.key === key) || null;
+  const keys = [...new Set([...o, ...t].map(s => s.key))];
+
+  const out = [];
+  let conflicts = 0;
+  for (const key of keys) {
+    const [bs, os, ts] = [find(b, key), find(o, key), find(t, key)];
+    // Deleted on one side, untouched on the other
+    if (bs && (!os || !ts) && sectionLines(os || ts) === sectionLines(bs)) continue;
+
+    const merged = mergeSection(bs, os, ts);
+    conflicts += merged.conflicts;
+    if (merged.lines.length === 0) continue;
+    if (!os && out.length > 0 && out[out.length - 1] !== '') out.push('');
+    out.push(...merged.lines);
+  }
+  while (out.length > 0 && out[out.length - 1] === '') out.pop();
+  return { content: out.join('\n') + '\n', conflicts };
+}
+
+/**
+ * Merge one section. The side whose prose wins (ours unless only theirs
+ * changed it) provides the layout; the other side's new entries follow the
+ * entry they followed there, after this side's own additions.
+ */
+function mergeSection(bs, os, ts) {
+  const prose = (s) => (s?.blocks || []).filter(isProse);
+  const [baseProse, oursProse, theirsProse] = [bs, os, ts].map(s => prose(s).join('\n'));
+  const choice = os && ts ? pick(baseProse, oursProse, theirsProse) : { value: os ? oursProse : theirsProse };
+  // Theirs gives the layout when it alone has the section or changed its prose
+  const skeletonIsOurs = !!os && !(ts && choice.value === theirsProse && theirsProse !== oursProse);
+  const [skel, other] = skeletonIsOurs ? [os, ts] : [ts, os];
+  const [baseEntries, skelEntries, otherEntries] = [bs, skel, other].map(entriesByKey);
+  const merge = (bEntry, sEntry, xEntry) => skeletonIsOurs ? mergeEntry(bEntry, sEntry, xEntry) : mergeEntry(bEntry, xEntry, sEntry);
+
+  // The other side's entries that the skeleton lacks, by the entry they follow (null: section start)
+  const inserts = new Map();
+  const extraAnnotations = new Map();
+  let anchor = null;
+  for (const entry of otherEntries.values()) {
+    if (skelEntries.has(entry.key)) {
+      anchor = entry.key;
+      continue;
+    }
+    const baseEntry = baseEntries.get(entry.key);
+    if (baseEntry && sameEntry(baseEntry, entry)) continue; // removed by the skeleton side
+    const twin = !baseEntry && [...skelEntries.values()].find(e => e.text === entry.text && !baseEntries.has(e.key));
+    if (twin) {
+      extraAnnotations.set(twin.key, [...(extraAnnotations.get(twin.key) || []), ...entry.annotations]);
+      continue;
+    }
+    if (!inserts.has(anchor)) inserts.set(anchor, []);
+    inserts.get(anchor).push(entry);
+  }
+
+  const lines = skel.header ? [skel.header] : [];
+  let conflicts = 0;
+  // Inserts wait until the skeleton's own additions after the same anchor are out
+  let pending = inserts.get(null) || [];
+  const flush = () => {
+    const out = pending.flatMap(blockLines);
+    pending = [];
+    return out;
+  };
+
+  // Prose changed differently on both sides: only the lines that differ are in conflict
+  const [oursLines, theirsLines] = [prose(os), prose(ts)];
+  let same = 0;
+  while (same < oursLines.length && same < theirsLines.length && oursLines[same] === theirsLines[same]) same++;
+  let tail = 0;
+  while (tail < oursLines.length - same && tail < theirsLines.length - same &&
+    oursLines[oursLines.length - 1 - tail] === theirsLines[theirsLines.length - 1 - tail]) tail++;
+  let proseConflict = choice.conflict
+    ? conflictLines(oursLines.slice(same, oursLines.length - tail), theirsLines.slice(same, theirsLines.length - tail))
+    : null;
+  let proseIndex = 0;
+
+  for (const block of skel.blocks) {
+    if (typeof block === 'string') {
+      const i = isProse(block) ? proseIndex++ : -1;
+      if (proseConflict && i === same) {
+        lines.push(...proseConflict);
+        proseConflict = null;
+        conflicts++;
+      }
+      if (!choice.conflict || i < same || i >= oursLines.length - tail) lines.push(block);
+      continue;
+    }
+
+    const baseEntry = baseEntries.get(block.key);
+    const otherEntry = otherEntries.get(block.key);
+    if (!otherEntry) {
+      // Kept unless the other side deleted it and it is untouched here
+      if (!(baseEntry && other && sameEntry(baseEntry, block))) {
+        lines.push(block.line, ...mergeSets([], block.annotations, extraAnnotations.get(block.key)));
+      }
+      continue;
+    }
+
+    lines.push(...flush());
+    const merged = merge(baseEntry, block, otherEntry);
+    if (merged.conflict) {
+      lines.push(...conflictLines(blockLines(skeletonIsOurs ? block : otherEntry), blockLines(skeletonIsOurs ? otherEntry : block)));
+      conflicts++;
+    } else {
+      lines.push(...blockLines(merged.entry));
+    }
+    pending = inserts.get(block.key) || [];
+  }
+
+  // Whatever is left goes before the section's trailing blank lines
+  let end = lines.length;
+  while (end > (skel.header ? 1 : 0) && lines[end - 1] === '') end--;
+  const rest = [...flush(), ...(proseConflict || [])];
+  if (proseConflict) conflicts++;
+  lines.splice(end, 0, ...rest);
+  return { lines, conflicts };
+}
+
+/**
+ * Merge one entry present on both sides: the bullet line three-way, the
+ * annotations as a set. Returns { entry } or { conflict: true }.
+ */
+function mergeEntry(baseEntry, ours, theirs) {
+  const line = pick(baseEntry?.line, ours.line, theirs.line);
+  if (line.conflict) return { conflict: true };
+  return {
+    entry: { ...ours, line: line.value, annotations: mergeSets(baseEntry?.annotations, ours.annotations, theirs.annotations) }
+  };
+}
+
+// --- index.json ---
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function mergeValues(base, ours, theirs) {
+  if (isObject(ours) && isObject(theirs)) {
+    const b = isObject(base) ? base : {};
+    const out = {};
+    for (const key of new Set([...Object.keys(ours), ...Object.keys(theirs)])) {
+      const inOurs = key in ours;
+      const inTheirs = key in theirs;
+      if (inOurs && inTheirs) {
+        out[key] = mergeValues(b[key], ours[key], theirs[key]);
+        continue;
+      }
+      const kept = inOurs ? ours[key] : theirs[key];
+      // Deleted on one side: gone unless the other side changed it
+      if (key in b && JSON.stringify(b[key]) === JSON.stringify(kept)) continue;
+      out[key] = kept;
+    }
+    return out;
+  }
+  if (Array.isArray(ours) && Array.isArray(theirs)) {
+    return mergeSets(Array.isArray(base) ? base : [], ours, theirs, x => JSON.stringify(x));
+  }
+  const choice = pick(JSON.stringify(base), JSON.stringify(ours), JSON.stringify(theirs));
+  return choice.conflict ? ours : JSON.parse(choice.value);
+}
+
+/**
+ * Deep-merge three versions of index.json; keywords left with no refs are
+ * dropped. Returns the serialized result.
+ */
+export function mergeIndexJson(base, ours, theirs) {
+  const parse = (text) => (text && text.trim() ? JSON.parse(text) : {});
+  const merged = mergeValues(parse(base), parse(ours), parse(theirs));
+  for (const [keyword, refs] of Object.entries(merged.keywords || {})) {
+    if (Array.isArray(refs) && refs.length === 0) delete merged.keywords[keyword];
+  }
+  return JSON.stringify(merged, null, 2) + '\n';
+}
+
+// --- Installation ---
+
+function git(projectRoot, args) {
+  return execFileSync('git', args, {
+    cwd: projectRoot,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore'],
+    timeout: 5000
+  }).trim();
+}
+
+function gitConfig(projectRoot, key) {
+  try {
+    return git(projectRoot, ['config', '--local', '--get', key]);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Register the merge driver for the git repository holding projectRoot:
+ * merge.wisdom.name / .driver in its local git config, the wisdom file
+ * patterns in projectRoot/.gitattributes, and the machine-local store files
+ * in .wisdom/.gitignore (see writeWisdomGitignore). Safe to re-run.
+ * Returns { attributesPath, added, gitignorePath, ignored, driver,
+ * configChanged }; throws outside a git repository.
+ */
+export function installMergeDriver(projectRoot, { driverPath = DRIVER_PATH } = {}) {
+  try {
+    git(projectRoot, ['rev-parse', '--git-dir']);
+  } catch {
+    throw new Error(`${projectRoot} is not inside a git repository.`);
+  }
+
+  const driver = `node "${driverPath}" %O %A %B %P`;
+  const configChanged = gitConfig(projectRoot, `merge.${MERGE_DRIVER_NAME}.driver`) !== driver;
+  if (configChanged) {
+    git(projectRoot, ['config', '--local', `merge.${MERGE_DRIVER_NAME}.name`, 'wisdom-store structural merge of wisdom files']);
+    git(projectRoot, ['config', '--local', `merge.${MERGE_DRIVER_NAME}.driver`, driver]);
+  }
+
+  const attributesPath = path.join(projectRoot, '.gitattributes');
+  const existing = fs.existsSync(attributesPath) ? fs.readFileSync(attributesPath, 'utf8') : '';
+  const present = new Set(existing.split('\n').map(l => l.trim()));
+  const added = ATTRIBUTES.filter(line => !present.has(line));
+  if (added.length > 0) {
+    const block = [...(present.has(ATTRIBUTES_COMMENT) ? [] : [ATTRIBUTES_COMMENT]), ...added].join('\n');
+    const prefix = existing.trim() ? existing.replace(/\n*$/, '\n\n') : '';
+    writeFileAtomic(attributesPath, `${prefix}${block}\n`);
+  }
+
+  const wisdomDir = path.join(projectRoot, '.wisdom');
+  const ignored = writeWisdomGitignore(wisdomDir);
+  const gitignorePath = path.join(wisdomDir, '.gitignore');
+  return { attributesPath, added, gitignorePath, ignored, driver, configChanged };
+}
@@ -0,0 +1,183 @@
+/**
+ * Connect plans to the git history of the work they describe.
+ *
+ * A commit is related to a plan if it touches one of the plan's files
+ * (index.json `files`, or the plan's "## Files" list — paths, directories,
+ * or globs) or mentions the plan's slug in its message. From those commits
+ * we flag drift:
+ *   - stale: an active plan with no related commit in `staleDays` days
+ *     (counted from its creation if it has none at all)
+ *   - changed after completion: a completed plan whose files got commits
+ *     after it was marked completed
+ *
+ * attachPlanCommits records the related commits in the plan file under
+ * "## Commits", newest first:
+ *   - a1b2c3d 2026-10-19 Add SSO callback (files, mention)
+ */
+
+import { execFileSync } from 'child_process';
+import { readIndex, readPlan } from './wisdom.js';
+import { planStatus } from './wisdom-plans.js';
+
+export const DEFAULT_STALE_DAYS = 30;
+// How far back git log is read, per query
+const LOG_DEPTH = 500;
+const COMMITS_HEADER = 'Commits';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function git(projectRoot, args) {
+  try {
+    return execFileSync('git', args, {
+      cwd: projectRoot,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 5000,
+      maxBuffer: 16 * 1024 * 1024
+    });
+  } catch {
+    return null;
+  }
+}
+
+function isGitRepo(projectRoot) {
+  return git(projectRoot, ['rev-parse', '--is-inside-work-tree'])?.trim() === 'true';
+}
+
+/**
+ * A plan file pattern as a git pathspec. Globs without a slash match the
+ * basename anywhere, as they do in get_wisdom(files).
+ */
+function toPathspec(pattern) {
+  const p = pattern.replace(/^\.\//, '');
+  if (!/[*?{]/.test(p)) return p;
+  return `:(glob)${p.includes('/') ? p : '**/' + p}`;
+}
+
+function readLog(projectRoot, args) {
+  const out = git(projectRoot, ['log', `-n${LOG_DEPTH}`, '--format=%H%x1f%cI%x1f%s', ...args]);
+  if (!out) return [];
+  return out.split('\n').filter(Boolean).map(line => {
+    const [hash, date, subject] = line.split('\x1f');
+    return { hash, short: hash.slice(0, 7), date, subject };
+  });
+}
+
+/**
+ * The files a plan covers: index.json's list, else its "## Files" bullets.
+ */
+export function planFiles(content, indexEntry) {
+  if (indexEntry?.files?.length > 0) return indexEntry.files;
+  const section = content.match(/^## Files\n([\s\S]*?)(?=^## |(?![\s\S]))/m)?.[1] || '';
+  return [...section.matchAll(/^- `?([^`\s]+)`?/gm)].map(m => m[1]);
+}
+
+/**
+ * Commits related to a plan, newest first:
+ * [{ hash, short, date, subject, via: ['files' | 'mention'] }].
+ * Returns null outside a git repository.
+ */
+export function findPlanCommits(projectRoot, name, files = []) {
+  if (!isGitRepo(projectRoot)) return null;
+  const byHash = new Map();
+  const add = (commits, via) => {
+    for (const c of commits) {
+      const known = byHash.get(c.hash);
+      if (known) known.via.push(via);
+      else byHash.set(c.hash, { ...c, via: [via] });
+    }
+  };
+  if (files.length > 0) add(readLog(projectRoot, ['--', ...files.map(toPathspec)]), 'files');
+  // The slug as a whole word ("sso" shouldn't match "lesson")
+  add(readLog(projectRoot, ['-i', '-E', `--grep=(^|[^a-z0-9-])${name}([^a-z0-9-]|$)`]), 'mention');
+  return [...byHash.values()].sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * When the plan last entered `pattern`'s status, from its status history,
+ * falling back to the *Updated* field. ISO date string or null.
+ */
+function statusChangedAt(content, pattern) {
+  const history = content.match(/^## Status History\n([\s\S]*?)(?=^## |(?![\s\S]))/m)?.[1] || '';
+  let at = null;
+  for (const m of history.matchAll(/^- (\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}): (?:.* → |created as )(.+)$/gm)) {
+    if (pattern.test(m[3].trim())) at = `${m[1]}T${m[2]}:00Z`;
+  }
+  return at || content.match(/\*Updated\*: (\d{4}-\d{2}-\d{2})/)?.[1] || null;
+}
+
+/**
+ * Drift findings for a plan given its related commits:
+ * { stale: { days, last } | null, changedAfterCompletion: { since, commits } | null }.
+ */
+export function planDrift(content, status, commits, { staleDays = DEFAULT_STALE_DAYS, now = new Date() } = {}) {
+  const drift = { stale: null, changedAfterCompletion: null };
+  if (/^active$/i.test(status || '')) {
+    const last = commits[0]?.date || null;
+    const since = last || content.match(/\*Created\*: (\d{4}-\d{2}-\d{2})/)?.[1];
+    const days = since ? Math.floor((now - new Date(since)) / DAY_MS) : null;
+    if (days === null || days >= staleDays) drift.stale = { days, last };
+  } else if (/^(completed|done)$/i.test(status || '')) {
+    const since = statusChangedAt(content, /^(completed|done)$/i);
+    const later = since
+      ? commits.filter(c => c.via.includes('files') && new Date(c.date) > new Date(since))
+      : [];
+    if (later.length > 0) drift.changedAfterCompletion = { since, commits: later };
+  }
+  return drift;
+}
+
+/**
+ * Everything plan_report and get_wisdom(plan) show for one plan:
+ * { name, status, files, commits, drift, content }, or null if the plan
+ * doesn't exist.
+ * `commits` is null (and `drift` empty) outside a git repository.
+ */
+export function planActivity(projectRoot, wisdomDir, name, { staleDays, now } = {}) {
+  const content = readPlan(wisdomDir, name);
+  if (!content) return null;
+  const indexEntry = readIndex(wisdomDir).plans?.[name];
+  const status = planStatus(content) || indexEntry?.status || 'unknown';
+  const files = planFiles(content, indexEntry);
+  const commits = findPlanCommits(projectRoot, name, files);
+  const drift = commits
+    ? planDrift(content, status, commits, { staleDays, now })
+    : { stale: null, changedAfterCompletion: null };
+  return { name, status, files, commits, drift, content };
+}
+
+/**
+ * Drift warnings as display lines ("⚠ ...").
+ */
+export function formatDrift(activity, staleDays = DEFAULT_STALE_DAYS) {
+  const lines = [];
+  const { stale, changedAfterCompletion } = activity.drift;
+  if (stale) {
+    lines.push(stale.last
+      ? `⚠ Active but stale: last related commit ${stale.days} days ago (${stale.last.split('T')[0]})`
+      : `⚠ Active but no related commits${stale.days !== null ? ` in the ${stale.days} days since it was created` : ''} (threshold ${staleDays} days)`);
+  }
+  if (changedAfterCompletion) {
+    const { since, commits } = changedAfterCompletion;
+    lines.push(`⚠ Completed ${since.split('T')[0]}, but its files changed since in ${commits.length} commit${commits.length === 1 ? '' : 's'} (latest ${commits[0].short} ${commits[0].date.split('T')[0]})`);
+  }
+  return lines;
+}
+
+export function formatCommit(c) {
+  return `- ${c.short} ${c.date.split('T')[0]} ${c.subject} (${c.via.join(', ')})`;
+}
+
+/**
+ * Replace the plan's "## Commits" section with `commits` (up to `limit`),
+ * keeping it above the status history. Returns the new content.
+ */
+export function attachPlanCommits(content, commits, { limit = 50 } = {}) {
+  const section = `## ${COMMITS_HEADER}\n${commits.slice(0, limit).map(formatCommit).join('\n')}\n`;
+  const sectionRe = new RegExp(`^## ${COMMITS_HEADER}\\n[\\s\\S]*?(?=^## |(?![\\s\\S]))`, 'm');
+  const base = content.replace(sectionRe, '').trimEnd() + '\n';
+  if (commits.length === 0) return base;
+  const history = base.search(/^## Status History$/m);
+  return history === -1
+    ? `${base}\n${section}`
+    : `${base.slice(0, history)}${section}\n${base.slice(history)}`;
+}
@@ -0,0 +1,207 @@
+/**
+ * Plan structure: task checklists and status history.
+ *
+ * Tasks live under "## Tasks" as checklist bullets that carry the usual
+ * entry metadata comment, so they parse, search, and display like any other
+ * entry (with a "t-" ID):
+ *
+ *   ## Tasks
+ *   - [x] Wire the callback <!-- wisdom {"id":"t-1a2b3c4d","type":"task","status":"done","session":"…","commits":["abc1234"],…} -->
+ *   - [ ] Add the login button <!-- wisdom {"id":"t-5e6f7a8b","type":"task","status":"todo",…} -->
+ *
+ * The checkbox mirrors `status`: [ ] todo, [~] in_progress, [x] done,
+ * [!] blocked, [-] dropped. `session` is the owner — the session that added
+ * the task or last took it up. Dropped tasks don't count toward progress.
+ *
+ * Plan status changes are appended under "## Status History":
+ *   - 2026-10-19 14:03: active → completed
+ */
+
+import crypto from 'crypto';
+import {
+  parseWisdomMarkdown,
+  serializeWisdomMarkdown,
+  findEntry,
+  insertEntry
+} from './wisdom.js';
+
+export const TASK_STATUSES = { todo: ' ', in_progress: '~', done: 'x', blocked: '!', dropped: '-' };
+const TASKS_HEADER = 'Tasks';
+const HISTORY_HEADER = 'Status History';
+const DECISIONS_HEADER = 'Design Decisions';
+const CHECKBOX_RE = /^\[([ x~!-])\] /;
+const STATUS_LINE_RE = /^\*Status\*: .*$/m;
+
+function checkbox(status) {
+  return `[${TASK_STATUSES[status] ?? ' '}] `;
+}
+
+/**
+ * Whether an entry (or search doc: header, type, text) is a plan task.
+ * Tasks are plan bookkeeping, kept out of similarity and conflict checks.
+ */
+export function isPlanTask(entry) {
+  return entry.header === TASKS_HEADER && (entry.type === 'task' || CHECKBOX_RE.test(entry.text));
+}
+
+/**
+ * A task entry's status, falling back to its checkbox for hand-written tasks.
+ */
+function taskStatus(entry) {
+  if (entry.meta.status in TASK_STATUSES) return entry.meta.status;
+  const box = entry.text.match(CHECKBOX_RE)?.[1];
+  return Object.keys(TASK_STATUSES).find(s => TASK_STATUSES[s] === box) || 'todo';
+}
+
+/**
+ * Tasks of a plan, in file order: [{ id, text, status, session, commits }].
+ */
+export function parsePlanTasks(content) {
+  return parseWisdomMarkdown(content).entries.filter(isPlanTask).map(e => ({
+    id: e.id,
+    text: e.text.replace(CHECKBOX_RE, ''),
+    status: taskStatus(e),
+    session: e.meta.session || null,
+    commits: e.meta.commits || []
+  }));
+}
+
+/**
+ * { done, total } over a plan's tasks; dropped tasks are left out of both.
+ */
+export function planProgress(content) {
+  const tasks = parsePlanTasks(content).filter(t => t.status !== 'dropped');
+  return { done: tasks.filter(t => t.status === 'done').length, total: tasks.length };
+}
+
+/**
+ * The value of a plan's *Status* line, or null.
+ */
+export function planStatus(content) {
+  return content.match(/^\*Status\*: ([^|\n]+)/m)?.[1].trim() || null;
+}
+
+/**
+ * Append tasks (status todo) under ## Tasks, creating the header if needed.
+ * Returns { content, tasks: [{ id, text }] }.
+ */
+export function addPlanTasks(content, texts, { session } = {}) {
+  const now = new Date().toISOString();
+  const tasks = [];
+  for (const text of texts) {
+    const entry = {
+      id: 't-' + crypto.randomBytes(4).toString('hex'),
+      type: 'task',
+      text: checkbox('todo') + text.replace(/\s*\n\s*/g, ' ').trim(),
+      date: null,
+      bold: false,
+      meta: { status: 'todo', created: now, updated: now, session: session || undefined },
+      annotations: [],
+      raw: null
+    };
+    content = appendUnderHeader(content, TASKS_HEADER, entry);
+    tasks.push({ id: entry.id, text: entry.text.replace(CHECKBOX_RE, '') });
+  }
+  return { content, tasks };
+}
+
+/**
+ * Keep tasks in the order they were added (insertEntry puts new ones first).
+ */
+function appendUnderHeader(content, header, entry) {
+  const doc = parseWisdomMarkdown(content);
+  const existing = doc.entries.filter(e => e.header === header);
+  if (existing.length === 0) return insertEntry(content, header, entry);
+  const last = existing[existing.length - 1];
+  doc.blocks.splice(doc.blocks.indexOf(last) + 1, 0, entry);
+  doc.entries.push(entry);
+  return serializeWisdomMarkdown(doc);
+}
+
+/**
+ * Change a task's status, text, and/or linked commits. Moving a task to
+ * in_progress or done makes `session` its owner.
+ * Returns { content, task, previousStatus } or null if the task is unknown.
+ */
+export function updatePlanTask(content, taskId, { status, text, commits, session } = {}) {
+  const doc = parseWisdomMarkdown(content);
+  const entry = findEntry(doc, taskId);
+  if (!entry || !isPlanTask(entry)) return null;
+
+  const previousStatus = taskStatus(entry);
+  const newStatus = status || previousStatus;
+  const body = text !== undefined ? text.replace(/\s*\n\s*/g, ' ').trim() : entry.text.replace(CHECKBOX_RE, '');
+  const now = new Date().toISOString();
+
+  entry.type = 'task';
+  entry.text = checkbox(newStatus) + body;
+  entry.meta.status = newStatus;
+  entry.meta.updated = now;
+  if (status && status !== previousStatus) {
+    if (status === 'done') entry.meta.completed = now;
+    else delete entry.meta.completed;
+    if ((status === 'in_progress' || status === 'done') && session) entry.meta.session = session;
+  }
+  if (commits?.length > 0) {
+    entry.meta.commits = [...new Set([...(entry.meta.commits || []), ...commits])];
+  }
+  entry.raw = null;
+
+  return {
+    content: serializeWisdomMarkdown(doc),
+    task: { id: taskId, text: body, status: newStatus, session: entry.meta.session || null, commits: entry.meta.commits || [] },
+    previousStatus
+  };
+}
+
+/**
+ * Set the plan's *Status* (keeping the other fields of that line, stamping
+ * *Updated*) and log the transition under ## Status History.
+ * Returns the new content; unchanged if the status is the same.
+ */
+export function setPlanStatus(content, status, { date = new Date() } = {}) {
+  const previous = planStatus(content);
+  if (previous === status) return content;
+  const day = date.toISOString().split('T')[0];
+  const stamp = date.toISOString().slice(0, 16).replace('T', ' ');
+
+  const line = content.match(STATUS_LINE_RE)?.[0];
+  if (line) {
+    const fields = line.split(' | ').filter(f => !/^\*(Status|Updated)\*:/.test(f));
+    content = content.replace(STATUS_LINE_RE, [`*Status*: ${status}`, ...fields, `*Updated*: ${day}`].join(' | '));
+  } else {
+    content = content.replace(/^(# .+\n)/, `$1\n*Status*: ${status} | *Updated*: ${day}\n`);
+  }
+  return appendHistory(content, `- ${stamp}: ${previous || 'none'} → ${status}`);
+}
+
+/**
+ * Start a new plan's status history ("created as <status>").
+ */
+export function startPlanHistory(content, status, { date = new Date() } = {}) {
+  return appendHistory(content, `- ${date.toISOString().slice(0, 16).replace('T', ' ')}: created as ${status}`);
+}
+
+/**
+ * Add design decision bullets ("- ..." lines) under ## Design Decisions,
+ * creating the header if needed; bullets already there are skipped.
+ */
+export function addPlanDecisions(content, bullets) {
+  const fresh = [...new Set(bullets)].filter(b => !content.split('\n').includes(b));
+  return fresh.length > 0 ? appendUnder(content, DECISIONS_HEADER, fresh) : content;
+}
+
+function appendHistory(content, line) {
+  return appendUnder(content, HISTORY_HEADER, [line]);
+}
+
+function appendUnder(content, header, added) {
+  const lines = content.trimEnd().split('\n');
+  const start = lines.indexOf(`## ${header}`);
+  if (start === -1) return `${lines.join('\n')}\n\n## ${header}\n${added.join('\n')}\n`;
+  let end = start + 1;
+  while (end < lines.length && !lines[end].startsWith('## ')) end++;
+  while (end > start + 1 && lines[end - 1] === '') end--;
+  lines.splice(end, 0, ...added);
+  return lines.join('\n') + '\n';
+}
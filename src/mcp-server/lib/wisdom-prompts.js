@@ -0,0 +1,55 @@
+/**
+ * MCP prompts.
+ *
+ * session_handoff — the hand-off request from docs/handoff-template.md
+ * ("## Prompt" section, read at request time so the doc stays the single
+ * source), with optional context level, custom marker (for
+ * prune_to_handoff's `marker` arg), and extra focus.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const HANDOFF_TEMPLATE = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../../docs/handoff-template.md');
+const DEFAULT_MARKER = '## SESSION HANDOFF';
+
+export const PROMPTS = [
+  {
+    name: 'session_handoff',
+    description: 'Ask the session to write a hand-off for its next-session self, to be picked up with prune_to_handoff.',
+    arguments: [
+      { name: 'context_percent', description: 'Current context usage, e.g. "82" — prefaces the request.', required: false },
+      { name: 'marker', description: `Heading the hand-off must start with (default "${DEFAULT_MARKER}"). Pass the same marker to prune_to_handoff.`, required: false },
+      { name: 'focus', description: 'Anything the hand-off should be sure to cover.', required: false }
+    ]
+  }
+];
+
+/**
+ * The prompt text from the template's "## Prompt" section, unquoted.
+ */
+export function readHandoffPrompt(templatePath = HANDOFF_TEMPLATE) {
+  const doc = fs.readFileSync(templatePath, 'utf8');
+  const section = doc.match(/^## Prompt\n([\s\S]*?)(?=^## |(?![\s\S]))/m)?.[1] || '';
+  const quoted = section.split('\n').filter(l => l.startsWith('>'));
+  if (quoted.length === 0) throw new Error(`No prompt found in ${templatePath}`);
+  return quoted.map(l => l.replace(/^> ?/, '')).join('\n').trim();
+}
+
+/**
+ * Build a prompt as { description, messages }. Throws for unknown names.
+ */
+export function getPrompt(name, args = {}) {
+  if (name !== 'session_handoff') throw new Error(`Unknown prompt: ${name}`);
+
+  let text = readHandoffPrompt();
+  if (args.marker && args.marker !== DEFAULT_MARKER) text = text.split(DEFAULT_MARKER).join(args.marker);
+  if (args.context_percent) text = `Context is at ${String(args.context_percent).replace(/%$/, '')}% — ${text}`;
+  if (args.focus) text += `\n\nMake sure the hand-off covers: ${args.focus}`;
+
+  return {
+    description: PROMPTS[0].description,
+    messages: [{ role: 'user', content: { type: 'text', text } }]
+  };
+}
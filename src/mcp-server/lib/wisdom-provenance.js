@@ -0,0 +1,131 @@
+/**
+ * Where a wisdom entry came from.
+ *
+ * save_wisdom records meta.source = { conversation, message, time }: the
+ * caller's conversation (findCallerConvIdFromParent — never guessed), the
+ * UUID of the assistant message that issued the save_wisdom call, and when
+ * it was saved. The message is found by scanning the tail of the
+ * conversation JSONL for the save_wisdom tool_use carrying this content; if
+ * it isn't there yet, the latest assistant message stands in.
+ *
+ * openSource resolves that back to a turn with the inspect_pruned_messages
+ * machinery (assignTurnIds / summarizeTurn). Pruned messages are still in
+ * the file, so this works after a prune_context. Entries saved before
+ * provenance was recorded fall back to their author session (meta.session)
+ * and creation time: the last message at or before it.
+ */
+
+import fs from 'fs';
+import { findConversationFile, readAllMessages } from './jsonl.js';
+import { assignTurnIds, summarizeTurn } from './orphan-summarizer.js';
+
+// How much of the conversation tail to scan for the save_wisdom call
+const TAIL_BYTES = 512 * 1024;
+
+/**
+ * Provenance for content being saved now from `conversationId`:
+ * { conversation, message?, time }, or null outside a known conversation.
+ */
+export function captureSource(conversationId, content, { cwd } = {}) {
+  if (!conversationId) return null;
+  const source = { conversation: conversationId };
+  const filePath = findConversationFile(conversationId, cwd);
+  if (filePath) {
+    const message = findSavingMessage(readTail(filePath), content);
+    if (message) source.message = message;
+  }
+  source.time = new Date().toISOString();
+  return source;
+}
+
+/**
+ * Last parseable message lines of a JSONL file, up to TAIL_BYTES.
+ */
+function readTail(filePath) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const size = fs.fstatSync(fd).size;
+    const start = Math.max(0, size - TAIL_BYTES);
+    const buf = Buffer.alloc(size - start);
+    fs.readSync(fd, buf, 0, buf.length, start);
+    const lines = buf.toString('utf8').split('\n');
+    if (start > 0) lines.shift(); // partial first line
+    const messages = [];
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const data = JSON.parse(line);
+        if (data?.uuid) messages.push(data);
+      } catch (_) { /* skip malformed */ }
+    }
+    return messages;
+  } catch {
+    return [];
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/**
+ * UUID of the assistant message whose save_wisdom call carries `content`,
+ * else of the latest assistant message.
+ */
+function findSavingMessage(messages, content) {
+  let latest = null;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const m = messages[i];
+    if ((m.message?.role || m.type) !== 'assistant') continue;
+    latest = latest || m.uuid;
+    const blocks = Array.isArray(m.message?.content) ? m.message.content : [];
+    if (blocks.some(b => b?.type === 'tool_use' && /save_wisdom$/.test(b.name || '') && b.input?.content === content)) {
+      return m.uuid;
+    }
+  }
+  return latest;
+}
+
+/**
+ * Recorded source of an entry, or for older entries the author session and
+ * creation time: { conversation, message?, time?, legacy? } or null.
+ */
+export function entrySource(entry) {
+  const meta = entry.meta || {};
+  if (meta.source?.conversation) return meta.source;
+  if (meta.session) return { conversation: meta.session, time: meta.created, legacy: true };
+  return null;
+}
+
+/**
+ * Open the turn an entry was saved in.
+ * Returns null when the entry has no source, { source, missing: true } when
+ * the conversation file is gone, otherwise { source, filePath, msgIndex
+ * (1-indexed, null if the message can't be placed), matchedBy ('message' |
+ * 'time'), summary (summarizeTurn) }.
+ */
+export function openSource(entry, { cwd } = {}) {
+  const source = entrySource(entry);
+  if (!source) return null;
+  const filePath = findConversationFile(source.conversation, cwd);
+  if (!filePath) return { source, missing: true };
+
+  const messages = readAllMessages(filePath);
+  let idx = source.message ? messages.findIndex(m => m.uuid === source.message) : -1;
+  let matchedBy = 'message';
+  if (idx < 0 && source.time) {
+    matchedBy = 'time';
+    for (let i = 0; i < messages.length; i++) {
+      if (messages[i].timestamp && messages[i].timestamp <= source.time) idx = i;
+    }
+  }
+  if (idx < 0) return { source, filePath, msgIndex: null, matchedBy: null, summary: null };
+
+  const turnIds = assignTurnIds(messages);
+  return {
+    source,
+    filePath,
+    msgIndex: idx + 1,
+    matchedBy,
+    summary: summarizeTurn(messages, turnIds, turnIds[idx])
+  };
+}
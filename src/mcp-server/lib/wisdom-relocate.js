@@ -0,0 +1,331 @@
+/**
+ * Keep sidecars attached to their source files across renames and moves.
+ *
+ * A sidecar is orphaned when <file>.wisdom exists but <file> doesn't. For each
+ * orphan we suggest where the source went, from two signals:
+ *   - git rename tracking: staged renames (`git mv`) and renames in recent
+ *     history, followed through chains (a.js → b.js → c.js)
+ *   - content similarity: the file's last committed content (or, failing
+ *     that, the symbols its entries are anchored to) compared against files
+ *     of the same extension that exist now
+ *
+ * relocateSidecar moves the sidecar (and its history file) and rewrites every
+ * reference to the old path: anchors in entry metadata and index.json
+ * keyword/section/plan file refs.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import {
+  getWisdomDir,
+  readIndex,
+  writeIndex,
+  findSidecarFiles,
+  parseWisdomMarkdown,
+  serializeWisdomMarkdown
+} from './wisdom.js';
+import { listWisdomFiles, historyPathFor } from './wisdom-edit.js';
+import { scanFile } from './indexer.js';
+import { withWisdomLock } from './wisdom-lock.js';
+import { writeJournaled } from './wisdom-journal.js';
+
+// Suggestions scoring below this are not shown
+const MIN_SUGGESTION_SCORE = 0.5;
+// Candidate files considered for similarity (per orphan's extension)
+const MAX_CANDIDATES = 2000;
+// How far back to look for committed renames
+const RENAME_HISTORY_DEPTH = 200;
+const SKIP_DIRS = new Set(['node_modules', 'dist', 'build', 'coverage', 'vendor', 'target']);
+
+function git(projectRoot, args) {
+  try {
+    return execFileSync('git', args, {
+      cwd: projectRoot,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 5000,
+      maxBuffer: 16 * 1024 * 1024
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The project's path inside its git repo ("" at the repo root), or null
+ * outside a repo.
+ */
+function gitPrefix(projectRoot) {
+  const out = git(projectRoot, ['rev-parse', '--show-prefix']);
+  return out === null ? null : out.trim();
+}
+
+function toRef(projectRoot, p) {
+  return path.relative(projectRoot, path.resolve(projectRoot, p)).split(path.sep).join('/');
+}
+
+/**
+ * Sidecars whose source file no longer exists, as [{ ref, sidecarPath }].
+ * Cheap: no git or similarity work.
+ */
+export function listOrphanedSidecars(projectRoot) {
+  const orphans = [];
+  for (const sidecarPath of findSidecarFiles(projectRoot)) {
+    const source = sidecarPath.slice(0, -'.wisdom'.length);
+    if (!fs.existsSync(source)) orphans.push({ ref: toRef(projectRoot, source), sidecarPath });
+  }
+  return orphans;
+}
+
+/**
+ * Map of old path → new path (project-relative) from git: staged renames
+ * first, then committed renames newest-first. Empty outside a git repo.
+ */
+export function gitRenames(projectRoot) {
+  const renames = new Map();
+  const prefix = gitPrefix(projectRoot);
+  if (prefix === null) return renames;
+
+  // git prints repo-root-relative paths; keep only those inside the project
+  const local = p => (p.startsWith(prefix) ? p.slice(prefix.length) : null);
+  const add = (from, to) => {
+    const a = local(from);
+    const b = local(to);
+    if (a && b && !renames.has(a)) renames.set(a, b);
+  };
+
+  const status = git(projectRoot, ['status', '--porcelain', '--untracked-files=no']) || '';
+  for (const line of status.split('\n')) {
+    const m = line.match(/^R. (.+) -> (.+)$/);
+    if (m) add(unquote(m[1]), unquote(m[2]));
+  }
+
+  const log = git(projectRoot, [
+    'log', '-M', '--diff-filter=R', '--name-status', '--format=', `-n${RENAME_HISTORY_DEPTH}`
+  ]) || '';
+  for (const line of log.split('\n')) {
+    const m = line.match(/^R\d*\t(.+)\t(.+)$/);
+    if (m) add(unquote(m[1]), unquote(m[2]));
+  }
+
+  return renames;
+}
+
+function unquote(p) {
+  return p.startsWith('"') ? JSON.parse(p) : p;
+}
+
+/**
+ * Follow a rename chain from `ref` to the first path that exists.
+ */
+function followRenames(projectRoot, renames, ref) {
+  const seen = new Set([ref]);
+  let current = ref;
+  while (renames.has(current)) {
+    current = renames.get(current);
+    if (seen.has(current)) return null;
+    seen.add(current);
+    if (fs.existsSync(path.join(projectRoot, current))) return current;
+  }
+  return null;
+}
+
+function lineSet(content) {
+  return new Set(content.split('\n').map(l => l.trim()).filter(l => l.length > 1));
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const l of a) if (b.has(l)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Source files with the given extension that exist now and have no sidecar.
+ */
+function candidateFiles(projectRoot, ext, dir = projectRoot, depth = 0, out = []) {
+  if (depth > 8 || out.length >= MAX_CANDIDATES) return out;
+  let dirents;
+  try { dirents = fs.readdirSync(dir, { withFileTypes: true }); } catch { return out; }
+  for (const d of dirents) {
+    if (d.name.startsWith('.') || SKIP_DIRS.has(d.name)) continue;
+    const full = path.join(dir, d.name);
+    if (d.isDirectory()) {
+      candidateFiles(projectRoot, ext, full, depth + 1, out);
+    } else if (path.extname(d.name) === ext && !fs.existsSync(full + '.wisdom')) {
+      out.push(toRef(projectRoot, full));
+    }
+  }
+  return out;
+}
+
+/**
+ * Names of the symbols this sidecar's entries are anchored to.
+ */
+function anchoredSymbols(sidecarPath, ref) {
+  const names = new Set();
+  try {
+    const doc = parseWisdomMarkdown(fs.readFileSync(sidecarPath, 'utf8'));
+    for (const entry of doc.entries) {
+      for (const anchor of entry.meta?.anchors || []) {
+        if (anchor.file !== ref) continue;
+        for (const s of anchor.symbols || []) names.add(s.name);
+      }
+    }
+  } catch { /* unreadable — no symbols */ }
+  return [...names];
+}
+
+function definesSymbols(projectRoot, ref, content, names) {
+  const present = names.filter(n => content.includes(n));
+  if (present.length === 0) return 0;
+  const symbols = scanFile(projectRoot, ref);
+  if (!symbols) return 0;
+  const defined = present.filter(n => ['functions', 'classes', 'variables'].some(c => symbols[c]?.[n]?.file === ref));
+  return defined.length / names.length;
+}
+
+/**
+ * Orphaned sidecars with suggested new locations:
+ * [{ ref, sidecarPath, suggestions: [{ to, score, reason }] }], best suggestion first.
+ */
+export function findOrphanedSidecars(projectRoot) {
+  const orphans = listOrphanedSidecars(projectRoot);
+  if (orphans.length === 0) return [];
+
+  const renames = gitRenames(projectRoot);
+  const prefix = gitPrefix(projectRoot);
+  const candidatesByExt = new Map();
+
+  for (const orphan of orphans) {
+    const suggestions = new Map();
+    const suggest = (to, score, reason) => {
+      const prev = suggestions.get(to);
+      if (!prev || prev.score < score) suggestions.set(to, { to, score: Math.round(score * 100) / 100, reason });
+    };
+
+    const renamed = followRenames(projectRoot, renames, orphan.ref);
+    if (renamed && !fs.existsSync(path.join(projectRoot, renamed) + '.wisdom')) {
+      suggest(renamed, 1, 'git rename');
+    }
+
+    const ext = path.extname(orphan.ref);
+    if (!candidatesByExt.has(ext)) candidatesByExt.set(ext, candidateFiles(projectRoot, ext));
+    const oldContent = prefix === null ? null : git(projectRoot, ['show', `HEAD:${prefix}${orphan.ref}`]);
+    const oldLines = oldContent ? lineSet(oldContent) : null;
+    const symbols = anchoredSymbols(orphan.sidecarPath, orphan.ref);
+
+    if (oldLines || symbols.length > 0) {
+      for (const candidate of candidatesByExt.get(ext)) {
+        let content;
+        try { content = fs.readFileSync(path.join(projectRoot, candidate), 'utf8'); } catch { continue; }
+        let score = 0;
+        let reason = null;
+        if (oldLines) {
+          score = jaccard(oldLines, lineSet(content));
+          reason = 'similar content';
+        }
+        if (symbols.length > 0) {
+          const coverage = 0.9 * definesSymbols(projectRoot, candidate, content, symbols);
+          if (coverage > score) {
+            score = coverage;
+            reason = 'defines anchored symbols';
+          }
+        }
+        if (score > 0 && path.basename(candidate) === path.basename(orphan.ref)) score = Math.min(1, score + 0.1);
+        if (score >= MIN_SUGGESTION_SCORE) suggest(candidate, score, reason);
+      }
+    }
+
+    orphan.suggestions = [...suggestions.values()].sort((a, b) => b.score - a.score).slice(0, 3);
+  }
+
+  return orphans;
+}
+
+/**
+ * Move the sidecar for `from` to `to` (project-relative source paths) and
+ * rewrite every reference to the old path. Throws if there is no sidecar to
+ * move, the destination source file is missing, or it already has a sidecar.
+ * Returns { from, to, entries, anchorsUpdated, indexRefsUpdated }.
+ */
+export function relocateSidecar(projectRoot, fromPath, toPath) {
+  return withWisdomLock(getWisdomDir(projectRoot), () => {
+    const from = toRef(projectRoot, fromPath);
+    const to = toRef(projectRoot, toPath);
+    const fromSidecar = path.join(projectRoot, from) + '.wisdom';
+    const toSidecar = path.join(projectRoot, to) + '.wisdom';
+
+    if (from === to) throw new Error('Source and destination are the same file');
+    if (!fs.existsSync(fromSidecar)) throw new Error(`No sidecar found for ${from}`);
+    if (!fs.existsSync(path.join(projectRoot, to))) throw new Error(`Destination file does not exist: ${to}`);
+    if (fs.existsSync(toSidecar)) throw new Error(`${to} already has a sidecar; merge its entries by hand`);
+
+    // Move the sidecar, retitling it if it still carries the old file name
+    const doc = parseWisdomMarkdown(fs.readFileSync(fromSidecar, 'utf8'));
+    const title = `# ${path.basename(from)} — Wisdom`;
+    const titleIdx = doc.blocks.indexOf(title);
+    if (titleIdx !== -1) doc.blocks[titleIdx] = `# ${path.basename(to)} — Wisdom`;
+    writeJournaled(projectRoot, toSidecar, serializeWisdomMarkdown(doc), 'relocate');
+    writeJournaled(projectRoot, fromSidecar, null, 'relocate');
+
+    // History of retired entries follows the sidecar
+    const fromHistory = historyPathFor(projectRoot, { ref: from, kind: 'sidecar' });
+    if (fs.existsSync(fromHistory)) {
+      const toHistory = historyPathFor(projectRoot, { ref: to, kind: 'sidecar' });
+      writeJournaled(projectRoot, toHistory, fs.readFileSync(fromHistory, 'utf8'), 'relocate');
+      writeJournaled(projectRoot, fromHistory, null, 'relocate');
+    }
+
+    // Anchors anywhere in project wisdom that point at the old path
+    let anchorsUpdated = 0;
+    for (const file of listWisdomFiles(projectRoot)) {
+      if (file.kind === 'global') continue;
+      let fileDoc;
+      try { fileDoc = parseWisdomMarkdown(fs.readFileSync(file.filePath, 'utf8')); } catch { continue; }
+      let changed = false;
+      for (const entry of fileDoc.entries) {
+        for (const anchor of entry.meta?.anchors || []) {
+          if (anchor.file !== from) continue;
+          anchor.file = to;
+          entry.raw = null;
+          changed = true;
+          anchorsUpdated++;
+        }
+      }
+      if (changed) writeJournaled(projectRoot, file.filePath, serializeWisdomMarkdown(fileDoc), 'relocate');
+    }
+
+    const indexRefsUpdated = rewriteIndexRefs(getWisdomDir(projectRoot), from, to);
+
+    return { from, to, entries: doc.entries.length, anchorsUpdated, indexRefsUpdated };
+  });
+}
+
+/**
+ * Point index.json keyword refs ("from" and "from#<id>") and section/plan
+ * file lists at the new path. Returns how many refs changed.
+ */
+function rewriteIndexRefs(wisdomDir, from, to) {
+  const index = readIndex(wisdomDir);
+  let count = 0;
+  const move = ref => {
+    if (ref === from) { count++; return to; }
+    if (ref.startsWith(`${from}#`)) { count++; return to + ref.slice(from.length); }
+    return ref;
+  };
+
+  for (const [kw, refs] of Object.entries(index.keywords || {})) {
+    index.keywords[kw] = [...new Set(refs.map(move))];
+  }
+  for (const group of [index.sections, index.plans]) {
+    for (const item of Object.values(group || {})) {
+      if (Array.isArray(item.files)) item.files = item.files.map(move);
+    }
+  }
+
+  if (count > 0) writeIndex(wisdomDir, index);
+  return count;
+}
@@ -0,0 +1,139 @@
+/**
+ * Wisdom as MCP resources, for clients that browse context (resource
+ * pickers, @-mentions) rather than call tools.
+ *
+ * URIs:
+ *   wisdom://overview                      — get_wisdom's overview (built by the server)
+ *   wisdom://project-overview              — file tree + symbols from a fresh scan
+ *   wisdom://symbols                       — .wisdom/symbols.json
+ *   wisdom://project/sections/<name>.md    — likewise plans/ and patterns/
+ *   wisdom://sidecar/<path>                — <path>.wisdom, by its source file
+ *   wisdom://global/<root>/<sub>/<file>.md — a file in a global root
+ *
+ * Wisdom files are served rendered (metadata comments hidden, entry IDs
+ * shown), as get_wisdom shows them. resourceUrisForPath maps a written file
+ * back to the URIs whose content it changes, for update notifications.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getWisdomDir, getGlobalRoots, renderWisdomMarkdown } from './wisdom.js';
+import { listWisdomFiles } from './wisdom-edit.js';
+import { scanProject, generateOverview } from './indexer.js';
+
+export const OVERVIEW_URI = 'wisdom://overview';
+export const PROJECT_OVERVIEW_URI = 'wisdom://project-overview';
+export const SYMBOLS_URI = 'wisdom://symbols';
+
+const PROJECT_KIND_NAMES = { section: 'Section', plan: 'Plan', pattern: 'Pattern' };
+
+export const RESOURCE_TEMPLATES = [
+  { uriTemplate: 'wisdom://project/sections/{name}.md', name: 'Section', description: 'A wisdom section by name.', mimeType: 'text/markdown' },
+  { uriTemplate: 'wisdom://project/plans/{name}.md', name: 'Plan', description: 'A plan by name.', mimeType: 'text/markdown' },
+  { uriTemplate: 'wisdom://project/patterns/{name}.md', name: 'Pattern', description: 'A project pattern by name.', mimeType: 'text/markdown' },
+  { uriTemplate: 'wisdom://sidecar/{+path}', name: 'Sidecar', description: 'Wisdom recorded for a source file (project-relative path).', mimeType: 'text/markdown' },
+  { uriTemplate: 'wisdom://global/{root}/{+path}', name: 'Global wisdom', description: 'A pattern or lesson in a global root.', mimeType: 'text/markdown' }
+];
+
+const encodePath = ref => ref.split(/[\\/]/).map(encodeURIComponent).join('/');
+
+function uriForFile(file) {
+  if (file.kind === 'sidecar') return `wisdom://sidecar/${encodePath(file.ref)}`;
+  if (file.kind === 'global') return `wisdom://global/${encodePath(file.ref)}`;
+  return `wisdom://project/${encodePath(file.ref)}`;
+}
+
+function nameForFile(file) {
+  if (file.kind === 'sidecar') return `Wisdom for ${file.ref}`;
+  if (file.kind === 'global') return `Global (${file.root}): ${file.ref.slice(file.root.length + 1)}`;
+  return `${PROJECT_KIND_NAMES[file.kind]}: ${path.basename(file.ref, '.md')}`;
+}
+
+/**
+ * Every readable resource: the generated views, symbols.json if present,
+ * and each wisdom file.
+ */
+export function listResources(projectRoot) {
+  const resources = [
+    { uri: OVERVIEW_URI, name: 'Wisdom overview', description: 'Sections, plans, keywords, and sidecars in this project.', mimeType: 'text/markdown' },
+    { uri: PROJECT_OVERVIEW_URI, name: 'Project overview', description: 'File tree and key symbols, freshly scanned.', mimeType: 'text/markdown' }
+  ];
+  if (fs.existsSync(path.join(getWisdomDir(projectRoot), 'symbols.json'))) {
+    resources.push({ uri: SYMBOLS_URI, name: 'Symbol registry', description: '.wisdom/symbols.json', mimeType: 'application/json' });
+  }
+  for (const file of listWisdomFiles(projectRoot)) {
+    resources.push({ uri: uriForFile(file), name: nameForFile(file), mimeType: 'text/markdown' });
+  }
+  return resources;
+}
+
+/**
+ * The file behind a file-backed URI, as { filePath, kind }, or null.
+ * Paths that escape their directory are rejected.
+ */
+function resolveFileUri(projectRoot, uri) {
+  const match = uri.match(/^wisdom:\/\/(project|sidecar|global)\/(.+)$/);
+  if (!match) return null;
+  let ref;
+  try { ref = decodeURIComponent(match[2]); } catch { return null; }
+  const parts = ref.split('/');
+  if (parts.some(p => p === '..' || p === '')) return null;
+
+  if (match[1] === 'project') {
+    if (!/^(sections|plans|patterns)\/[^/]+\.md$/.test(ref)) return null;
+    return { filePath: path.join(getWisdomDir(projectRoot), ref), kind: 'project' };
+  }
+  if (match[1] === 'sidecar') {
+    return { filePath: path.join(projectRoot, ref) + '.wisdom', kind: 'sidecar' };
+  }
+  const root = getGlobalRoots().find(r => r.name === parts[0]);
+  if (!root || !/^(patterns|lessons)$/.test(parts[1] || '') || parts.length !== 3) return null;
+  return { filePath: path.join(root.dir, ...parts.slice(1)), kind: 'global' };
+}
+
+/**
+ * Read a resource as { uri, mimeType, text }. OVERVIEW_URI is built by the
+ * server from get_wisdom; every other URI is handled here.
+ * Throws if the URI is unknown or its file doesn't exist.
+ */
+export function readResource(projectRoot, uri) {
+  if (uri === PROJECT_OVERVIEW_URI) {
+    return { uri, mimeType: 'text/markdown', text: generateOverview(projectRoot, scanProject(projectRoot)) };
+  }
+  if (uri === SYMBOLS_URI) {
+    const symbolsPath = path.join(getWisdomDir(projectRoot), 'symbols.json');
+    if (!fs.existsSync(symbolsPath)) throw new Error('No symbol registry yet — run reindex_project.');
+    return { uri, mimeType: 'application/json', text: fs.readFileSync(symbolsPath, 'utf8') };
+  }
+  const file = resolveFileUri(projectRoot, uri);
+  if (!file || !fs.existsSync(file.filePath)) throw new Error(`Unknown resource: ${uri}`);
+  const content = fs.readFileSync(file.filePath, 'utf8');
+  return {
+    uri,
+    mimeType: 'text/markdown',
+    text: file.kind === 'global' ? content : renderWisdomMarkdown(content)
+  };
+}
+
+/**
+ * URIs whose content changes when `filePath` is written: the file's own
+ * resource, or the overview/symbols views for index.json and symbols.json.
+ */
+export function resourceUrisForPath(projectRoot, filePath) {
+  const wisdomDir = getWisdomDir(projectRoot);
+  if (filePath === path.join(wisdomDir, 'index.json')) return [OVERVIEW_URI];
+  if (filePath === path.join(wisdomDir, 'symbols.json')) return [SYMBOLS_URI, PROJECT_OVERVIEW_URI];
+
+  const rel = path.relative(wisdomDir, filePath);
+  if (!rel.startsWith('..') && !path.isAbsolute(rel)) {
+    return /^(sections|plans|patterns)[\\/][^\\/]+\.md$/.test(rel) ? [`wisdom://project/${encodePath(rel)}`] : [];
+  }
+  for (const root of getGlobalRoots()) {
+    const inRoot = path.relative(root.dir, filePath);
+    if (!inRoot.startsWith('..') && !path.isAbsolute(inRoot)) return [`wisdom://global/${encodePath(`${root.name}/${inRoot}`)}`];
+  }
+  if (filePath.endsWith('.wisdom')) {
+    return [`wisdom://sidecar/${encodePath(path.relative(projectRoot, filePath).slice(0, -'.wisdom'.length))}`];
+  }
+  return [];
+}
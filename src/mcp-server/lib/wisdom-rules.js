@@ -0,0 +1,198 @@
+/**
+ * Export wisdom to the rule files other assistants read.
+ *
+ * Each target is one file with a template (heading level, front matter for a
+ * new file) and a size limit:
+ *
+ *   agents    AGENTS.md                         32000 chars
+ *   copilot   .github/copilot-instructions.md   8000
+ *   cursor    .cursor/rules/wisdom.mdc          12000, alwaysApply front matter
+ *   windsurf  .windsurf/rules/wisdom.md         6000, always_on front matter
+ *
+ * What goes in, in priority order: cautions (from sections and sidecars),
+ * section entries, then pattern entries. Plans, global wisdom and other
+ * sidecar entries stay out — they are file- or task-specific. Superseded
+ * entries are skipped. When the limit is reached the rest is left out and a
+ * note says how many.
+ *
+ * The generated text sits between BEGIN_MARKER and END_MARKER; everything
+ * outside is left alone, so hand-written rules survive. A file without the
+ * markers gets the region appended. Output has no timestamps, so re-running
+ * an export over unchanged wisdom writes nothing, and a check run reports
+ * which files have drifted from what an export would write.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { isSuperseded } from './wisdom.js';
+import { listWisdomFiles, readWisdomFile } from './wisdom-edit.js';
+import { writeFileAtomic } from './wisdom-lock.js';
+
+export const BEGIN_MARKER = '<!-- wisdom-store:begin export_rules -->';
+export const END_MARKER = '<!-- wisdom-store:end export_rules -->';
+
+export const RULE_TARGETS = {
+  agents: { file: 'AGENTS.md', maxChars: 32000, heading: '##' },
+  copilot: { file: '.github/copilot-instructions.md', maxChars: 8000, heading: '##' },
+  cursor: {
+    file: '.cursor/rules/wisdom.mdc',
+    maxChars: 12000,
+    heading: '#',
+    preamble: '---\ndescription: Project wisdom exported from .wisdom/\nglobs:\nalwaysApply: true\n---\n\n'
+  },
+  windsurf: {
+    file: '.windsurf/rules/wisdom.md',
+    maxChars: 6000,
+    heading: '#',
+    preamble: '---\ntrigger: always_on\n---\n\n'
+  }
+};
+
+const NOTICE = '<!-- Generated from .wisdom/ by export_rules; edit the wisdom (save_wisdom, edit_wisdom), not this block. -->';
+
+/**
+ * The wisdom that goes into rule files:
+ * { cautions: [{ text, from }], sections: [{ name, entries }], patterns: [{ name, entries }] }
+ * `sections` limits section groups and section cautions to those names.
+ */
+export function collectRules(projectRoot, { sections } = {}) {
+  const wanted = sections?.length ? new Set(sections) : null;
+  const rules = { cautions: [], sections: [], patterns: [] };
+  const files = listWisdomFiles(projectRoot)
+    .filter(f => ['section', 'pattern', 'sidecar'].includes(f.kind))
+    .sort((a, b) => a.ref.localeCompare(b.ref));
+
+  for (const file of files) {
+    const name = file.kind === 'sidecar' ? file.ref : path.basename(file.ref, '.md');
+    if (file.kind === 'section' && wanted && !wanted.has(name)) continue;
+    let doc;
+    try { doc = readWisdomFile(file); } catch { continue; }
+    const entries = doc.entries.filter(e => !isSuperseded(e) && e.text.trim());
+
+    for (const e of entries.filter(e => e.type === 'caution')) {
+      rules.cautions.push({ text: e.text, from: file.kind === 'sidecar' ? file.ref : null });
+    }
+    if (file.kind === 'sidecar') continue;
+    const rest = entries.filter(e => e.type !== 'caution').map(e => e.text);
+    if (rest.length > 0) rules[file.kind === 'section' ? 'sections' : 'patterns'].push({ name, entries: rest });
+  }
+  return rules;
+}
+
+/**
+ * The marked region for one target: { region, included, omitted }.
+ */
+export function renderRules(rules, target, { maxChars = target.maxChars } = {}) {
+  const h = target.heading;
+  const groups = [
+    { title: 'Cautions', items: rules.cautions.map(c => bullet(c.text) + (c.from ? ` (\`${c.from}\`)` : '')) },
+    ...rules.sections.map(s => ({ title: s.name, items: s.entries.map(bullet) })),
+    ...rules.patterns.map(p => ({ title: `Pattern: ${p.name}`, items: p.entries.map(bullet) }))
+  ];
+  const total = groups.reduce((n, g) => n + g.items.length, 0);
+
+  const head = [BEGIN_MARKER, NOTICE, `${h} Project wisdom`];
+  const tail = [END_MARKER];
+  // Room for the omission note, so adding it never breaks the limit
+  const reserve = 80;
+  let size = [...head, ...tail].join('\n').length + reserve;
+  const body = [];
+  let included = 0;
+  let full = false;
+
+  for (const group of groups) {
+    if (full) break;
+    let opened = false;
+    for (const item of group.items) {
+      const heading = opened ? [] : ['', `${h}# ${group.title}`];
+      const cost = [...heading, item].reduce((n, l) => n + l.length + 1, 0);
+      if (size + cost > maxChars) {
+        full = true;
+        break;
+      }
+      body.push(...heading, item);
+      size += cost;
+      opened = true;
+      included++;
+    }
+  }
+
+  const omitted = total - included;
+  if (omitted > 0) {
+    body.push('', `_${omitted} more ${omitted === 1 ? 'entry' : 'entries'} left out to stay under ${maxChars} characters; see .wisdom/._`);
+  }
+  if (total === 0) body.push('', '_No wisdom to export yet._');
+  return { region: [...head, ...body, ...tail].join('\n'), included, omitted };
+}
+
+function bullet(text) {
+  return `- ${text.trim().split('\n').map(l => l.trim()).filter(Boolean).join('\n  ')}`;
+}
+
+/**
+ * `existing` with its marked region replaced by `region`, or the region
+ * appended (a new file gets the target's preamble). Throws if only one marker
+ * is present.
+ */
+export function applyRegion(existing, region, target) {
+  if (existing === null) return (target.preamble || '') + region + '\n';
+  const begin = existing.indexOf(BEGIN_MARKER);
+  const end = existing.indexOf(END_MARKER);
+  if (begin === -1 && end === -1) {
+    return (existing.trimEnd() ? existing.trimEnd() + '\n\n' : '') + region + '\n';
+  }
+  if (begin === -1 || end === -1 || end < begin) {
+    throw new Error('export_rules markers are damaged (one is missing or they are out of order)');
+  }
+  return existing.slice(0, begin) + region + existing.slice(end + END_MARKER.length);
+}
+
+/**
+ * Targets to export when none are named: those whose file exists, else agents.
+ */
+export function defaultTargets(projectRoot) {
+  const existing = Object.keys(RULE_TARGETS).filter(name =>
+    fs.existsSync(path.join(projectRoot, RULE_TARGETS[name].file)));
+  return existing.length > 0 ? existing : ['agents'];
+}
+
+/**
+ * Export (or with `check`, compare) rule files. One result per target:
+ * { target, file, status, included, omitted, error? } where status is
+ * created / updated / unchanged when writing, up_to_date / missing /
+ * out_of_date / no_region when checking, or error.
+ */
+export function exportRules(projectRoot, { targets, sections, maxChars, check = false } = {}) {
+  const rules = collectRules(projectRoot, { sections });
+  const results = [];
+
+  for (const name of targets || defaultTargets(projectRoot)) {
+    const target = RULE_TARGETS[name];
+    const filePath = path.join(projectRoot, target.file);
+    const { region, included, omitted } = renderRules(rules, target, { maxChars: maxChars || target.maxChars });
+    const result = { target: name, file: target.file, included, omitted };
+    results.push(result);
+
+    const existing = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    let next;
+    try {
+      next = applyRegion(existing, region, target);
+    } catch (e) {
+      result.status = 'error';
+      result.error = e.message;
+      continue;
+    }
+
+    if (check) {
+      result.status = existing === null ? 'missing'
+        : next === existing ? 'up_to_date'
+        : existing.includes(BEGIN_MARKER) ? 'out_of_date' : 'no_region';
+    } else if (next === existing) {
+      result.status = 'unchanged';
+    } else {
+      writeFileAtomic(filePath, next);
+      result.status = existing === null ? 'created' : 'updated';
+    }
+  }
+  return results;
+}
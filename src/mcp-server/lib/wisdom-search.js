@@ -0,0 +1,278 @@
+/**
+ * Ranked full-text search over all wisdom.
+ *
+ * Every entry (and every run of prose under a ## header, so plan descriptions
+ * and free-form pattern files are covered too) is a search document. Documents
+ * are scored with BM25; a query may mix bare terms ("retry upload") with
+ * quoted phrases ("\"do not retry\""). Phrases are required, terms are ranked.
+ * Entries whose keywords match a query term in index.json get a boost, and
+ * entries read in many sessions rank a little higher (lib/wisdom-usage.js).
+ *
+ * Term statistics live in .wisdom/search-index.json, keyed by file ref with
+ * the file's mtime/size. Each search re-tokenizes only the files that changed
+ * since the last call and drops files that disappeared.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getWisdomDir, readIndex, isSuperseded } from './wisdom.js';
+import { listWisdomFiles, readWisdomFile } from './wisdom-edit.js';
+import { writeFileAtomic } from './wisdom-lock.js';
+import { readUsage, usageBoost } from './wisdom-usage.js';
+
+const INDEX_FILE = 'search-index.json';
+const INDEX_VERSION = 2;
+
+// BM25 parameters (standard defaults)
+const K1 = 1.2;
+const B = 0.75;
+// Added per query term that matches one of the entry's index.json keywords
+const KEYWORD_BOOST = 1.5;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'is', 'are',
+  'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'with', 'as', 'at',
+  'by', 'from', 'so', 'if', 'then', 'than', 'we', 'you', 'i'
+]);
+
+/**
+ * Light plural stemming so "caches" finds "cache" and "entries" finds "entry".
+ */
+function stem(term) {
+  if (term.length > 4 && term.endsWith('ies')) return term.slice(0, -3) + 'y';
+  if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss')) return term.slice(0, -1);
+  return term;
+}
+
+function normalizeWord(word) {
+  const lower = word.toLowerCase();
+  if (STOPWORDS.has(lower)) return null;
+  return stem(lower);
+}
+
+/**
+ * Ordered terms of a text, for phrase matching.
+ */
+export function sequenceTokens(text) {
+  const out = [];
+  for (const word of text.match(/[A-Za-z0-9_]+/g) || []) {
+    const term = normalizeWord(word);
+    if (term) out.push(term);
+  }
+  return out;
+}
+
+/**
+ * Bag of terms for scoring. camelCase / snake_case identifiers also
+ * contribute their parts, so "saveWisdom" matches a search for "wisdom".
+ */
+export function tokenize(text) {
+  const out = [];
+  for (const word of text.match(/[A-Za-z0-9_]+/g) || []) {
+    const term = normalizeWord(word);
+    if (term) out.push(term);
+    const parts = word
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .split(/[\s_]+/)
+      .filter(Boolean);
+    if (parts.length > 1) {
+      for (const part of parts) {
+        const p = normalizeWord(part);
+        if (p && p !== term) out.push(p);
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Split a query into quoted phrases and bare terms.
+ */
+export function parseQuery(query) {
+  const phrases = [];
+  const rest = query.replace(/"([^"]+)"/g, (_, phrase) => {
+    const seq = sequenceTokens(phrase);
+    if (seq.length > 0) phrases.push(seq);
+    return ' ';
+  });
+  const terms = [...new Set([...tokenize(rest), ...phrases.flat()])];
+  return { terms, phrases };
+}
+
+/**
+ * Turn one wisdom file into search documents: one per entry, plus one per
+ * header's worth of prose (lines that aren't entries or headings).
+ */
+function buildFileDocs(file) {
+  const doc = readWisdomFile(file);
+  const docs = [];
+
+  for (const entry of doc.entries) {
+    const annotations = entry.annotations.join(' ');
+    const keywords = (entry.meta?.keywords || []).join(' ');
+    docs.push(makeDoc({
+      id: entry.id,
+      header: entry.header,
+      type: entry.type,
+      date: entry.date,
+      superseded: isSuperseded(entry),
+      text: entry.text,
+      // Keywords count twice — they're the author's own summary of the entry
+      indexText: `${entry.text} ${annotations} ${keywords} ${keywords}`
+    }));
+  }
+
+  if (doc.blocks) {
+    let header = null;
+    let prose = [];
+    const flush = () => {
+      const text = prose.join(' ').trim();
+      if (text) docs.push(makeDoc({ id: null, header, type: null, date: null, superseded: false, text, indexText: text }));
+      prose = [];
+    };
+    for (const block of doc.blocks) {
+      if (typeof block !== 'string') continue;
+      const headerMatch = block.match(/^#{1,6} (.+)$/);
+      if (headerMatch) {
+        flush();
+        header = headerMatch[1].trim();
+      } else if (block.trim()) {
+        prose.push(block.trim());
+      }
+    }
+    flush();
+  }
+
+  return docs;
+}
+
+function makeDoc({ id, header, type, date, superseded, text, indexText }) {
+  const tf = {};
+  const terms = tokenize(indexText);
+  for (const t of terms) tf[t] = (tf[t] || 0) + 1;
+  return { id, header, type, date, superseded, text, tf, length: terms.length };
+}
+
+/**
+ * Load the on-disk search index and bring it up to date with the files on
+ * disk. Only changed files are re-tokenized. The index is persisted only when
+ * the project has a .wisdom/ directory.
+ * Returns { files: { ref: { kind, root, mtimeMs, size, docs } }, changed }.
+ */
+export function refreshSearchIndex(projectRoot) {
+  const wisdomDir = getWisdomDir(projectRoot);
+  const indexPath = path.join(wisdomDir, INDEX_FILE);
+
+  let stored = { version: INDEX_VERSION, files: {} };
+  try {
+    const parsed = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    if (parsed.version === INDEX_VERSION && parsed.files) stored = parsed;
+  } catch { /* missing or corrupt — rebuild */ }
+
+  const files = {};
+  let changed = 0;
+  for (const file of listWisdomFiles(projectRoot)) {
+    let stat;
+    try { stat = fs.statSync(file.filePath); } catch { continue; }
+    const prev = stored.files[file.ref];
+    if (prev && prev.mtimeMs === stat.mtimeMs && prev.size === stat.size) {
+      files[file.ref] = prev;
+      continue;
+    }
+    try {
+      files[file.ref] = { kind: file.kind, root: file.root || null, mtimeMs: stat.mtimeMs, size: stat.size, docs: buildFileDocs(file) };
+      changed++;
+    } catch { /* unreadable — skip */ }
+  }
+
+  const removed = Object.keys(stored.files).filter(ref => !files[ref]).length;
+  const index = { version: INDEX_VERSION, files };
+  if ((changed > 0 || removed > 0) && fs.existsSync(wisdomDir)) {
+    // A derived cache: concurrent refreshes may race, the last full write wins
+    writeFileAtomic(indexPath, JSON.stringify(index) + '\n');
+  }
+  return { ...index, changed: changed + removed };
+}
+
+/**
+ * Ranked search across sections, plans, patterns, sidecars, and every global root.
+ * Returns [{ ref, kind, source, id, header, type, date, score, text, superseded, orphaned }],
+ * best first. `source` is "project" or the global root's name; `orphaned`
+ * marks sidecar results whose source file is gone.
+ */
+export function searchWisdom(projectRoot, query, { limit = 20, includeSuperseded = false } = {}) {
+  const { terms, phrases } = parseQuery(query);
+  if (terms.length === 0) return [];
+
+  const { files } = refreshSearchIndex(projectRoot);
+  const keywordRefs = readIndex(getWisdomDir(projectRoot)).keywords || {};
+  const usage = readUsage(projectRoot);
+
+  const all = [];
+  for (const [ref, file] of Object.entries(files)) {
+    for (const doc of file.docs) {
+      if (doc.superseded && !includeSuperseded) continue;
+      all.push({ ref, kind: file.kind, source: file.root || 'project', doc });
+    }
+  }
+  if (all.length === 0) return [];
+
+  const avgLength = all.reduce((sum, d) => sum + d.doc.length, 0) / all.length || 1;
+  const idf = {};
+  for (const term of terms) {
+    const df = all.filter(d => d.doc.tf[term]).length;
+    idf[term] = Math.log(1 + (all.length - df + 0.5) / (df + 0.5));
+  }
+
+  const results = [];
+  for (const { ref, kind, source, doc } of all) {
+    let score = 0;
+    let matched = 0;
+    for (const term of terms) {
+      const tf = doc.tf[term];
+      if (tf) {
+        matched++;
+        score += idf[term] * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / avgLength));
+      }
+      if (doc.id && keywordRefs[term]?.some(r => r === `${ref}#${doc.id}`)) {
+        score += KEYWORD_BOOST;
+      }
+    }
+    if (score <= 0) continue;
+    if (phrases.length > 0 && !phrases.every(p => containsPhrase(doc.text, p))) continue;
+
+    // Favour documents that cover more of the query
+    score *= 0.5 + 0.5 * (matched / terms.length);
+    if (doc.id) score *= usageBoost(usage.get(doc.id));
+    results.push({
+      ref,
+      kind,
+      source,
+      id: doc.id,
+      header: doc.header,
+      type: doc.type,
+      date: doc.date,
+      superseded: doc.superseded,
+      text: doc.text,
+      score: Math.round(score * 100) / 100
+    });
+  }
+
+  results.sort((a, b) => b.score - a.score);
+  const top = results.slice(0, limit);
+  for (const r of top) {
+    r.orphaned = r.kind === 'sidecar' && !fs.existsSync(path.join(projectRoot, r.ref));
+  }
+  return top;
+}
+
+function containsPhrase(text, phrase) {
+  const seq = sequenceTokens(text);
+  outer: for (let i = 0; i + phrase.length <= seq.length; i++) {
+    for (let j = 0; j < phrase.length; j++) {
+      if (seq[i + j] !== phrase[j]) continue outer;
+    }
+    return true;
+  }
+  return false;
+}
@@ -0,0 +1,158 @@
+/**
+ * Near-duplicate detection for wisdom entries.
+ *
+ * Entries are compared by TF-IDF cosine over the same terms search uses
+ * (stopwords dropped, plurals folded, camelCase split), with document
+ * frequencies taken from the search index. A score of 1 means the same words
+ * in the same proportions; rephrasings of one lesson typically land above 0.6.
+ *
+ * findSimilarEntries checks one new text against its target file and related
+ * files (the best search hits, and files sharing its keywords) — save_wisdom
+ * uses it before appending. findDuplicateClusters groups existing entries
+ * across the project for dedupe_wisdom.
+ */
+
+import { getWisdomDir, readIndex } from './wisdom.js';
+import { refreshSearchIndex, searchWisdom, tokenize } from './wisdom-search.js';
+import { isPlanTask } from './wisdom-plans.js';
+
+export const DEFAULT_SIMILARITY = 0.6;
+// Search hits whose files count as related to a new entry
+const RELATED_HITS = 10;
+
+function idfTable(files) {
+  const df = {};
+  let n = 0;
+  for (const file of Object.values(files)) {
+    for (const doc of file.docs) {
+      n++;
+      for (const term of Object.keys(doc.tf)) df[term] = (df[term] || 0) + 1;
+    }
+  }
+  return term => 1 + Math.log((n + 1) / ((df[term] || 0) + 1));
+}
+
+/**
+ * Unit-length TF-IDF vector of a text, as Map(term → weight).
+ */
+function vectorize(text, idf) {
+  const tf = new Map();
+  for (const term of tokenize(text)) tf.set(term, (tf.get(term) || 0) + 1);
+  let norm = 0;
+  for (const [term, count] of tf) {
+    const w = count * idf(term);
+    tf.set(term, w);
+    norm += w * w;
+  }
+  norm = Math.sqrt(norm) || 1;
+  for (const [term, w] of tf) tf.set(term, w / norm);
+  return tf;
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, w] of small) {
+    const v = large.get(term);
+    if (v) dot += w * v;
+  }
+  return dot;
+}
+
+/**
+ * Existing project entries that look like `text`, best first:
+ * [{ ref, kind, id, header, type, text, score }]. Compares against the entries
+ * of `ref` (the file the text is about to be saved to), of files holding the
+ * top search hits for the text, and of files sharing one of `keywords`.
+ */
+export function findSimilarEntries(projectRoot, text, { ref, keywords = [], threshold = DEFAULT_SIMILARITY, limit = 5 } = {}) {
+  const { files } = refreshSearchIndex(projectRoot);
+  const idf = idfTable(files);
+  const target = vectorize(text, idf);
+  if (target.size === 0) return [];
+
+  const related = new Set(ref ? [ref] : []);
+  for (const hit of searchWisdom(projectRoot, text.replace(/"/g, ' '), { limit: RELATED_HITS })) related.add(hit.ref);
+  const index = readIndex(getWisdomDir(projectRoot));
+  for (const kw of keywords) {
+    for (const r of index.keywords?.[kw.toLowerCase()] || []) related.add(r.split('#')[0]);
+  }
+
+  const matches = [];
+  for (const r of related) {
+    const file = files[r];
+    if (!file || file.kind === 'global') continue;
+    for (const doc of file.docs) {
+      if (!doc.id || doc.superseded || isPlanTask(doc)) continue;
+      const score = cosine(target, vectorize(doc.text, idf));
+      if (score >= threshold) {
+        matches.push({ ref: r, kind: file.kind, id: doc.id, header: doc.header, type: doc.type, text: doc.text, score: Math.round(score * 100) / 100 });
+      }
+    }
+  }
+  matches.sort((a, b) => b.score - a.score);
+  return matches.slice(0, limit);
+}
+
+/**
+ * Groups of near-duplicate entries across project wisdom (global wisdom is
+ * left out). Each cluster lists its entries with the one to keep first —
+ * the longest text, then the oldest — followed by the entries similar to it,
+ * and the lowest similarity between any two of them.
+ * `ref` limits the scan to one file.
+ * Returns [{ score, entries: [{ ref, kind, id, header, type, date, text }] }].
+ */
+export function findDuplicateClusters(projectRoot, { threshold = DEFAULT_SIMILARITY, ref } = {}) {
+  const { files } = refreshSearchIndex(projectRoot);
+  const idf = idfTable(files);
+
+  const entries = [];
+  for (const [r, file] of Object.entries(files)) {
+    if (file.kind === 'global' || (ref && r !== ref)) continue;
+    for (const doc of file.docs) {
+      if (!doc.id || doc.superseded || isPlanTask(doc)) continue;
+      entries.push({ ref: r, kind: file.kind, id: doc.id, header: doc.header, type: doc.type, date: doc.date, text: doc.text, vec: vectorize(doc.text, idf) });
+    }
+  }
+
+  // Accumulate dot products through an inverted index: only pairs sharing a term are scored
+  const postings = new Map();
+  const dots = entries.map(() => new Map());
+  entries.forEach((entry, i) => {
+    for (const [term, w] of entry.vec) {
+      for (const [j, v] of postings.get(term) || []) {
+        const dot = (dots[i].get(j) || 0) + w * v;
+        dots[i].set(j, dot);
+        dots[j].set(i, dot);
+      }
+    }
+    for (const [term, w] of entry.vec) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push([i, w]);
+    }
+  });
+
+  // Each cluster forms around the entry to keep and takes only entries similar
+  // to it, so A~B and B~C don't pull an unrelated C into A's cluster
+  const order = entries.map((_, i) => i).sort((a, b) =>
+    entries[b].text.length - entries[a].text.length || (entries[a].date || '').localeCompare(entries[b].date || ''));
+  const taken = new Set();
+  const clusters = [];
+  for (const keep of order) {
+    if (taken.has(keep)) continue;
+    const members = order.filter(j => j !== keep && !taken.has(j) && (dots[keep].get(j) || 0) >= threshold);
+    if (members.length === 0) continue;
+    members.unshift(keep);
+    for (const j of members) taken.add(j);
+    let score = 1;
+    for (const [n, i] of members.entries()) {
+      for (const j of members.slice(n + 1)) score = Math.min(score, dots[i].get(j) || 0);
+    }
+    clusters.push({
+      score: Math.round(score * 100) / 100,
+      entries: members.map(i => entries[i]).map(({ vec, ...rest }) => rest)
+    });
+  }
+  clusters.sort((a, b) => b.score - a.score);
+  return clusters;
+}
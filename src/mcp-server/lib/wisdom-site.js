@@ -0,0 +1,736 @@
+/**
+ * Render .wisdom/ as a static HTML site that can be browsed offline.
+ *
+ * Layout of the output directory (default .wisdom/site/):
+ *
+ *   index.html             overview: sections, plans with status and task
+ *                          progress, decisions, patterns, sidecar directories,
+ *                          global roots
+ *   files.html             every source file wisdom talks about, with
+ *                          backlinks to that wisdom
+ *   sections/<name>.html   one page per section; likewise plans/, patterns/
+ *                          and decisions/, named after the markdown files so
+ *                          relative .md links between them keep working
+ *   files/<dir>.html       the sidecars of one source directory
+ *   global/<root>.html     the entries of one global wisdom root
+ *   search-index.js        the client-side search index
+ *   search.js, style.css
+ *
+ * Every entry is rendered with its entry ID as the element id, so search
+ * results, "superseded by" links and ID mentions land on it. Source files are
+ * linked relative to the page, or under sourceUrl when given (a repository's
+ * blob URL, say). A file's backlinks come from its sidecar, from sections and
+ * plans that list it in index.json, and from entries anchored to it or
+ * naming it.
+ *
+ * The search index is a script setting window.WISDOM_SEARCH rather than a
+ * JSON file, because browsers refuse fetch() from file:// pages. Output has
+ * no timestamps, so a rebuild over unchanged wisdom rewrites nothing; pages
+ * left over from wisdom that no longer exists are removed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getWisdomDir, readIndex, isSuperseded } from './wisdom.js';
+import { listWisdomFiles, readWisdomFile } from './wisdom-edit.js';
+import { planStatus, planProgress, TASK_STATUSES } from './wisdom-plans.js';
+import { listAdrs, resolveAdr, findAdrRefs, ADR_DIR } from './wisdom-adr.js';
+import { writeFileAtomic } from './wisdom-lock.js';
+
+export const SITE_DIR = 'site';
+
+const GENERATOR = 'wisdom-store build_wisdom_site';
+// Directories of generated pages; stale .html files in them are removed
+const PAGE_DIRS = ['sections', 'plans', 'patterns', ADR_DIR, 'files', 'global'];
+const TASK_BOX_RE = /^\[([ x~!-])\] /;
+const TASK_LABELS = Object.fromEntries(Object.entries(TASK_STATUSES).map(([status, box]) => [box, status]));
+// A path-like word in entry text: "src/auth.js", "package.json"
+const PATH_RE = /(?<![\w/.@-])((?:[\w.-]+\/)*[\w-][\w.-]*\.[A-Za-z0-9]+)(?![\w/])/g;
+// Inline tokens rendered as links or code: `code`, [label](href), ADR-0003,
+// an entry ID, and a path
+const INLINE_RE = new RegExp(/`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|\b(ADR-\d{1,4})\b|\b(w-[0-9a-f]{8})\b|/.source + PATH_RE.source, 'g');
+
+/**
+ * Build the site. Returns { outDir, pages, written, removed, entries, files }:
+ * pages generated, files actually (re)written, stale pages removed, entries
+ * rendered, and source files with backlinks.
+ * Throws if outDir holds something other than a previous build.
+ */
+export function buildWisdomSite(projectRoot, { outDir, includeGlobal = true, sourceUrl } = {}) {
+  const wisdomDir = getWisdomDir(projectRoot);
+  outDir = path.resolve(projectRoot, outDir || path.join(wisdomDir, SITE_DIR));
+  const previous = previousBuild(outDir);
+
+  const site = collectSite(projectRoot, wisdomDir, { includeGlobal });
+  const ctx = { projectRoot, outDir, sourceUrl: sourceUrl ? sourceUrl.replace(/\/*$/, '/') : null, site };
+  const output = renderSite(ctx);
+
+  let written = 0;
+  for (const [rel, content] of output) {
+    const target = path.join(outDir, rel);
+    if (fs.existsSync(target) && fs.readFileSync(target, 'utf8') === content) continue;
+    writeFileAtomic(target, content);
+    written++;
+  }
+
+  let removed = 0;
+  if (previous) {
+    for (const dir of PAGE_DIRS) {
+      const abs = path.join(outDir, dir);
+      if (!fs.existsSync(abs)) continue;
+      for (const f of fs.readdirSync(abs).filter(f => f.endsWith('.html'))) {
+        if (output.has(`${dir}/${f}`)) continue;
+        fs.unlinkSync(path.join(abs, f));
+        removed++;
+      }
+    }
+  }
+
+  return {
+    outDir,
+    pages: [...output.keys()].filter(f => f.endsWith('.html')).length,
+    written,
+    removed,
+    entries: site.entryCount,
+    files: site.backlinks.size
+  };
+}
+
+/**
+ * True if outDir holds an earlier build, false if it is missing or empty;
+ * anything else is refused so a stray out_dir never overwrites real files.
+ */
+function previousBuild(outDir) {
+  if (!fs.existsSync(outDir) || fs.readdirSync(outDir).length === 0) return false;
+  const indexPath = path.join(outDir, 'index.html');
+  if (fs.existsSync(indexPath) && fs.readFileSync(indexPath, 'utf8').includes(`<meta name="generator" content="${GENERATOR}">`)) return true;
+  throw new Error(`${outDir} is not empty and was not built by build_wisdom_site — pick another out_dir.`);
+}
+
+// ─── Collecting ───────────────────────────────────────────────────────────────
+
+/**
+ * Everything the pages need: parsed wisdom files with their page URLs, ADRs,
+ * entry URLs by ID, backlinks by source file, and ADR mentions.
+ */
+function collectSite(projectRoot, wisdomDir, { includeGlobal }) {
+  const index = readIndex(wisdomDir);
+  const docs = [];
+  for (const file of listWisdomFiles(projectRoot)) {
+    if (file.kind === 'global' && !includeGlobal) continue;
+    let doc;
+    try { doc = readWisdomFile(file); } catch { continue; }
+    const ref = file.ref.split(path.sep).join('/');
+    const name = file.kind === 'sidecar' || file.kind === 'global' ? ref : path.basename(ref, '.md');
+    docs.push({ ...file, ref, name, doc, url: pageUrl(file.kind, ref, file.root), label: docLabel(file.kind, name) });
+  }
+  docs.sort((a, b) => a.ref.localeCompare(b.ref));
+
+  const adrs = listAdrs(wisdomDir);
+  const adrUrls = new Map(adrs.map(a => [a.number, `${ADR_DIR}/${a.file.replace(/\.md$/, '.html')}`]));
+
+  const entryUrls = new Map();
+  for (const d of docs) {
+    for (const e of d.doc.entries) entryUrls.set(e.id, `${d.url}#${e.id}`);
+  }
+
+  const existing = new Map();
+  const isProjectFile = (rel) => {
+    if (!existing.has(rel)) {
+      let isFile = false;
+      try { isFile = fs.statSync(path.join(projectRoot, rel)).isFile(); } catch {}
+      existing.set(rel, isFile);
+    }
+    return existing.get(rel);
+  };
+
+  const backlinks = new Map();
+  const addBacklink = (file, url, label) => {
+    const rel = projectPath(projectRoot, file);
+    if (!rel) return;
+    if (!backlinks.has(rel)) backlinks.set(rel, new Map());
+    if (!backlinks.get(rel).has(url)) backlinks.get(rel).set(url, label);
+  };
+  const adrMentions = new Map();
+
+  // A file's own sidecar first, then what index.json links it to, then
+  // entries anchored to it or naming it (unless their page is already listed)
+  for (const d of docs.filter(d => d.kind === 'sidecar')) {
+    addBacklink(d.ref, `${d.url}#${fileAnchor(d.ref)}`, `Sidecar (${countEntries(d.doc.entries)})`);
+  }
+  for (const [kind, group] of [['section', index.sections], ['plan', index.plans]]) {
+    for (const [name, info] of Object.entries(group || {})) {
+      const d = docs.find(d => d.kind === kind && d.name === name);
+      if (!d) continue;
+      for (const file of info.files || []) addBacklink(file, d.url, d.label);
+    }
+  }
+  for (const d of docs) {
+    for (const e of d.doc.entries) {
+      const url = entryUrls.get(e.id);
+      const label = `${d.label}: ${snippet(e.text, 80)}`;
+      const text = `${e.text}\n${e.annotations.join('\n')}`;
+      const files = (e.meta?.anchors || []).map(a => projectPath(projectRoot, a.file));
+      for (const m of text.matchAll(PATH_RE)) {
+        const rel = projectPath(projectRoot, m[1]);
+        if (rel && isProjectFile(rel)) files.push(rel);
+      }
+      for (const rel of files) {
+        if (rel && rel !== d.ref && !backlinks.get(rel)?.has(d.url)) addBacklink(rel, url, label);
+      }
+      for (const number of findAdrRefs(text)) {
+        if (!adrMentions.has(number)) adrMentions.set(number, new Map());
+        adrMentions.get(number).set(url, label);
+      }
+    }
+  }
+
+  return {
+    project: path.basename(projectRoot),
+    index,
+    docs,
+    adrs,
+    adrUrls,
+    entryUrls,
+    backlinks: new Map([...backlinks].sort(([a], [b]) => a.localeCompare(b))),
+    adrMentions,
+    isProjectFile,
+    entryCount: docs.reduce((n, d) => n + d.doc.entries.length, 0)
+  };
+}
+
+function pageUrl(kind, ref, root) {
+  if (kind === 'sidecar') return `files/${dirSlug(path.posix.dirname(ref))}.html`;
+  if (kind === 'global') return `global/${root}.html`;
+  return ref.replace(/\.md$/, '.html');
+}
+
+function docLabel(kind, name) {
+  if (kind === 'sidecar' || kind === 'global') return name;
+  return `${kind[0].toUpperCase()}${kind.slice(1)} ${name}`;
+}
+
+function dirSlug(dir) {
+  return dir === '.' ? '_root' : dir.replace(/[^A-Za-z0-9_.-]+/g, '-');
+}
+
+function fileAnchor(rel) {
+  return `f-${rel.replace(/[^A-Za-z0-9_.-]+/g, '-')}`;
+}
+
+/**
+ * A project-relative, /-separated path, or null for one outside the project.
+ */
+function projectPath(projectRoot, file) {
+  if (!file) return null;
+  const rel = path.relative(projectRoot, path.resolve(projectRoot, file)).split(path.sep).join('/');
+  return !rel || rel.startsWith('../') ? null : rel;
+}
+
+function countEntries(entries) {
+  const n = entries.filter(e => !isSuperseded(e)).length;
+  return `${n} entr${n === 1 ? 'y' : 'ies'}`;
+}
+
+function snippet(text, max) {
+  const plain = text.replace(TASK_BOX_RE, '').replace(/[`*]/g, '').replace(/\s+/g, ' ').trim();
+  return plain.length > max ? `${plain.slice(0, max - 1)}…` : plain;
+}
+
+// ─── Pages ────────────────────────────────────────────────────────────────────
+
+/**
+ * Every output file, as Map(site-relative path → content).
+ */
+function renderSite(ctx) {
+  const { site } = ctx;
+  const output = new Map();
+  const search = [];
+  const at = (dir) => ({ ...ctx, pageDir: dir, root: dir ? '../' : '' });
+
+  for (const kind of ['section', 'plan', 'pattern']) {
+    for (const d of site.docs.filter(d => d.kind === kind)) {
+      const page = at(path.posix.dirname(d.url));
+      const body = [kind === 'plan' ? planMeta(d.doc) : '', renderDocument(d.doc, page)];
+      if (kind === 'section') body.push(sectionLinks(d.name, page));
+      output.set(d.url, layout(page, d.name, body.join('\n')));
+      search.push({ t: d.label, x: '', k: kind, u: d.url });
+      for (const e of d.doc.entries) search.push(entrySearchDoc(e, d));
+    }
+  }
+
+  for (const adr of site.adrs) {
+    const url = site.adrUrls.get(adr.number);
+    output.set(url, layout(at(ADR_DIR), `${adr.id}: ${adr.title}`, adrBody(adr, at(ADR_DIR))));
+    search.push({ t: `${adr.id}: ${adr.title}`, x: snippet(`${adr.decision} ${adr.context}`, 400), k: `decision record · ${adr.status}`, u: url });
+  }
+
+  const sidecars = site.docs.filter(d => d.kind === 'sidecar');
+  for (const url of new Set(sidecars.map(d => d.url))) {
+    const group = sidecars.filter(d => d.url === url);
+    const dir = path.posix.dirname(group[0].ref);
+    const page = at('files');
+    const body = group.map(d => [
+      `<section class="sidecar" id="${fileAnchor(d.ref)}">`,
+      `<h2>${sourceLink(d.ref, page, path.posix.basename(d.ref))}</h2>`,
+      `<p class="meta"><a href="../files.html#${fileAnchor(d.ref)}">What else mentions ${esc(path.posix.basename(d.ref))}</a></p>`,
+      renderDocument(d.doc, page, { shift: 1 }),
+      '</section>'
+    ].join('\n'));
+    output.set(url, layout(page, dir === '.' ? 'Project root' : `${dir}/`, body.join('\n')));
+    for (const d of group) for (const e of d.doc.entries) search.push(entrySearchDoc(e, d));
+  }
+
+  const globals = site.docs.filter(d => d.kind === 'global');
+  for (const url of new Set(globals.map(d => d.url))) {
+    const group = globals.filter(d => d.url === url);
+    const page = at('global');
+    const body = group.flatMap(d => d.doc.entries.map(e => globalEntry(e, d, page)));
+    output.set(url, layout(page, `Global wisdom: ${group[0].root}`, body.join('\n')));
+    for (const d of group) for (const e of d.doc.entries) search.push({ ...entrySearchDoc(e, d), t: d.doc.title });
+  }
+
+  output.set('files.html', layout(at(''), 'Files', filesBody(at(''))));
+  output.set('index.html', layout(at(''), `${site.project} wisdom`, overviewBody(at(''))));
+  output.set('search-index.js', `window.WISDOM_SEARCH = ${JSON.stringify(search).replace(/</g, '\\u003c').replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029')};\n`);
+  output.set('search.js', SEARCH_SCRIPT);
+  output.set('style.css', STYLE);
+  return output;
+}
+
+function layout(page, title, body) {
+  const { root, site } = page;
+  const nav = [
+    ['index.html#sections', 'Sections'],
+    ['index.html#plans', 'Plans'],
+    ['index.html#decisions', 'Decisions'],
+    ['index.html#patterns', 'Patterns'],
+    ['files.html', 'Files'],
+    ['index.html#global', 'Global']
+  ].map(([href, label]) => `<a href="${root}${href}">${label}</a>`).join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="${GENERATOR}">
+<title>${esc(title)} — ${esc(site.project)} wisdom</title>
+<link rel="stylesheet" href="${root}style.css">
+</head>
+<body data-root="${root}">
+<header>
+<a class="home" href="${root}index.html">${esc(site.project)} wisdom</a>
+<nav>
+${nav}
+</nav>
+<input id="search" type="search" placeholder="Search wisdom…" autocomplete="off" aria-label="Search wisdom">
+</header>
+<ol id="results" hidden></ol>
+<main>
+<h1>${esc(title)}</h1>
+${body}
+</main>
+<footer>Generated from .wisdom/ by build_wisdom_site.</footer>
+<script src="${root}search-index.js"></script>
+<script src="${root}search.js"></script>
+</body>
+</html>
+`;
+}
+
+function overviewBody(page) {
+  const { site } = page;
+  const groups = [];
+  const docsOf = (kind) => site.docs.filter(d => d.kind === kind);
+  const list = (items) => `<ul class="overview">\n${items.join('\n')}\n</ul>`;
+
+  const sections = docsOf('section');
+  if (sections.length > 0) {
+    groups.push(`<h2 id="sections">Sections (${sections.length})</h2>`, list(sections.map(d =>
+      `<li><a href="${esc(d.url)}">${esc(d.name)}</a> <span class="count">${countEntries(d.doc.entries)}</span></li>`)));
+  }
+  const plans = docsOf('plan');
+  if (plans.length > 0) {
+    groups.push(`<h2 id="plans">Plans (${plans.length})</h2>`, list(plans.map(d => {
+      const content = planContent(d.doc);
+      const status = planStatus(content) || site.index.plans?.[d.name]?.status || 'active';
+      const { done, total } = planProgress(content);
+      const progress = total > 0 ? ` <span class="count">${done}/${total} tasks done</span>` : '';
+      return `<li><a href="${esc(d.url)}">${esc(d.name)}</a> ${statusBadge(status)}${progress}</li>`;
+    })));
+  }
+  if (site.adrs.length > 0) {
+    groups.push(`<h2 id="decisions">Decisions (${site.adrs.length})</h2>`, list(site.adrs.map(a =>
+      `<li><a href="${site.adrUrls.get(a.number)}">${a.id}</a> ${esc(a.title)} ${statusBadge(a.status)}</li>`)));
+  }
+  const patterns = docsOf('pattern');
+  if (patterns.length > 0) {
+    groups.push(`<h2 id="patterns">Patterns (${patterns.length})</h2>`, list(patterns.map(d =>
+      `<li><a href="${esc(d.url)}">${esc(d.name)}</a> <span class="count">${countEntries(d.doc.entries)}</span></li>`)));
+  }
+  const sidecars = docsOf('sidecar');
+  if (sidecars.length > 0) {
+    const dirs = [...new Set(sidecars.map(d => d.url))].map(url => {
+      const group = sidecars.filter(d => d.url === url);
+      const dir = path.posix.dirname(group[0].ref);
+      return `<li><a href="${esc(url)}">${esc(dir === '.' ? 'Project root' : `${dir}/`)}</a> <span class="count">${group.length} file${group.length === 1 ? '' : 's'}</span></li>`;
+    });
+    groups.push(`<h2 id="sidecars">File wisdom (${sidecars.length})</h2>`, list(dirs),
+      `<p><a href="files.html">All ${site.backlinks.size} source files with wisdom</a></p>`);
+  }
+  const globals = docsOf('global');
+  if (globals.length > 0) {
+    const roots = [...new Set(globals.map(d => d.root))].map(root => {
+      const n = globals.filter(d => d.root === root).length;
+      return `<li><a href="global/${esc(root)}.html">${esc(root)}</a> <span class="count">${n} entr${n === 1 ? 'y' : 'ies'}</span></li>`;
+    });
+    groups.push(`<h2 id="global">Global wisdom</h2>`, list(roots));
+  }
+  return groups.length > 0 ? groups.join('\n') : '<p>No wisdom yet.</p>';
+}
+
+function filesBody(page) {
+  const { site } = page;
+  if (site.backlinks.size === 0) return '<p>No wisdom refers to source files yet.</p>';
+  return [...site.backlinks].map(([rel, links]) => [
+    `<section class="file" id="${fileAnchor(rel)}">`,
+    `<h2>${site.isProjectFile(rel) ? sourceLink(rel, page) : `${esc(rel)} <span class="count">missing</span>`}</h2>`,
+    '<ul>',
+    ...[...links].map(([url, label]) => `<li><a href="${esc(url)}">${esc(label)}</a></li>`),
+    '</ul>',
+    '</section>'
+  ].join('\n')).join('\n');
+}
+
+function planMeta(doc) {
+  const content = planContent(doc);
+  const { done, total } = planProgress(content);
+  const progress = total > 0 ? ` ${done} of ${total} tasks done` : '';
+  return `<p class="meta">${statusBadge(planStatus(content) || 'active')}${progress}</p>`;
+}
+
+function planContent(doc) {
+  return doc.blocks.map(b => (typeof b === 'string' ? b : [b.raw, ...b.annotations].join('\n'))).join('\n');
+}
+
+/**
+ * Source files and plans index.json links to a section.
+ */
+function sectionLinks(name, page) {
+  const info = page.site.index.sections?.[name];
+  const parts = [];
+  const files = (info?.files || []).map(f => projectPath(page.projectRoot, f)).filter(Boolean);
+  if (files.length > 0) {
+    parts.push('<h2>Files</h2>', '<ul>', ...files.map(f => `<li>${sourceLink(f, page)} <a class="count" href="../files.html#${fileAnchor(f)}">backlinks</a></li>`), '</ul>');
+  }
+  const plans = (info?.plans || []).filter(p => page.site.docs.some(d => d.kind === 'plan' && d.name === p));
+  if (plans.length > 0) {
+    parts.push('<h2>Plans</h2>', '<ul>', ...plans.map(p => `<li><a href="../plans/${esc(p)}.html">${esc(p)}</a></li>`), '</ul>');
+  }
+  return parts.join('\n');
+}
+
+function adrBody(adr, page) {
+  const { site } = page;
+  const { current } = resolveAdr(null, adr.number, site.adrs);
+  const meta = [statusBadge(adr.status)];
+  if (adr.date) meta.push(`<span class="date">${esc(adr.date)}</span>`);
+  if (current !== adr) {
+    meta.push(`now in force: <a href="../${site.adrUrls.get(current.number)}">${current.id} ${esc(current.title)}</a> ${statusBadge(current.status)}`);
+  }
+  const lines = adr.content.split('\n').filter(l => !/^# /.test(l) && !/^\*Status\*:/.test(l));
+  const parts = [`<p class="meta">${meta.join(' ')}</p>`, renderDocument({ blocks: lines, entries: [] }, page)];
+  const mentions = site.adrMentions.get(adr.number);
+  if (mentions) {
+    parts.push('<h2>Mentioned by</h2>', '<ul>', ...[...mentions].map(([url, label]) => `<li><a href="../${esc(url)}">${esc(label)}</a></li>`), '</ul>');
+  }
+  return parts.join('\n');
+}
+
+function globalEntry(entry, d, page) {
+  const classes = ['entry', `type-${entry.type || 'lesson'}`, ...(isSuperseded(entry) ? ['superseded'] : [])];
+  const meta = [entry.type, entry.date].filter(Boolean).map(esc);
+  meta.push(`<a class="id" href="#${entry.id}">${entry.id}</a>`, `<span class="count">${esc(d.ref.slice(d.root.length + 1))}</span>`);
+  if (entry.meta?.superseded_by) meta.push(`superseded by ${entryLink(entry.meta.superseded_by, page)}`);
+  return [
+    `<section class="${classes.join(' ')}" id="${entry.id}">`,
+    `<h2>${esc(d.doc.title)}</h2>`,
+    `<p class="meta">${meta.join(' · ')}</p>`,
+    renderDocument({ blocks: entry.text.split('\n'), entries: [] }, page),
+    '</section>'
+  ].join('\n');
+}
+
+function entrySearchDoc(entry, d) {
+  const text = [entry.text, ...entry.annotations.map(a => a.trim().replace(/^[-*] /, ''))].join(' ');
+  return {
+    t: snippet(entry.text, 100),
+    x: snippet(text, 400),
+    k: `${entry.type || 'entry'} · ${d.label}`,
+    u: `${d.url}#${entry.id}`
+  };
+}
+
+// ─── Markdown ─────────────────────────────────────────────────────────────────
+
+/**
+ * HTML for a parsed wisdom document: entries become <li>s carrying their ID,
+ * other lines are rendered as the small markdown subset wisdom files use
+ * (headings, bullets, paragraphs, code fences). The "# title" line is left
+ * to the page heading; `shift` demotes the remaining headings.
+ */
+function renderDocument(doc, page, { shift = 0 } = {}) {
+  const html = [];
+  let paragraph = [];
+  let list = null;
+  let fence = null;
+  const flush = () => {
+    if (paragraph.length > 0) html.push(`<p>${paragraph.map(l => inline(l, page)).join('<br>\n')}</p>`);
+    paragraph = [];
+  };
+  const closeList = () => {
+    if (list) html.push('</ul>');
+    list = null;
+  };
+  const openList = (kind) => {
+    if (list === kind) return;
+    closeList();
+    html.push(kind === 'entries' ? '<ul class="entries">' : '<ul>');
+    list = kind;
+  };
+
+  for (const block of doc.blocks) {
+    if (typeof block !== 'string') {
+      flush();
+      openList('entries');
+      html.push(renderEntry(block, page));
+      continue;
+    }
+    if (fence) {
+      if (/^```/.test(block)) {
+        html.push(`<pre><code>${esc(fence.join('\n'))}</code></pre>`);
+        fence = null;
+      } else {
+        fence.push(block);
+      }
+      continue;
+    }
+    const heading = block.match(/^(#{1,6}) (.+)$/);
+    const item = block.match(/^\s*[-*] (.+)$/);
+    if (/^```/.test(block) || heading || !block.trim() || /^<!--.*-->$/.test(block.trim())) {
+      flush();
+      closeList();
+      if (/^```/.test(block)) fence = [];
+      if (heading && heading[1].length > 1) {
+        const level = Math.min(heading[1].length + shift, 6);
+        html.push(`<h${level}>${inline(heading[2], page)}</h${level}>`);
+      }
+    } else if (item) {
+      flush();
+      openList('plain');
+      html.push(`<li>${inline(item[1], page)}</li>`);
+    } else {
+      closeList();
+      paragraph.push(block);
+    }
+  }
+  if (fence) html.push(`<pre><code>${esc(fence.join('\n'))}</code></pre>`);
+  flush();
+  closeList();
+  return html.join('\n');
+}
+
+function renderEntry(entry, page) {
+  const classes = ['entry', ...(entry.type ? [`type-${entry.type}`] : [])];
+  let text = entry.text;
+  let badge = '';
+  const box = entry.header === 'Tasks' && text.match(TASK_BOX_RE);
+  if (box) {
+    const status = entry.meta?.status in TASK_STATUSES ? entry.meta.status : TASK_LABELS[box[1]];
+    badge = `<span class="task task-${status}">${status.replace('_', ' ')}</span> `;
+    text = text.slice(box[0].length);
+  }
+  if (isSuperseded(entry)) classes.push('superseded');
+
+  const parts = [badge + (entry.bold ? `<strong>${inline(text, page)}</strong>` : inline(text, page))];
+  if (entry.date) parts.push(`<span class="date">${entry.date}</span>`);
+  // Hand-written bullets get a derived ID that is not worth showing
+  if (!entry.raw || entry.raw.includes('<!-- wisdom ')) parts.push(`<a class="id" href="#${entry.id}">${entry.id}</a>`);
+  if (entry.meta?.supersedes) parts.push(`<span class="link">supersedes ${[].concat(entry.meta.supersedes).map(id => entryLink(id, page)).join(', ')}</span>`);
+  if (entry.meta?.superseded_by) parts.push(`<span class="link">superseded by ${entryLink(entry.meta.superseded_by, page)}</span>`);
+  const notes = entry.annotations.length > 0
+    ? `\n<ul class="notes">${entry.annotations.map(a => `<li>${inline(a.trim().replace(/^[-*] /, ''), page)}</li>`).join('')}</ul>`
+    : '';
+  return `<li id="${entry.id}" class="${classes.join(' ')}">${parts.join(' ')}${notes}</li>`;
+}
+
+function entryLink(id, page) {
+  const url = page.site.entryUrls.get(id);
+  return url ? `<a href="${page.root}${url}">${esc(id)}</a>` : esc(id);
+}
+
+/**
+ * Inline markdown: code spans, links, emphasis. ADR IDs, entry IDs and
+ * source files wisdom refers to become links within the site (not inside
+ * link labels, which are already links).
+ */
+function inline(text, page, { links = true } = {}) {
+  const held = [];
+  const hold = (html) => `\u0000${held.push(html) - 1}\u0000`;
+  const { site, root } = page;
+
+  const marked = text.replace(INLINE_RE, (match, code, label, href, adr, id, file) => {
+    if (code !== undefined) return hold(`<code>${esc(code)}</code>`);
+    if (label !== undefined) {
+      const target = linkTarget(href);
+      return target ? hold(`<a href="${esc(target)}">${inline(label, page, { links: false })}</a>`) : match;
+    }
+    if (!links) return match;
+    if (adr !== undefined) {
+      const number = Number(adr.slice(4));
+      const adrUrl = site.adrUrls.get(number);
+      const record = site.adrs.find(a => a.number === number);
+      return adrUrl ? hold(`<a href="${root}${adrUrl}" title="${esc(`${record.title} — ${record.status}`)}">${adr}</a>`) : match;
+    }
+    if (id !== undefined) return site.entryUrls.has(id) ? hold(entryLink(id, page)) : match;
+    const rel = projectPath(page.projectRoot, file);
+    return rel && site.backlinks.has(rel) ? hold(`<a href="${root}files.html#${fileAnchor(rel)}">${esc(file)}</a>`) : match;
+  });
+
+  return esc(marked)
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w*])\*([^*\s](?:[^*]*[^*\s])?)\*(?![\w*])/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w])_([^_\s](?:[^_]*[^_\s])?)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/\u0000(\d+)\u0000/g, (_, i) => held[i]);
+}
+
+/**
+ * Where a markdown link points in the site: links between wisdom files move
+ * from .md to the matching .html page; unsafe schemes are dropped (null).
+ */
+function linkTarget(href) {
+  if (/^(https?:|mailto:|#)/i.test(href)) return href;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(href)) return null;
+  return href.replace(/\.md(?=#|$)/, '.html');
+}
+
+function sourceLink(rel, page, label = rel) {
+  let href;
+  if (page.sourceUrl) {
+    href = page.sourceUrl + rel.split('/').map(encodeURIComponent).join('/');
+  } else {
+    const from = path.join(page.outDir, page.pageDir);
+    href = path.relative(from, path.join(page.projectRoot, rel)).split(path.sep).map(encodeURIComponent).join('/');
+  }
+  return `<a class="source" href="${esc(href)}">${esc(label)}</a>`;
+}
+
+function statusBadge(status) {
+  return `<span class="status status-${esc(status.replace(/\W+/g, '-'))}">${esc(status)}</span>`;
+}
+
+function esc(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// ─── Static assets ────────────────────────────────────────────────────────────
+
+const SEARCH_SCRIPT = `// Search over window.WISDOM_SEARCH (search-index.js). Every query term must
+// appear in a result; terms found in the title rank it higher.
+(function () {
+  var input = document.getElementById('search');
+  var list = document.getElementById('results');
+  var root = document.body.getAttribute('data-root') || '';
+  var docs = (window.WISDOM_SEARCH || []).map(function (d) {
+    return { doc: d, title: d.t.toLowerCase(), text: (d.t + ' ' + d.x + ' ' + d.k).toLowerCase() };
+  });
+
+  function search(query) {
+    var terms = query.toLowerCase().split(/\\s+/).filter(Boolean);
+    var hits = [];
+    if (terms.length === 0) return hits;
+    docs.forEach(function (d) {
+      var score = 0;
+      for (var i = 0; i < terms.length; i++) {
+        if (d.text.indexOf(terms[i]) === -1) return;
+        score += d.title.indexOf(terms[i]) === -1 ? 1 : 3;
+      }
+      hits.push({ doc: d.doc, score: score });
+    });
+    return hits.sort(function (a, b) { return b.score - a.score; }).slice(0, 50);
+  }
+
+  function show(query) {
+    list.textContent = '';
+    list.hidden = query.trim() === '';
+    if (list.hidden) return;
+    var hits = search(query);
+    if (hits.length === 0) {
+      var none = document.createElement('li');
+      none.textContent = 'No matches.';
+      list.appendChild(none);
+    }
+    hits.forEach(function (hit) {
+      var item = document.createElement('li');
+      var link = document.createElement('a');
+      link.href = root + hit.doc.u;
+      link.textContent = hit.doc.t;
+      var kind = document.createElement('span');
+      kind.className = 'count';
+      kind.textContent = ' ' + hit.doc.k;
+      item.appendChild(link);
+      item.appendChild(kind);
+      if (hit.doc.x && hit.doc.x !== hit.doc.t) {
+        var text = document.createElement('div');
+        text.className = 'snippet';
+        text.textContent = hit.doc.x;
+        item.appendChild(text);
+      }
+      list.appendChild(item);
+    });
+  }
+
+  input.addEventListener('input', function () { show(input.value); });
+  input.addEventListener('keydown', function (e) {
+    if (e.key === 'Escape') {
+      input.value = '';
+      show('');
+    }
+  });
+  var query = new URLSearchParams(window.location.search).get('q');
+  if (query) {
+    input.value = query;
+    show(query);
+  }
+})();
+`;
+
+const STYLE = `body { margin: 0; font: 15px/1.5 system-ui, sans-serif; color: #222; background: #fff; }
+header { display: flex; flex-wrap: wrap; gap: 1em; align-items: center; padding: 0.6em 1.5em; background: #f4f4f6; border-bottom: 1px solid #ddd; }
+header .home { font-weight: bold; color: inherit; text-decoration: none; }
+header nav a { margin-right: 0.8em; }
+#search { margin-left: auto; padding: 0.3em 0.6em; min-width: 16em; }
+#results { margin: 0; padding: 0.8em 1.5em 0.8em 3em; background: #fffbe6; border-bottom: 1px solid #ddd; }
+#results .snippet { color: #555; font-size: 0.9em; }
+main { max-width: 60em; padding: 1em 1.5em 3em; }
+footer { padding: 1em 1.5em; color: #888; font-size: 0.85em; }
+a { color: #1a5fb4; }
+code, pre { font-family: ui-monospace, monospace; font-size: 0.9em; background: #f4f4f6; }
+pre { padding: 0.8em; overflow-x: auto; }
+ul.entries > li { margin: 0.3em 0; }
+.entry.superseded { opacity: 0.55; }
+.entry.type-caution { border-left: 3px solid #c01c28; padding-left: 0.5em; list-style: none; margin-left: -1em; }
+section.entry { border-top: 1px solid #eee; }
+.date, .id, .count, .link, .meta { color: #777; font-size: 0.85em; }
+.id { font-family: ui-monospace, monospace; text-decoration: none; }
+.notes { color: #444; }
+.status, .task { display: inline-block; padding: 0 0.5em; border-radius: 0.8em; font-size: 0.8em; background: #e8e8ec; }
+.status-active, .status-accepted, .status-in-progress, .task-in_progress { background: #dbeafe; }
+.status-completed, .task-done { background: #dcfce7; }
+.status-paused, .status-proposed, .task-blocked { background: #fef3c7; }
+.status-abandoned, .status-rejected, .status-superseded, .status-deprecated, .task-dropped { background: #f1f1f1; color: #777; }
+`;
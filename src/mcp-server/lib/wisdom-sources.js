@@ -0,0 +1,353 @@
+/**
+ * Import knowledge that already lives in a project's docs into .wisdom.
+ *
+ * Sources are found in the project — CLAUDE.md, MEMORY.md, CONTRIBUTING
+ * guides, ADR folders — and in Claude's memory directory for it
+ * (~/.claude/projects/<hash>/memory/*.md), the memory-style files
+ * MEMORY_FILE_PATTERNS (jsonl-condense.js) recognizes. Each kind is parsed
+ * differently:
+ *
+ *   doc     top-level bullets become entries in a section named after their
+ *           ## heading: cautions when they say don't/never/avoid, decisions
+ *           or patterns under matching headings, lessons otherwise
+ *   adr     one decision per record ("Title: what was decided") in the
+ *           decisions section; superseded, deprecated and rejected records
+ *           are skipped
+ *   memory  one entry per memory file, filed by its metadata type
+ *
+ * Every entry keeps meta.origin = { file, line } pointing back at the
+ * document. Candidates already in wisdom (near-duplicates by TF-IDF) or seen
+ * earlier in the same import are left out. The candidate list is hashed into
+ * a preview ID so a write can be tied to the preview that was confirmed.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import {
+  getWisdomDir,
+  readSection,
+  writeSection,
+  createEntry,
+  insertEntry,
+  headerForType,
+  updateIndexKeywords
+} from './wisdom.js';
+import { projectHash } from './jsonl.js';
+import { MEMORY_FILE_PATTERNS } from './jsonl-condense.js';
+import { extractKeywords } from './wisdom-keywords.js';
+import { findSimilarEntries } from './wisdom-similar.js';
+import { BEGIN_MARKER, END_MARKER } from './wisdom-rules.js';
+import { withWisdomLock } from './wisdom-lock.js';
+
+const DOC_FILES = ['CLAUDE.md', '.claude/CLAUDE.md', 'MEMORY.md', 'CONTRIBUTING.md', '.github/CONTRIBUTING.md', 'docs/CONTRIBUTING.md'];
+const ADR_DIRS = ['docs/adr', 'docs/adrs', 'docs/decisions', 'docs/architecture/decisions', 'doc/adr', 'adr'];
+const ADR_SKIP_STATUS = /superseded|deprecated|rejected/i;
+
+// Section a memory file goes to, by its metadata type
+const MEMORY_SECTIONS = { feedback: 'feedback', project: 'project', reference: 'references', user: 'team' };
+
+const CAUTION_RE = /\b(don'?t|do not|never|avoid|must not|mustn'?t|should not|shouldn'?t)\b/i;
+const MAX_ENTRY_CHARS = 500;
+const MIN_ENTRY_CHARS = 15;
+
+/**
+ * Source documents for a project: [{ filePath, file (display path), kind }].
+ */
+export function discoverSources(projectRoot) {
+  const found = [];
+  for (const rel of DOC_FILES) {
+    const filePath = path.join(projectRoot, rel);
+    if (fs.existsSync(filePath)) found.push(filePath);
+  }
+  for (const rel of ADR_DIRS) {
+    found.push(...listMarkdown(path.join(projectRoot, rel)));
+  }
+  const memoryDir = path.join(os.homedir(), '.claude', 'projects', projectHash(projectRoot), 'memory');
+  found.push(...listMarkdown(memoryDir));
+
+  return found
+    .map(filePath => describeSource(projectRoot, filePath))
+    .filter(Boolean);
+}
+
+function listMarkdown(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.md') && !/^(readme|index|template)/i.test(f) && f !== 'MEMORY.md')
+    .sort()
+    .map(f => path.join(dir, f));
+}
+
+/**
+ * { filePath, file, kind } for a document, or null for wisdom's own files.
+ */
+export function describeSource(projectRoot, filePath) {
+  const abs = path.resolve(projectRoot, filePath);
+  if (/\/\.wisdom\//.test(abs)) return null;
+  const rel = path.relative(projectRoot, abs);
+  const home = os.homedir();
+  const file = !rel.startsWith('..') && !path.isAbsolute(rel) ? rel
+    : abs.startsWith(home + path.sep) ? '~' + abs.slice(home.length) : abs;
+
+  let kind = 'doc';
+  if (ADR_DIRS.some(d => rel.startsWith(d + '/')) || /\/(adrs?|decisions)\/[^/]+\.md$/i.test(abs)) {
+    kind = 'adr';
+  } else if (MEMORY_FILE_PATTERNS.some(re => re.test(abs)) && /\/memory\/[^/]+\.md$/i.test(abs) && !/\/MEMORY\.md$/i.test(abs)) {
+    kind = 'memory';
+  }
+  return { filePath: abs, file, kind };
+}
+
+/**
+ * Entries a document holds: { candidates: [{ type, section, text, origin }], skipped }
+ * where skipped is a reason the whole document was passed over, or null.
+ */
+export function parseSource(source, content) {
+  if (source.kind === 'adr') return parseAdr(source, content);
+  if (source.kind === 'memory') return parseMemory(source, content);
+  return { candidates: parseDocBullets(source, content), skipped: null };
+}
+
+function parseDocBullets(source, content) {
+  const fallback = slug(path.basename(source.file, '.md')) === 'contributing' ? 'contributing' : 'project';
+  const candidates = [];
+  let heading = null;
+  let inFence = false;
+  let inExport = false;
+  let current = null;
+
+  const flush = () => {
+    if (current) candidates.push(current);
+    current = null;
+  };
+
+  content.split('\n').forEach((line, i) => {
+    if (line.includes(BEGIN_MARKER)) inExport = true;
+    if (line.includes(END_MARKER)) {
+      inExport = false;
+      return;
+    }
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      flush();
+      return;
+    }
+    if (inFence || inExport) return;
+
+    const head = line.match(/^(#{2,3})\s+(.+)$/);
+    if (head) {
+      flush();
+      heading = head[2].trim();
+      return;
+    }
+    const item = line.match(/^(?:[-*+]|\d+[.)])\s+(.*)$/);
+    if (item) {
+      flush();
+      const text = item[1].trim();
+      if (text.length < MIN_ENTRY_CHARS || /^\[[ xX~]\]/.test(text) || /^\[[^\]]+\]\([^)]+\)/.test(text)) return;
+      current = {
+        type: bulletType(text, heading),
+        section: heading ? slug(heading) || fallback : fallback,
+        text,
+        origin: { file: source.file, line: i + 1 }
+      };
+      return;
+    }
+    // Continuation lines and nested bullets belong to the bullet above
+    if (current && /^\s+\S/.test(line)) {
+      current.text += ' ' + line.trim().replace(/^(?:[-*+]|\d+[.)])\s+/, '');
+      return;
+    }
+    flush();
+  });
+  flush();
+
+  for (const c of candidates) c.text = clip(c.text);
+  return candidates;
+}
+
+function bulletType(text, heading) {
+  if (CAUTION_RE.test(text)) return 'caution';
+  if (/decision/i.test(heading || '')) return 'decision';
+  if (/edge.?case/i.test(heading || '')) return 'edge_case';
+  if (/pattern|convention|style|guideline/i.test(heading || '')) return 'pattern';
+  return 'lesson';
+}
+
+function parseAdr(source, content) {
+  const lines = content.split('\n');
+  const titleLine = lines.find(l => /^#\s+/.test(l)) || '';
+  const title = titleLine.replace(/^#\s+/, '').replace(/^(ADR[-\s]?\d+|\d+)[.:\s-]*/i, '').trim()
+    || path.basename(source.file, '.md');
+
+  const status = (content.match(/^status:\s*(.+)$/im)?.[1] || sectionText(lines, /^status$/i).text || '').trim();
+  if (ADR_SKIP_STATUS.test(status)) {
+    return { candidates: [], skipped: `status ${status.split(/\s/)[0].toLowerCase()}` };
+  }
+
+  let { text, line } = sectionText(lines, /^decision( outcome)?$/i);
+  if (!text) ({ text, line } = firstParagraph(lines, lines.indexOf(titleLine) + 1));
+  if (!text) return { candidates: [], skipped: 'no decision text' };
+  return {
+    candidates: [{
+      type: 'decision',
+      section: 'decisions',
+      text: clip(`${title}: ${text}`),
+      origin: { file: source.file, line }
+    }],
+    skipped: null
+  };
+}
+
+/**
+ * First paragraph under the ## heading matching `re`: { text, line }.
+ */
+function sectionText(lines, re) {
+  const at = lines.findIndex(l => {
+    const m = l.match(/^##+\s+(.+)$/);
+    return m && re.test(m[1].trim());
+  });
+  return at === -1 ? { text: '', line: null } : firstParagraph(lines, at + 1);
+}
+
+function firstParagraph(lines, from) {
+  const para = [];
+  let line = null;
+  for (let i = from; i < lines.length; i++) {
+    const l = lines[i].trim();
+    if (/^#/.test(l)) break;
+    if (!l) {
+      if (para.length > 0) break;
+      continue;
+    }
+    if (line === null) line = i + 1;
+    para.push(l.replace(/^(?:[-*+]|\d+[.)])\s+/, ''));
+  }
+  return { text: para.join(' '), line };
+}
+
+function parseMemory(source, content) {
+  const fm = content.match(/^---\n([\s\S]*?)\n---\n?/);
+  const front = fm ? fm[1] : '';
+  const memType = front.match(/^\s*type:\s*(\w+)/m)?.[1];
+  const description = front.match(/^description:\s*(.+)$/m)?.[1]?.trim() || '';
+  const bodyStart = fm ? fm[0].split('\n').length - 1 : 0;
+  const body = content.slice(fm ? fm[0].length : 0)
+    .split('\n')
+    .map(l => l.trim())
+    .filter(Boolean)
+    .join(' ')
+    .replace(/\[\[([^\]]+)\]\]/g, '$1');
+  const text = body || description;
+  if (text.length < MIN_ENTRY_CHARS) return { candidates: [], skipped: 'empty' };
+
+  return {
+    candidates: [{
+      type: CAUTION_RE.test(text) ? 'caution' : 'lesson',
+      section: MEMORY_SECTIONS[memType] || 'project',
+      text: clip(text),
+      origin: { file: source.file, line: bodyStart + 1 }
+    }],
+    skipped: null
+  };
+}
+
+function slug(text) {
+  return text.toLowerCase().replace(/[`*_]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+}
+
+function clip(text) {
+  if (text.length <= MAX_ENTRY_CHARS) return text;
+  const cut = text.slice(0, MAX_ENTRY_CHARS);
+  return cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : MAX_ENTRY_CHARS) + '…';
+}
+
+/**
+ * Everything an import would write:
+ * { sources: [{ file, kind, count, skipped }], candidates, duplicates, previewId }.
+ * Candidates are numbered from 1 (n); duplicates carry `of` — the ID of the
+ * matching wisdom entry, or null for a repeat within this import.
+ * `paths` replaces discovery with these files and directories.
+ */
+export function collectImports(projectRoot, { paths } = {}) {
+  const sources = paths?.length
+    ? paths.flatMap(p => {
+      const abs = path.resolve(projectRoot, p);
+      return fs.existsSync(abs) && fs.statSync(abs).isDirectory() ? listMarkdown(abs) : [abs];
+    }).map(p => describeSource(projectRoot, p)).filter(Boolean)
+    : discoverSources(projectRoot);
+
+  const report = [];
+  const candidates = [];
+  const duplicates = [];
+  const seen = new Set();
+  for (const source of sources) {
+    let content;
+    try {
+      content = fs.readFileSync(source.filePath, 'utf8');
+    } catch {
+      report.push({ file: source.file, kind: source.kind, count: 0, skipped: 'not readable' });
+      continue;
+    }
+    const parsed = parseSource(source, content);
+    let count = 0;
+    for (const c of parsed.candidates) {
+      const key = c.text.toLowerCase().replace(/\s+/g, ' ');
+      if (seen.has(key)) {
+        duplicates.push({ ...c, of: null });
+        continue;
+      }
+      seen.add(key);
+      const match = findSimilarEntries(projectRoot, c.text, { ref: `sections/${c.section}.md`, limit: 1 })[0];
+      if (match) {
+        duplicates.push({ ...c, of: match.id });
+        continue;
+      }
+      candidates.push({ n: candidates.length + 1, ...c });
+      count++;
+    }
+    report.push({ file: source.file, kind: source.kind, count, skipped: parsed.skipped });
+  }
+
+  const previewId = crypto.createHash('sha1')
+    .update(JSON.stringify(candidates.map(c => [c.type, c.section, c.text, c.origin.file, c.origin.line])))
+    .digest('hex')
+    .slice(0, 8);
+  return { sources: report, candidates, duplicates, previewId };
+}
+
+/**
+ * Write candidates into their sections, one journaled write per section.
+ * Returns [{ n, id, section, type }].
+ */
+export function writeImports(projectRoot, candidates, { session } = {}) {
+  const wisdomDir = getWisdomDir(projectRoot, true);
+  const bySection = new Map();
+  for (const c of candidates) {
+    if (!bySection.has(c.section)) bySection.set(c.section, []);
+    bySection.get(c.section).push(c);
+  }
+
+  return withWisdomLock(wisdomDir, () => {
+    const written = [];
+    for (const [section, items] of bySection) {
+      let content = readSection(wisdomDir, section) || `# ${section}\n`;
+      const refs = [];
+      for (const c of items) {
+        const { keywords, symbols } = extractKeywords(projectRoot, c.text);
+        const meta = { origin: c.origin, ...(symbols.length > 0 ? { symbols } : {}) };
+        const entry = createEntry(c.type, c.text, { keywords, session, bold: true, meta });
+        content = insertEntry(content, headerForType(c.type, 'section'), entry);
+        refs.push([keywords, entry.id]);
+        written.push({ n: c.n, id: entry.id, section, type: c.type });
+      }
+      writeSection(wisdomDir, section, content, 'import_sources');
+      for (const [keywords, id] of refs) {
+        if (keywords.length > 0) updateIndexKeywords(wisdomDir, keywords, `sections/${section}.md#${id}`);
+      }
+    }
+    return written;
+  });
+}
@@ -0,0 +1,147 @@
+/**
+ * Usage stats: which wisdom entries are actually read.
+ *
+ * get_wisdom, list_wisdom(entries) and keyword search hits append one JSON
+ * line per retrieval to .wisdom/usage.jsonl:
+ *
+ *   { time, session, tool, ids: ["w-1a2b3c4d", ...] }
+ *
+ * The file stays local (it isn't wisdom, and it changes on every read) and is
+ * aggregated on demand. Recording never fails the read that triggered it, and
+ * nothing is recorded for a project without a .wisdom/ directory.
+ *
+ * wisdom_stats reports the most-read entries, entries never read, and entries
+ * not reviewed (re-anchored or edited) in a long time. Keyword search ranks
+ * entries read in more distinct sessions a little higher — sessions rather
+ * than raw reads, so one session re-running a search doesn't promote its
+ * own hits.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getWisdomDir, isSuperseded } from './wisdom.js';
+import { withWisdomLock } from './wisdom-lock.js';
+import { listWisdomFiles, readWisdomFile } from './wisdom-edit.js';
+
+export const USAGE_FILE = 'usage.jsonl';
+export const DEFAULT_REVIEW_DAYS = 90;
+
+// Search score multiplier: 1 + USAGE_WEIGHT * ln(1 + sessions), at most MAX_USAGE_BOOST
+const USAGE_WEIGHT = 0.1;
+const MAX_USAGE_BOOST = 1.5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Record that `tool` returned these entries. IDs without a value (prose
+ * under a header, legacy bullets) are dropped.
+ */
+export function recordRetrieval(projectRoot, tool, ids, { session } = {}) {
+  const wisdomDir = getWisdomDir(projectRoot);
+  const unique = [...new Set(ids.filter(Boolean))];
+  if (unique.length === 0 || !fs.existsSync(wisdomDir)) return;
+  const record = { time: new Date().toISOString(), session: session || null, tool, ids: unique };
+  try {
+    withWisdomLock(wisdomDir, () => {
+      fs.appendFileSync(path.join(wisdomDir, USAGE_FILE), JSON.stringify(record) + '\n');
+    });
+  } catch {
+    // Stats are best-effort; the read itself already succeeded
+  }
+}
+
+/**
+ * Per-entry usage: Map id → { reads, sessions (count), first, last, byTool }.
+ * Unparseable lines are skipped.
+ */
+export function readUsage(projectRoot) {
+  return aggregateUsage(readUsageRecords(projectRoot));
+}
+
+function aggregateUsage(records) {
+  const usage = new Map();
+  const sessions = new Map();
+  for (const record of records) {
+    for (const id of record.ids || []) {
+      const stats = usage.get(id) || { reads: 0, sessions: 0, first: record.time, last: record.time, byTool: {} };
+      stats.reads++;
+      stats.last = record.time > stats.last ? record.time : stats.last;
+      stats.first = record.time < stats.first ? record.time : stats.first;
+      stats.byTool[record.tool] = (stats.byTool[record.tool] || 0) + 1;
+      usage.set(id, stats);
+      if (!sessions.has(id)) sessions.set(id, new Set());
+      sessions.get(id).add(record.session || 'unknown');
+    }
+  }
+  for (const [id, set] of sessions) usage.get(id).sessions = set.size;
+  return usage;
+}
+
+function readUsageRecords(projectRoot) {
+  const usagePath = path.join(getWisdomDir(projectRoot), USAGE_FILE);
+  if (!fs.existsSync(usagePath)) return [];
+  const records = [];
+  for (const line of fs.readFileSync(usagePath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try { records.push(JSON.parse(line)); } catch {}
+  }
+  return records;
+}
+
+/**
+ * Search score multiplier for an entry's usage stats (1 when never read).
+ */
+export function usageBoost(stats) {
+  if (!stats) return 1;
+  return Math.min(MAX_USAGE_BOOST, 1 + USAGE_WEIGHT * Math.log1p(stats.sessions));
+}
+
+/**
+ * When an entry was last looked at by a person or agent on purpose:
+ * reviewed (review_stale_wisdom), else updated, else created, else its date.
+ */
+function lastReviewed(entry) {
+  return entry.meta?.reviewed || entry.meta?.updated || entry.meta?.created || entry.date || null;
+}
+
+/**
+ * Usage report over every current (non-superseded) entry:
+ * { totals: { entries, read, retrievals, sessions },
+ *   mostUsed: [{ ref, entry, stats }], neverRead: [{ ref, entry }],
+ *   unreviewed: [{ ref, entry, reviewed, days }] }
+ * Lists are capped at `limit`; their full lengths are in `counts`.
+ */
+export function usageReport(projectRoot, { limit = 10, reviewDays = DEFAULT_REVIEW_DAYS, now = new Date() } = {}) {
+  const records = readUsageRecords(projectRoot);
+  const usage = aggregateUsage(records);
+  const entries = [];
+  for (const file of listWisdomFiles(projectRoot)) {
+    let doc;
+    try { doc = readWisdomFile(file); } catch { continue; }
+    for (const entry of doc.entries) {
+      if (!isSuperseded(entry)) entries.push({ ref: file.ref, entry, stats: usage.get(entry.id) });
+    }
+  }
+
+  const mostUsed = entries.filter(e => e.stats)
+    .sort((a, b) => b.stats.reads - a.stats.reads || b.stats.last.localeCompare(a.stats.last));
+  const neverRead = entries.filter(e => !e.stats)
+    .map(({ ref, entry }) => ({ ref, entry }));
+  const unreviewed = entries
+    .map(({ ref, entry }) => {
+      const reviewed = lastReviewed(entry);
+      const days = reviewed ? Math.floor((now - new Date(reviewed)) / DAY_MS) : null;
+      return { ref, entry, reviewed, days };
+    })
+    .filter(e => e.days === null || e.days >= reviewDays)
+    .sort((a, b) => (b.days ?? Number.MAX_SAFE_INTEGER) - (a.days ?? Number.MAX_SAFE_INTEGER));
+
+  const sessions = new Set(records.map(r => r.session || 'unknown'));
+
+  return {
+    totals: { entries: entries.length, read: mostUsed.length, retrievals: records.length, sessions: sessions.size },
+    counts: { mostUsed: mostUsed.length, neverRead: neverRead.length, unreviewed: unreviewed.length },
+    mostUsed: mostUsed.slice(0, limit),
+    neverRead: neverRead.slice(0, limit),
+    unreviewed: unreviewed.slice(0, limit)
+  };
+}
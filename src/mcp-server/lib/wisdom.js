@@ -3,18 +3,36 @@
  *
  * Three-tier storage:
  *   ~/.claude/wisdom/           — Global (cross-project) patterns and lessons
+ *                                 (or the roots listed in WISDOM_PATH, see getGlobalRoots)
  *   <project>/.wisdom/          — Project-level sections, plans, patterns, index
  *   <file>.wisdom               — File-specific sidecar (lessons, edge cases, cautions)
  *
  * Sidecar format: markdown with ## sections (Cautions, Edge Cases, Decisions, Lessons, etc.)
  * Index format: .wisdom/index.json mapping files ↔ sections ↔ plans ↔ keywords
+ *
+ * Entry format: each wisdom entry is one markdown bullet under a ## header,
+ * followed by its indented annotations. Metadata rides along in a trailing
+ * HTML comment so the rendered markdown stays readable:
+ *
+ *   - Retry the upload on 409 (2026-10-19) <!-- wisdom {"id":"w-1a2b3c4d","type":"lesson",...} -->
+ *     > _2026-10-20_: annotation added by annotate_wisdom
+ *
+ * Bullets written before metadata existed have no comment; they get an ID
+ * derived from their header + text so they are still addressable, and gain
+ * a real metadata comment the first time a tool rewrites them.
  */
 
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import crypto from 'crypto';
+import { withWisdomLock, writeFileAtomic } from './wisdom-lock.js';
+import { writeJournaled } from './wisdom-journal.js';
+import { emitWisdomChange } from './wisdom-events.js';
 
-const GLOBAL_WISDOM_DIR = path.join(os.homedir(), '.claude', 'wisdom');
+export const GLOBAL_WISDOM_DIR = path.join(os.homedir(), '.claude', 'wisdom');
+// Root name used for GLOBAL_WISDOM_DIR when WISDOM_PATH is not set
+const DEFAULT_ROOT_NAME = 'global';
 
 // Wisdom types that can be stored
 export const WISDOM_TYPES = ['lesson', 'pattern', 'caution', 'edge_case', 'decision', 'plan'];
@@ -29,6 +47,65 @@ const TYPE_TO_HEADER = {
   plan: 'Plans'
 };
 
+// Trailing metadata comment on an entry bullet
+const ENTRY_META_RE = /\s*<!-- wisdom (\{.*\}) -->\s*$/;
+// Trailing " (YYYY-MM-DD)" date on an entry bullet
+const ENTRY_DATE_RE = /\s+\((\d{4}-\d{2}-\d{2})\)$/;
+// Metadata line of a global wisdom file: "*Type*: lesson | *Date*: 2026-10-19 | *ID*: w-1a2b3c4d"
+const GLOBAL_META_RE = /^\*Type\*: (\w+) \| \*Date\*: (\d{4}-\d{2}-\d{2})(?: \| \*ID\*: (w-[0-9a-f]{8}))?(.*)$/m;
+
+/**
+ * Global wisdom roots, in priority order (first writable root is the default
+ * save target). Configured by WISDOM_PATH — a path.delimiter-separated list of
+ * "name=dir" or bare "dir" entries (named after the directory) — e.g.
+ *   WISDOM_PATH=personal=~/.claude/wisdom:team=~/src/team-wisdom:org=/opt/org-wisdom
+ * WISDOM_READONLY is a comma-separated list of root names that must never be
+ * written; a root whose directory exists but isn't writable is read-only too.
+ * Without WISDOM_PATH there is one root, "global", at ~/.claude/wisdom.
+ * Returns [{ name, dir, readOnly }].
+ */
+export function getGlobalRoots() {
+  const readOnlyNames = new Set((process.env.WISDOM_READONLY || '').split(',').map(s => s.trim()).filter(Boolean));
+  const specs = (process.env.WISDOM_PATH || '').split(path.delimiter).map(s => s.trim()).filter(Boolean);
+  const raw = specs.length > 0
+    ? specs.map(spec => {
+      const m = spec.match(/^([A-Za-z0-9_-]+)=(.+)$/);
+      return m ? { name: m[1], dir: m[2] } : { name: null, dir: spec };
+    })
+    : [{ name: DEFAULT_ROOT_NAME, dir: GLOBAL_WISDOM_DIR }];
+
+  const roots = [];
+  for (const { name, dir } of raw) {
+    const absDir = path.resolve(dir.replace(/^~(?=$|[\\/])/, os.homedir()));
+    const base = name || path.basename(absDir).replace(/[^A-Za-z0-9_-]/g, '-') || 'root';
+    // Names label search results and prefix refs, so they must be unique
+    let rootName = base;
+    for (let n = 2; roots.some(r => r.name === rootName); n++) rootName = `${base}-${n}`;
+    roots.push({ name: rootName, dir: absDir, readOnly: readOnlyNames.has(rootName) || !isWritableDir(absDir) });
+  }
+  return roots;
+}
+
+/**
+ * Look up a global root by name; with no name, the first writable root.
+ * Returns null if there is no such root.
+ */
+export function findGlobalRoot(name) {
+  const roots = getGlobalRoots();
+  if (name) return roots.find(r => r.name === name) || null;
+  return roots.find(r => !r.readOnly) || null;
+}
+
+function isWritableDir(dir) {
+  try {
+    fs.accessSync(dir, fs.constants.W_OK);
+    return true;
+  } catch (err) {
+    // A root that doesn't exist yet is created on first save
+    return err.code === 'ENOENT';
+  }
+}
+
 /**
  * Find the project root from a working directory.
  * Looks for .git, package.json, or .wisdom/ as indicators.
@@ -51,7 +128,8 @@ export function findProjectRoot(cwd) {
  */
 export function getWisdomDir(projectRoot, create = false) {
   const wisdomDir = path.join(projectRoot, '.wisdom');
-  if (create && !fs.existsSync(wisdomDir)) {
+  // Checks index.json rather than the directory: a lock file can create .wisdom/ first
+  if (create && !fs.existsSync(path.join(wisdomDir, 'index.json'))) {
     fs.mkdirSync(wisdomDir, { recursive: true });
     // Create subdirectories
     for (const sub of ['sections', 'plans', 'patterns']) {
@@ -59,12 +137,50 @@ export function getWisdomDir(projectRoot, create = false) {
     }
     // Create empty index
     writeIndex(wisdomDir, { sections: {}, plans: {}, keywords: {} });
+    writeWisdomGitignore(wisdomDir);
   }
   return wisdomDir;
 }
 
+// Files in .wisdom/ that are rebuilt, logged, or held per machine — kept out of git
+const GITIGNORE_COMMENT = '# wisdom-store: machine-local files';
+const GITIGNORE_LINES = [
+  'search-index.json',
+  'journal.jsonl',
+  'usage.jsonl',
+  '.lock',
+  '.lock.stale-*',
+  '*.tmp-*',
+  'index.corrupt-*.json',
+  'site/',
+  'exports/'
+];
+
+/**
+ * Add the machine-local store files (search cache, journal, usage log, lock,
+ * temp files, corrupt-index copies, the built site, export bundles) to
+ * .wisdom/.gitignore.
+ * Lines already present are left alone, so it is safe to re-run.
+ * Returns the lines added.
+ */
+export function writeWisdomGitignore(wisdomDir) {
+  const gitignorePath = path.join(wisdomDir, '.gitignore');
+  const existing = fs.existsSync(gitignorePath) ? fs.readFileSync(gitignorePath, 'utf8') : '';
+  const present = new Set(existing.split('\n').map(l => l.trim()));
+  const added = GITIGNORE_LINES.filter(line => !present.has(line));
+  if (added.length > 0) {
+    const block = [...(present.has(GITIGNORE_COMMENT) ? [] : [GITIGNORE_COMMENT]), ...added].join('\n');
+    const prefix = existing.trim() ? existing.replace(/\n*$/, '\n\n') : '';
+    fs.mkdirSync(wisdomDir, { recursive: true });
+    writeFileAtomic(gitignorePath, `${prefix}${block}\n`);
+  }
+  return added;
+}
+
 /**
  * Read the .wisdom/index.json file.
+ * A corrupt index reads as empty, but is first copied aside (see
+ * backupCorruptIndex) so the next write doesn't destroy it.
  */
 export function readIndex(wisdomDir) {
   const indexPath = path.join(wisdomDir, 'index.json');
@@ -72,21 +188,48 @@ export function readIndex(wisdomDir) {
   try {
     return JSON.parse(fs.readFileSync(indexPath, 'utf8'));
   } catch {
+    backupCorruptIndex(wisdomDir);
     return { sections: {}, plans: {}, keywords: {} };
   }
 }
 
+/**
+ * Copy an unparseable index.json to index.corrupt-<timestamp>.json, unless
+ * an identical copy was already made. Returns the backup's path, or null if
+ * the index is missing or parses.
+ */
+export function backupCorruptIndex(wisdomDir) {
+  const indexPath = path.join(wisdomDir, 'index.json');
+  let content;
+  try {
+    content = fs.readFileSync(indexPath, 'utf8');
+    JSON.parse(content);
+    return null;
+  } catch {
+    if (content === undefined) return null;
+  }
+  const existing = fs.readdirSync(wisdomDir)
+    .filter(f => /^index\.corrupt-.*\.json$/.test(f))
+    .find(f => fs.readFileSync(path.join(wisdomDir, f), 'utf8') === content);
+  if (existing) return path.join(wisdomDir, existing);
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = path.join(wisdomDir, `index.corrupt-${stamp}.json`);
+  fs.writeFileSync(backupPath, content);
+  return backupPath;
+}
+
 /**
  * Write the .wisdom/index.json file.
  */
 export function writeIndex(wisdomDir, index) {
   const indexPath = path.join(wisdomDir, 'index.json');
-  fs.writeFileSync(indexPath, JSON.stringify(index, null, 2) + '\n');
+  writeFileAtomic(indexPath, JSON.stringify(index, null, 2) + '\n');
+  emitWisdomChange(indexPath);
 }
 
 /**
  * Read a sidecar wisdom file (e.g., sync.js.wisdom).
- * Returns parsed sections as { type: [entries] }.
+ * Returns the parsed document (see parseWisdomMarkdown), or null if none exists.
  */
 export function readSidecar(filePath) {
   const wisdomPath = filePath + '.wisdom';
@@ -96,54 +239,346 @@ export function readSidecar(filePath) {
 
 /**
  * Write/append to a sidecar wisdom file.
+ * Returns the new entry (including its generated ID).
  */
-export function writeSidecar(filePath, type, entry) {
+export function writeSidecar(filePath, type, text, options = {}) {
   const wisdomPath = filePath + '.wisdom';
   const header = TYPE_TO_HEADER[type] || type;
-  const date = new Date().toISOString().split('T')[0];
-  const line = `- ${entry} (${date})`;
-
-  if (!fs.existsSync(wisdomPath)) {
-    // Create new sidecar
-    const fileName = path.basename(filePath);
-    const content = `# ${fileName} — Wisdom\n\n## ${header}\n${line}\n`;
-    fs.writeFileSync(wisdomPath, content);
-    return;
+  const entry = createEntry(type, text, options);
+  const projectRoot = findProjectRoot(path.dirname(filePath));
+
+  return withWisdomLock(getWisdomDir(projectRoot), () => {
+    if (!fs.existsSync(wisdomPath)) {
+      // Create new sidecar
+      const fileName = path.basename(filePath);
+      const content = `# ${fileName} — Wisdom\n\n## ${header}\n${formatEntryLine(entry)}\n`;
+      writeJournaled(projectRoot, wisdomPath, content, 'save');
+      return entry;
+    }
+
+    // Append to existing section or create new section
+    const content = fs.readFileSync(wisdomPath, 'utf8');
+    writeJournaled(projectRoot, wisdomPath, insertEntry(content, header, entry), 'save');
+    return entry;
+  });
+}
+
+/**
+ * Build a new entry object with a fresh ID and metadata.
+ * `bold` renders the text as **text** (the section-file style); `meta` adds
+ * extra metadata fields (e.g. anchors).
+ */
+export function createEntry(type, text, { keywords, session, bold = false, meta = {} } = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: generateEntryId(),
+    type,
+    text: text.trim(),
+    date: now.split('T')[0],
+    bold,
+    meta: {
+      keywords: keywords && keywords.length > 0 ? keywords.map(k => k.toLowerCase()) : undefined,
+      created: now,
+      updated: now,
+      session: session || undefined,
+      ...meta
+    },
+    annotations: [],
+    raw: null
+  };
+}
+
+/**
+ * A fresh random entry ID ("w-" + 8 hex chars).
+ */
+export function generateEntryId() {
+  return 'w-' + crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * Stable ID for a bullet written before entries carried metadata.
+ */
+function legacyEntryId(header, text) {
+  return 'w-' + crypto.createHash('sha1').update(`${header}\n${text}`).digest('hex').slice(0, 8);
+}
+
+/**
+ * The ## header a wisdom type is filed under. Sidecars use "Edge Cases";
+ * section files (style "section") use save_wisdom's "Edge cases".
+ */
+export function headerForType(type, style = 'sidecar') {
+  if (style === 'section') {
+    return type.charAt(0).toUpperCase() + type.slice(1).replace('_', ' ') + 's';
   }
+  return TYPE_TO_HEADER[type] || type;
+}
+
+/**
+ * Map a ## header back to its wisdom type ("Edge Cases" / "Edge cases" → edge_case).
+ * Returns null for headers that don't correspond to a type (e.g. "Files").
+ */
+export function headerToType(header) {
+  const normalized = header.trim().toLowerCase().replace(/s$/, '').replace(/ /g, '_');
+  return WISDOM_TYPES.includes(normalized) ? normalized : null;
+}
 
-  // Append to existing section or create new section
-  let content = fs.readFileSync(wisdomPath, 'utf8');
-  const sectionRegex = new RegExp(`^## ${header}$`, 'm');
-  if (sectionRegex.test(content)) {
-    // Find the section and append after it
-    content = content.replace(sectionRegex, `## ${header}\n${line}`);
-  } else {
-    // Add new section at the end
-    content = content.trimEnd() + `\n\n## ${header}\n${line}\n`;
+/**
+ * Render an entry as its markdown bullet line (annotations not included).
+ * Newlines in the text are folded to spaces: an unindented second line would
+ * end the entry and strand its metadata comment.
+ */
+export function formatEntryLine(entry) {
+  const text = entry.text.replace(/\s*\n\s*/g, ' ');
+  const body = entry.bold ? `**${text}**` : text;
+  const date = entry.date ? ` (${entry.date})` : '';
+  const meta = { id: entry.id, type: entry.type || undefined };
+  for (const [key, value] of Object.entries(entry.meta || {})) {
+    if (value !== undefined && value !== null) meta[key] = value;
   }
-  fs.writeFileSync(wisdomPath, content);
+  return `- ${body}${date} <!-- wisdom ${JSON.stringify(meta)} -->`;
 }
 
 /**
- * Parse wisdom markdown into structured sections.
+ * Insert an entry directly below `## header` (newest first), creating the
+ * header at the end of the document if it doesn't exist yet.
+ * Matches a trailing plural "s" so "Lesson" finds an existing "## Lessons".
  */
-function parseWisdomMarkdown(content) {
-  const sections = {};
+export function insertEntry(content, header, entry) {
+  const line = formatEntryLine(entry);
+  const base = header.replace(/s$/, '');
+  const headerRegex = new RegExp(`^## ${escapeRegExp(base)}s?$`, 'm');
+  const match = content.match(headerRegex);
+  if (match) {
+    return content.replace(headerRegex, `${match[0]}\n${line}`);
+  }
+  return content.trimEnd() + `\n\n## ${header}\n${line}\n`;
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Headers whose bullets are plan/ADR bookkeeping (file and section lists,
+// status history, related commits, supersede links), not wisdom entries
+export const RECORD_HEADERS = new Set(['Files', 'Sections', 'Status History', 'Commits', 'Links']);
+
+/**
+ * Parse wisdom markdown into a document that round-trips through
+ * serializeWisdomMarkdown.
+ *
+ * Returns { blocks, entries }:
+ *   blocks  — file order; each is either a raw line (string) or an entry object
+ *   entries — the entry objects alone, in file order
+ *
+ * An entry is a "- " bullet under a ## header. Bullets under the record
+ * headers plans and ADRs keep for bookkeeping (see RECORD_HEADERS) stay raw
+ * lines. Indented lines directly below an entry (annotations, wrapped text)
+ * belong to it. Entry shape:
+ *   { id, type, header, text, date, bold, meta, annotations, raw }
+ * `raw` holds the original bullet line; clear it after mutating an entry so
+ * the serializer re-renders the line with fresh metadata.
+ */
+export function parseWisdomMarkdown(content) {
+  const blocks = [];
+  const entries = [];
   let currentSection = null;
+  let lastEntry = null;
 
   for (const line of content.split('\n')) {
     const sectionMatch = line.match(/^## (.+)$/);
     if (sectionMatch) {
-      currentSection = sectionMatch[1];
-      sections[currentSection] = [];
+      currentSection = sectionMatch[1].trim();
+      lastEntry = null;
+      blocks.push(line);
+      continue;
+    }
+    if (currentSection && line.startsWith('- ') && !RECORD_HEADERS.has(currentSection)) {
+      lastEntry = parseEntryLine(line, currentSection);
+      entries.push(lastEntry);
+      blocks.push(lastEntry);
+      continue;
+    }
+    if (lastEntry && /^\s+\S/.test(line)) {
+      lastEntry.annotations.push(line);
+      continue;
+    }
+    lastEntry = null;
+    blocks.push(line);
+  }
+
+  return { blocks, entries };
+}
+
+function parseEntryLine(line, header) {
+  let body = line.slice(2);
+  let meta = null;
+
+  const metaMatch = body.match(ENTRY_META_RE);
+  if (metaMatch) {
+    try {
+      meta = JSON.parse(metaMatch[1]);
+      body = body.slice(0, metaMatch.index);
+    } catch { meta = null; }
+  }
+
+  let date = null;
+  const dateMatch = body.match(ENTRY_DATE_RE);
+  if (dateMatch) {
+    date = dateMatch[1];
+    body = body.slice(0, dateMatch.index);
+  }
+
+  let bold = false;
+  const boldMatch = body.match(/^\*\*([\s\S]+)\*\*$/);
+  if (boldMatch) {
+    bold = true;
+    body = boldMatch[1];
+  }
+
+  const { id, type, ...rest } = meta || {};
+  return {
+    id: id || legacyEntryId(header, body),
+    type: type || headerToType(header),
+    header,
+    text: body,
+    date,
+    bold,
+    meta: meta ? rest : {},
+    annotations: [],
+    raw: line
+  };
+}
+
+/**
+ * Serialize a parsed document back to markdown.
+ * Untouched entries keep their original line byte-for-byte.
+ */
+export function serializeWisdomMarkdown(doc) {
+  const lines = [];
+  for (const block of doc.blocks) {
+    if (typeof block === 'string') {
+      lines.push(block);
+      continue;
+    }
+    lines.push(block.raw ?? formatEntryLine(block));
+    lines.push(...block.annotations);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Find an entry in a parsed document by ID.
+ */
+export function findEntry(doc, id) {
+  return doc.entries.find(e => e.id === id) || null;
+}
+
+/**
+ * Render wisdom markdown for display: metadata comments are replaced by a
+ * short [id] tag at the front of each entry.
+ *
+ * Superseded entries are hidden unless includeSuperseded is set; a footer
+ * line points from each hidden entry to its replacement.
+ */
+export function renderWisdomMarkdown(content, { includeSuperseded = false } = {}) {
+  const doc = parseWisdomMarkdown(content);
+  const lines = [];
+  for (const block of doc.blocks) {
+    if (typeof block === 'string') {
+      lines.push(block);
       continue;
     }
-    if (currentSection && line.startsWith('- ')) {
-      sections[currentSection].push(line.slice(2));
+    if (isSuperseded(block) && !includeSuperseded) continue;
+    lines.push(formatEntryForDisplay(block));
+    lines.push(...block.annotations);
+  }
+  const footer = formatSupersededFooter(doc, includeSuperseded);
+  if (footer) {
+    while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+    lines.push('', footer, '');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * One-line display form of an entry: "- [w-1a2b3c4d] text (date)".
+ * Supersede links are appended so readers can follow the chain.
+ */
+export function formatEntryForDisplay(entry) {
+  const body = entry.bold ? `**${entry.text}**` : entry.text;
+  const date = entry.date ? ` (${entry.date})` : '';
+  const links = [];
+  if (entry.meta?.supersedes) links.push(`supersedes ${[].concat(entry.meta.supersedes).join(', ')}`);
+  if (entry.meta?.superseded_by) links.push(`superseded by ${entry.meta.superseded_by}`);
+  const suffix = links.length > 0 ? ` _(${links.join('; ')})_` : '';
+  return `- [${entry.id}] ${body}${date}${suffix}`;
+}
+
+/**
+ * True if an entry has been replaced by a newer one (supersede_wisdom).
+ */
+export function isSuperseded(entry) {
+  return Boolean(entry.meta?.superseded_by);
+}
+
+/**
+ * "_Superseded (hidden): w-old → w-new_" for the entries a render skipped.
+ * Returns null when nothing was hidden.
+ */
+export function formatSupersededFooter(doc, includeSuperseded = false) {
+  if (includeSuperseded) return null;
+  const hidden = doc.entries.filter(isSuperseded);
+  if (hidden.length === 0) return null;
+  return `_Superseded (hidden): ${hidden.map(e => `${e.id} → ${e.meta.superseded_by}`).join(', ')}_`;
+}
+
+/**
+ * Parse a global wisdom file (one entry per file, written by save_wisdom
+ * with scope:"global") into { title, entries: [entry] }.
+ * Files without an *ID* get one derived from `ref` (e.g. "lessons/foo.md").
+ */
+export function parseGlobalWisdom(content, ref) {
+  const title = content.match(/^# (.+)$/m)?.[1] || ref;
+  const metaMatch = content.match(GLOBAL_META_RE);
+  let meta = {};
+  let type = null;
+  let date = null;
+  let id = null;
+  let text = content.replace(/^# .+$/m, '').trim();
+
+  if (metaMatch) {
+    [, type, date, id] = metaMatch;
+    const comment = metaMatch[4].match(ENTRY_META_RE);
+    if (comment) {
+      try { meta = JSON.parse(comment[1]); } catch { meta = {}; }
     }
+    text = content.slice(metaMatch.index + metaMatch[0].length).trim();
   }
 
-  return sections;
+  const entry = {
+    id: id || legacyEntryId('global', ref),
+    type,
+    header: null,
+    text,
+    date,
+    bold: false,
+    meta,
+    annotations: [],
+    raw: null
+  };
+  return { title, entries: [entry] };
+}
+
+/**
+ * Render a global wisdom file from its (single) entry.
+ */
+export function formatGlobalWisdom(entry, title) {
+  const meta = {};
+  for (const [key, value] of Object.entries(entry.meta || {})) {
+    if (value !== undefined && value !== null) meta[key] = value;
+  }
+  const comment = Object.keys(meta).length > 0 ? ` <!-- wisdom ${JSON.stringify(meta)} -->` : '';
+  return `# ${title}\n\n*Type*: ${entry.type} | *Date*: ${entry.date} | *ID*: ${entry.id}${comment}\n\n${entry.text}\n`;
 }
 
 /**
@@ -156,12 +591,11 @@ export function readSection(wisdomDir, sectionName) {
 }
 
 /**
- * Write a section file to .wisdom/sections/.
+ * Write a section file to .wisdom/sections/, journaled under `op` (see wisdom-journal.js).
  */
-export function writeSection(wisdomDir, sectionName, content) {
+export function writeSection(wisdomDir, sectionName, content, op = 'write') {
   const sectionPath = path.join(wisdomDir, 'sections', `${sectionName}.md`);
-  fs.mkdirSync(path.dirname(sectionPath), { recursive: true });
-  fs.writeFileSync(sectionPath, content);
+  writeJournaled(path.dirname(wisdomDir), sectionPath, content, op);
 }
 
 /**
@@ -174,12 +608,11 @@ export function readPlan(wisdomDir, planName) {
 }
 
 /**
- * Write a plan file to .wisdom/plans/.
+ * Write a plan file to .wisdom/plans/, journaled under `op` (see wisdom-journal.js).
  */
-export function writePlan(wisdomDir, planName, content) {
+export function writePlan(wisdomDir, planName, content, op = 'write') {
   const planPath = path.join(wisdomDir, 'plans', `${planName}.md`);
-  fs.mkdirSync(path.dirname(planPath), { recursive: true });
-  fs.writeFileSync(planPath, content);
+  writeJournaled(path.dirname(wisdomDir), planPath, content, op);
 }
 
 /**
@@ -192,133 +625,72 @@ export function readPattern(wisdomDir, patternName) {
 }
 
 /**
- * Write a pattern file to .wisdom/patterns/.
+ * Write a pattern file to .wisdom/patterns/, journaled under `op` (see wisdom-journal.js).
  */
-export function writePattern(wisdomDir, patternName, content) {
+export function writePattern(wisdomDir, patternName, content, op = 'write') {
   const patternPath = path.join(wisdomDir, 'patterns', `${patternName}.md`);
-  fs.mkdirSync(path.dirname(patternPath), { recursive: true });
-  fs.writeFileSync(patternPath, content);
+  writeJournaled(path.dirname(wisdomDir), patternPath, content, op);
 }
 
 /**
- * Search all wisdom files for a keyword.
- * Returns matches from sidecars, sections, plans, and patterns.
+ * List every .wisdom sidecar file under the project (skips dot dirs and node_modules).
  */
-export function searchWisdom(projectRoot, keyword) {
+export function findSidecarFiles(dir, maxDepth = 5, depth = 0) {
+  if (depth > maxDepth) return [];
   const results = [];
-  const lowerKeyword = keyword.toLowerCase();
-
-  // Search sidecars
-  const wisdomDir = getWisdomDir(projectRoot);
-  if (fs.existsSync(wisdomDir)) {
-    // Search index keywords
-    const index = readIndex(wisdomDir);
-    if (index.keywords && index.keywords[lowerKeyword]) {
-      for (const ref of index.keywords[lowerKeyword]) {
-        results.push({ source: 'index', ref, keyword: lowerKeyword });
-      }
-    }
-
-    // Search section files
-    const sectionsDir = path.join(wisdomDir, 'sections');
-    if (fs.existsSync(sectionsDir)) {
-      for (const file of fs.readdirSync(sectionsDir)) {
-        const content = fs.readFileSync(path.join(sectionsDir, file), 'utf8');
-        if (content.toLowerCase().includes(lowerKeyword)) {
-          results.push({ source: 'section', file, snippet: extractSnippet(content, lowerKeyword) });
-        }
-      }
-    }
-
-    // Search plan files
-    const plansDir = path.join(wisdomDir, 'plans');
-    if (fs.existsSync(plansDir)) {
-      for (const file of fs.readdirSync(plansDir)) {
-        const content = fs.readFileSync(path.join(plansDir, file), 'utf8');
-        if (content.toLowerCase().includes(lowerKeyword)) {
-          results.push({ source: 'plan', file, snippet: extractSnippet(content, lowerKeyword) });
-        }
-      }
-    }
-
-    // Search pattern files
-    const patternsDir = path.join(wisdomDir, 'patterns');
-    if (fs.existsSync(patternsDir)) {
-      for (const file of fs.readdirSync(patternsDir)) {
-        const content = fs.readFileSync(path.join(patternsDir, file), 'utf8');
-        if (content.toLowerCase().includes(lowerKeyword)) {
-          results.push({ source: 'pattern', file, snippet: extractSnippet(content, lowerKeyword) });
-        }
-      }
-    }
-  }
-
-  // Search sidecar files (glob for *.wisdom in project)
-  searchSidecarsRecursive(projectRoot, lowerKeyword, results);
-
-  // Search global wisdom
-  if (fs.existsSync(GLOBAL_WISDOM_DIR)) {
-    for (const sub of ['patterns', 'lessons']) {
-      const dir = path.join(GLOBAL_WISDOM_DIR, sub);
-      if (fs.existsSync(dir)) {
-        for (const file of fs.readdirSync(dir)) {
-          const content = fs.readFileSync(path.join(dir, file), 'utf8');
-          if (content.toLowerCase().includes(lowerKeyword)) {
-            results.push({ source: `global/${sub}`, file, snippet: extractSnippet(content, lowerKeyword) });
-          }
-        }
-      }
-    }
-  }
-
-  return results;
-}
-
-/**
- * Search for .wisdom sidecar files recursively (skips node_modules, .git, etc.)
- */
-function searchSidecarsRecursive(dir, keyword, results, depth = 0) {
-  if (depth > 5) return; // Limit depth
   try {
     const entries = fs.readdirSync(dir, { withFileTypes: true });
     for (const entry of entries) {
       if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
       const fullPath = path.join(dir, entry.name);
       if (entry.isDirectory()) {
-        searchSidecarsRecursive(fullPath, keyword, results, depth + 1);
+        results.push(...findSidecarFiles(fullPath, maxDepth, depth + 1));
       } else if (entry.name.endsWith('.wisdom')) {
-        const content = fs.readFileSync(fullPath, 'utf8');
-        if (content.toLowerCase().includes(keyword)) {
-          results.push({ source: 'sidecar', file: fullPath, snippet: extractSnippet(content, keyword) });
-        }
+        results.push(fullPath);
       }
     }
   } catch { /* permission errors etc */ }
+  return results;
 }
 
 /**
- * Extract a snippet around a keyword match.
+ * Update keywords in the index for a file or section.
+ * `ref` is the file ref, optionally suffixed with "#<entry id>" to point at
+ * a single entry (e.g. "sections/auth.md#w-1a2b3c4d").
  */
-function extractSnippet(content, keyword) {
-  const lower = content.toLowerCase();
-  const idx = lower.indexOf(keyword);
-  if (idx === -1) return '';
-  const start = Math.max(0, idx - 50);
-  const end = Math.min(content.length, idx + keyword.length + 100);
-  return (start > 0 ? '...' : '') + content.slice(start, end).trim() + (end < content.length ? '...' : '');
+export function updateIndexKeywords(wisdomDir, keywords, ref) {
+  withWisdomLock(wisdomDir, () => {
+    const index = readIndex(wisdomDir);
+    for (const kw of keywords) {
+      const lower = kw.toLowerCase();
+      if (!index.keywords[lower]) index.keywords[lower] = [];
+      if (!index.keywords[lower].includes(ref)) {
+        index.keywords[lower].push(ref);
+      }
+    }
+    writeIndex(wisdomDir, index);
+  });
 }
 
 /**
- * Update keywords in the index for a file or section.
+ * Remove a ref from every keyword in the index, dropping keywords left empty.
+ * Returns the keywords that pointed at it.
  */
-export function updateIndexKeywords(wisdomDir, keywords, ref) {
-  const index = readIndex(wisdomDir);
-  for (const kw of keywords) {
-    const lower = kw.toLowerCase();
-    if (!index.keywords[lower]) index.keywords[lower] = [];
-    if (!index.keywords[lower].includes(ref)) {
-      index.keywords[lower].push(ref);
+export function removeIndexRef(wisdomDir, ref) {
+  return withWisdomLock(wisdomDir, () => {
+    const index = readIndex(wisdomDir);
+    const removedFrom = [];
+    for (const [kw, refs] of Object.entries(index.keywords || {})) {
+      if (!refs.includes(ref)) continue;
+      removedFrom.push(kw);
+      const remaining = refs.filter(r => r !== ref);
+      if (remaining.length > 0) {
+        index.keywords[kw] = remaining;
+      } else {
+        delete index.keywords[kw];
+      }
     }
-  }
-  writeIndex(wisdomDir, index);
+    if (removedFrom.length > 0) writeIndex(wisdomDir, index);
+    return removedFrom;
+  });
 }
@@ -0,0 +1,61 @@
+/**
+ * accept_adr tool
+ *
+ * Accept a proposed Architecture Decision Record — the records it lists as
+ * superseded are marked so — or set it rejected or deprecated instead.
+ * Superseded records are settled; supersede their successor instead.
+ * See lib/wisdom-adr.js.
+ */
+
+import { findProjectRoot, getWisdomDir } from '../lib/wisdom.js';
+import { withWisdomLock } from '../lib/wisdom-lock.js';
+import { readAdr, acceptAdr, setAdrStatus, formatAdrId } from '../lib/wisdom-adr.js';
+
+const STATUSES = ['accepted', 'rejected', 'deprecated'];
+
+export async function handleAcceptAdr(args) {
+  if (!args.adr) {
+    return {
+      content: [{ type: 'text', text: 'adr is required (e.g. "ADR-0003").' }],
+      isError: true
+    };
+  }
+  const status = args.status || 'accepted';
+  if (!STATUSES.includes(status)) {
+    return {
+      content: [{ type: 'text', text: `Invalid status: ${status}. Valid: ${STATUSES.join(', ')} (use supersede_adr to replace a decision).` }],
+      isError: true
+    };
+  }
+
+  const projectRoot = findProjectRoot();
+  const wisdomDir = getWisdomDir(projectRoot);
+
+  return withWisdomLock(wisdomDir, () => {
+    const adr = readAdr(wisdomDir, args.adr);
+    if (!adr) {
+      return {
+        content: [{ type: 'text', text: `No ADR ${args.adr}. See list_adrs.` }],
+        isError: true
+      };
+    }
+    if (adr.status === 'superseded') {
+      return {
+        content: [{ type: 'text', text: `${adr.id} is superseded${adr.supersededBy ? ` by ${formatAdrId(adr.supersededBy)}` : ''}; change that record instead.` }],
+        isError: true
+      };
+    }
+    if (adr.status === status) {
+      return { content: [{ type: 'text', text: `${adr.id} is already ${status}.` }] };
+    }
+
+    if (status !== 'accepted') {
+      setAdrStatus(wisdomDir, adr.number, status, { op: 'accept_adr' });
+      return { content: [{ type: 'text', text: `${adr.id} "${adr.title}": ${adr.status} → ${status}` }] };
+    }
+    const { superseded } = acceptAdr(wisdomDir, adr.number);
+    const lines = [`${adr.id} "${adr.title}": ${adr.status} → accepted`];
+    for (const old of superseded) lines.push(`- ${old.id} ${old.title} is now superseded by ${adr.id}`);
+    return { content: [{ type: 'text', text: lines.join('\n') }] };
+  });
+}
@@ -6,13 +6,29 @@
  * something new, or need to clarify/correct existing wisdom.
  *
  * Annotations are appended below the matching entry with a timestamp.
+ * The entry is located by entry_id (exact) or by search (substring).
  */
 
 import path from 'path';
 import fs from 'fs';
-import { findProjectRoot, getWisdomDir, readSection, writeSection } from '../lib/wisdom.js';
+import {
+  findProjectRoot,
+  getWisdomDir,
+  readSection,
+  writeSection,
+  parseWisdomMarkdown,
+  serializeWisdomMarkdown,
+  findEntry
+} from '../lib/wisdom.js';
+import { withWisdomLock } from '../lib/wisdom-lock.js';
+import { writeJournaled } from '../lib/wisdom-journal.js';
 
 export async function handleAnnotateWisdom(args) {
+  // Read-modify-write of one file: hold the project lock across it
+  return withWisdomLock(getWisdomDir(findProjectRoot()), () => annotate(args));
+}
+
+function annotate(args) {
   if (!args.comment || !args.comment.trim()) {
     return {
       content: [{ type: 'text', text: 'comment is required.' }],
@@ -23,7 +39,7 @@ export async function handleAnnotateWisdom(args) {
   const projectRoot = findProjectRoot();
   const wisdomDir = getWisdomDir(projectRoot);
   const date = new Date().toISOString().split('T')[0];
-  const annotation = `  > _${date}_: ${args.comment.trim()}`;
+  const annotation = `  > _${date}_: ${args.comment.replace(/\s*\n\s*/g, ' ').trim()}`;
 
   if (args.file_path) {
     // Annotate a sidecar file
@@ -41,7 +57,15 @@ export async function handleAnnotateWisdom(args) {
 
     let content = fs.readFileSync(sidecarPath, 'utf-8');
 
-    if (args.search) {
+    if (args.entry_id) {
+      content = annotateEntry(content, args.entry_id, annotation);
+      if (content === null) {
+        return {
+          content: [{ type: 'text', text: `No entry ${args.entry_id} found in ${args.file_path}.wisdom` }],
+          isError: true
+        };
+      }
+    } else if (args.search) {
       // Find the entry containing the search text and append annotation after it
       const idx = content.toLowerCase().indexOf(args.search.toLowerCase());
       if (idx === -1) {
@@ -62,7 +86,7 @@ export async function handleAnnotateWisdom(args) {
       content = content.trimEnd() + '\n' + annotation + '\n';
     }
 
-    fs.writeFileSync(sidecarPath, content);
+    writeJournaled(projectRoot, sidecarPath, content, 'annotate');
     return {
       content: [{ type: 'text', text: `Annotation added to ${args.file_path}.wisdom` }]
     };
@@ -78,7 +102,15 @@ export async function handleAnnotateWisdom(args) {
     }
 
     let updated;
-    if (args.search) {
+    if (args.entry_id) {
+      updated = annotateEntry(existing, args.entry_id, annotation);
+      if (updated === null) {
+        return {
+          content: [{ type: 'text', text: `No entry ${args.entry_id} in section "${args.section}"` }],
+          isError: true
+        };
+      }
+    } else if (args.search) {
       const idx = existing.toLowerCase().indexOf(args.search.toLowerCase());
       if (idx === -1) {
         return {
@@ -122,7 +154,7 @@ export async function handleAnnotateWisdom(args) {
       updated = existing.trimEnd() + '\n\n' + annotation + '\n';
     }
 
-    writeSection(wisdomDir, args.section, updated);
+    writeSection(wisdomDir, args.section, updated, 'annotate');
     return {
       content: [{ type: 'text', text: `Annotation added to .wisdom/sections/${args.section}.md` }]
     };
@@ -134,3 +166,15 @@ export async function handleAnnotateWisdom(args) {
     };
   }
 }
+
+/**
+ * Append an annotation line below the entry with the given ID.
+ * Returns the updated content, or null if the entry isn't in this file.
+ */
+function annotateEntry(content, entryId, annotation) {
+  const doc = parseWisdomMarkdown(content);
+  const entry = findEntry(doc, entryId);
+  if (!entry) return null;
+  entry.annotations.push(annotation);
+  return serializeWisdomMarkdown(doc);
+}
@@ -0,0 +1,41 @@
+/**
+ * build_wisdom_site tool
+ *
+ * Render the project's wisdom — sections, plans, patterns, decisions,
+ * sidecars by directory, and global wisdom — as a static HTML site with a
+ * client-side search index and backlinks from source files. The site needs
+ * no server or network: open index.html from disk. See lib/wisdom-site.js.
+ */
+
+import path from 'path';
+import { findProjectRoot } from '../lib/wisdom.js';
+import { buildWisdomSite } from '../lib/wisdom-site.js';
+
+export async function handleBuildWisdomSite(args) {
+  const projectRoot = findProjectRoot();
+  let result;
+  try {
+    result = buildWisdomSite(projectRoot, {
+      outDir: args.out_dir,
+      includeGlobal: args.include_global !== false,
+      sourceUrl: args.source_url
+    });
+  } catch (err) {
+    return {
+      content: [{ type: 'text', text: err.message }],
+      isError: true
+    };
+  }
+
+  const outDir = path.relative(projectRoot, result.outDir) || '.';
+  const changes = result.written === 0 && result.removed === 0
+    ? 'nothing changed'
+    : [`${result.written} file${result.written === 1 ? '' : 's'} written`, result.removed > 0 ? `${result.removed} stale page${result.removed === 1 ? '' : 's'} removed` : null].filter(Boolean).join(', ');
+  const lines = [
+    `Built wisdom site in ${outDir}: ${result.pages} pages (${changes})`,
+    `- ${result.entries} entr${result.entries === 1 ? 'y' : 'ies'}, ${result.files} source file${result.files === 1 ? '' : 's'} with backlinks`,
+    '',
+    `Open ${path.join(outDir, 'index.html')} in a browser — search and links work offline.`
+  ];
+  return { content: [{ type: 'text', text: lines.join('\n') }] };
+}
@@ -0,0 +1,42 @@
+/**
+ * check_wisdom tool
+ *
+ * Validate .wisdom/index.json against the files on disk — plans, sections,
+ * plan ↔ section links, keyword refs, the scanned file list — and sidecars
+ * against their source files. With repair: true, fix what can be fixed
+ * safely; a corrupt index is backed up and rebuilt rather than discarded.
+ * See lib/wisdom-check.js for the checks.
+ */
+
+import path from 'path';
+import { findProjectRoot } from '../lib/wisdom.js';
+import { checkWisdom } from '../lib/wisdom-check.js';
+
+export async function handleCheckWisdom(args) {
+  const projectRoot = findProjectRoot();
+  const repair = args.repair === true;
+  const { problems, backup } = checkWisdom(projectRoot, { repair });
+
+  if (problems.length === 0) {
+    return { content: [{ type: 'text', text: 'Wisdom is consistent: no problems found.' }] };
+  }
+
+  const repaired = problems.filter(p => p.repaired);
+  const open = problems.filter(p => !p.repaired);
+  const repairable = open.filter(p => p.repairable);
+  const lines = [`## Wisdom check: ${problems.length} problem${problems.length === 1 ? '' : 's'}`];
+  if (backup) lines.push(`Corrupt index backed up to ${path.relative(projectRoot, backup)}`);
+
+  if (repaired.length > 0) {
+    lines.push('', `### Repaired (${repaired.length})`);
+    for (const p of repaired) lines.push(`- [${p.kind}] ${p.message}`);
+  }
+  if (open.length > 0) {
+    lines.push('', `### ${repair ? 'Needs attention' : 'Found'} (${open.length})`);
+    for (const p of open) lines.push(`- [${p.kind}] ${p.message}${p.repairable ? '' : ' _(manual)_'}`);
+  }
+  if (repairable.length > 0) {
+    lines.push('', `_Run check_wisdom(repair: true) to fix ${repairable.length} of these._`);
+  }
+  return { content: [{ type: 'text', text: lines.join('\n') }] };
+}
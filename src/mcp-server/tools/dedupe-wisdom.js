@@ -0,0 +1,70 @@
+/**
+ * dedupe_wisdom tool
+ *
+ * Find clusters of near-duplicate entries across project wisdom (the same
+ * lesson saved several times in different words) and merge them.
+ *
+ * - No merge args: list clusters, the suggested entry to keep first.
+ * - merge: [["w-keep", "w-dup", ...], ...] — keep the first ID of each group,
+ *   fold the others into it (annotations, keywords, wording) and retire them
+ *   to history.
+ * - merge_all: merge every cluster found, keeping each one's first entry.
+ */
+
+import path from 'path';
+import { findProjectRoot } from '../lib/wisdom.js';
+import { findDuplicateClusters, DEFAULT_SIMILARITY } from '../lib/wisdom-similar.js';
+import { mergeDuplicateEntries } from '../lib/wisdom-edit.js';
+
+export async function handleDedupeWisdom(args) {
+  const projectRoot = findProjectRoot();
+  const threshold = args.threshold ?? DEFAULT_SIMILARITY;
+  const ref = args.file_path
+    ? path.relative(projectRoot, path.resolve(projectRoot, args.file_path))
+    : args.section ? `sections/${args.section}.md` : undefined;
+
+  let groups = args.merge;
+  if (!groups && args.merge_all) {
+    groups = findDuplicateClusters(projectRoot, { threshold, ref }).map(c => c.entries.map(e => e.id));
+  }
+
+  if (groups) {
+    const lines = [];
+    for (const [keepId, ...dupIds] of groups) {
+      let result;
+      try {
+        result = mergeDuplicateEntries(projectRoot, keepId, dupIds);
+      } catch (err) {
+        lines.push(`- ${keepId}: ${err.message}`);
+        continue;
+      }
+      if (!result) {
+        lines.push(`- ${keepId}: no such entry`);
+        continue;
+      }
+      const merged = result.merged.map(m => m.id).join(', ') || 'nothing';
+      lines.push(`- Kept ${keepId} (${result.ref}), merged ${merged}`);
+      if (result.missing.length > 0) lines.push(`  - unknown IDs: ${result.missing.join(', ')}`);
+    }
+    if (lines.length === 0) lines.push('No duplicate clusters to merge.');
+    return { content: [{ type: 'text', text: lines.join('\n') }] };
+  }
+
+  const clusters = findDuplicateClusters(projectRoot, { threshold, ref });
+  if (clusters.length === 0) {
+    return { content: [{ type: 'text', text: `No near-duplicate wisdom found (similarity ≥ ${threshold}).` }] };
+  }
+
+  const lines = [`## Near-duplicate clusters (${clusters.length}, similarity ≥ ${threshold})\n`];
+  clusters.forEach((cluster, i) => {
+    lines.push(`### ${i + 1}. ${cluster.entries.length} entries (min link ${cluster.score})`);
+    cluster.entries.forEach((e, j) => {
+      const text = e.text.length > 120 ? e.text.slice(0, 120) + '...' : e.text;
+      const keep = j === 0 ? ' **(keep)**' : '';
+      lines.push(`- \`${e.id}\`${keep} ${e.ref}${e.header ? ` › ${e.header}` : ''}: ${text.replace(/\n+/g, ' ')}`);
+    });
+    lines.push('');
+  });
+  lines.push('Merge with dedupe_wisdom(merge: [["keep-id", "dup-id", ...]]) or merge_all: true to keep each cluster\'s first entry.');
+  return { content: [{ type: 'text', text: lines.join('\n') }] };
+}
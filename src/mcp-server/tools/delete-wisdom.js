@@ -0,0 +1,48 @@
+/**
+ * delete_wisdom tool
+ *
+ * Retire a wisdom entry that is stale or wrong. The entry is removed from its
+ * file and its index.json keyword refs are dropped, but nothing is lost: the
+ * entry (with annotations and a retired timestamp/reason) moves to the history
+ * area under .wisdom/history/ (or ~/.claude/wisdom/history/ for global wisdom).
+ */
+
+import path from 'path';
+import { findProjectRoot } from '../lib/wisdom.js';
+import { retireEntry } from '../lib/wisdom-edit.js';
+
+export async function handleDeleteWisdom(args) {
+  if (!args.entry_id) {
+    return {
+      content: [{ type: 'text', text: 'entry_id is required.' }],
+      isError: true
+    };
+  }
+
+  const projectRoot = findProjectRoot();
+  let result;
+  try {
+    result = retireEntry(projectRoot, args.entry_id, { reason: args.reason });
+  } catch (err) {
+    // Entries in read-only global roots
+    return {
+      content: [{ type: 'text', text: err.message }],
+      isError: true
+    };
+  }
+
+  if (!result) {
+    return {
+      content: [{ type: 'text', text: `No wisdom entry with ID ${args.entry_id}.` }],
+      isError: true
+    };
+  }
+
+  const historyRel = result.kind === 'global'
+    ? result.historyPath
+    : path.relative(projectRoot, result.historyPath);
+
+  return {
+    content: [{ type: 'text', text: `Retired ${args.entry_id} from ${result.ref} → ${historyRel}` }]
+  };
+}
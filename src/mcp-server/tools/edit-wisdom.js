@@ -0,0 +1,73 @@
+/**
+ * edit_wisdom tool
+ *
+ * Rewrite an existing wisdom entry in place, addressed by its ID.
+ * Works on sections, plans, patterns, sidecars, and global wisdom.
+ * Changing wisdom_type moves the entry under the matching ## header;
+ * passing keywords replaces the entry's index.json keyword refs.
+ */
+
+import { findProjectRoot, WISDOM_TYPES } from '../lib/wisdom.js';
+import { editEntry } from '../lib/wisdom-edit.js';
+
+export async function handleEditWisdom(args) {
+  if (!args.entry_id) {
+    return {
+      content: [{ type: 'text', text: 'entry_id is required.' }],
+      isError: true
+    };
+  }
+  if (args.content === undefined && !args.keywords && !args.wisdom_type) {
+    return {
+      content: [{ type: 'text', text: 'Provide content, keywords, or wisdom_type to change.' }],
+      isError: true
+    };
+  }
+  if (args.content !== undefined && !args.content.trim()) {
+    return {
+      content: [{ type: 'text', text: 'content cannot be empty. Use delete_wisdom to retire an entry.' }],
+      isError: true
+    };
+  }
+  if (args.wisdom_type && !WISDOM_TYPES.includes(args.wisdom_type)) {
+    return {
+      content: [{ type: 'text', text: `Invalid wisdom_type: ${args.wisdom_type}. Valid: ${WISDOM_TYPES.join(', ')}` }],
+      isError: true
+    };
+  }
+
+  const projectRoot = findProjectRoot();
+  let result;
+  try {
+    result = editEntry(projectRoot, args.entry_id, {
+      content: args.content,
+      keywords: args.keywords,
+      type: args.wisdom_type
+    });
+  } catch (err) {
+    // Entries in read-only global roots
+    return {
+      content: [{ type: 'text', text: err.message }],
+      isError: true
+    };
+  }
+
+  if (!result) {
+    return {
+      content: [{ type: 'text', text: `No wisdom entry with ID ${args.entry_id}.` }],
+      isError: true
+    };
+  }
+
+  const lines = [`Updated ${args.entry_id} in ${result.ref}`];
+  if (args.content !== undefined && result.previousText !== result.entry.text) {
+    lines.push(`- Before: ${result.previousText}`);
+    lines.push(`- After: ${result.entry.text}`);
+  }
+  if (args.wisdom_type) lines.push(`- Type: ${result.entry.type}`);
+  if (args.keywords) lines.push(`- Keywords: ${args.keywords.join(', ') || '(none)'}`);
+
+  return {
+    content: [{ type: 'text', text: lines.join('\n') }]
+  };
+}
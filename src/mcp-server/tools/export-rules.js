@@ -0,0 +1,61 @@
+/**
+ * export_rules tool
+ *
+ * Build the rule files other editors and agents read — AGENTS.md,
+ * .github/copilot-instructions.md, .cursor/rules/wisdom.mdc,
+ * .windsurf/rules/wisdom.md — from .wisdom cautions, sections and patterns.
+ * Only the marked region is rewritten; hand-written content around it stays.
+ * With check, nothing is written: each file is compared against what an
+ * export would produce. See lib/wisdom-rules.js.
+ */
+
+import { findProjectRoot } from '../lib/wisdom.js';
+import { exportRules, RULE_TARGETS } from '../lib/wisdom-rules.js';
+
+const STATUS_TEXT = {
+  created: 'created',
+  updated: 'updated',
+  unchanged: 'unchanged',
+  up_to_date: 'up to date',
+  missing: 'missing — export would create it',
+  out_of_date: 'out of date — wisdom or the generated block changed since the last export',
+  no_region: 'no generated block — export would append one'
+};
+
+export async function handleExportRules(args) {
+  const names = Object.keys(RULE_TARGETS);
+  const unknown = (args.targets || []).filter(t => !names.includes(t));
+  if (unknown.length > 0) {
+    return {
+      content: [{ type: 'text', text: `Unknown target: ${unknown.join(', ')}. Valid: ${names.join(', ')}` }],
+      isError: true
+    };
+  }
+
+  const projectRoot = findProjectRoot();
+  const check = args.check === true;
+  const results = exportRules(projectRoot, {
+    targets: args.targets?.length ? args.targets : undefined,
+    sections: args.sections,
+    maxChars: args.max_chars,
+    check
+  });
+
+  const lines = [check ? '## Rule files (check)' : '## Exported rules'];
+  for (const r of results) {
+    const status = r.status === 'error' ? `not written: ${r.error}` : STATUS_TEXT[r.status];
+    const omitted = r.omitted > 0 ? `, ${r.omitted} left out for size` : '';
+    lines.push(`- ${r.target} → \`${r.file}\`: ${status} (${r.included} entr${r.included === 1 ? 'y' : 'ies'}${omitted})`);
+  }
+
+  if (check) {
+    const drifted = results.filter(r => r.status !== 'up_to_date');
+    lines.push('', drifted.length === 0
+      ? 'All rule files match the wisdom.'
+      : `${drifted.length} of ${results.length} rule file${results.length === 1 ? '' : 's'} drifted — run export_rules without check to regenerate.`);
+  }
+  return {
+    content: [{ type: 'text', text: lines.join('\n') }],
+    ...(results.some(r => r.status === 'error') ? { isError: true } : {})
+  };
+}
@@ -0,0 +1,48 @@
+/**
+ * export_wisdom tool
+ *
+ * Write selected project wisdom — sections, plans, patterns, sidecars, and
+ * the index.json keywords that point at them — to one portable JSON bundle
+ * (the markdown files travel verbatim inside it). Sidecars are stored by
+ * their project-relative source path. Load it elsewhere with import_wisdom.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { findProjectRoot, getWisdomDir } from '../lib/wisdom.js';
+import { exportBundle } from '../lib/wisdom-bundle.js';
+
+export async function handleExportWisdom(args) {
+  const projectRoot = findProjectRoot();
+  const bundle = exportBundle(projectRoot, {
+    sections: args.sections,
+    plans: args.plans,
+    patterns: args.patterns,
+    sidecars: args.sidecars
+  });
+
+  if (bundle.files.length === 0) {
+    return {
+      content: [{ type: 'text', text: 'Nothing to export: no wisdom matched the selection.' }],
+      isError: true
+    };
+  }
+
+  const date = bundle.exported.split('T')[0];
+  const output = args.output
+    ? path.resolve(projectRoot, args.output)
+    : path.join(getWisdomDir(projectRoot), 'exports', `${bundle.project}-${date}.wisdom-bundle.json`);
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, JSON.stringify(bundle, null, 2) + '\n');
+
+  const counts = {};
+  for (const f of bundle.files) counts[f.kind] = (counts[f.kind] || 0) + 1;
+  const summary = Object.entries(counts).map(([kind, n]) => `${n} ${kind}${n === 1 ? '' : 's'}`).join(', ');
+
+  return {
+    content: [{
+      type: 'text',
+      text: `Exported ${summary} and ${Object.keys(bundle.keywords).length} keywords to ${path.relative(projectRoot, output) || output}`
+    }]
+  };
+}
@@ -15,8 +15,10 @@ import {
 import {
   scanProject,
   generateOverview,
-  writeSymbols
+  writeSymbols,
+  writeCodeNotes
 } from '../lib/indexer.js';
+import { withWisdomLock } from '../lib/wisdom-lock.js';
 
 export async function handleGetProjectOverview(args) {
   const projectRoot = findProjectRoot(args.project_path);
@@ -37,16 +39,19 @@ export async function handleGetProjectOverview(args) {
     ...scanResult.symbols
   };
   writeSymbols(wisdomDir, symbolData);
-
-  const index = readIndex(wisdomDir);
-  index.files = scanResult.files.map(f => ({
-    path: f.path,
-    lang: f.lang,
-    lines: f.lines,
-    modified: f.modified
-  }));
-  index.lastIndexed = new Date().toISOString();
-  writeIndex(wisdomDir, index);
+  writeCodeNotes(wisdomDir, scanResult.notes);
+
+  withWisdomLock(wisdomDir, () => {
+    const index = readIndex(wisdomDir);
+    index.files = scanResult.files.map(f => ({
+      path: f.path,
+      lang: f.lang,
+      lines: f.lines,
+      modified: f.modified
+    }));
+    index.lastIndexed = new Date().toISOString();
+    writeIndex(wisdomDir, index);
+  });
 
   const overview = generateOverview(projectRoot, scanResult);
   const footer = `\n---\n*Fresh scan: ${scanResult.files.length} files in ${elapsed}ms.*`;
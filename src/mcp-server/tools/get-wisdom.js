@@ -5,14 +5,34 @@
  * Progressive disclosure: returns compact index first, full details on request.
  *
  * Modes:
- * - file_path: returns sidecar wisdom for that file
+ * - file_path: returns sidecar wisdom for that file, plus the TODO / FIXME /
+ *   HACK / XXX / NOTE: comments in it (lib/indexer.js)
  * - section: returns section wisdom from .wisdom/sections/
- * - keyword: searches all wisdom for matches
- * - plan: returns a specific plan from .wisdom/plans/
+ * - keyword: ranked full-text search (BM25, "quoted phrases") over all wisdom entries
+ * - symbol: every entry linked to a function, class or route (linked on save,
+ *   see lib/wisdom-keywords.js), with where the registry says it's defined
+ * - plan: returns a specific plan from .wisdom/plans/, with its related git
+ *   commits and drift warnings (see lib/wisdom-plan-activity.js)
+ * - adr: returns an Architecture Decision Record from .wisdom/decisions/
+ *   and the decision now in force along its supersede chain
+ *   (see lib/wisdom-adr.js)
  * - overview: returns the project wisdom index (compact)
+ * - files / git_diff: everything relevant to a set of files — sidecars,
+ *   mapped sections, active plans, global cautions — ranked and trimmed to
+ *   max_tokens (see lib/wisdom-context.js)
+ *
+ * Entries are shown with their IDs ("- [w-1a2b3c4d] ...") so callers can
+ * refer to them in annotate_wisdom and friends. Superseded entries are hidden
+ * unless include_superseded is set; a footer points to their replacements.
+ * Entries returned are counted in the usage stats (lib/wisdom-usage.js), and
+ * those that may contradict other wisdom are flagged in a footer
+ * (lib/wisdom-conflicts.js). ADRs mentioned in a file's, section's or plan's
+ * wisdom ("ADR-0003") are resolved to their current status in a footer.
+ * Sidecar entries whose anchored code changed are flagged as possibly stale;
+ * sidecars whose source file is gone are listed in the overview and flagged
+ * in search results.
  */
 
-import fs from 'fs';
 import path from 'path';
 import {
   findProjectRoot,
@@ -22,15 +42,44 @@ import {
   readPlan,
   readPattern,
   readIndex,
-  searchWisdom
+  renderWisdomMarkdown,
+  parseWisdomMarkdown,
+  formatEntryForDisplay,
+  formatSupersededFooter,
+  isSuperseded,
+  findSidecarFiles,
+  getGlobalRoots,
+  headerForType
 } from '../lib/wisdom.js';
+import { listWisdomFiles } from '../lib/wisdom-edit.js';
+import { searchWisdom } from '../lib/wisdom-search.js';
+import { checkAnchors } from '../lib/wisdom-anchors.js';
+import { listOrphanedSidecars } from '../lib/wisdom-relocate.js';
+import { gatherContext, DEFAULT_BUDGET } from '../lib/wisdom-context.js';
+import { planActivity, formatDrift, formatCommit } from '../lib/wisdom-plan-activity.js';
+import { findSymbolEntries, findSymbolDefinitions } from '../lib/wisdom-keywords.js';
+import { recordRetrieval } from '../lib/wisdom-usage.js';
+import { findConflicts } from '../lib/wisdom-conflicts.js';
+import { scanFileNotes, formatCodeNote } from '../lib/indexer.js';
+import { listAdrs, resolveAdr, findAdrRefs, formatAdrId, formatAdrResolution, ADR_STATUSES } from '../lib/wisdom-adr.js';
+import { findCallerConvIdFromParent } from '../lib/jsonl.js';
+
+// symbols.json category → what to call a definition in it
+const SYMBOL_KINDS = { functions: 'function', classes: 'class', variables: 'variable', exports: 'export', htmlPages: 'page' };
+// Code notes shown under a file's wisdom
+const MAX_CODE_NOTES = 20;
 
 export async function handleGetWisdom(args) {
   const projectRoot = findProjectRoot();
   const wisdomDir = getWisdomDir(projectRoot);
 
+  // Budgeted bundle for a set of files
+  if (args.files?.length > 0 || args.git_diff) {
+    return getFilesContext(projectRoot, args);
+  }
+
   // Overview mode — return compact index
-  if (args.mode === 'overview' || (!args.file_path && !args.section && !args.keyword && !args.plan)) {
+  if (args.mode === 'overview' || (!args.file_path && !args.section && !args.keyword && !args.plan && !args.symbol && !args.adr)) {
     return getOverview(wisdomDir, projectRoot);
   }
 
@@ -40,11 +89,17 @@ export async function handleGetWisdom(args) {
       ? args.file_path
       : path.join(projectRoot, args.file_path);
     const wisdom = readSidecar(absPath);
-    if (!wisdom) {
+    const notes = scanFileNotes(projectRoot, path.relative(projectRoot, absPath));
+    if (!wisdom && notes.length === 0) {
       return { content: [{ type: 'text', text: `No wisdom found for ${args.file_path}` }] };
     }
+    const ids = wisdom ? visibleIds(wisdom, args.include_superseded) : [];
+    recordRead(projectRoot, ids);
+    const text = wisdom
+      ? formatSidecar(projectRoot, args.file_path, wisdom, args.include_superseded)
+      : `## Wisdom: ${args.file_path}\n\n*No sidecar wisdom.*\n`;
     return {
-      content: [{ type: 'text', text: formatSidecar(args.file_path, wisdom) }]
+      content: [{ type: 'text', text: text + formatCodeNotes(notes) + formatConflicts(projectRoot, ids) + formatAdrRefs(wisdomDir, wisdom?.entries.map(e => e.text).join('\n')) }]
     };
   }
 
@@ -54,7 +109,10 @@ export async function handleGetWisdom(args) {
     if (!content) {
       return { content: [{ type: 'text', text: `No section found: ${args.section}` }] };
     }
-    return { content: [{ type: 'text', text: content }] };
+    const ids = visibleIds(parseWisdomMarkdown(content), args.include_superseded);
+    recordRead(projectRoot, ids);
+    const text = renderWisdomMarkdown(content, { includeSuperseded: args.include_superseded });
+    return { content: [{ type: 'text', text: text + formatConflicts(projectRoot, ids) + formatAdrRefs(wisdomDir, content) }] };
   }
 
   // Plan
@@ -63,22 +121,39 @@ export async function handleGetWisdom(args) {
     if (!content) {
       return { content: [{ type: 'text', text: `No plan found: ${args.plan}` }] };
     }
-    return { content: [{ type: 'text', text: content }] };
+    const ids = visibleIds(parseWisdomMarkdown(content), args.include_superseded);
+    recordRead(projectRoot, ids);
+    const text = renderWisdomMarkdown(content, { includeSuperseded: args.include_superseded });
+    return { content: [{ type: 'text', text: text + formatConflicts(projectRoot, ids) + formatAdrRefs(wisdomDir, content) + formatPlanActivity(projectRoot, wisdomDir, args.plan) }] };
+  }
+
+  // Architecture Decision Record
+  if (args.adr) {
+    return { content: [{ type: 'text', text: formatAdr(wisdomDir, args.adr) }] };
+  }
+
+  // Entries linked to a symbol
+  if (args.symbol) {
+    return { content: [{ type: 'text', text: formatSymbolWisdom(projectRoot, args.symbol, args.include_superseded) }] };
   }
 
   // Keyword search
   if (args.keyword) {
-    const results = searchWisdom(projectRoot, args.keyword);
+    const results = searchWisdom(projectRoot, args.keyword, {
+      limit: args.limit || 20,
+      includeSuperseded: args.include_superseded
+    });
     if (results.length === 0) {
       return { content: [{ type: 'text', text: `No wisdom found for keyword: "${args.keyword}"` }] };
     }
+    recordRead(projectRoot, results.map(r => r.id));
     return {
       content: [{ type: 'text', text: formatSearchResults(args.keyword, results) }]
     };
   }
 
   return {
-    content: [{ type: 'text', text: 'Provide file_path, section, keyword, plan, or use mode:"overview".' }],
+    content: [{ type: 'text', text: 'Provide file_path, section, keyword, plan, symbol, adr, or use mode:"overview".' }],
     isError: true
   };
 }
@@ -111,6 +186,15 @@ function getOverview(wisdomDir, projectRoot) {
     lines.push('');
   }
 
+  // Architecture Decision Records
+  const adrs = listAdrs(wisdomDir);
+  if (adrs.length > 0) {
+    const counts = ADR_STATUSES.map(s => [s, adrs.filter(a => a.status === s).length]).filter(([, n]) => n > 0);
+    lines.push(`### Decisions (${adrs.length})`);
+    lines.push(`${counts.map(([s, n]) => `${n} ${s}`).join(', ')} — list_adrs for details`);
+    lines.push('');
+  }
+
   // Keywords
   const keywords = Object.keys(index.keywords || {});
   if (keywords.length > 0) {
@@ -120,7 +204,7 @@ function getOverview(wisdomDir, projectRoot) {
   }
 
   // Check for sidecars in project
-  const sidecars = findSidecars(projectRoot);
+  const sidecars = findSidecarFiles(projectRoot);
   if (sidecars.length > 0) {
     lines.push(`### Sidecar Files (${sidecars.length})`);
     for (const s of sidecars.slice(0, 20)) {
@@ -130,49 +214,222 @@ function getOverview(wisdomDir, projectRoot) {
     lines.push('');
   }
 
-  if (sectionNames.length === 0 && planNames.length === 0 && keywords.length === 0 && sidecars.length === 0) {
+  const orphans = listOrphanedSidecars(projectRoot);
+  if (orphans.length > 0) {
+    lines.push(`### Orphaned Sidecars (${orphans.length})`);
+    for (const o of orphans.slice(0, 20)) {
+      lines.push(`- ${o.ref} — source file missing`);
+    }
+    if (orphans.length > 20) lines.push(`- ... and ${orphans.length - 20} more`);
+    lines.push('Run `relocate_wisdom` to find where they moved.');
+    lines.push('');
+  }
+
+  // Global roots, once WISDOM_PATH configures more than the default one
+  const roots = getGlobalRoots();
+  if (roots.length > 1) {
+    const globalFiles = listWisdomFiles(projectRoot).filter(f => f.kind === 'global');
+    lines.push(`### Global Roots (${roots.length})`);
+    for (const root of roots) {
+      const count = globalFiles.filter(f => f.root === root.name).length;
+      lines.push(`- **${root.name}**${root.readOnly ? ' (read-only)' : ''}: ${count} entries — ${root.dir}`);
+    }
+    lines.push('');
+  }
+
+  if (sectionNames.length === 0 && planNames.length === 0 && adrs.length === 0 && keywords.length === 0 && sidecars.length === 0) {
     lines.push('*No wisdom stored yet. Use `save_wisdom` to start.*');
   }
 
   return { content: [{ type: 'text', text: lines.join('\n') }] };
 }
 
-function findSidecars(dir, depth = 0) {
-  if (depth > 4) return [];
-  const results = [];
+function getFilesContext(projectRoot, args) {
+  const budget = args.max_tokens || DEFAULT_BUDGET;
+  let context;
   try {
-    const entries = fs.readdirSync(dir, { withFileTypes: true });
-    for (const entry of entries) {
-      if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
-      const fullPath = path.join(dir, entry.name);
-      if (entry.isDirectory()) {
-        results.push(...findSidecars(fullPath, depth + 1));
-      } else if (entry.name.endsWith('.wisdom')) {
-        results.push(fullPath);
-      }
+    context = gatherContext(projectRoot, { files: args.files || [], gitDiff: args.git_diff, maxTokens: budget });
+  } catch (err) {
+    // git diff failures
+    return { content: [{ type: 'text', text: err.message }], isError: true };
+  }
+
+  const { files, items, omitted, tokens } = context;
+  recordRead(projectRoot, items.map(i => i.id));
+  if (files.length === 0) {
+    return { content: [{ type: 'text', text: 'No files matched.' }] };
+  }
+  const shown = files.length > 10 ? `${files.slice(0, 10).join(', ')}, ... (${files.length - 10} more)` : files.join(', ');
+  const lines = [`## Wisdom for ${files.length} file${files.length === 1 ? '' : 's'} (~${tokens}/${budget} tokens)`, `_${shown}_`, ''];
+  if (items.length === 0) {
+    lines.push(omitted > 0 ? '*Nothing fits the budget.*' : '*No wisdom recorded for these files.*');
+  }
+
+  let currentType = null;
+  for (const item of items) {
+    if (item.type !== currentType) {
+      if (currentType !== null) lines.push('');
+      lines.push(`### ${headerForType(item.type, 'section')}`);
+      currentType = item.type;
     }
-  } catch { /* ignore */ }
-  return results;
+    const [first, ...rest] = item.text.split('\n');
+    lines.push(`${first} _(${item.source})_`, ...rest);
+  }
+  const conflicts = formatConflicts(projectRoot, items.map(i => i.id));
+  if (conflicts) lines.push(conflicts);
+  if (omitted > 0) {
+    lines.push('', `_${omitted} more item${omitted === 1 ? '' : 's'} omitted to fit the budget — raise max_tokens or use get_wisdom(file_path / section / plan)._`);
+  }
+  return { content: [{ type: 'text', text: lines.join('\n') }] };
+}
+
+/**
+ * Count these entries as read (see lib/wisdom-usage.js).
+ */
+function recordRead(projectRoot, ids) {
+  recordRetrieval(projectRoot, 'get_wisdom', ids, { session: findCallerConvIdFromParent() });
 }
 
-function formatSidecar(filePath, sections) {
+/**
+ * The file's own TODO / FIXME / HACK / XXX / NOTE: comments, read fresh
+ * (see lib/indexer.js), or '' when there are none.
+ */
+function formatCodeNotes(notes) {
+  if (notes.length === 0) return '';
+  const lines = ['', `### Code notes (${notes.length})`];
+  lines.push(...notes.slice(0, MAX_CODE_NOTES).map(formatCodeNote));
+  if (notes.length > MAX_CODE_NOTES) lines.push(`- ... and ${notes.length - MAX_CODE_NOTES} more (list_code_notes)`);
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * An ADR as written, followed by where its decision stands: in force, not
+ * (yet) in force, or superseded — then the record now in force.
+ */
+function formatAdr(wisdomDir, ref) {
+  const resolved = resolveAdr(wisdomDir, ref);
+  if (!resolved) return `No ADR found: ${ref}`;
+  const { adr, current } = resolved;
+  const lines = [adr.content.trimEnd(), '', '---'];
+  if (current !== adr) {
+    lines.push(`**Not in force** — ${formatAdrResolution(resolved)}:`);
+    lines.push(`> ${current.decision.split('\n').join('\n> ')}`);
+  } else if (adr.status === 'accepted') {
+    lines.push(`**In force** — ${adr.id} is accepted.`);
+  } else {
+    lines.push(`**Not in force** — ${adr.id} is ${adr.status}.`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Footer resolving the ADRs a text mentions along their supersede chains
+ * (see lib/wisdom-adr.js), or '' when it mentions none.
+ */
+function formatAdrRefs(wisdomDir, text) {
+  const refs = findAdrRefs(text);
+  if (refs.length === 0) return '';
+  const adrs = listAdrs(wisdomDir);
+  const lines = ['', '**Decisions referenced**:'];
+  for (const number of refs) {
+    const resolved = resolveAdr(wisdomDir, number, adrs);
+    lines.push(`- ${resolved ? formatAdrResolution(resolved) : `${formatAdrId(number)} — no such record`}`);
+  }
+  return '\n' + lines.join('\n');
+}
+
+/**
+ * Footer flagging shown entries that may contradict other wisdom (see
+ * lib/wisdom-conflicts.js), or '' when there are none.
+ */
+function formatConflicts(projectRoot, ids) {
+  const conflicts = ids.some(Boolean) ? findConflicts(projectRoot, { ids }) : [];
+  if (conflicts.length === 0) return '';
+  const lines = ['', `⚠ **Possible conflicts** (${conflicts.length}):`];
+  for (const c of conflicts.slice(0, 5)) {
+    lines.push(`- ${c.a.id} (${c.a.ref}) ↔ ${c.b.id} (${c.b.ref}) — ${c.confidence}: ${c.reasons.join('; ')}`);
+  }
+  lines.push(`_Run review_conflicts to ${conflicts.length > 5 ? 'see all of them and ' : ''}resolve or dismiss._`);
+  return '\n' + lines.join('\n');
+}
+
+/**
+ * IDs of the entries a render of doc shows.
+ */
+function visibleIds(doc, includeSuperseded = false) {
+  return doc.entries.filter(e => includeSuperseded || !isSuperseded(e)).map(e => e.id);
+}
+
+/**
+ * Footer for a plan: drift warnings and its latest related commits.
+ * Empty outside a git repository.
+ */
+function formatPlanActivity(projectRoot, wisdomDir, name) {
+  const activity = planActivity(projectRoot, wisdomDir, name);
+  if (!activity?.commits) return '';
+  const lines = ['', '---', `**Git activity**: ${activity.commits.length} related commit${activity.commits.length === 1 ? '' : 's'}`];
+  lines.push(...formatDrift(activity));
+  lines.push(...activity.commits.slice(0, 5).map(formatCommit));
+  if (activity.commits.length > 5) lines.push(`_Run plan_report(plan: "${name}") for all of them._`);
+  return '\n' + lines.join('\n');
+}
+
+function formatSymbolWisdom(projectRoot, symbol, includeSuperseded = false) {
+  const defs = findSymbolDefinitions(projectRoot, symbol);
+  const found = findSymbolEntries(projectRoot, symbol, { includeSuperseded });
+  recordRead(projectRoot, found.map(f => f.entry.id));
+  if (found.length === 0) {
+    const where = defs.length > 0 ? ` (defined in ${defs[0].file}:${defs[0].line})` : '';
+    return `No wisdom linked to ${symbol}${where}`;
+  }
+  const lines = [`## Wisdom for ${symbol}`];
+  for (const d of defs) lines.push(`_${d.category === 'apiRoutes' ? d.name : SYMBOL_KINDS[d.category] || d.category} — ${d.file}:${d.line}_`);
+  lines.push('');
+  for (const { ref, entry } of found) {
+    lines.push(`${formatEntryForDisplay(entry)} _(${ref})_`);
+    lines.push(...entry.annotations);
+    if (entry.meta?.anchors) {
+      const check = checkAnchors(projectRoot, entry.meta.anchors);
+      if (check.stale) lines.push(`  ⚠ _Possibly stale: ${check.problems.join('; ')}_`);
+    }
+  }
+  return lines.join('\n') + formatConflicts(projectRoot, found.map(f => f.entry.id));
+}
+
+function formatSidecar(projectRoot, filePath, doc, includeSuperseded = false) {
   const lines = [`## Wisdom: ${filePath}\n`];
-  for (const [header, entries] of Object.entries(sections)) {
-    lines.push(`### ${header}`);
-    for (const entry of entries) {
-      lines.push(`- ${entry}`);
+  let currentHeader = null;
+  for (const entry of doc.entries) {
+    if (isSuperseded(entry) && !includeSuperseded) continue;
+    if (entry.header !== currentHeader) {
+      if (currentHeader !== null) lines.push('');
+      lines.push(`### ${entry.header}`);
+      currentHeader = entry.header;
+    }
+    lines.push(formatEntryForDisplay(entry));
+    lines.push(...entry.annotations);
+    if (entry.meta?.anchors) {
+      const check = checkAnchors(projectRoot, entry.meta.anchors);
+      if (check.stale) lines.push(`  ⚠ _Possibly stale: ${check.problems.join('; ')}_`);
     }
-    lines.push('');
   }
+  const footer = formatSupersededFooter(doc, includeSuperseded);
+  if (footer) lines.push('', footer);
+  lines.push('');
   return lines.join('\n');
 }
 
 function formatSearchResults(keyword, results) {
-  const lines = [`## Search: "${keyword}" (${results.length} results)\n`];
-  for (const r of results) {
-    const source = r.source === 'sidecar' ? path.basename(r.file) : `${r.source}: ${r.file || r.ref}`;
-    lines.push(`- **${source}**`);
-    if (r.snippet) lines.push(`  ${r.snippet}`);
-  }
+  const lines = [`## Search: "${keyword}" (${results.length} results, best first)\n`];
+  results.forEach((r, i) => {
+    const where = r.header ? `${r.ref} › ${r.header}` : r.ref;
+    const tag = r.id ? ` \`${r.id}\`` : '';
+    const type = r.type ? ` ${r.type}` : '';
+    const superseded = r.superseded ? ' _(superseded)_' : '';
+    const orphaned = r.orphaned ? ' _(source file missing — see relocate_wisdom)_' : '';
+    lines.push(`${i + 1}. [${r.source}] **${where}**${tag}${type} — score ${r.score}${superseded}${orphaned}`);
+    const text = r.text.length > 200 ? r.text.slice(0, 200) + '...' : r.text;
+    lines.push(`   ${text.replace(/\n+/g, ' ')}`);
+  });
   return lines.join('\n');
 }
@@ -0,0 +1,86 @@
+/**
+ * import_wisdom_sources tool
+ *
+ * Turn knowledge already written down — CLAUDE.md, MEMORY.md, CONTRIBUTING
+ * guides, ADRs, Claude memory files — into typed wisdom entries. Nothing is
+ * written without confirmation:
+ *
+ * - Default: preview the numbered entries, where each would go, what was
+ *   skipped, and a preview_id.
+ * - confirm: true with that preview_id writes them (minus `skip` numbers).
+ *   If the sources or wisdom changed since the preview, the IDs differ and
+ *   the write is refused.
+ *
+ * Each entry links back to its document (meta.origin). See
+ * lib/wisdom-sources.js.
+ */
+
+import { findProjectRoot } from '../lib/wisdom.js';
+import { findCallerConvIdFromParent } from '../lib/jsonl.js';
+import { collectImports, writeImports } from '../lib/wisdom-sources.js';
+
+export async function handleImportWisdomSources(args) {
+  const projectRoot = findProjectRoot();
+  const { sources, candidates, duplicates, previewId } = collectImports(projectRoot, { paths: args.paths });
+
+  if (sources.length === 0) {
+    return {
+      content: [{ type: 'text', text: 'No source documents found (CLAUDE.md, MEMORY.md, CONTRIBUTING.md, ADR folders, Claude memory files). Pass paths to import others.' }]
+    };
+  }
+
+  if (args.confirm !== true) {
+    return { content: [{ type: 'text', text: formatPreview(sources, candidates, duplicates, previewId) }] };
+  }
+
+  if (args.preview_id !== previewId) {
+    return {
+      content: [{
+        type: 'text',
+        text: args.preview_id
+          ? `Preview ${args.preview_id} is out of date — the sources or wisdom changed since (now ${previewId}). Preview again before confirming.`
+          : 'preview_id is required with confirm: run import_wisdom_sources without confirm first and check the preview.'
+      }],
+      isError: true
+    };
+  }
+
+  const skip = new Set(args.skip || []);
+  const chosen = candidates.filter(c => !skip.has(c.n));
+  if (chosen.length === 0) {
+    return { content: [{ type: 'text', text: 'Nothing to import.' }] };
+  }
+  const written = writeImports(projectRoot, chosen, { session: findCallerConvIdFromParent() });
+
+  const bySection = {};
+  for (const w of written) bySection[w.section] = (bySection[w.section] || 0) + 1;
+  const lines = [`Imported ${written.length} entr${written.length === 1 ? 'y' : 'ies'} into ${Object.keys(bySection).length} section${Object.keys(bySection).length === 1 ? '' : 's'}:`];
+  for (const [section, n] of Object.entries(bySection)) lines.push(`- .wisdom/sections/${section}.md: ${n}`);
+  if (skip.size > 0) lines.push(`Skipped as asked: ${[...skip].sort((a, b) => a - b).join(', ')}`);
+  return { content: [{ type: 'text', text: lines.join('\n') }] };
+}
+
+function formatPreview(sources, candidates, duplicates, previewId) {
+  const docs = sources.length;
+  const lines = [`## Import preview: ${candidates.length} new entr${candidates.length === 1 ? 'y' : 'ies'} from ${docs} document${docs === 1 ? '' : 's'}`];
+
+  for (const source of sources) {
+    const skipped = source.skipped ? ` — skipped: ${source.skipped}` : '';
+    lines.push('', `### ${source.file} (${source.kind})${skipped}`);
+    for (const c of candidates.filter(c => c.origin.file === source.file)) {
+      lines.push(`${c.n}. ${c.type} → ${c.section}: ${preview(c.text)} _(line ${c.origin.line})_`);
+    }
+    for (const d of duplicates.filter(d => d.origin.file === source.file)) {
+      lines.push(`- = ${d.of ? `already in wisdom as \`${d.of}\`` : 'repeated from an earlier document'}: ${preview(d.text)}`);
+    }
+  }
+
+  if (candidates.length > 0) {
+    lines.push('', `_Write these with import_wisdom_sources(confirm: true, preview_id: "${previewId}"); add skip: [numbers] to leave entries out. Each entry keeps a link to its document (meta.origin)._`);
+  }
+  return lines.join('\n');
+}
+
+function preview(text) {
+  return text.length > 140 ? text.slice(0, 140) + '...' : text;
+}
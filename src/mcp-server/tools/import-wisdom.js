@@ -0,0 +1,66 @@
+/**
+ * import_wisdom tool
+ *
+ * Merge a bundle written by export_wisdom into this project. Entries already
+ * present are recognised by ID or text; on_conflict decides what happens
+ * when an incoming entry shares an ID with a different local entry (skip,
+ * rename, or merge). Sidecars follow path_map and, failing that, a file with
+ * the same name; ones whose source file can't be found are reported, not written.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { findProjectRoot } from '../lib/wisdom.js';
+import { importBundle, validateBundle, CONFLICT_MODES } from '../lib/wisdom-bundle.js';
+
+export async function handleImportWisdom(args) {
+  if (!args.bundle) {
+    return {
+      content: [{ type: 'text', text: 'bundle (path to an export_wisdom JSON file) is required.' }],
+      isError: true
+    };
+  }
+  const onConflict = args.on_conflict || 'skip';
+  if (!CONFLICT_MODES.includes(onConflict)) {
+    return {
+      content: [{ type: 'text', text: `Invalid on_conflict: ${onConflict}. Valid: ${CONFLICT_MODES.join(', ')}` }],
+      isError: true
+    };
+  }
+
+  const projectRoot = findProjectRoot();
+  let bundle;
+  try {
+    bundle = JSON.parse(fs.readFileSync(path.resolve(projectRoot, args.bundle), 'utf8'));
+  } catch (err) {
+    return {
+      content: [{ type: 'text', text: `Could not read bundle: ${err.message}` }],
+      isError: true
+    };
+  }
+  const invalid = validateBundle(bundle);
+  if (invalid) {
+    return { content: [{ type: 'text', text: invalid }], isError: true };
+  }
+
+  const report = importBundle(projectRoot, bundle, { onConflict, pathMap: args.path_map || {} });
+
+  const lines = [`## Imported ${bundle.project || 'bundle'} (${report.files.length} files, on_conflict: ${onConflict})\n`];
+  for (const f of report.files) {
+    const where = f.to !== f.ref ? `${f.ref} → ${f.to}` : f.ref;
+    const counts = [];
+    if (f.added) counts.push(`${f.added} added`);
+    if (f.duplicates) counts.push(`${f.duplicates} already present`);
+    if (f.conflicts) counts.push(`${f.conflicts} conflicting`);
+    lines.push(`- ${where}: ${f.action}${counts.length ? ` (${counts.join(', ')})` : ''}`);
+  }
+  if (report.keywords > 0) lines.push(`\n${report.keywords} keyword refs added to index.json`);
+  if (report.unmapped.length > 0) {
+    lines.push('');
+    lines.push(`### Not imported — source file not found (${report.unmapped.length})`);
+    for (const ref of report.unmapped) lines.push(`- ${ref}`);
+    lines.push('Pass path_map (e.g. {"old/dir/": "new/dir/"}) to point them at their files here.');
+  }
+
+  return { content: [{ type: 'text', text: lines.join('\n') }] };
+}
@@ -13,8 +13,7 @@
  *   - message_range: explicit [start, end] 1-indexed message numbers
  */
 
-import fs from 'fs';
-import { findConversationFile, getMessageContent } from '../lib/jsonl.js';
+import { findConversationFile, getMessageContent, readAllMessages } from '../lib/jsonl.js';
 import { assignTurnIds, summarizeTurn, formatTurnSummary } from '../lib/orphan-summarizer.js';
 
 const DEFAULT_SEGMENT_SIZE = 200;
@@ -57,19 +56,8 @@ export async function handleInspectPrunedMessages(args) {
     };
   }
 
-  // Read the full file directly (readJsonl auto-degrades to lightweight mode for
-  // files >50MB, which strips the message body we want to inspect). One-shot read +
-  // parse only the lines we'll actually need is acceptable for an interactive tool.
-  const content = fs.readFileSync(filePath, 'utf8');
-  const allLines = content.split('\n');
-  const messages = [];
-  for (const line of allLines) {
-    if (!line.trim()) continue;
-    try {
-      const data = JSON.parse(line);
-      if (data?.uuid !== undefined) messages.push({ data });
-    } catch (_) { /* skip malformed */ }
-  }
+  // Full bodies, orphaned messages included (see readAllMessages)
+  const messages = readAllMessages(filePath).map(data => ({ data }));
 
   // Determine the message range to return. Four modes, in priority order:
   //   message_range  → explicit [start, end] message indices
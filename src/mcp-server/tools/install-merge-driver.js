@@ -0,0 +1,39 @@
+/**
+ * install_merge_driver tool
+ *
+ * Set up the wisdom merge driver for this project's git repository: the
+ * merge.wisdom entry in the local git config, .gitattributes patterns
+ * routing sections, plans, sidecars and index.json to it, and a
+ * .wisdom/.gitignore for the machine-local store files. Branches that
+ * both add wisdom then merge without conflicts inside the bullet lists.
+ * See lib/wisdom-merge.js.
+ */
+
+import path from 'path';
+import { findProjectRoot } from '../lib/wisdom.js';
+import { installMergeDriver } from '../lib/wisdom-merge.js';
+
+export async function handleInstallMergeDriver(args) {
+  const projectRoot = findProjectRoot();
+  let result;
+  try {
+    result = installMergeDriver(projectRoot);
+  } catch (err) {
+    return {
+      content: [{ type: 'text', text: err.message }],
+      isError: true
+    };
+  }
+
+  const attributes = path.relative(projectRoot, result.attributesPath);
+  const gitignore = path.relative(projectRoot, result.gitignorePath);
+  const lines = [
+    result.configChanged || result.added.length > 0 || result.ignored.length > 0 ? 'Wisdom merge driver installed:' : 'Wisdom merge driver already installed:',
+    `- git config merge.wisdom.driver = ${result.driver}${result.configChanged ? '' : ' (unchanged)'}`,
+    result.added.length > 0 ? `- ${attributes}: added ${result.added.map(l => `\`${l}\``).join(', ')}` : `- ${attributes}: up to date`,
+    result.ignored.length > 0 ? `- ${gitignore}: added ${result.ignored.map(l => `\`${l}\``).join(', ')}` : `- ${gitignore}: up to date`,
+    '',
+    `Commit ${attributes} and ${gitignore} so they reach every clone; the git config is per clone, so run this (or \`node src/merge-driver/wisdom-merge-driver.js install\`) in each.`
+  ];
+  return { content: [{ type: 'text', text: lines.join('\n') }] };
+}
@@ -0,0 +1,38 @@
+/**
+ * list_adrs tool
+ *
+ * List the Architecture Decision Records in .wisdom/decisions/ with their
+ * status, and for superseded ones the record now in force. Filter by status.
+ * See lib/wisdom-adr.js.
+ */
+
+import { findProjectRoot, getWisdomDir } from '../lib/wisdom.js';
+import { listAdrs, resolveAdr, ADR_STATUSES } from '../lib/wisdom-adr.js';
+
+export async function handleListAdrs(args) {
+  if (args.status && !ADR_STATUSES.includes(args.status)) {
+    return {
+      content: [{ type: 'text', text: `Invalid status: ${args.status}. Valid: ${ADR_STATUSES.join(', ')}` }],
+      isError: true
+    };
+  }
+
+  const wisdomDir = getWisdomDir(findProjectRoot());
+  const adrs = listAdrs(wisdomDir);
+  const shown = args.status ? adrs.filter(a => a.status === args.status) : adrs;
+  if (shown.length === 0) {
+    return {
+      content: [{ type: 'text', text: args.status ? `No ${args.status} ADRs.` : 'No ADRs yet. Record one with propose_adr.' }]
+    };
+  }
+
+  const counts = ADR_STATUSES.map(s => [s, shown.filter(a => a.status === s).length]).filter(([, n]) => n > 0);
+  const lines = [`## Architecture decisions (${shown.length}: ${counts.map(([s, n]) => `${n} ${s}`).join(', ')})`, ''];
+  for (const adr of shown) {
+    const { current } = resolveAdr(wisdomDir, adr.number, adrs);
+    const now = current !== adr ? ` → now ${current.id} (${current.status})` : '';
+    lines.push(`- **${adr.id}** ${adr.title} — ${adr.status}${now} _(${adr.date}, ${adr.file})_`);
+  }
+  lines.push('', '_Read one with get_wisdom(adr: "ADR-0001")._');
+  return { content: [{ type: 'text', text: lines.join('\n') }] };
+}
@@ -0,0 +1,63 @@
+/**
+ * list_code_notes tool
+ *
+ * List the TODO / FIXME / HACK / XXX / NOTE: comments found by the last
+ * project scan (.wisdom/notes.json, written by reindex_project and
+ * get_project_overview), grouped by file with owner and enclosing symbol.
+ * Filter by tag, directory or owner. Scans now when there is no index yet
+ * or refresh is set.
+ */
+
+import path from 'path';
+import { findProjectRoot, getWisdomDir } from '../lib/wisdom.js';
+import { scanProject, readCodeNotes, writeCodeNotes, formatCodeNote, NOTE_TAGS } from '../lib/indexer.js';
+
+const DEFAULT_LIMIT = 50;
+
+export async function handleListCodeNotes(args) {
+  const tags = [].concat(args.tag || []).map(t => String(t).toUpperCase());
+  const unknown = tags.filter(t => !NOTE_TAGS.includes(t));
+  if (unknown.length > 0) {
+    return {
+      content: [{ type: 'text', text: `Unknown tag: ${unknown.join(', ')}. Valid: ${NOTE_TAGS.join(', ')}` }],
+      isError: true
+    };
+  }
+
+  const projectRoot = findProjectRoot();
+  let index = args.refresh === true ? null : readCodeNotes(getWisdomDir(projectRoot));
+  if (!index) {
+    const wisdomDir = getWisdomDir(projectRoot, true);
+    writeCodeNotes(wisdomDir, scanProject(projectRoot).notes);
+    index = readCodeNotes(wisdomDir);
+  }
+
+  const dir = args.dir ? path.relative(projectRoot, path.resolve(projectRoot, args.dir)) : '';
+  const owner = args.owner?.replace(/^@/, '').toLowerCase();
+  const notes = index.notes.filter(n =>
+    (tags.length === 0 || tags.includes(n.tag)) &&
+    (!dir || n.file === dir || n.file.startsWith(dir + '/')) &&
+    (!owner || n.owner?.toLowerCase() === owner));
+
+  const scope = [tags.join('/'), dir && `in ${dir}/`, owner && `owned by ${owner}`].filter(Boolean).join(' ');
+  if (notes.length === 0) {
+    return { content: [{ type: 'text', text: `No code notes${scope ? ` ${scope}` : ''}.` }] };
+  }
+
+  const counts = NOTE_TAGS.map(t => [t, notes.filter(n => n.tag === t).length]).filter(([, n]) => n > 0);
+  const lines = [
+    `## Code notes${scope ? ` ${scope}` : ''} (${notes.length}: ${counts.map(([t, n]) => `${n} ${t}`).join(', ')})`,
+    `_Indexed ${index.scanned.replace('T', ' ').slice(0, 16)}; refresh: true to rescan._`
+  ];
+  const limit = args.limit || DEFAULT_LIMIT;
+  let file = null;
+  for (const note of notes.slice(0, limit)) {
+    if (note.file !== file) {
+      lines.push('', `### ${note.file}`);
+      file = note.file;
+    }
+    lines.push(formatCodeNote(note));
+  }
+  if (notes.length > limit) lines.push('', `_${notes.length - limit} more — raise limit or narrow by tag / dir._`);
+  return { content: [{ type: 'text', text: lines.join('\n') }] };
+}
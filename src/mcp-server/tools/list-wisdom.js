@@ -3,16 +3,23 @@
  *
  * Browse what wisdom exists — by section, type, recency, or keyword.
  * Returns a compact overview for progressive disclosure.
+ * With entries:true, each section/pattern/sidecar also lists its entry IDs
+ * (and those entries count as read in the usage stats).
  */
 
 import fs from 'fs';
 import path from 'path';
-import os from 'os';
 import {
   findProjectRoot,
   getWisdomDir,
-  readIndex
+  readIndex,
+  parseWisdomMarkdown,
+  findSidecarFiles,
+  getGlobalRoots
 } from '../lib/wisdom.js';
+import { planProgress } from '../lib/wisdom-plans.js';
+import { recordRetrieval } from '../lib/wisdom-usage.js';
+import { findCallerConvIdFromParent } from '../lib/jsonl.js';
 
 export async function handleListWisdom(args) {
   const projectRoot = findProjectRoot();
@@ -25,7 +32,9 @@ export async function handleListWisdom(args) {
   }
 
   const filter = args.filter || 'all'; // all, sections, plans, patterns, sidecars, global
+  const showEntries = args.entries === true;
   const lines = [];
+  const listed = [];
 
   if (filter === 'all' || filter === 'sections') {
     const sectionsDir = path.join(wisdomDir, 'sections');
@@ -37,7 +46,9 @@ export async function handleListWisdom(args) {
           const stat = fs.statSync(path.join(sectionsDir, f));
           const size = (stat.size / 1024).toFixed(1);
           const modified = stat.mtime.toISOString().split('T')[0];
-          lines.push(`- **${f.replace('.md', '')}** — ${size}KB, updated ${modified}`);
+          const doc = parseWisdomMarkdown(fs.readFileSync(path.join(sectionsDir, f), 'utf8'));
+          lines.push(`- **${f.replace('.md', '')}** — ${doc.entries.length} entries, ${size}KB, updated ${modified}`);
+          if (showEntries) lines.push(...formatEntryList(doc, listed));
         }
         lines.push('');
       }
@@ -55,7 +66,9 @@ export async function handleListWisdom(args) {
           const name = f.replace('.md', '');
           const plan = index.plans?.[name];
           const status = plan?.status || 'unknown';
-          lines.push(`- **${name}** [${status}]`);
+          const { done, total } = planProgress(fs.readFileSync(path.join(plansDir, f), 'utf8'));
+          const progress = total > 0 ? ` — ${done}/${total} tasks done` : '';
+          lines.push(`- **${name}** [${status}]${progress}`);
         }
         lines.push('');
       }
@@ -70,6 +83,10 @@ export async function handleListWisdom(args) {
         lines.push(`### Patterns (${files.length})`);
         for (const f of files) {
           lines.push(`- ${f.replace('.md', '')}`);
+          if (showEntries) {
+            const doc = parseWisdomMarkdown(fs.readFileSync(path.join(patternsDir, f), 'utf8'));
+            lines.push(...formatEntryList(doc, listed));
+          }
         }
         lines.push('');
       }
@@ -77,14 +94,17 @@ export async function handleListWisdom(args) {
   }
 
   if (filter === 'all' || filter === 'sidecars') {
-    const sidecars = findSidecarsSync(projectRoot);
+    const sidecars = findSidecarFiles(projectRoot);
     if (sidecars.length > 0) {
       lines.push(`### Sidecar Files (${sidecars.length})`);
       for (const s of sidecars.slice(0, 30)) {
         const rel = path.relative(projectRoot, s);
         const stat = fs.statSync(s);
         const modified = stat.mtime.toISOString().split('T')[0];
-        lines.push(`- **${rel}** — updated ${modified}`);
+        const doc = parseWisdomMarkdown(fs.readFileSync(s, 'utf8'));
+        const orphaned = fs.existsSync(s.slice(0, -'.wisdom'.length)) ? '' : ' _(source file missing)_';
+        lines.push(`- **${rel}** — ${doc.entries.length} entries, updated ${modified}${orphaned}`);
+        if (showEntries) lines.push(...formatEntryList(doc, listed));
       }
       if (sidecars.length > 30) lines.push(`- ... and ${sidecars.length - 30} more`);
       lines.push('');
@@ -92,29 +112,34 @@ export async function handleListWisdom(args) {
   }
 
   if (filter === 'all' || filter === 'global') {
-    const globalDir = path.join(os.homedir(), '.claude', 'wisdom');
-    if (fs.existsSync(globalDir)) {
-      let globalCount = 0;
+    const roots = getGlobalRoots();
+    let globalCount = 0;
+    for (const root of roots) {
+      // Label by root once more than the default one is configured
+      const label = roots.length > 1
+        ? `Global ${root.name}${root.readOnly ? ' (read-only)' : ''}`
+        : 'Global';
       for (const sub of ['patterns', 'lessons']) {
-        const dir = path.join(globalDir, sub);
-        if (fs.existsSync(dir)) {
-          const files = fs.readdirSync(dir).filter(f => f.endsWith('.md'));
-          if (files.length > 0) {
-            lines.push(`### Global ${sub} (${files.length})`);
-            for (const f of files) {
-              lines.push(`- ${f.replace('.md', '')}`);
-            }
-            lines.push('');
-            globalCount += files.length;
+        const dir = path.join(root.dir, sub);
+        if (!fs.existsSync(dir)) continue;
+        const files = fs.readdirSync(dir).filter(f => f.endsWith('.md'));
+        if (files.length > 0) {
+          lines.push(`### ${label} ${sub} (${files.length})`);
+          for (const f of files) {
+            lines.push(`- ${f.replace('.md', '')}`);
           }
+          lines.push('');
+          globalCount += files.length;
         }
       }
-      if (globalCount === 0 && filter === 'global') {
-        lines.push('*No global wisdom yet.*');
-      }
+    }
+    if (globalCount === 0 && filter === 'global') {
+      lines.push('*No global wisdom yet.*');
     }
   }
 
+  recordRetrieval(projectRoot, 'list_wisdom', listed, { session: findCallerConvIdFromParent() });
+
   if (lines.length === 0) {
     lines.push('*No wisdom found. Use `save_wisdom` to start.*');
   }
@@ -124,20 +149,11 @@ export async function handleListWisdom(args) {
   };
 }
 
-function findSidecarsSync(dir, depth = 0) {
-  if (depth > 4) return [];
-  const results = [];
-  try {
-    const entries = fs.readdirSync(dir, { withFileTypes: true });
-    for (const entry of entries) {
-      if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
-      const fullPath = path.join(dir, entry.name);
-      if (entry.isDirectory()) {
-        results.push(...findSidecarsSync(fullPath, depth + 1));
-      } else if (entry.name.endsWith('.wisdom')) {
-        results.push(fullPath);
-      }
-    }
-  } catch { /* ignore */ }
-  return results;
+function formatEntryList(doc, listed) {
+  listed.push(...doc.entries.map(e => e.id));
+  return doc.entries.map(e => {
+    const text = e.text.length > 80 ? e.text.slice(0, 80) + '...' : e.text;
+    return `  - \`${e.id}\` ${e.type || e.header}: ${text}`;
+  });
 }
+
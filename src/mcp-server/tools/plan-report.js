@@ -0,0 +1,100 @@
+/**
+ * plan_report tool
+ *
+ * Plans against the git history of their work. For each plan (or just
+ * `plan`): its related commits — those touching its files or mentioning its
+ * slug — and drift warnings: active plans with no related commit in
+ * `stale_days` days, completed plans whose files kept changing.
+ * With attach (default true) the related commits are recorded in each plan
+ * file under "## Commits". See lib/wisdom-plan-activity.js.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { findProjectRoot, getWisdomDir, readPlan, writePlan } from '../lib/wisdom.js';
+import { withWisdomLock } from '../lib/wisdom-lock.js';
+import { planProgress } from '../lib/wisdom-plans.js';
+import {
+  planActivity,
+  attachPlanCommits,
+  formatDrift,
+  formatCommit,
+  DEFAULT_STALE_DAYS
+} from '../lib/wisdom-plan-activity.js';
+
+export async function handlePlanReport(args) {
+  const projectRoot = findProjectRoot();
+  const wisdomDir = getWisdomDir(projectRoot);
+  const staleDays = args.stale_days ?? DEFAULT_STALE_DAYS;
+  const limit = args.limit || 10;
+  const attach = args.attach !== false;
+
+  let names;
+  if (args.plan) {
+    names = [args.plan.replace(/[^a-z0-9-]/gi, '-').toLowerCase()];
+  } else {
+    const plansDir = path.join(wisdomDir, 'plans');
+    names = fs.existsSync(plansDir)
+      ? fs.readdirSync(plansDir).filter(f => f.endsWith('.md')).map(f => f.replace('.md', '')).sort()
+      : [];
+  }
+  if (names.length === 0) {
+    return { content: [{ type: 'text', text: 'No plans found. Use `update_plan` to create one.' }] };
+  }
+
+  const reports = [];
+  for (const name of names) {
+    const activity = planActivity(projectRoot, wisdomDir, name, { staleDays });
+    if (!activity) {
+      return {
+        content: [{ type: 'text', text: `No plan found: ${name}` }],
+        isError: true
+      };
+    }
+    reports.push(activity);
+  }
+  if (reports[0].commits === null) {
+    return {
+      content: [{ type: 'text', text: 'Not a git repository — plan_report needs git history.' }],
+      isError: true
+    };
+  }
+
+  const attached = [];
+  if (attach) {
+    withWisdomLock(wisdomDir, () => {
+      for (const report of reports) {
+        const content = readPlan(wisdomDir, report.name);
+        const updated = attachPlanCommits(content, report.commits);
+        if (updated !== content) {
+          writePlan(wisdomDir, report.name, updated, 'plan_report');
+          attached.push(report.name);
+        }
+      }
+    });
+  }
+
+  const drifting = reports.filter(r => r.drift.stale || r.drift.changedAfterCompletion);
+  const lines = [
+    `## Plan report (${reports.length} plan${reports.length === 1 ? '' : 's'}, ${drifting.length} drifting)`,
+    ''
+  ];
+  for (const report of reports) {
+    const { done, total } = planProgress(report.content);
+    const progress = total > 0 ? `, ${done}/${total} tasks done` : '';
+    lines.push(`### ${report.name} [${report.status}${progress}]`);
+    lines.push(report.files.length > 0 ? `Files: ${report.files.join(', ')}` : 'Files: none listed');
+    lines.push(...formatDrift(report, staleDays));
+    if (report.commits.length === 0) {
+      lines.push('No related commits.');
+    } else {
+      lines.push(`${report.commits.length} related commit${report.commits.length === 1 ? '' : 's'}:`);
+      lines.push(...report.commits.slice(0, limit).map(formatCommit));
+      if (report.commits.length > limit) lines.push(`- … ${report.commits.length - limit} more`);
+    }
+    lines.push('');
+  }
+  if (attached.length > 0) lines.push(`_Updated the Commits section of: ${attached.join(', ')}_`);
+
+  return { content: [{ type: 'text', text: lines.join('\n').trimEnd() }] };
+}
@@ -0,0 +1,61 @@
+/**
+ * propose_adr tool
+ *
+ * Record a decision as an Architecture Decision Record in
+ * .wisdom/decisions/NNNN-title.md — context, decision, consequences —
+ * with status proposed (or accepted straight away). `supersedes` names the
+ * records it replaces; they are marked superseded once this one is accepted.
+ * See lib/wisdom-adr.js.
+ */
+
+import { findProjectRoot, getWisdomDir } from '../lib/wisdom.js';
+import { withWisdomLock } from '../lib/wisdom-lock.js';
+import { createAdr, acceptAdr, readAdr, parseAdrId } from '../lib/wisdom-adr.js';
+
+const INITIAL_STATUSES = ['proposed', 'accepted'];
+
+export async function handleProposeAdr(args) {
+  if (!args.title?.trim() || !args.decision?.trim()) {
+    return {
+      content: [{ type: 'text', text: 'title and decision are required.' }],
+      isError: true
+    };
+  }
+  const status = args.status || 'proposed';
+  if (!INITIAL_STATUSES.includes(status)) {
+    return {
+      content: [{ type: 'text', text: `Invalid status: ${status}. A new ADR is ${INITIAL_STATUSES.join(' or ')}.` }],
+      isError: true
+    };
+  }
+
+  const projectRoot = findProjectRoot();
+  const wisdomDir = getWisdomDir(projectRoot, true);
+
+  return withWisdomLock(wisdomDir, () => {
+    const refs = [].concat(args.supersedes || []);
+    const unknown = refs.filter(r => !readAdr(wisdomDir, r));
+    if (unknown.length > 0) {
+      return {
+        content: [{ type: 'text', text: `Unknown ADR: ${unknown.join(', ')}. See list_adrs.` }],
+        isError: true
+      };
+    }
+
+    let adr = createAdr(wisdomDir, {
+      title: args.title,
+      context: args.context,
+      decision: args.decision,
+      consequences: args.consequences,
+      status,
+      supersedes: refs.map(parseAdrId)
+    });
+    let superseded = [];
+    if (status === 'accepted') ({ adr, superseded } = acceptAdr(wisdomDir, adr.number));
+
+    const lines = [`${status === 'accepted' ? 'Accepted' : 'Proposed'} ${adr.id} "${adr.title}" in .wisdom/decisions/${adr.file}`];
+    for (const old of superseded) lines.push(`- ${old.id} ${old.title} is now superseded by ${adr.id}`);
+    if (status === 'proposed') lines.push(`Accept it with accept_adr(adr: "${adr.id}").`);
+    return { content: [{ type: 'text', text: lines.join('\n') }] };
+  });
+}
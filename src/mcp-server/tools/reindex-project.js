@@ -3,6 +3,7 @@
  *
  * Scan the project, extract symbols, and update:
  * - .wisdom/symbols.json (symbol registry)
+ * - .wisdom/notes.json (TODO/FIXME/HACK/XXX/NOTE comments, see list_code_notes)
  * - .wisdom/index.json (updated file list in index)
  */
 
@@ -15,8 +16,10 @@ import {
 
 import {
   scanProject,
-  writeSymbols
+  writeSymbols,
+  writeCodeNotes
 } from '../lib/indexer.js';
+import { withWisdomLock } from '../lib/wisdom-lock.js';
 
 export async function handleReindexProject(args) {
   const projectRoot = findProjectRoot(args.project_path);
@@ -43,17 +46,20 @@ export async function handleReindexProject(args) {
     ...result.symbols
   };
   writeSymbols(wisdomDir, symbolData);
+  writeCodeNotes(wisdomDir, result.notes);
 
   // Update index with file list
-  const index = readIndex(wisdomDir);
-  index.files = result.files.map(f => ({
-    path: f.path,
-    lang: f.lang,
-    lines: f.lines,
-    modified: f.modified
-  }));
-  index.lastIndexed = new Date().toISOString();
-  writeIndex(wisdomDir, index);
+  withWisdomLock(wisdomDir, () => {
+    const index = readIndex(wisdomDir);
+    index.files = result.files.map(f => ({
+      path: f.path,
+      lang: f.lang,
+      lines: f.lines,
+      modified: f.modified
+    }));
+    index.lastIndexed = new Date().toISOString();
+    writeIndex(wisdomDir, index);
+  });
 
   // Summary
   const funcCount = Object.keys(result.symbols.functions).length;
@@ -69,6 +75,7 @@ export async function handleReindexProject(args) {
     `- Classes: ${classCount}`,
     `- Exports: ${exportCount}`,
     `- Variables: ${varCount}`,
+    `- Code notes: ${result.notes.length}`,
     ``,
     `### Languages`,
   ];
@@ -83,7 +90,7 @@ export async function handleReindexProject(args) {
   }
 
   summary.push('');
-  summary.push(`Saved to .wisdom/symbols.json and updated .wisdom/index.json`);
+  summary.push(`Saved to .wisdom/symbols.json and .wisdom/notes.json, updated .wisdom/index.json`);
 
   return {
     content: [{ type: 'text', text: summary.join('\n') }]
@@ -0,0 +1,85 @@
+/**
+ * relocate_wisdom tool
+ *
+ * Reattach sidecars whose source file was renamed or moved.
+ *
+ * - No args: list orphaned sidecars (<file>.wisdom with no <file>) with
+ *   suggested new locations from git rename tracking and content similarity.
+ * - from + to: move the sidecar for `from` to sit next to `to`, updating
+ *   entry anchors and index.json refs.
+ * - apply_suggestions: move every orphan whose best suggestion is a git
+ *   rename or scores at least min_score (default 0.8).
+ */
+
+import { findProjectRoot } from '../lib/wisdom.js';
+import { findOrphanedSidecars, relocateSidecar } from '../lib/wisdom-relocate.js';
+
+const DEFAULT_MIN_SCORE = 0.8;
+
+export async function handleRelocateWisdom(args) {
+  const projectRoot = findProjectRoot();
+
+  if (args.from || args.to) {
+    if (!args.from || !args.to) {
+      return {
+        content: [{ type: 'text', text: 'Provide both from and to (source file paths, not .wisdom paths).' }],
+        isError: true
+      };
+    }
+    try {
+      const result = relocateSidecar(projectRoot, args.from, args.to);
+      return { content: [{ type: 'text', text: formatMove(result) }] };
+    } catch (err) {
+      return { content: [{ type: 'text', text: `Relocate failed: ${err.message}` }], isError: true };
+    }
+  }
+
+  const orphans = findOrphanedSidecars(projectRoot);
+  if (orphans.length === 0) {
+    return { content: [{ type: 'text', text: 'No orphaned sidecars: every .wisdom file has its source file.' }] };
+  }
+
+  if (args.apply_suggestions) {
+    const minScore = args.min_score ?? DEFAULT_MIN_SCORE;
+    const lines = [];
+    const skipped = [];
+    for (const orphan of orphans) {
+      const best = orphan.suggestions[0];
+      if (!best || (best.reason !== 'git rename' && best.score < minScore)) {
+        skipped.push(orphan.ref);
+        continue;
+      }
+      try {
+        lines.push(formatMove(relocateSidecar(projectRoot, orphan.ref, best.to)) + ` (${best.reason})`);
+      } catch (err) {
+        lines.push(`- ${orphan.ref}: ${err.message}`);
+      }
+    }
+    if (lines.length === 0) lines.push('No suggestion was confident enough to apply.');
+    if (skipped.length > 0) {
+      lines.push('', `Left in place (no confident match): ${skipped.join(', ')}`);
+    }
+    return { content: [{ type: 'text', text: lines.join('\n') }] };
+  }
+
+  const lines = [`## Orphaned sidecars (${orphans.length})\n`];
+  for (const orphan of orphans) {
+    lines.push(`- **${orphan.ref}** — source file missing`);
+    if (orphan.suggestions.length === 0) {
+      lines.push('  - no likely new location found');
+    }
+    for (const s of orphan.suggestions) {
+      lines.push(`  - → ${s.to} (${s.reason}, score ${s.score})`);
+    }
+  }
+  lines.push('');
+  lines.push('Move one with relocate_wisdom(from, to), or apply_suggestions:true for all confident matches.');
+  return { content: [{ type: 'text', text: lines.join('\n') }] };
+}
+
+function formatMove(result) {
+  const details = [`${result.entries} entries`];
+  if (result.anchorsUpdated > 0) details.push(`${result.anchorsUpdated} anchors`);
+  if (result.indexRefsUpdated > 0) details.push(`${result.indexRefsUpdated} index refs`);
+  return `Moved ${result.from}.wisdom → ${result.to}.wisdom (${details.join(', ')})`;
+}
@@ -0,0 +1,106 @@
+/**
+ * review_conflicts tool
+ *
+ * List wisdom entries that may contradict each other: pairs about the same
+ * symbol, file or keyword with negation, opposing imperatives, or one
+ * reversing the other (see lib/wisdom-conflicts.js). Scope to one file with
+ * file_path or section.
+ *
+ * With use_llm, a model confirms or rejects the candidates — including
+ * topic-sharing pairs the heuristics let through. Auth as in
+ * analyze_for_archive: OAuth, or ANTHROPIC_API_KEY only with allowApiKey.
+ *
+ * dismiss: [id, id] marks a pair as reviewed and compatible so it isn't
+ * flagged again.
+ */
+
+import path from 'path';
+import { findProjectRoot } from '../lib/wisdom.js';
+import { markCompatible } from '../lib/wisdom-edit.js';
+import {
+  findConflicts,
+  judgeConflicts,
+  formatTopic,
+  DEFAULT_CONFLICT_MODEL,
+  MAX_LLM_PAIRS
+} from '../lib/wisdom-conflicts.js';
+import { getAnthropicClient, formatCost } from '../lib/anthropic-client.js';
+
+export async function handleReviewConflicts(args) {
+  const projectRoot = findProjectRoot();
+
+  if (args.dismiss) {
+    if (!Array.isArray(args.dismiss) || args.dismiss.length !== 2 || args.dismiss[0] === args.dismiss[1]) {
+      return {
+        content: [{ type: 'text', text: 'dismiss takes two different entry IDs.' }],
+        isError: true
+      };
+    }
+    const refs = markCompatible(projectRoot, args.dismiss[0], args.dismiss[1]);
+    if (!refs) {
+      return {
+        content: [{ type: 'text', text: `No wisdom entry with ID ${args.dismiss.join(' or ')}.` }],
+        isError: true
+      };
+    }
+    return {
+      content: [{ type: 'text', text: `Marked ${args.dismiss[0]} (${refs[0]}) and ${args.dismiss[1]} (${refs[1]}) as compatible; the pair won't be flagged again.` }]
+    };
+  }
+
+  const ref = args.file_path
+    ? path.relative(projectRoot, path.resolve(projectRoot, args.file_path))
+    : args.section ? `sections/${args.section}.md` : undefined;
+  const limit = args.limit || 20;
+  let conflicts = findConflicts(projectRoot, { ref, includeUnflagged: args.use_llm === true });
+  let costLine = null;
+
+  if (args.use_llm === true && conflicts.length > 0) {
+    let client;
+    try {
+      ({ client } = getAnthropicClient({ allowApiKey: args.allowApiKey === true }));
+    } catch (e) {
+      return {
+        content: [{ type: 'text', text: `Auth error: ${e.message}` }],
+        isError: true
+      };
+    }
+    const model = args.model || DEFAULT_CONFLICT_MODEL;
+    try {
+      const { usage } = await judgeConflicts(client, conflicts, { model });
+      costLine = `Model review (${model}): ${formatCost(model, usage.input_tokens, usage.output_tokens)}`;
+      if (conflicts.length > MAX_LLM_PAIRS) costLine += ` — first ${MAX_LLM_PAIRS} of ${conflicts.length} pairs reviewed`;
+    } catch (e) {
+      return {
+        content: [{ type: 'text', text: `Model review failed: ${e.message}` }],
+        isError: true
+      };
+    }
+    // The model's verdict wins where it gave one; unjudged pairs keep the offline result
+    conflicts = conflicts.filter(c => (c.llm ? c.llm.contradicts : c.reasons.length > 0));
+  }
+
+  if (conflicts.length === 0) {
+    const text = 'No conflicting wisdom found.';
+    return { content: [{ type: 'text', text: costLine ? `${text}\n\n_${costLine}_` : text }] };
+  }
+
+  const lines = [`## Possible conflicts (${conflicts.length})`];
+  conflicts.slice(0, limit).forEach((c, i) => {
+    const label = c.llm ? 'confirmed' : c.confidence;
+    lines.push('', `### ${i + 1}. ${label} — about ${c.topics.map(formatTopic).join(', ')}`);
+    lines.push(`- \`${c.a.id}\` ${c.a.ref}${c.a.type ? ` ${c.a.type}` : ''}: ${preview(c.a.text)}`);
+    lines.push(`- \`${c.b.id}\` ${c.b.ref}${c.b.type ? ` ${c.b.type}` : ''}: ${preview(c.b.text)}`);
+    const why = [...c.reasons, ...(c.llm ? [`model: ${c.llm.reason}`] : [])];
+    if (why.length > 0) lines.push(`_${why.join('; ')}_`);
+  });
+  if (conflicts.length > limit) lines.push('', `_${conflicts.length - limit} more — raise limit to see them._`);
+  lines.push('', '_Resolve with supersede_wisdom(entry_id: <outdated>, by: <current>) or edit_wisdom; if both hold, review_conflicts(dismiss: [id, id])._');
+  if (costLine) lines.push(`_${costLine}_`);
+  return { content: [{ type: 'text', text: lines.join('\n') }] };
+}
+
+function preview(text) {
+  const flat = text.replace(/\n+/g, ' ');
+  return flat.length > 160 ? flat.slice(0, 160) + '...' : flat;
+}
@@ -0,0 +1,87 @@
+/**
+ * review_stale_wisdom tool
+ *
+ * List wisdom entries whose anchored code (symbols or line ranges recorded
+ * when the entry was saved) has changed or disappeared since. Pass reanchor
+ * with entry IDs once you've confirmed they still hold — their anchors are
+ * refreshed to the current code and they drop off the list.
+ */
+
+import path from 'path';
+import { findProjectRoot, isSuperseded } from '../lib/wisdom.js';
+import { listWisdomFiles, readWisdomFile, reanchorEntry } from '../lib/wisdom-edit.js';
+import { checkAnchors } from '../lib/wisdom-anchors.js';
+
+export async function handleReviewStaleWisdom(args) {
+  const projectRoot = findProjectRoot();
+  const lines = [];
+
+  if (args.reanchor && args.reanchor.length > 0) {
+    const done = [];
+    const missing = [];
+    const refused = [];
+    for (const id of args.reanchor) {
+      try {
+        (reanchorEntry(projectRoot, id) ? done : missing).push(id);
+      } catch (err) {
+        refused.push(err.message);
+      }
+    }
+    if (done.length > 0) lines.push(`Re-anchored ${done.length} entries: ${done.join(', ')}`);
+    if (missing.length > 0) lines.push(`Unknown entry IDs: ${missing.join(', ')}`);
+    for (const msg of refused) lines.push(`Skipped: ${msg}`);
+    lines.push('');
+  }
+
+  const filterRef = args.file_path
+    ? path.relative(projectRoot, path.resolve(projectRoot, args.file_path))
+    : null;
+
+  const stale = [];
+  const changedOnly = [];
+  for (const file of listWisdomFiles(projectRoot)) {
+    if (file.kind === 'global') continue;
+    let doc;
+    try { doc = readWisdomFile(file); } catch { continue; }
+    for (const entry of doc.entries) {
+      if (!entry.meta?.anchors || isSuperseded(entry)) continue;
+      if (filterRef && file.ref !== filterRef && !entry.meta.anchors.some(a => a.file === filterRef)) continue;
+      const check = checkAnchors(projectRoot, entry.meta.anchors);
+      if (check.stale) {
+        stale.push({ file, entry, problems: check.problems });
+      } else if (check.fileChanged) {
+        changedOnly.push({ file, entry });
+      }
+    }
+  }
+
+  if (stale.length === 0) {
+    lines.push('No stale wisdom: all anchored code is unchanged.');
+  } else {
+    lines.push(`## Possibly stale wisdom (${stale.length})\n`);
+    let currentRef = null;
+    for (const { file, entry, problems } of stale) {
+      if (file.ref !== currentRef) {
+        lines.push(`### ${file.ref} (${file.kind})`);
+        currentRef = file.ref;
+      }
+      const text = entry.text.length > 120 ? entry.text.slice(0, 120) + '...' : entry.text;
+      lines.push(`- \`${entry.id}\` ${entry.type || entry.header}: ${text}`);
+      for (const p of problems) lines.push(`  - ${p}`);
+    }
+    lines.push('');
+    lines.push('Review each: edit_wisdom to correct, delete_wisdom to retire, or review_stale_wisdom(reanchor:[ids]) if still accurate.');
+  }
+
+  if (args.include_file_changes && changedOnly.length > 0) {
+    lines.push('');
+    lines.push(`### Files changed, anchors intact (${changedOnly.length})`);
+    for (const { file, entry } of changedOnly) {
+      lines.push(`- \`${entry.id}\` ${file.ref}`);
+    }
+  }
+
+  return {
+    content: [{ type: 'text', text: lines.join('\n') }]
+  };
+}
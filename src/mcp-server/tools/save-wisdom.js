@@ -6,21 +6,61 @@
  *
  * If a file_path is provided, writes to <file_path>.wisdom (sidecar).
  * If a section is provided, writes to .wisdom/sections/<section>.md.
- * If scope is "global", writes to ~/.claude/wisdom/.
+ * If scope is "global", writes to a global wisdom root — `root` names one
+ * from WISDOM_PATH, otherwise the first writable root (~/.claude/wisdom/ by
+ * default). Read-only roots are refused.
+ *
+ * Every entry gets a stable ID (returned to the caller) plus metadata —
+ * type, keywords, created/updated, author session — so later tools can
+ * address it by ID. Entries that name code (symbols defined in the file, or
+ * explicit line numbers) are anchored to it so review_stale_wisdom can tell
+ * when that code changes. Keywords are also extracted from the content —
+ * known symbols, routes, file paths, salient terms — and the entry is linked
+ * to the symbols it names (see lib/wisdom-keywords.js); auto_keywords: false
+ * keeps only the caller's keywords. Inside a session the entry also records
+ * its source — conversation, message and time (lib/wisdom-provenance.js) —
+ * so wisdom_source can reopen the turn it was written in.
+ *
+ * A decision saved with adr: true is written as an accepted Architecture
+ * Decision Record in .wisdom/decisions/ instead (lib/wisdom-adr.js), titled
+ * by `title` or its first sentence, with optional context and consequences.
+ *
+ * Sidecar and section saves are first compared against existing entries
+ * (TF-IDF cosine, see lib/wisdom-similar.js). On a close match nothing is
+ * written unless on_duplicate says how to resolve it: "annotate" adds the
+ * content as an annotation on the match, "merge" rewrites the match with the
+ * new wording (keeping the old as an annotation), "save" appends anyway.
  */
 
 import path from 'path';
-import fs from 'fs';
+import os from 'os';
 import {
   findProjectRoot,
   getWisdomDir,
   writeSidecar,
   writeSection,
   readSection,
-  writePattern,
+  createEntry,
+  insertEntry,
+  headerForType,
+  formatGlobalWisdom,
   updateIndexKeywords,
+  getGlobalRoots,
+  findGlobalRoot,
   WISDOM_TYPES
 } from '../lib/wisdom.js';
+import { findCallerConvIdFromParent } from '../lib/jsonl.js';
+import { captureSource } from '../lib/wisdom-provenance.js';
+import { computeEntryAnchors } from '../lib/wisdom-anchors.js';
+import { extractKeywords, anchoredSymbols } from '../lib/wisdom-keywords.js';
+import { findSimilarEntries } from '../lib/wisdom-similar.js';
+import { locateEntry, editEntry, annotateEntryById } from '../lib/wisdom-edit.js';
+import { withWisdomLock } from '../lib/wisdom-lock.js';
+import { writeJournaled } from '../lib/wisdom-journal.js';
+import { createAdr } from '../lib/wisdom-adr.js';
+
+// What to do when the new content closely matches an existing entry
+const ON_DUPLICATE = ['ask', 'annotate', 'merge', 'save'];
 
 export async function handleSaveWisdom(args) {
   if (!args.content || !args.content.trim()) {
@@ -38,68 +78,184 @@ export async function handleSaveWisdom(args) {
     };
   }
 
+  const onDuplicate = args.on_duplicate || 'ask';
+  if (!ON_DUPLICATE.includes(onDuplicate)) {
+    return {
+      content: [{ type: 'text', text: `Invalid on_duplicate: ${onDuplicate}. Valid: ${ON_DUPLICATE.join(', ')}` }],
+      isError: true
+    };
+  }
+
+  if (args.adr === true && wisdomType !== 'decision') {
+    return {
+      content: [{ type: 'text', text: 'adr: true is only for wisdom_type "decision".' }],
+      isError: true
+    };
+  }
+
   const projectRoot = findProjectRoot();
   const wisdomDir = getWisdomDir(projectRoot, true);
 
+  if (args.adr === true) {
+    return withWisdomLock(wisdomDir, () => {
+      const title = args.title?.trim() || args.content.trim().split(/(?<=[.!?])\s|\n/)[0].replace(/[.!?]$/, '').slice(0, 80);
+      const adr = createAdr(wisdomDir, { title, context: args.context, decision: args.content, consequences: args.consequences, status: 'accepted' }, { op: 'save' });
+      return {
+        content: [{ type: 'text', text: `Saved decision as ${adr.id} "${adr.title}" (accepted) in .wisdom/decisions/${adr.file}` }]
+      };
+    });
+  }
+
+  if (args.file_path || args.section) {
+    // Duplicate check and write under one lock, so concurrent saves of the same lesson don't both land
+    return withWisdomLock(wisdomDir, () => saveToProject(projectRoot, wisdomDir, wisdomType, onDuplicate, args));
+  }
+  if (args.scope !== 'global') {
+    return {
+      content: [{ type: 'text', text: 'Provide either file_path, section, or scope:"global".' }],
+      isError: true
+    };
+  }
+
+  // Write to a global wisdom root
+  const root = findGlobalRoot(args.root);
+  if (!root) {
+    const names = getGlobalRoots().map(r => r.name).join(', ');
+    return {
+      content: [{ type: 'text', text: args.root
+        ? `Unknown wisdom root: ${args.root}. Configured: ${names}`
+        : `All wisdom roots are read-only (${names}).` }],
+      isError: true
+    };
+  }
+  if (root.readOnly) {
+    return {
+      content: [{ type: 'text', text: `Wisdom root "${root.name}" is read-only.` }],
+      isError: true
+    };
+  }
+  const subDir = wisdomType === 'pattern' ? 'patterns' : 'lessons';
+  const dir = path.join(root.dir, subDir);
+
+  // Use first keyword or content hash as filename
+  const name = (args.keywords?.[0] || args.content.slice(0, 30)).replace(/[^a-z0-9-]/gi, '-').toLowerCase();
+  const filePath = path.join(dir, `${name}.md`);
+  const session = findCallerConvIdFromParent();
+  const source = captureSource(session, args.content, { cwd: projectRoot });
+  const entry = createEntry(wisdomType, args.content, { keywords: args.keywords, session, meta: source ? { source } : {} });
+  withWisdomLock(root.dir, () => writeJournaled(projectRoot, filePath, formatGlobalWisdom(entry, args.content.split('.')[0]), 'save'));
+
+  return {
+    content: [{ type: 'text', text: `Saved ${wisdomType} ${entry.id} to ${displayPath(filePath)} (root: ${root.name})` }]
+  };
+}
+
+/**
+ * Save to a sidecar or section, unless a near-duplicate exists and
+ * onDuplicate says otherwise. Runs under the project lock.
+ */
+function saveToProject(projectRoot, wisdomDir, wisdomType, onDuplicate, args) {
+  // Near-duplicate check against the target file and related wisdom
+  if (onDuplicate !== 'save') {
+    const ref = args.file_path
+      ? path.relative(projectRoot, path.resolve(projectRoot, args.file_path))
+      : `sections/${args.section}.md`;
+    const matches = findSimilarEntries(projectRoot, args.content, { ref, keywords: args.keywords });
+    if (matches.length > 0) {
+      return resolveDuplicate(projectRoot, args, matches, onDuplicate);
+    }
+  }
+
+  const session = findCallerConvIdFromParent();
+  const source = captureSource(session, args.content, { cwd: projectRoot });
   let target;
+  let entryId;
 
   if (args.file_path) {
     // Write to sidecar
     const absPath = path.isAbsolute(args.file_path)
       ? args.file_path
       : path.join(projectRoot, args.file_path);
-    writeSidecar(absPath, wisdomType, args.content);
+    const relPath = path.relative(projectRoot, absPath);
+    const anchors = computeEntryAnchors(projectRoot, relPath, args.content);
+    const { keywords, meta } = entryLinks(projectRoot, args, anchors, source);
+    const entry = writeSidecar(absPath, wisdomType, args.content, { keywords, session, meta });
     target = `${args.file_path}.wisdom`;
+    entryId = entry.id;
 
-    // Update index keywords if provided
-    if (args.keywords && args.keywords.length > 0) {
-      updateIndexKeywords(wisdomDir, args.keywords, args.file_path);
+    if (keywords.length > 0) {
+      updateIndexKeywords(wisdomDir, keywords, `${relPath}#${entry.id}`);
     }
   } else if (args.section) {
     // Write to section file
     const existing = readSection(wisdomDir, args.section) || `# ${args.section}\n`;
-    const header = wisdomType.charAt(0).toUpperCase() + wisdomType.slice(1).replace('_', ' ');
-    const date = new Date().toISOString().split('T')[0];
-    const entry = `- **${args.content}** (${date})`;
-
-    // Check if section has this header
-    const headerRegex = new RegExp(`^## ${header}s?$`, 'm');
-    let updated;
-    if (headerRegex.test(existing)) {
-      updated = existing.replace(headerRegex, `## ${header}s\n${entry}`);
-    } else {
-      updated = existing.trimEnd() + `\n\n## ${header}s\n${entry}\n`;
-    }
+    const anchors = computeEntryAnchors(projectRoot, null, args.content);
+    const { keywords, meta } = entryLinks(projectRoot, args, anchors, source);
+    const entry = createEntry(wisdomType, args.content, { keywords, session, bold: true, meta });
 
-    writeSection(wisdomDir, args.section, updated);
+    writeSection(wisdomDir, args.section, insertEntry(existing, headerForType(wisdomType, 'section'), entry), 'save');
     target = `.wisdom/sections/${args.section}.md`;
+    entryId = entry.id;
 
-    // Update index keywords if provided
-    if (args.keywords && args.keywords.length > 0) {
-      updateIndexKeywords(wisdomDir, args.keywords, `sections/${args.section}.md`);
+    if (keywords.length > 0) {
+      updateIndexKeywords(wisdomDir, keywords, `sections/${args.section}.md#${entry.id}`);
     }
-  } else if (args.scope === 'global') {
-    // Write to global wisdom
-    const globalDir = path.join(process.env.HOME || '/tmp', '.claude', 'wisdom');
-    const subDir = wisdomType === 'pattern' ? 'patterns' : 'lessons';
-    const dir = path.join(globalDir, subDir);
-    fs.mkdirSync(dir, { recursive: true });
-
-    // Use first keyword or content hash as filename
-    const name = (args.keywords?.[0] || args.content.slice(0, 30)).replace(/[^a-z0-9-]/gi, '-').toLowerCase();
-    const filePath = path.join(dir, `${name}.md`);
-    const date = new Date().toISOString().split('T')[0];
-    const content = `# ${args.content.split('.')[0]}\n\n*Type*: ${wisdomType} | *Date*: ${date}\n\n${args.content}\n`;
-    fs.writeFileSync(filePath, content);
-    target = `~/.claude/wisdom/${subDir}/${name}.md`;
-  } else {
-    return {
-      content: [{ type: 'text', text: 'Provide either file_path, section, or scope:"global".' }],
-      isError: true
-    };
   }
 
   return {
-    content: [{ type: 'text', text: `Saved ${wisdomType} to ${target}` }]
+    content: [{ type: 'text', text: `Saved ${wisdomType} ${entryId} to ${target}` }]
   };
 }
+
+/**
+ * Keywords and metadata for a new entry: the caller's keywords plus those
+ * extracted from the content (unless auto_keywords is false), with linked
+ * symbols, code anchors and provenance in meta.
+ */
+function entryLinks(projectRoot, args, anchors, source) {
+  const given = (args.keywords || []).map(k => k.toLowerCase());
+  const meta = anchors.length > 0 ? { anchors } : {};
+  if (source) meta.source = source;
+  if (args.auto_keywords === false) return { keywords: given, meta };
+
+  const extracted = extractKeywords(projectRoot, args.content, { anchorSymbols: anchoredSymbols(anchors) });
+  if (extracted.symbols.length > 0) meta.symbols = extracted.symbols;
+  return { keywords: [...new Set([...given, ...extracted.keywords])], meta };
+}
+
+function displayPath(p) {
+  const home = os.homedir();
+  return p.startsWith(home + path.sep) ? '~' + p.slice(home.length) : p;
+}
+
+function resolveDuplicate(projectRoot, args, matches, mode) {
+  const best = matches[0];
+
+  if (mode === 'annotate') {
+    annotateEntryById(projectRoot, best.id, args.content);
+    return {
+      content: [{ type: 'text', text: `Annotated ${best.id} in ${best.ref} instead of saving a near-duplicate (similarity ${best.score}).` }]
+    };
+  }
+
+  if (mode === 'merge') {
+    const existing = locateEntry(projectRoot, best.id).entry.meta.keywords || [];
+    const keywords = args.keywords ? [...new Set([...existing, ...args.keywords.map(k => k.toLowerCase())])] : undefined;
+    const result = editEntry(projectRoot, best.id, { content: args.content, keywords });
+    if (result.previousText !== result.entry.text) {
+      annotateEntryById(projectRoot, best.id, `earlier wording: ${result.previousText}`);
+    }
+    return {
+      content: [{ type: 'text', text: `Merged into ${best.id} in ${best.ref} (similarity ${best.score}); earlier wording kept as an annotation.` }]
+    };
+  }
+
+  const lines = ['Not saved — similar wisdom already exists:', ''];
+  for (const m of matches) {
+    const text = m.text.length > 160 ? m.text.slice(0, 160) + '...' : m.text;
+    lines.push(`- \`${m.id}\` ${m.ref}${m.header ? ` › ${m.header}` : ''} (similarity ${m.score}): ${text.replace(/\n+/g, ' ')}`);
+  }
+  lines.push('');
+  lines.push(`Re-run save_wisdom with on_duplicate: "annotate" (add this as a note on ${best.id}), "merge" (reword ${best.id} to this), or "save" (append anyway).`);
+  return { content: [{ type: 'text', text: lines.join('\n') }] };
+}
@@ -0,0 +1,77 @@
+/**
+ * supersede_adr tool
+ *
+ * Replace an Architecture Decision Record with a newer one. The old record
+ * stays on file, marked superseded and linked to its successor, so
+ * get_wisdom can follow the chain to the decision in force; the successor is
+ * accepted and links back.
+ *
+ * Either pass title + decision (and optionally context, consequences) to
+ * write the successor, or by (an existing record that already says the
+ * right thing). See lib/wisdom-adr.js.
+ */
+
+import { findProjectRoot, getWisdomDir } from '../lib/wisdom.js';
+import { withWisdomLock } from '../lib/wisdom-lock.js';
+import { readAdr, createAdr, supersedeAdr, formatAdrId } from '../lib/wisdom-adr.js';
+
+export async function handleSupersedeAdr(args) {
+  if (!args.adr) {
+    return {
+      content: [{ type: 'text', text: 'adr is required (e.g. "ADR-0003").' }],
+      isError: true
+    };
+  }
+  const hasContent = args.title?.trim() && args.decision?.trim();
+  if (!hasContent === !args.by) {
+    return {
+      content: [{ type: 'text', text: 'Provide exactly one of title + decision (the new record) or by (an existing ADR).' }],
+      isError: true
+    };
+  }
+
+  const projectRoot = findProjectRoot();
+  const wisdomDir = getWisdomDir(projectRoot);
+
+  return withWisdomLock(wisdomDir, () => {
+    const old = readAdr(wisdomDir, args.adr);
+    const by = args.by ? readAdr(wisdomDir, args.by) : null;
+    if (!old || (args.by && !by)) {
+      return {
+        content: [{ type: 'text', text: `No ADR ${!old ? args.adr : args.by}. See list_adrs.` }],
+        isError: true
+      };
+    }
+    if (by?.number === old.number) {
+      return {
+        content: [{ type: 'text', text: 'An ADR cannot supersede itself.' }],
+        isError: true
+      };
+    }
+    if (old.status === 'superseded') {
+      return {
+        content: [{ type: 'text', text: `${old.id} is already superseded${old.supersededBy ? ` by ${formatAdrId(old.supersededBy)}` : ''}.` }],
+        isError: true
+      };
+    }
+    if (by?.status === 'superseded') {
+      return {
+        content: [{ type: 'text', text: `${by.id} is itself superseded; pick the record in force.` }],
+        isError: true
+      };
+    }
+
+    const next = by || createAdr(wisdomDir, {
+      title: args.title,
+      context: args.context,
+      decision: args.decision,
+      consequences: args.consequences,
+      status: 'accepted'
+    }, { op: 'supersede_adr' });
+    const result = supersedeAdr(wisdomDir, old.number, next.number);
+
+    return {
+      content: [{ type: 'text', text: `Superseded ${old.id} "${old.title}" with ${result.next.id} "${result.next.title}" (.wisdom/decisions/${result.next.file})` }]
+    };
+  });
+}
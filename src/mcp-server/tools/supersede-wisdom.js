@@ -0,0 +1,74 @@
+/**
+ * supersede_wisdom tool
+ *
+ * Replace an outdated wisdom entry with a newer one while keeping the old
+ * entry (and its reasoning) on record. The old entry is marked
+ * superseded_by:<new id>; get_wisdom hides it by default and points to the
+ * replacement. Index keywords move from the old entry to the new one.
+ *
+ * Either pass content (writes the replacement next to the old entry) or
+ * by (an existing entry ID that already says the right thing).
+ */
+
+import { findProjectRoot, WISDOM_TYPES } from '../lib/wisdom.js';
+import { supersedeEntry } from '../lib/wisdom-edit.js';
+import { findCallerConvIdFromParent } from '../lib/jsonl.js';
+
+export async function handleSupersedeWisdom(args) {
+  if (!args.entry_id) {
+    return {
+      content: [{ type: 'text', text: 'entry_id is required.' }],
+      isError: true
+    };
+  }
+  const hasContent = args.content && args.content.trim();
+  if (!hasContent === !args.by) {
+    return {
+      content: [{ type: 'text', text: 'Provide exactly one of content (new entry text) or by (existing entry ID).' }],
+      isError: true
+    };
+  }
+  if (args.by === args.entry_id) {
+    return {
+      content: [{ type: 'text', text: 'An entry cannot supersede itself.' }],
+      isError: true
+    };
+  }
+  if (args.wisdom_type && !WISDOM_TYPES.includes(args.wisdom_type)) {
+    return {
+      content: [{ type: 'text', text: `Invalid wisdom_type: ${args.wisdom_type}. Valid: ${WISDOM_TYPES.join(', ')}` }],
+      isError: true
+    };
+  }
+
+  const projectRoot = findProjectRoot();
+  let result;
+  try {
+    result = supersedeEntry(projectRoot, args.entry_id, {
+      content: hasContent ? args.content : undefined,
+      by: args.by,
+      type: args.wisdom_type,
+      keywords: args.keywords,
+      reason: args.reason,
+      session: findCallerConvIdFromParent()
+    });
+  } catch (err) {
+    // Entries in read-only global roots
+    return {
+      content: [{ type: 'text', text: err.message }],
+      isError: true
+    };
+  }
+
+  if (!result) {
+    const missing = args.by ? `${args.entry_id} or ${args.by}` : args.entry_id;
+    return {
+      content: [{ type: 'text', text: `No wisdom entry with ID ${missing}.` }],
+      isError: true
+    };
+  }
+
+  return {
+    content: [{ type: 'text', text: `Superseded ${result.oldId} (${result.ref}) with ${result.newId} (${result.newRef})` }]
+  };
+}
@@ -0,0 +1,53 @@
+/**
+ * undo_wisdom_change tool
+ *
+ * Revert one change recorded in .wisdom/journal.jsonl (see wisdom_history):
+ * its file goes back to the content it had before. The revert is journaled
+ * too, so it can itself be undone. If the file changed again since, the undo
+ * is refused unless force is set — undo the later changes first.
+ */
+
+import { findProjectRoot } from '../lib/wisdom.js';
+import { undoChange } from '../lib/wisdom-journal.js';
+
+export async function handleUndoWisdomChange(args) {
+  if (!args.journal_id) {
+    return {
+      content: [{ type: 'text', text: 'journal_id is required.' }],
+      isError: true
+    };
+  }
+
+  const projectRoot = findProjectRoot();
+  let result;
+  try {
+    result = undoChange(projectRoot, args.journal_id, { force: args.force });
+  } catch (err) {
+    // Changed since, or in a read-only / unconfigured global root
+    return {
+      content: [{ type: 'text', text: err.message }],
+      isError: true
+    };
+  }
+
+  if (!result) {
+    return {
+      content: [{ type: 'text', text: `No journal entry ${args.journal_id}.` }],
+      isError: true
+    };
+  }
+
+  const { record, undo } = result;
+  if (!undo) {
+    return {
+      content: [{ type: 'text', text: `${record.ref} already matches its state before ${record.id}; nothing to undo.` }]
+    };
+  }
+
+  const action = record.before === null ? 'deleted' : record.after === null ? 'restored' : 'reverted';
+  const lines = [`Undid ${record.op} ${record.id}: ${record.ref} ${action} (journaled as ${undo.id}).`];
+  const { added = [], removed = [] } = undo.entries;
+  if (removed.length > 0) lines.push(`- Removed entries: ${removed.join(', ')}`);
+  if (added.length > 0) lines.push(`- Restored entries: ${added.join(', ')}`);
+  return { content: [{ type: 'text', text: lines.join('\n') }] };
+}
@@ -0,0 +1,81 @@
+/**
+ * update_plan_task tool
+ *
+ * Work a plan's task checklist without rewriting the plan:
+ * - add: ["task", ...] — append new tasks (status todo)
+ * - task_id + status / text / commits — tick a task off, reword it, or link
+ *   the commits that implemented it
+ * Moving a task to in_progress or done records the calling session as its
+ * owner. Tasks are stored in the plan file (see lib/wisdom-plans.js).
+ */
+
+import { findProjectRoot, getWisdomDir, readPlan, writePlan } from '../lib/wisdom.js';
+import { withWisdomLock } from '../lib/wisdom-lock.js';
+import { addPlanTasks, updatePlanTask, planProgress, TASK_STATUSES } from '../lib/wisdom-plans.js';
+import { findCallerConvIdFromParent } from '../lib/jsonl.js';
+
+export async function handleUpdatePlanTask(args) {
+  if (!args.plan) {
+    return {
+      content: [{ type: 'text', text: 'plan is required.' }],
+      isError: true
+    };
+  }
+  if (!args.add?.length && !args.task_id) {
+    return {
+      content: [{ type: 'text', text: 'Provide add (new tasks) or task_id (a task to update).' }],
+      isError: true
+    };
+  }
+  if (args.status && !(args.status in TASK_STATUSES)) {
+    return {
+      content: [{ type: 'text', text: `Invalid status: ${args.status}. Valid: ${Object.keys(TASK_STATUSES).join(', ')}` }],
+      isError: true
+    };
+  }
+
+  const wisdomDir = getWisdomDir(findProjectRoot());
+  const planName = args.plan.replace(/[^a-z0-9-]/gi, '-').toLowerCase();
+  const session = findCallerConvIdFromParent();
+
+  return withWisdomLock(wisdomDir, () => {
+    let content = readPlan(wisdomDir, planName);
+    if (!content) {
+      return {
+        content: [{ type: 'text', text: `No plan found: ${planName}` }],
+        isError: true
+      };
+    }
+
+    const lines = [];
+    if (args.task_id) {
+      const result = updatePlanTask(content, args.task_id, {
+        status: args.status,
+        text: args.text,
+        commits: args.commits,
+        session
+      });
+      if (!result) {
+        return {
+          content: [{ type: 'text', text: `No task ${args.task_id} in plan "${planName}".` }],
+          isError: true
+        };
+      }
+      content = result.content;
+      const { task, previousStatus } = result;
+      const moved = task.status !== previousStatus ? `${previousStatus} → ${task.status}` : task.status;
+      const commits = task.commits.length > 0 ? ` (commits: ${task.commits.join(', ')})` : '';
+      lines.push(`Task ${task.id} [${moved}]: ${task.text}${commits}`);
+    }
+    if (args.add?.length > 0) {
+      let added;
+      ({ content, tasks: added } = addPlanTasks(content, args.add, { session }));
+      for (const task of added) lines.push(`Added task ${task.id}: ${task.text}`);
+    }
+
+    writePlan(wisdomDir, planName, content, 'update_plan_task');
+    const { done, total } = planProgress(content);
+    lines.push(`Plan "${planName}": ${done}/${total} tasks done.`);
+    return { content: [{ type: 'text', text: lines.join('\n') }] };
+  });
+}
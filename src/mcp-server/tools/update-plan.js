@@ -6,8 +6,11 @@
  * - What the feature/system does
  * - How it works
  * - Files it touches
- * - Design decisions
- * - Status (active, completed, abandoned)
+ * - Design decisions — "ADR-0003" links to that record in .wisdom/decisions/
+ *   (lib/wisdom-adr.js)
+ * - Status (active, completed, abandoned), with a history of transitions
+ * - Tasks: a checklist with per-task status (see lib/wisdom-plans.js;
+ *   update_plan_task ticks them off)
  * - Last reviewed date
  */
 
@@ -19,6 +22,10 @@ import {
   readIndex,
   writeIndex
 } from '../lib/wisdom.js';
+import { withWisdomLock } from '../lib/wisdom-lock.js';
+import { addPlanTasks, addPlanDecisions, setPlanStatus, startPlanHistory } from '../lib/wisdom-plans.js';
+import { linkPlanDecisions } from '../lib/wisdom-adr.js';
+import { findCallerConvIdFromParent } from '../lib/jsonl.js';
 
 export async function handleUpdatePlan(args) {
   if (!args.name) {
@@ -33,66 +40,91 @@ export async function handleUpdatePlan(args) {
 
   const planName = args.name.replace(/[^a-z0-9-]/gi, '-').toLowerCase();
 
-  if (args.content) {
-    // Full content replacement
-    writePlan(wisdomDir, planName, args.content);
-  } else {
-    // Build from structured fields
-    const existing = readPlan(wisdomDir, planName);
-    const date = new Date().toISOString().split('T')[0];
+  return withWisdomLock(wisdomDir, () => {
+    const decisions = args.decisions ? linkPlanDecisions(wisdomDir, args.decisions) : null;
+    if (decisions?.unknown.length > 0) {
+      return {
+        content: [{ type: 'text', text: `Unknown ADR: ${decisions.unknown.join(', ')}. See list_adrs, or propose_adr first.` }],
+        isError: true
+      };
+    }
+
+    let added = [];
+    if (args.content) {
+      // Full content replacement
+      writePlan(wisdomDir, planName, args.content, 'update_plan');
+    } else {
+      // Build from structured fields
+      const existing = readPlan(wisdomDir, planName);
+      const date = new Date().toISOString().split('T')[0];
 
-    let content;
-    if (existing && !args.replace) {
-      // Append/update existing plan
-      content = existing;
-      if (args.description) {
-        content = content.replace(/^## Description[\s\S]*?(?=^## |\Z)/m, '') +
-          `\n## Description\n${args.description}\n`;
+      let content;
+      if (existing && !args.replace) {
+        // Append/update existing plan
+        content = existing;
+        if (args.description) {
+          // Replace the Description section in place (it runs to the next ## header or end of file)
+          const description = `## Description\n${args.description}\n\n`;
+          const sectionRe = /^## Description\n[\s\S]*?(?=^## |(?![\s\S]))/m;
+          content = sectionRe.test(content)
+            ? content.replace(sectionRe, description).trimEnd() + '\n'
+            : content.trimEnd() + `\n\n${description.trimEnd()}\n`;
+        }
+        if (decisions) {
+          content = addPlanDecisions(content, decisions.bullets);
+        }
+        if (args.status) {
+          content = setPlanStatus(content, args.status);
+        }
+      } else {
+        // Create new plan
+        content = [
+          `# ${args.name}`,
+          ``,
+          `*Status*: ${args.status || 'active'} | *Created*: ${date} | *Last reviewed*: ${date}`,
+          ``,
+          args.description ? `## Description\n${args.description}\n` : '',
+          args.files ? `## Files\n${args.files.map(f => `- ${f}`).join('\n')}\n` : '',
+          decisions ? `## Design Decisions\n${decisions.bullets.join('\n')}\n` : '',
+          args.sections ? `## Sections\n${args.sections.map(s => `- ${s}`).join('\n')}\n` : '',
+        ].filter(Boolean).join('\n');
+        content = startPlanHistory(content, args.status || 'active');
       }
-      if (args.status) {
-        content = content.replace(/\*Status\*: .*/, `*Status*: ${args.status} | *Updated*: ${date}`);
+
+      if (args.tasks?.length > 0) {
+        ({ content, tasks: added } = addPlanTasks(content, args.tasks, { session: findCallerConvIdFromParent() }));
       }
-    } else {
-      // Create new plan
-      content = [
-        `# ${args.name}`,
-        ``,
-        `*Status*: ${args.status || 'active'} | *Created*: ${date} | *Last reviewed*: ${date}`,
-        ``,
-        args.description ? `## Description\n${args.description}\n` : '',
-        args.files ? `## Files\n${args.files.map(f => `- ${f}`).join('\n')}\n` : '',
-        args.decisions ? `## Design Decisions\n${args.decisions.map(d => `- ${d}`).join('\n')}\n` : '',
-        args.sections ? `## Sections\n${args.sections.map(s => `- ${s}`).join('\n')}\n` : '',
-      ].filter(Boolean).join('\n');
-    }
 
-    writePlan(wisdomDir, planName, content);
-  }
+      writePlan(wisdomDir, planName, content, 'update_plan');
+    }
 
-  // Update index
-  const index = readIndex(wisdomDir);
-  index.plans = index.plans || {};
-  index.plans[planName] = {
-    file: `plans/${planName}.md`,
-    status: args.status || index.plans[planName]?.status || 'active',
-    sections: args.sections || index.plans[planName]?.sections || [],
-    files: args.files || index.plans[planName]?.files || []
-  };
+    // Update index
+    const index = readIndex(wisdomDir);
+    index.plans = index.plans || {};
+    index.plans[planName] = {
+      file: `plans/${planName}.md`,
+      status: args.status || index.plans[planName]?.status || 'active',
+      sections: args.sections || index.plans[planName]?.sections || [],
+      files: args.files || index.plans[planName]?.files || []
+    };
 
-  // Cross-reference sections
-  if (args.sections) {
-    for (const section of args.sections) {
-      index.sections = index.sections || {};
-      index.sections[section] = index.sections[section] || { files: [], plans: [] };
-      if (!index.sections[section].plans.includes(planName)) {
-        index.sections[section].plans.push(planName);
+    // Cross-reference sections
+    if (args.sections) {
+      for (const section of args.sections) {
+        index.sections = index.sections || {};
+        index.sections[section] = index.sections[section] || { files: [], plans: [] };
+        if (!index.sections[section].plans.includes(planName)) {
+          index.sections[section].plans.push(planName);
+        }
       }
     }
-  }
 
-  writeIndex(wisdomDir, index);
+    writeIndex(wisdomDir, index);
 
-  return {
-    content: [{ type: 'text', text: `Plan "${planName}" saved to .wisdom/plans/${planName}.md` }]
-  };
+    const lines = [`Plan "${planName}" saved to .wisdom/plans/${planName}.md`];
+    for (const task of added) lines.push(`- added task ${task.id}: ${task.text}`);
+    return {
+      content: [{ type: 'text', text: lines.join('\n') }]
+    };
+  });
 }
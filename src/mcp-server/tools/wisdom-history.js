@@ -0,0 +1,97 @@
+/**
+ * wisdom_history tool
+ *
+ * Show recorded changes from .wisdom/journal.jsonl, newest first — for the
+ * whole project, one file (file_path, section, plan), or one entry
+ * (entry_id). Pass journal_id to see a single change in full: which entries
+ * it touched and the lines it removed and added.
+ */
+
+import path from 'path';
+import { findProjectRoot } from '../lib/wisdom.js';
+import { readJournal } from '../lib/wisdom-journal.js';
+
+const DEFAULT_LIMIT = 20;
+// Diff lines shown for a single change before truncating
+const MAX_DIFF_LINES = 200;
+
+export async function handleWisdomHistory(args) {
+  const projectRoot = findProjectRoot();
+
+  if (args.journal_id) {
+    const record = readJournal(projectRoot).find(r => r.id === args.journal_id);
+    if (!record) {
+      return {
+        content: [{ type: 'text', text: `No journal entry ${args.journal_id}.` }],
+        isError: true
+      };
+    }
+    return { content: [{ type: 'text', text: formatDetail(record) }] };
+  }
+
+  const ref = args.file_path
+    ? path.relative(projectRoot, path.resolve(projectRoot, args.file_path))
+    : args.section ? `sections/${args.section}.md`
+    : args.plan ? `plans/${args.plan}.md`
+    : undefined;
+  const records = readJournal(projectRoot, { ref, entryId: args.entry_id, limit: args.limit || DEFAULT_LIMIT });
+
+  const scope = args.entry_id || ref || 'project';
+  if (records.length === 0) {
+    return { content: [{ type: 'text', text: `No recorded wisdom changes for ${scope}.` }] };
+  }
+
+  const lines = [`## Wisdom history: ${scope} (${records.length} most recent)\n`];
+  for (const r of records) lines.push(formatSummary(r));
+  lines.push('');
+  lines.push('Show one change with wisdom_history(journal_id); revert it with undo_wisdom_change(journal_id).');
+  return { content: [{ type: 'text', text: lines.join('\n') }] };
+}
+
+function formatSummary(record) {
+  const time = record.time.replace('T', ' ').slice(0, 16);
+  const file = record.before === null ? ' (created)' : record.after === null ? ' (deleted)' : '';
+  const undoes = record.undoes ? ` of ${record.undoes}` : '';
+  const touched = formatEntries(record.entries);
+  return `- \`${record.id}\` ${time} **${record.op}**${undoes} ${record.ref}${file}${touched ? ` — ${touched}` : ''}`;
+}
+
+function formatEntries({ added = [], removed = [], changed = [] } = {}) {
+  return [
+    added.length > 0 ? `added ${added.join(', ')}` : '',
+    removed.length > 0 ? `removed ${removed.join(', ')}` : '',
+    changed.length > 0 ? `changed ${changed.join(', ')}` : ''
+  ].filter(Boolean).join('; ');
+}
+
+function formatDetail(record) {
+  const lines = [formatSummary(record).slice(2), ''];
+  const diff = lineDiff(record.before ?? '', record.after ?? '');
+  if (diff.length === 0) {
+    lines.push('_No line changes._');
+  } else {
+    lines.push('```diff');
+    lines.push(...diff.slice(0, MAX_DIFF_LINES));
+    if (diff.length > MAX_DIFF_LINES) lines.push(`... ${diff.length - MAX_DIFF_LINES} more lines`);
+    lines.push('```');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * The changed middle of two texts, after trimming the lines they share at
+ * both ends: removed lines prefixed "-", added lines "+".
+ */
+function lineDiff(before, after) {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+  return [
+    ...a.slice(start, endA).map(l => `-${l}`),
+    ...b.slice(start, endB).map(l => `+${l}`)
+  ];
+}
@@ -0,0 +1,69 @@
+/**
+ * wisdom_source tool
+ *
+ * Jump from a wisdom entry back to the conversation turn it was written in:
+ * the user prompt and actions of that turn, with inspect_pruned_messages
+ * calls to drill further. Uses the provenance save_wisdom records
+ * (meta.source), or for older entries the author session and save time;
+ * entries from import_wisdom_sources point at their document (meta.origin).
+ * See lib/wisdom-provenance.js.
+ */
+
+import { findProjectRoot } from '../lib/wisdom.js';
+import { locateEntry } from '../lib/wisdom-edit.js';
+import { openSource } from '../lib/wisdom-provenance.js';
+import { formatTurnSummary } from '../lib/orphan-summarizer.js';
+
+export async function handleWisdomSource(args) {
+  if (!args.entry_id) {
+    return {
+      content: [{ type: 'text', text: 'entry_id is required.' }],
+      isError: true
+    };
+  }
+
+  const projectRoot = findProjectRoot();
+  const located = locateEntry(projectRoot, args.entry_id);
+  if (!located) {
+    return {
+      content: [{ type: 'text', text: `No wisdom entry with ID ${args.entry_id}.` }],
+      isError: true
+    };
+  }
+
+  const opened = openSource(located.entry, { cwd: projectRoot });
+  const origin = located.entry.meta?.origin;
+  if (origin && (!opened || opened.source.legacy)) {
+    return {
+      content: [{ type: 'text', text: `${args.entry_id} was imported from \`${origin.file}\`${origin.line ? ` line ${origin.line}` : ''} by import_wisdom_sources.` }]
+    };
+  }
+  if (!opened) {
+    return {
+      content: [{ type: 'text', text: `${args.entry_id} has no recorded source — it was saved outside a resumable session.` }],
+      isError: true
+    };
+  }
+  const { source } = opened;
+  if (opened.missing) {
+    return {
+      content: [{ type: 'text', text: `${args.entry_id} was saved in conversation ${source.conversation}, but its file is no longer on disk (archived or deleted).` }],
+      isError: true
+    };
+  }
+
+  const lines = [
+    `## Source of \`${args.entry_id}\` (${located.ref})`,
+    `> ${located.entry.text.split('\n').join('\n> ')}`,
+    ''
+  ];
+  const saved = `Saved ${source.time ? source.time.replace('T', ' ').slice(0, 16) + ' ' : ''}in conversation ${source.conversation}`;
+  if (!opened.summary) {
+    lines.push(`${saved}, but no message in it matches — the conversation may have been rewritten since.`);
+    return { content: [{ type: 'text', text: lines.join('\n') }] };
+  }
+  const how = opened.matchedBy === 'time' ? ' — placed by save time, the exact message was not recorded' : '';
+  lines.push(`${saved}, message ${opened.msgIndex} (turn ${opened.summary.turn_id})${how}.`, '');
+  lines.push(formatTurnSummary(opened.summary, source.conversation));
+  return { content: [{ type: 'text', text: lines.join('\n') }] };
+}
@@ -0,0 +1,59 @@
+/**
+ * wisdom_stats tool
+ *
+ * Which wisdom is actually used. From the retrievals recorded by get_wisdom,
+ * list_wisdom(entries) and keyword search: the most-read entries, entries
+ * never read, and entries not reviewed in `review_days` days (by
+ * review_stale_wisdom, an edit, or since they were written).
+ * See lib/wisdom-usage.js.
+ */
+
+import { findProjectRoot } from '../lib/wisdom.js';
+import { usageReport, DEFAULT_REVIEW_DAYS } from '../lib/wisdom-usage.js';
+
+export async function handleWisdomStats(args) {
+  const projectRoot = findProjectRoot();
+  const limit = args.limit || 10;
+  const reviewDays = args.review_days ?? DEFAULT_REVIEW_DAYS;
+  const { totals, counts, mostUsed, neverRead, unreviewed } = usageReport(projectRoot, { limit, reviewDays });
+
+  if (totals.entries === 0) {
+    return { content: [{ type: 'text', text: 'No wisdom entries yet. Use `save_wisdom` to start.' }] };
+  }
+
+  const lines = [
+    '## Wisdom usage',
+    `${totals.read} of ${totals.entries} entries read — ${totals.retrievals} retrieval${totals.retrievals === 1 ? '' : 's'} across ${totals.sessions} session${totals.sessions === 1 ? '' : 's'}`
+  ];
+
+  lines.push('', `### Most used (${counts.mostUsed})`);
+  if (mostUsed.length === 0) lines.push('*Nothing read yet.*');
+  for (const { ref, entry, stats } of mostUsed) {
+    const tools = Object.entries(stats.byTool).map(([tool, n]) => `${tool} ${n}`).join(', ');
+    lines.push(`- \`${entry.id}\` ${ref} — ${stats.reads} read${stats.reads === 1 ? '' : 's'} in ${stats.sessions} session${stats.sessions === 1 ? '' : 's'}, last ${stats.last.split('T')[0]} (${tools}): ${preview(entry)}`);
+  }
+  if (counts.mostUsed > mostUsed.length) lines.push(`- ... and ${counts.mostUsed - mostUsed.length} more`);
+
+  lines.push('', `### Never read (${counts.neverRead})`);
+  for (const { ref, entry } of neverRead) {
+    lines.push(`- \`${entry.id}\` ${ref}${entry.date ? `, saved ${entry.date}` : ''}: ${preview(entry)}`);
+  }
+  if (counts.neverRead > neverRead.length) lines.push(`- ... and ${counts.neverRead - neverRead.length} more`);
+
+  lines.push('', `### Not reviewed in ${reviewDays}+ days (${counts.unreviewed})`);
+  for (const { ref, entry, reviewed, days } of unreviewed) {
+    const when = reviewed ? `${days} days (${reviewed.split('T')[0]})` : 'never dated';
+    lines.push(`- \`${entry.id}\` ${ref} — ${when}: ${preview(entry)}`);
+  }
+  if (counts.unreviewed > unreviewed.length) lines.push(`- ... and ${counts.unreviewed - unreviewed.length} more`);
+
+  if (counts.neverRead > 0 || counts.unreviewed > 0) {
+    lines.push('', '_Check old or unread entries with review_stale_wisdom; supersede_wisdom or delete_wisdom for what no longer holds._');
+  }
+  return { content: [{ type: 'text', text: lines.join('\n') }] };
+}
+
+function preview(entry) {
+  const text = entry.text.replace(/\n+/g, ' ');
+  return text.length > 80 ? text.slice(0, 80) + '...' : text;
+}
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * Git merge driver for wisdom files (.wisdom/**\/*.md, .wisdom/index.json,
+ * *.wisdom sidecars). Entries, annotations and index keyword refs from both
+ * branches are merged structurally instead of line by line — see
+ * src/mcp-server/lib/wisdom-merge.js.
+ *
+ * Git runs it as configured by install_merge_driver:
+ *
+ *   wisdom-merge-driver.js %O %A %B %P
+ *
+ * writing the result over %A and exiting non-zero when conflict markers were
+ * left. Input it cannot parse falls back to git merge-file. To set it up by
+ * hand instead of through the MCP tool:
+ *
+ *   wisdom-merge-driver.js install [project dir]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { mergeWisdomFile, installMergeDriver } from '../mcp-server/lib/wisdom-merge.js';
+
+const args = process.argv.slice(2);
+
+if (args[0] === 'install') {
+  try {
+    const result = installMergeDriver(path.resolve(args[1] || process.cwd()));
+    console.log(`git config merge.wisdom.driver: ${result.configChanged ? 'set' : 'already set'}`);
+    console.log(`${result.attributesPath}: ${result.added.length > 0 ? `added ${result.added.join(', ')}` : 'already up to date'}`);
+    console.log(`${result.gitignorePath}: ${result.ignored.length > 0 ? `added ${result.ignored.join(', ')}` : 'already up to date'}`);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+} else {
+  const [basePath, oursPath, theirsPath, filePath = oursPath] = args;
+  if (!theirsPath) {
+    console.error('Usage: wisdom-merge-driver.js <base> <ours> <theirs> [path]\n       wisdom-merge-driver.js install [project dir]');
+    process.exit(2);
+  }
+  const read = (p) => (fs.existsSync(p) ? fs.readFileSync(p, 'utf8') : '');
+  try {
+    const { content, conflicts } = mergeWisdomFile(filePath, read(basePath), read(oursPath), read(theirsPath));
+    fs.writeFileSync(oursPath, content);
+    process.exit(conflicts > 0 ? 1 : 0);
+  } catch (err) {
+    console.error(`wisdom merge of ${filePath}: ${err.message} — falling back to a line merge`);
+    try {
+      execFileSync('git', ['merge-file', '-L', 'ours', '-L', 'base', '-L', 'theirs', oursPath, basePath, theirsPath], { stdio: 'ignore' });
+      process.exit(0);
+    } catch {
+      process.exit(1);
+    }
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Tests for code notes: TODO / FIXME / HACK / XXX / NOTE: comments collected
+ * by the indexer, shown by get_wisdom(file_path) and list_code_notes.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { extractCodeNotes, scanProject, readCodeNotes } from '../src/mcp-server/lib/indexer.js';
+import { handleSaveWisdom } from '../src/mcp-server/tools/save-wisdom.js';
+import { handleGetWisdom } from '../src/mcp-server/tools/get-wisdom.js';
+import { handleListCodeNotes } from '../src/mcp-server/tools/list-code-notes.js';
+import { scratchProject } from './helpers.js';
+
+const DB_JS = `// TODO(alice): pool connections
+export function connect() {
+  // FIXME @bob: retries forever
+  return fetch("http://db/TODO");
+}
+
+export function close() {
+  /* HACK: skip flush in tests */
+}
+`;
+
+const { root: TMP_DIR, fresh: freshProject } = scratchProject('code-notes', {
+  files: {
+    'src/db.js': DB_JS,
+    'src/clean.js': 'export const x = 1;\n',
+    'scripts/seed.py': 'def seed():\n    pass  # XXX [carol] - hardcoded ids\n    s = "# TODO not a comment"\n'
+  }
+});
+
+test('extractCodeNotes reads tags and owners from comments only', () => {
+  const notes = extractCodeNotes('a.js', [
+    '// TODO(alice): fix this */',
+    'const u = "http://x"; // FIXME @bob handle 404',
+    '  * HACK: temporary',
+    'x = 1 // we NOTE that prose is ignored',
+    '// NOTE: order matters',
+    '/* XXX [carol] - nope */',
+    '// TODOS are not tags',
+    'const s = "TODO: in a string";'
+  ], 'javascript');
+  assert.deepEqual(notes.map(n => [n.line, n.tag, n.owner, n.text]), [
+    [1, 'TODO', 'alice', 'fix this'],
+    [2, 'FIXME', 'bob', 'handle 404'],
+    [3, 'HACK', null, 'temporary'],
+    [5, 'NOTE', null, 'order matters'],
+    [6, 'XXX', 'carol', 'nope']
+  ]);
+  assert.deepEqual(extractCodeNotes('a.py', ['x = 1  # TODO: py thing', 's = "#TODO"'], 'python').map(n => n.text), ['py thing']);
+});
+
+test('scanProject collects notes with their enclosing symbol', () => {
+  freshProject();
+  const { notes } = scanProject(TMP_DIR);
+  assert.deepEqual(notes.map(n => [n.file, n.line, n.tag, n.owner, n.symbol]), [
+    ['scripts/seed.py', 2, 'XXX', 'carol', 'seed'],
+    ['src/db.js', 1, 'TODO', 'alice', 'connect'],
+    ['src/db.js', 3, 'FIXME', 'bob', 'connect'],
+    ['src/db.js', 8, 'HACK', null, 'close']
+  ]);
+});
+
+test('get_wisdom(file_path) shows code notes next to the sidecar', async () => {
+  freshProject();
+  let text = (await handleGetWisdom({ file_path: 'src/db.js' })).content[0].text;
+  assert.match(text, /^## Wisdom: src\/db\.js\n\n\*No sidecar wisdom\.\*\n\n### Code notes \(3\)\n- line 1 \*\*TODO\*\* \(alice\) in `connect`: pool connections\n/);
+  assert.match(text, /- line 8 \*\*HACK\*\* in `close`: skip flush in tests/);
+  assert.equal((await handleGetWisdom({ file_path: 'src/clean.js' })).content[0].text, 'No wisdom found for src/clean.js');
+
+  await handleSaveWisdom({ file_path: 'src/db.js', content: 'Connections are not pooled yet', auto_keywords: false });
+  text = (await handleGetWisdom({ file_path: 'src/db.js' })).content[0].text;
+  assert.match(text, /### Lessons\n- \[w-[0-9a-f]{8}\] Connections are not pooled yet[^\n]*\n\n### Code notes \(3\)/);
+});
+
+test('list_code_notes indexes on first use and filters by tag, dir and owner', async () => {
+  freshProject();
+  let text = (await handleListCodeNotes({})).content[0].text;
+  assert.match(text, /^## Code notes \(4: 1 TODO, 1 FIXME, 1 HACK, 1 XXX\)/);
+  assert.match(text, /### scripts\/seed\.py\n- line 2 \*\*XXX\*\* \(carol\) in `seed`: hardcoded ids\n\n### src\/db\.js\n/);
+  assert.equal(readCodeNotes(path.join(TMP_DIR, '.wisdom')).notes.length, 4);
+
+  text = (await handleListCodeNotes({ tag: ['fixme', 'HACK'], dir: 'src' })).content[0].text;
+  assert.match(text, /^## Code notes FIXME\/HACK in src\/ \(2: 1 FIXME, 1 HACK\)/);
+  assert.match((await handleListCodeNotes({ owner: '@Bob' })).content[0].text, /owned by bob \(1: 1 FIXME\)/);
+  assert.equal((await handleListCodeNotes({ dir: 'docs' })).content[0].text, 'No code notes in docs/.');
+  assert.equal((await handleListCodeNotes({ tag: ['BUG'] })).isError, true);
+
+  // The index is reused until refreshed
+  fs.writeFileSync(path.join(TMP_DIR, 'src/clean.js'), '// TODO: add more\nexport const x = 1;\n');
+  assert.doesNotMatch((await handleListCodeNotes({})).content[0].text, /clean\.js/);
+  assert.match((await handleListCodeNotes({ refresh: true })).content[0].text, /### src\/clean\.js\n- line 1 \*\*TODO\*\*: add more/);
+  assert.match((await handleListCodeNotes({ limit: 2 })).content[0].text, /_3 more — raise limit/);
+});
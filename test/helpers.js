@@ -0,0 +1,56 @@
+/**
+ * Shared setup for tests that run the wisdom tools in a scratch project.
+ *
+ * scratchProject(name) names a per-process directory under the OS temp dir
+ * and returns { root, dir, fresh }. fresh() empties root, recreates the
+ * project in dir (root itself, or root/<project>) with a package.json and
+ * the given dirs and files, points the global wisdom roots at an empty
+ * root/.global — keeping the developer's ~/.claude/wisdom out of results —
+ * and makes dir the working directory. After the file's tests, the working
+ * directory and WISDOM_* variables are restored and root is removed.
+ */
+
+import test from 'node:test';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const ORIGINAL_CWD = process.cwd();
+const ENV_KEYS = ['WISDOM_PATH', 'WISDOM_READONLY'];
+
+/**
+ * Write a file under root, creating its parent directories.
+ */
+export function writeFile(root, rel, content = '') {
+  const filePath = path.join(root, rel);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+export function scratchProject(name, { project, dirs = [], files = {} } = {}) {
+  const root = path.join(os.tmpdir(), `wisdom-store-${name}-test-${process.pid}`);
+  const dir = project ? path.join(root, project) : root;
+  const originalEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+  test.after(() => {
+    process.chdir(ORIGINAL_CWD);
+    for (const [key, value] of Object.entries(originalEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    try { fs.rmSync(root, { recursive: true, force: true }); } catch {}
+  });
+
+  const fresh = () => {
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'package.json'), '{}\n');
+    for (const sub of dirs) fs.mkdirSync(path.join(dir, sub), { recursive: true });
+    for (const [rel, content] of Object.entries(files)) writeFile(dir, rel, content);
+    process.env.WISDOM_PATH = `global=${path.join(root, '.global')}`;
+    delete process.env.WISDOM_READONLY;
+    process.chdir(dir);
+    return dir;
+  };
+  return { root, dir, fresh };
+}
@@ -0,0 +1,112 @@
+/**
+ * Tests for Architecture Decision Records: proposing, accepting and
+ * superseding records in .wisdom/decisions/, resolving the decision in force
+ * in get_wisdom, and linking plan decisions to records.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { listAdrs, resolveAdr, parseAdrId } from '../src/mcp-server/lib/wisdom-adr.js';
+import { handleProposeAdr } from '../src/mcp-server/tools/propose-adr.js';
+import { handleAcceptAdr } from '../src/mcp-server/tools/accept-adr.js';
+import { handleSupersedeAdr } from '../src/mcp-server/tools/supersede-adr.js';
+import { handleListAdrs } from '../src/mcp-server/tools/list-adrs.js';
+import { handleSaveWisdom } from '../src/mcp-server/tools/save-wisdom.js';
+import { handleGetWisdom } from '../src/mcp-server/tools/get-wisdom.js';
+import { handleUpdatePlan } from '../src/mcp-server/tools/update-plan.js';
+import { scratchProject } from './helpers.js';
+
+const { root: TMP_DIR, fresh: freshProject } = scratchProject('adr');
+const WISDOM_DIR = path.join(TMP_DIR, '.wisdom');
+
+async function text(result) {
+  return (await result).content[0].text;
+}
+
+test('parseAdrId accepts the usual spellings', () => {
+  assert.deepEqual(['ADR-0003', 'adr-3', 'adr3', '0003', 3, 'ADR-x', ''].map(parseAdrId), [3, 3, 3, 3, 3, null, null]);
+});
+
+test('propose, accept and supersede records along a chain', async () => {
+  freshProject();
+  assert.match(await text(handleProposeAdr({ title: 'Use Redis for sessions', context: 'Sessions are hot.', decision: 'Store sessions in Redis.', consequences: 'One more service to run.' })),
+    /^Proposed ADR-0001 "Use Redis for sessions" in \.wisdom\/decisions\/0001-use-redis-for-sessions\.md\nAccept it with accept_adr/);
+  const file = path.join(WISDOM_DIR, 'decisions/0001-use-redis-for-sessions.md');
+  let content = fs.readFileSync(file, 'utf8');
+  assert.match(content, /^# ADR-0001: Use Redis for sessions\n\n\*Status\*: proposed \| \*Date\*: \d{4}-\d\d-\d\d\n\n## Context\nSessions are hot\.\n\n## Decision\nStore sessions in Redis\.\n\n## Consequences\nOne more service to run\.\n\n## Status History\n- [\d-]+ [\d:]+: created as proposed\n$/);
+
+  assert.match(await text(handleAcceptAdr({ adr: '1' })), /^ADR-0001 "Use Redis for sessions": proposed → accepted$/);
+  assert.equal(await text(handleAcceptAdr({ adr: 'ADR-0001' })), 'ADR-0001 is already accepted.');
+  assert.equal((await handleAcceptAdr({ adr: 'ADR-0009' })).isError, true);
+
+  assert.match(await text(handleSupersedeAdr({ adr: 'ADR-0001', title: 'Use Postgres for sessions', decision: 'Store sessions in Postgres.' })),
+    /^Superseded ADR-0001 "Use Redis for sessions" with ADR-0002 "Use Postgres for sessions"/);
+  content = fs.readFileSync(file, 'utf8');
+  assert.match(content, /\*Status\*: superseded \| \*Date\*: [\d-]+ \| \*Updated\*: [\d-]+/);
+  assert.match(content, /## Links\n- Superseded by \[ADR-0002\]\(0002-use-postgres-for-sessions\.md\)\n\n## Status History\n.*created as proposed\n.*proposed → accepted\n.*accepted → superseded\n$/);
+
+  // A proposal naming what it supersedes takes over once accepted
+  await handleProposeAdr({ title: 'Use DynamoDB for sessions', decision: 'Store sessions in DynamoDB.', supersedes: ['ADR-0002'] });
+  assert.equal(listAdrs(WISDOM_DIR)[1].status, 'accepted');
+  assert.match(await text(handleAcceptAdr({ adr: 'ADR-0003' })), /- ADR-0002 Use Postgres for sessions is now superseded by ADR-0003/);
+
+  const { chain, current } = resolveAdr(WISDOM_DIR, 'ADR-0001');
+  assert.deepEqual(chain.map(a => a.id), ['ADR-0001', 'ADR-0002', 'ADR-0003']);
+  assert.equal(current.status, 'accepted');
+
+  assert.equal((await handleSupersedeAdr({ adr: 'ADR-0001', by: 'ADR-0003' })).isError, true);
+  assert.equal((await handleSupersedeAdr({ adr: 'ADR-0003', by: 'ADR-0002' })).isError, true);
+  assert.equal((await handleSupersedeAdr({ adr: 'ADR-0003', by: 'ADR-0003' })).isError, true);
+  assert.equal((await handleAcceptAdr({ adr: 'ADR-0001' })).isError, true);
+
+  const list = await text(handleListAdrs({}));
+  assert.match(list, /^## Architecture decisions \(3: 1 accepted, 2 superseded\)/);
+  assert.match(list, /- \*\*ADR-0001\*\* Use Redis for sessions — superseded → now ADR-0003 \(accepted\)/);
+  assert.match(await text(handleListAdrs({ status: 'accepted' })), /\(1: 1 accepted\)\n\n- \*\*ADR-0003\*\* Use DynamoDB for sessions — accepted _/);
+  assert.equal(await text(handleListAdrs({ status: 'rejected' })), 'No rejected ADRs.');
+});
+
+test('get_wisdom resolves records and the ADRs wisdom mentions', async () => {
+  freshProject();
+  assert.match(await text(handleSaveWisdom({ wisdom_type: 'decision', adr: true, content: 'Sessions live in Redis. They expire after a day.' })),
+    /^Saved decision as ADR-0001 "Sessions live in Redis" \(accepted\)/);
+  assert.equal((await handleSaveWisdom({ content: 'x', adr: true })).isError, true);
+  await handleProposeAdr({ title: 'Drop the session cache', decision: 'Read sessions from Postgres directly.' });
+
+  assert.match(await text(handleGetWisdom({ adr: '2' })), /## Decision\nRead sessions from Postgres directly\.[\s\S]*\n---\n\*\*Not in force\*\* — ADR-0002 is proposed\.$/);
+  await handleSupersedeAdr({ adr: '1', by: '2' });
+  assert.match(await text(handleGetWisdom({ adr: 'ADR-0001' })),
+    /\*\*Not in force\*\* — ADR-0001 Sessions live in Redis — superseded; now ADR-0002 Drop the session cache \(accepted\):\n> Read sessions from Postgres directly\.$/);
+  assert.match(await text(handleGetWisdom({ adr: '2' })), /\*\*In force\*\* — ADR-0002 is accepted\.$/);
+  assert.equal(await text(handleGetWisdom({ adr: '7' })), 'No ADR found: 7');
+
+  await handleSaveWisdom({ section: 'sessions', wisdom_type: 'decision', content: 'Session TTL follows ADR-0001 and ADR-0009', auto_keywords: false });
+  const section = await text(handleGetWisdom({ section: 'sessions' }));
+  assert.match(section, /\*\*Decisions referenced\*\*:\n- ADR-0001 Sessions live in Redis — superseded; now ADR-0002 Drop the session cache \(accepted\)\n- ADR-0009 — no such record$/);
+  assert.match(await text(handleGetWisdom({})), /### Decisions \(2\)\n1 accepted, 1 superseded/);
+});
+
+test('update_plan decisions link to ADRs', async () => {
+  freshProject();
+  await handleProposeAdr({ title: 'Use Postgres', decision: 'Postgres everywhere.', status: 'accepted' });
+
+  const bad = await handleUpdatePlan({ name: 'sessions', decisions: ['ADR-0004'] });
+  assert.equal(bad.isError, true);
+  assert.match(bad.content[0].text, /Unknown ADR: ADR-0004/);
+  assert.ok(!fs.existsSync(path.join(WISDOM_DIR, 'plans/sessions.md')));
+
+  await handleUpdatePlan({ name: 'sessions', description: 'Move sessions', decisions: ['adr-1: sessions too', 'Keep the cookie format'] });
+  const planPath = path.join(WISDOM_DIR, 'plans/sessions.md');
+  assert.match(fs.readFileSync(planPath, 'utf8'), /## Design Decisions\n- \[ADR-0001\]\(\.\.\/decisions\/0001-use-postgres\.md\) Use Postgres — sessions too\n- Keep the cookie format\n/);
+
+  // Existing plans gain new decisions once
+  await handleProposeAdr({ title: 'Encrypt session blobs', decision: 'AES-GCM.' });
+  await handleUpdatePlan({ name: 'sessions', decisions: ['ADR-0002', 'Keep the cookie format'] });
+  const plan = fs.readFileSync(planPath, 'utf8');
+  assert.match(plan, /- Keep the cookie format\n- \[ADR-0002\]\(\.\.\/decisions\/0002-encrypt-session-blobs\.md\) Encrypt session blobs\n/);
+  assert.equal(plan.match(/Keep the cookie format/g).length, 1);
+
+  assert.match(await text(handleGetWisdom({ plan: 'sessions' })), /\*\*Decisions referenced\*\*:\n- ADR-0001 Use Postgres — accepted\n- ADR-0002 Encrypt session blobs — proposed/);
+});
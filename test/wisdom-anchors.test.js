@@ -0,0 +1,101 @@
+/**
+ * Tests for code anchors on wisdom entries and stale-wisdom detection.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { gitBlobHash, blockEnd, computeAnchor, checkAnchors } from '../src/mcp-server/lib/wisdom-anchors.js';
+import { readSidecar } from '../src/mcp-server/lib/wisdom.js';
+import { handleSaveWisdom } from '../src/mcp-server/tools/save-wisdom.js';
+import { handleGetWisdom } from '../src/mcp-server/tools/get-wisdom.js';
+import { handleReviewStaleWisdom } from '../src/mcp-server/tools/review-stale-wisdom.js';
+import { scratchProject } from './helpers.js';
+
+const SOURCE = [
+  'export function parseConfig(raw) {',
+  '  return JSON.parse(raw);',
+  '}',
+  '',
+  'export function loadConfig(file) {',
+  '  const raw = readFile(file);',
+  '  return parseConfig(raw);',
+  '}',
+  ''
+].join('\n');
+
+const { root: TMP_DIR, fresh: freshProject } = scratchProject('wisdom-anchors', { files: { 'config.js': SOURCE } });
+
+test('gitBlobHash: matches git hash-object', (t) => {
+  freshProject();
+  let expected;
+  try {
+    expected = execFileSync('git', ['hash-object', 'config.js'], { cwd: TMP_DIR, encoding: 'utf8' }).trim();
+  } catch {
+    t.skip('git not available');
+    return;
+  }
+  assert.equal(gitBlobHash(SOURCE), expected);
+});
+
+test('blockEnd: spans a braced function and stops at the closing brace', () => {
+  const lines = SOURCE.split('\n');
+  assert.equal(blockEnd(lines, 1), 3);
+  assert.equal(blockEnd(lines, 5), 8);
+});
+
+test('computeAnchor: records symbols named in text and cited line ranges', () => {
+  freshProject();
+  const anchor = computeAnchor(TMP_DIR, 'config.js', 'loadConfig swallows errors; see lines 1-2');
+  assert.equal(anchor.file, 'config.js');
+  assert.equal(anchor.blob, gitBlobHash(SOURCE));
+  assert.deepEqual(anchor.symbols.map(s => [s.name, s.start, s.end]), [['loadConfig', 5, 8]]);
+  assert.deepEqual(anchor.lines.map(l => [l.start, l.end]), [[1, 2]]);
+});
+
+test('checkAnchors: unrelated edits keep the entry fresh; anchored edits flag it', () => {
+  freshProject();
+  const anchors = [computeAnchor(TMP_DIR, 'config.js', 'loadConfig reads synchronously')];
+
+  // Change parseConfig only — loadConfig moves down but is unchanged
+  fs.writeFileSync(path.join(TMP_DIR, 'config.js'), SOURCE.replace('  return JSON.parse(raw);', '  // strict\n  return JSON.parse(raw);'));
+  let check = checkAnchors(TMP_DIR, anchors);
+  assert.equal(check.stale, false);
+  assert.equal(check.fileChanged, true);
+
+  fs.writeFileSync(path.join(TMP_DIR, 'config.js'), SOURCE.replace('readFile(file)', 'readFileAsync(file)'));
+  check = checkAnchors(TMP_DIR, anchors);
+  assert.equal(check.stale, true);
+  assert.match(check.problems[0], /`loadConfig` changed/);
+
+  fs.writeFileSync(path.join(TMP_DIR, 'config.js'), 'export const nothing = 1;\n');
+  check = checkAnchors(TMP_DIR, anchors);
+  assert.match(check.problems[0], /`loadConfig` was removed or renamed/);
+
+  fs.unlinkSync(path.join(TMP_DIR, 'config.js'));
+  assert.match(checkAnchors(TMP_DIR, anchors).problems[0], /no longer exists/);
+});
+
+test('save → edit code → get_wisdom flags entry; review lists it; reanchor clears it', async () => {
+  freshProject();
+  const saved = await handleSaveWisdom({ content: 'parseConfig throws on empty input', file_path: 'config.js', wisdom_type: 'caution' });
+  const id = saved.content[0].text.match(/w-[0-9a-f]{8}/)[0];
+  const entry = readSidecar(path.join(TMP_DIR, 'config.js')).entries[0];
+  assert.equal(entry.meta.anchors[0].symbols[0].name, 'parseConfig');
+
+  let shown = (await handleGetWisdom({ file_path: 'config.js' })).content[0].text;
+  assert.ok(!shown.includes('Possibly stale'));
+
+  fs.writeFileSync(path.join(TMP_DIR, 'config.js'), SOURCE.replace('return JSON.parse(raw);', 'return raw ? JSON.parse(raw) : {};'));
+  shown = (await handleGetWisdom({ file_path: 'config.js' })).content[0].text;
+  assert.match(shown, /Possibly stale: `parseConfig` changed in config\.js/);
+
+  let review = (await handleReviewStaleWisdom({})).content[0].text;
+  assert.ok(review.includes(id));
+
+  review = (await handleReviewStaleWisdom({ reanchor: [id] })).content[0].text;
+  assert.match(review, /Re-anchored 1 entries/);
+  assert.match(review, /No stale wisdom/);
+});
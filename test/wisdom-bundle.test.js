@@ -0,0 +1,144 @@
+/**
+ * Tests for export_wisdom / import_wisdom bundles: selection, merging,
+ * conflict modes, and sidecar path remapping.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { readIndex, readSidecar, readSection, parseWisdomMarkdown, findEntry } from '../src/mcp-server/lib/wisdom.js';
+import { exportBundle, importBundle, validateBundle } from '../src/mcp-server/lib/wisdom-bundle.js';
+import { handleSaveWisdom } from '../src/mcp-server/tools/save-wisdom.js';
+import { handleExportWisdom } from '../src/mcp-server/tools/export-wisdom.js';
+import { handleImportWisdom } from '../src/mcp-server/tools/import-wisdom.js';
+import { scratchProject, writeFile } from './helpers.js';
+
+const { root: TMP_DIR, dir: SRC, fresh } = scratchProject('wisdom-bundle', { project: 'source' });
+const DST = path.join(TMP_DIR, 'dest');
+
+function freshProjects() {
+  fresh();
+  writeFile(DST, 'package.json', '{}\n');
+}
+async function saveIn(root, args) {
+  process.chdir(root);
+  const r = await handleSaveWisdom(args);
+  assert.equal(r.isError, undefined, r.content[0].text);
+  return r.content[0].text.match(/w-[0-9a-f]{8}/)[0];
+}
+
+test('export → import into an empty project recreates files and keyword refs', async () => {
+  freshProjects();
+  writeFile(SRC, 'src/upload.js');
+  writeFile(DST, 'src/upload.js');
+  const sectionId = await saveIn(SRC, { content: 'Tokens expire after 15 minutes', section: 'auth', keywords: ['jwt'] });
+  const sidecarId = await saveIn(SRC, { content: 'Retry on 409', file_path: 'src/upload.js', keywords: ['retry'] });
+
+  process.chdir(SRC);
+  const out = await handleExportWisdom({ output: path.join(TMP_DIR, 'b.json') });
+  // jwt and retry, plus tokens, expire and minutes extracted from the section entry
+  assert.match(out.content[0].text, /Exported 1 section, 1 sidecar and 5 keywords/);
+
+  process.chdir(DST);
+  const r = await handleImportWisdom({ bundle: path.join(TMP_DIR, 'b.json') });
+  assert.equal(r.isError, undefined, r.content[0].text);
+  assert.match(r.content[0].text, /- sections\/auth\.md: created \(1 added\)/);
+
+  assert.ok(findEntry(parseWisdomMarkdown(readSection(path.join(DST, '.wisdom'), 'auth')), sectionId));
+  assert.ok(findEntry(readSidecar(path.join(DST, 'src/upload.js')), sidecarId));
+  const index = readIndex(path.join(DST, '.wisdom'));
+  assert.deepEqual(index.keywords.jwt, [`sections/auth.md#${sectionId}`]);
+  assert.deepEqual(index.keywords.retry, [`src/upload.js#${sidecarId}`]);
+  assert.deepEqual(index.keywords.tokens, [`sections/auth.md#${sectionId}`]);
+
+  // Importing the same bundle again adds nothing
+  const again = await handleImportWisdom({ bundle: path.join(TMP_DIR, 'b.json') });
+  assert.match(again.content[0].text, /- sections\/auth\.md: skipped \(1 already present\)/);
+  assert.equal(parseWisdomMarkdown(readSection(path.join(DST, '.wisdom'), 'auth')).entries.length, 1);
+});
+
+test('exportBundle: selection limits files and keywords', async () => {
+  freshProjects();
+  await saveIn(SRC, { content: 'A', section: 'auth', keywords: ['a'] });
+  await saveIn(SRC, { content: 'B', section: 'billing', keywords: ['b'] });
+  const bundle = exportBundle(SRC, { sections: ['billing'] });
+  assert.deepEqual(bundle.files.map(f => f.ref), ['sections/billing.md']);
+  assert.deepEqual(Object.keys(bundle.keywords), ['b']);
+  assert.equal(validateBundle(bundle), null);
+  assert.match(validateBundle({ ...bundle, files: [{ ref: '../x.md', kind: 'section', content: '' }] }), /Unsafe path/);
+  // Project files must sit in their kind's directory
+  for (const ref of ['index.json', 'journal.jsonl', 'decisions/0001-x.md', 'plans/v2.md', 'sections/a/b.md']) {
+    assert.match(validateBundle({ ...bundle, files: [{ ref, kind: 'section', content: '' }] }), /Bundle section must be sections\/<name>\.md/);
+  }
+  assert.match(validateBundle({ ...bundle, files: [{ ref: '.wisdom/index', kind: 'sidecar', content: '' }] }), /Unsafe path/);
+  writeFile(SRC, 'evil.json', JSON.stringify({ ...bundle, files: [{ ref: 'index.json', kind: 'pattern', content: 'x' }] }));
+  process.chdir(DST);
+  const bad = await handleImportWisdom({ bundle: path.join(SRC, 'evil.json') });
+  assert.equal(bad.isError, true);
+  assert.match(bad.content[0].text, /Bundle pattern must be patterns\/<name>\.md, not index\.json/);
+  assert.ok(!fs.existsSync(path.join(DST, '.wisdom/index.json')));
+});
+
+test('import conflicts: skip keeps local, rename adds a new id, merge folds in', async () => {
+  freshProjects();
+  const id = await saveIn(SRC, { content: 'Cache for 5 minutes', section: 'perf' });
+  await saveIn(SRC, { content: 'Shared advice', section: 'perf' });
+  const bundle = exportBundle(SRC);
+
+  // Local copy: same entry ID with different text, plus the shared entry unchanged
+  const seedLocal = () => writeFile(DST, '.wisdom/sections/perf.md',
+    readSection(path.join(SRC, '.wisdom'), 'perf').replace('Cache for 5 minutes', 'Cache for 10 minutes'));
+
+  seedLocal();
+  let report = importBundle(DST, bundle, { onConflict: 'skip' });
+  assert.deepEqual(report.files.map(f => [f.action, f.added, f.duplicates, f.conflicts]), [['merged', 0, 1, 1]]);
+  let doc = parseWisdomMarkdown(readSection(path.join(DST, '.wisdom'), 'perf'));
+  assert.equal(doc.entries.length, 2);
+  assert.equal(findEntry(doc, id).text, 'Cache for 10 minutes');
+
+  seedLocal();
+  importBundle(DST, bundle, { onConflict: 'rename' });
+  doc = parseWisdomMarkdown(readSection(path.join(DST, '.wisdom'), 'perf'));
+  assert.equal(doc.entries.length, 3);
+  const renamed = doc.entries.find(e => e.text === 'Cache for 5 minutes');
+  assert.notEqual(renamed.id, id);
+  assert.equal(renamed.meta.imported_from, id);
+
+  seedLocal();
+  importBundle(DST, bundle, { onConflict: 'merge' });
+  doc = parseWisdomMarkdown(readSection(path.join(DST, '.wisdom'), 'perf'));
+  assert.equal(doc.entries.length, 2);
+  assert.match(findEntry(doc, id).annotations[0], /imported variant: Cache for 5 minutes$/);
+});
+
+test('import sidecars: path_map, then same-name match, else reported unmapped', async () => {
+  freshProjects();
+  writeFile(SRC, 'lib/net/upload.js', 'export function upload() {}\n');
+  writeFile(SRC, 'lib/auth.js');
+  writeFile(SRC, 'lib/gone.js');
+  const uploadId = await saveIn(SRC, { content: 'upload streams the body', file_path: 'lib/net/upload.js' });
+  await saveIn(SRC, { content: 'Auth note', file_path: 'lib/auth.js', keywords: ['auth'] });
+  await saveIn(SRC, { content: 'Gone note', file_path: 'lib/gone.js' });
+  const bundle = exportBundle(SRC);
+
+  writeFile(DST, 'src/net/upload.js', 'export function upload() {}\n');
+  writeFile(DST, 'src/security/auth.js');
+  const report = importBundle(DST, bundle, { pathMap: { 'lib/net/': 'src/net/' } });
+
+  assert.deepEqual(report.unmapped, ['lib/gone.js']);
+  const moved = findEntry(readSidecar(path.join(DST, 'src/net/upload.js')), uploadId);
+  assert.equal(moved.meta.anchors[0].file, 'src/net/upload.js');
+  assert.match(fs.readFileSync(path.join(DST, 'src/net/upload.js.wisdom'), 'utf8'), /^# upload\.js — Wisdom$/m);
+  assert.ok(fs.existsSync(path.join(DST, 'src/security/auth.js.wisdom')));
+  assert.match(readIndex(path.join(DST, '.wisdom')).keywords.auth[0], /^src\/security\/auth\.js#w-/);
+
+  // path_map targets outside the project are not followed
+  fs.writeFileSync(path.join(TMP_DIR, 'upload.js'), '');
+  const escaped = importBundle(DST, { ...bundle, files: bundle.files.filter(f => f.ref === 'lib/net/upload.js') }, { pathMap: { 'lib/net/': '../../' } });
+  assert.deepEqual(escaped.unmapped, []);
+  assert.equal(escaped.files[0].to, 'src/net/upload.js');
+  assert.ok(!fs.existsSync(path.join(TMP_DIR, 'upload.js.wisdom')));
+  const outside = importBundle(DST, { ...bundle, files: bundle.files.filter(f => f.ref === 'lib/gone.js') }, { pathMap: { 'lib/': '../' } });
+  assert.deepEqual(outside.unmapped, ['lib/gone.js']);
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests for check_wisdom: index consistency checks, repair, and corrupt
+ * index backup.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { readIndex, writeIndex } from '../src/mcp-server/lib/wisdom.js';
+import { checkWisdom } from '../src/mcp-server/lib/wisdom-check.js';
+import { handleSaveWisdom } from '../src/mcp-server/tools/save-wisdom.js';
+import { handleUpdatePlan } from '../src/mcp-server/tools/update-plan.js';
+import { handleCheckWisdom } from '../src/mcp-server/tools/check-wisdom.js';
+import { scratchProject } from './helpers.js';
+
+const { root: TMP_DIR, fresh: freshProject } = scratchProject('wisdom-check', { files: { 'src/app.js': '// app\n' } });
+const WISDOM_DIR = path.join(TMP_DIR, '.wisdom');
+
+async function save(args) {
+  const r = await handleSaveWisdom({ on_duplicate: 'save', ...args });
+  return r.content[0].text.match(/w-[0-9a-f]{8}/)[0];
+}
+
+const kinds = problems => problems.map(p => p.kind).sort();
+
+test('a consistent project has no problems', async () => {
+  freshProject();
+  await save({ section: 'auth', content: 'Sessions live in Redis', keywords: ['redis'] });
+  await save({ file_path: 'src/app.js', content: 'Boots the app', keywords: ['boot'] });
+  await handleUpdatePlan({ name: 'sso', description: 'SSO', sections: ['auth'], files: ['src/app.js'] });
+  assert.deepEqual(checkWisdom(TMP_DIR).problems, []);
+  assert.match((await handleCheckWisdom({})).content[0].text, /no problems found/);
+});
+
+test('finds and repairs index drift', async () => {
+  freshProject();
+  const redis = await save({ section: 'auth', content: 'Sessions live in Redis', keywords: ['redis'] });
+  await handleUpdatePlan({ name: 'sso', description: 'SSO', sections: ['auth'] });
+  await handleUpdatePlan({ name: 'old', description: 'Gone soon', sections: ['billing'] });
+
+  // Drift: deleted plan, hand-written plan, renamed section, bad status, orphan sidecar
+  fs.rmSync(path.join(WISDOM_DIR, 'plans/old.md'));
+  fs.writeFileSync(path.join(WISDOM_DIR, 'plans/manual.md'), '# manual\n\n*Status*: paused\n\n## Sections\n- auth\n');
+  fs.renameSync(path.join(WISDOM_DIR, 'sections/auth.md'), path.join(WISDOM_DIR, 'sections/sessions.md'));
+  const index = readIndex(WISDOM_DIR);
+  index.plans.sso.status = 'completed';
+  index.sections.stale = { files: ['src/gone/'], plans: [] };
+  index.keywords.ghost = ['sections/nope.md#w-00000000'];
+  index.files = [{ path: 'src/app.js' }, { path: 'src/deleted.js' }];
+  writeIndex(WISDOM_DIR, index);
+  fs.writeFileSync(path.join(TMP_DIR, 'src/removed.js.wisdom'), '# removed.js\n\n## Lessons\n- Old note\n');
+
+  const { problems } = checkWisdom(TMP_DIR);
+  // The moved entry's refs under redis and the extracted "sessions", and ghost's
+  assert.deepEqual(kinds(problems), [
+    'keyword_ref', 'keyword_ref', 'keyword_ref', 'missing_plan', 'missing_section', 'orphaned_sidecar',
+    'plan_section_missing', 'plan_section_missing', 'plan_status', 'stale_files',
+    'unindexed_keywords', 'unindexed_plan'
+  ]);
+  assert.ok(problems.some(p => p.kind === 'keyword_ref' && /now in sections\/sessions\.md/.test(p.message)));
+
+  const text = (await handleCheckWisdom({ repair: true })).content[0].text;
+  assert.match(text, /### Repaired \(11\)/);
+  assert.match(text, /### Needs attention \(2\)/);
+  assert.match(text, /Section "auth" has no file but plans sso, manual list it/);
+
+  const fixed = readIndex(WISDOM_DIR);
+  assert.equal(fixed.plans.old, undefined);
+  assert.equal(fixed.plans.sso.status, 'active');
+  assert.deepEqual(fixed.plans.manual.sections, ['auth']);
+  assert.deepEqual(fixed.sections.auth.plans, ['sso', 'manual']);
+  assert.equal(fixed.sections.billing, undefined);
+  assert.equal(fixed.sections.stale, undefined);
+  assert.deepEqual(fixed.keywords.redis, [`sections/sessions.md#${redis}`]);
+  assert.deepEqual(fixed.keywords.sessions, [`sections/sessions.md#${redis}`]);
+  assert.equal(fixed.keywords.ghost, undefined);
+  assert.deepEqual(fixed.files, [{ path: 'src/app.js' }]);
+
+  // What's left needs a human: the section the plans still list, the orphan sidecar
+  assert.deepEqual(kinds(checkWisdom(TMP_DIR).problems), ['orphaned_sidecar', 'plan_section_missing']);
+});
+
+test('a corrupt index is backed up and rebuilt, not discarded', async () => {
+  freshProject();
+  const redis = await save({ section: 'auth', content: 'Sessions live in Redis', keywords: ['redis'] });
+  await handleUpdatePlan({ name: 'sso', description: 'SSO', sections: ['auth'], files: ['src/app.js'] });
+  const broken = fs.readFileSync(path.join(WISDOM_DIR, 'index.json'), 'utf8').slice(0, 40);
+  fs.writeFileSync(path.join(WISDOM_DIR, 'index.json'), broken);
+
+  // Plain reads keep a copy before falling back to an empty index
+  assert.deepEqual(readIndex(WISDOM_DIR).plans, {});
+  readIndex(WISDOM_DIR);
+  const backups = () => fs.readdirSync(WISDOM_DIR).filter(f => f.startsWith('index.corrupt-'));
+  assert.equal(backups().length, 1);
+  assert.equal(fs.readFileSync(path.join(WISDOM_DIR, backups()[0]), 'utf8'), broken);
+
+  const report = checkWisdom(TMP_DIR);
+  assert.deepEqual(kinds(report.problems), ['corrupt_index']);
+
+  const text = (await handleCheckWisdom({ repair: true })).content[0].text;
+  assert.match(text, /Corrupt index backed up to \.wisdom\/index\.corrupt-/);
+  assert.equal(backups().length, 1);
+
+  const rebuilt = readIndex(WISDOM_DIR);
+  assert.deepEqual(rebuilt.plans.sso, { file: 'plans/sso.md', status: 'active', sections: ['auth'], files: ['src/app.js'] });
+  assert.deepEqual(rebuilt.sections.auth.plans, ['sso']);
+  assert.deepEqual(rebuilt.keywords.redis, [`sections/auth.md#${redis}`]);
+  assert.deepEqual(checkWisdom(TMP_DIR).problems, []);
+});
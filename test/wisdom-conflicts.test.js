@@ -0,0 +1,109 @@
+/**
+ * Tests for contradiction detection: offline signals, topic grouping,
+ * review_conflicts, the get_wisdom footer, and model verdicts.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { locateEntry } from '../src/mcp-server/lib/wisdom-edit.js';
+import { contradictionSignals, findConflicts, judgeConflicts } from '../src/mcp-server/lib/wisdom-conflicts.js';
+import { handleSaveWisdom } from '../src/mcp-server/tools/save-wisdom.js';
+import { handleGetWisdom } from '../src/mcp-server/tools/get-wisdom.js';
+import { handleReviewConflicts } from '../src/mcp-server/tools/review-conflicts.js';
+import { scratchProject } from './helpers.js';
+
+const { root: TMP_DIR, fresh: freshProject } = scratchProject('wisdom-conflicts', { files: { Dockerfile: 'FROM node:20-bullseye-slim\n' } });
+
+async function save(args) {
+  const r = await handleSaveWisdom({ on_duplicate: 'save', auto_keywords: false, ...args });
+  return r.content[0].text.match(/w-[0-9a-f]{8}/)[0];
+}
+
+test('offline signals: negation, opposing imperatives, reversal', () => {
+  const reasons = (a, b, opts) => contradictionSignals(a, b, opts).reasons;
+  assert.deepEqual(reasons('Always retry uploads on 409', 'Never retry uploads on 409'), [
+    "one negates, the other doesn't (both about retry, upload, 409)",
+    'opposing always/never'
+  ]);
+  assert.deepEqual(reasons('Run migrations before deploy', 'Run migrations after deploy'), ['opposing before/after']);
+  assert.deepEqual(reasons('Always use bullseye-slim as the base image', 'Alpine is fine now'), ['one reads as a reversal of the other']);
+  assert.deepEqual(reasons('Pin the base image', 'Alpine is fine now', { typeA: 'caution' }), ['one reads as a reversal of the other']);
+
+  // Related but compatible
+  assert.deepEqual(reasons('Sessions live in Redis', 'Session cookies are SameSite=Lax'), []);
+  assert.deepEqual(reasons('Never log tokens', 'Never log passwords either'), []);
+});
+
+test('only entries sharing a symbol, file or keyword are compared', async () => {
+  freshProject();
+  const slim = await save({ file_path: 'Dockerfile', content: 'Always use bullseye-slim; alpine breaks native modules', wisdom_type: 'caution' });
+  const alpine = await save({ file_path: 'Dockerfile', content: 'Alpine is fine now that we dropped bcrypt' });
+  const retry = await save({ section: 'uploads', content: 'Always retry uploads on 409', keywords: ['retry'] });
+  const noRetry = await save({ section: 'client', content: 'Never retry uploads on 409, the server dedupes', keywords: ['Retry'] });
+  // Same wording, different topics: not compared
+  await save({ section: 'jobs', content: 'Never retry uploads on 409 in the batch importer', keywords: ['importer'] });
+
+  const conflicts = findConflicts(TMP_DIR);
+  assert.deepEqual(conflicts.map(c => [c.a.id, c.b.id].sort()), [[retry, noRetry].sort(), [slim, alpine].sort()]);
+  assert.equal(conflicts[0].confidence, 'likely');
+  assert.deepEqual(conflicts[0].topics, ['keyword:retry']);
+  assert.equal(conflicts[1].confidence, 'possible');
+  assert.deepEqual(conflicts[1].topics, ['file:Dockerfile']);
+
+  assert.deepEqual(findConflicts(TMP_DIR, { ref: 'Dockerfile' }).length, 1);
+  assert.deepEqual(findConflicts(TMP_DIR, { ids: [retry] }).length, 1);
+  assert.equal(findConflicts(TMP_DIR, { includeUnflagged: true }).length, 2);
+
+  const text = (await handleReviewConflicts({})).content[0].text;
+  assert.match(text, /^## Possible conflicts \(2\)/);
+  assert.match(text, /### 1\. likely — about retry\n/);
+  assert.match(text, /### 2\. possible — about Dockerfile\n/);
+  assert.match(text, /_one reads as a reversal of the other_/);
+});
+
+test('get_wisdom flags conflicts inline; dismiss stops flagging the pair', async () => {
+  freshProject();
+  const slim = await save({ file_path: 'Dockerfile', content: 'Always use bullseye-slim; alpine breaks native modules', wisdom_type: 'caution' });
+  const alpine = await save({ file_path: 'Dockerfile', content: 'Alpine is fine now that we dropped bcrypt' });
+  await save({ section: 'ops', content: 'Deploys run on Fridays', keywords: ['deploy'] });
+
+  const text = (await handleGetWisdom({ file_path: 'Dockerfile' })).content[0].text;
+  assert.match(text, /⚠ \*\*Possible conflicts\*\* \(1\):/);
+  assert.ok(text.includes(slim) && text.includes(alpine));
+  assert.doesNotMatch((await handleGetWisdom({ section: 'ops' })).content[0].text, /Possible conflicts/);
+
+  const dismissed = await handleReviewConflicts({ dismiss: [alpine, slim] });
+  assert.match(dismissed.content[0].text, /as compatible/);
+  assert.deepEqual(locateEntry(TMP_DIR, slim).entry.meta.compatible_with, [alpine]);
+  assert.doesNotMatch((await handleGetWisdom({ file_path: 'Dockerfile' })).content[0].text, /Possible conflicts/);
+  assert.equal((await handleReviewConflicts({})).content[0].text, 'No conflicting wisdom found.');
+
+  assert.equal((await handleReviewConflicts({ dismiss: [slim] })).isError, true);
+  assert.equal((await handleReviewConflicts({ dismiss: [slim, 'w-00000000'] })).isError, true);
+});
+
+test('judgeConflicts applies model verdicts to candidate pairs', async () => {
+  freshProject();
+  await save({ section: 'uploads', content: 'Retry uploads on 409', keywords: ['retry'] });
+  await save({ section: 'client', content: 'Uploads are idempotent on the server', keywords: ['retry'] });
+  const candidates = findConflicts(TMP_DIR, { includeUnflagged: true });
+  assert.equal(candidates.length, 1);
+  assert.deepEqual(candidates[0].reasons, []);
+
+  let prompt;
+  const client = {
+    messages: {
+      create: async (req) => {
+        prompt = req.messages[0].content;
+        return {
+          content: [{ type: 'text', text: 'Here you go:\n[{"pair": 1, "contradicts": false, "reason": "Idempotency makes retries safe."}]' }],
+          usage: { input_tokens: 120, output_tokens: 30 }
+        };
+      }
+    }
+  };
+  const { pairs, usage } = await judgeConflicts(client, candidates);
+  assert.match(prompt, /Pair 1 \(about retry\):\nA \[lesson\]: .*\nB \[lesson\]: /);
+  assert.deepEqual(pairs[0].llm, { contradicts: false, reason: 'Idempotency makes retries safe.' });
+  assert.equal(usage.output_tokens, 30);
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for get_wisdom's budgeted multi-file mode (files / git_diff / max_tokens).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { readIndex, writeIndex } from '../src/mcp-server/lib/wisdom.js';
+import { gatherContext, globToRegExp, matchesPattern } from '../src/mcp-server/lib/wisdom-context.js';
+import { handleSaveWisdom } from '../src/mcp-server/tools/save-wisdom.js';
+import { handleUpdatePlan } from '../src/mcp-server/tools/update-plan.js';
+import { handleGetWisdom } from '../src/mcp-server/tools/get-wisdom.js';
+import { scratchProject } from './helpers.js';
+
+const { root: TMP_DIR, dir: PROJECT, fresh } = scratchProject('wisdom-context', {
+  project: 'project',
+  files: {
+    'src/auth/login.js': '// src/auth/login.js\n',
+    'src/auth/token.js': '// src/auth/token.js\n',
+    'src/ui/app.js': '// src/ui/app.js\n'
+  }
+});
+const WISDOM_DIR = path.join(PROJECT, '.wisdom');
+
+function freshProject() {
+  fresh();
+  process.env.WISDOM_PATH = `team=${path.join(TMP_DIR, 'team')}`;
+}
+
+async function save(args) {
+  const r = await handleSaveWisdom({ on_duplicate: 'save', ...args });
+  assert.equal(r.isError, undefined, r.content[0].text);
+  return r.content[0].text.match(/w-[0-9a-f]{8}/)[0];
+}
+
+async function seed() {
+  const ids = {
+    loginLesson: await save({ file_path: 'src/auth/login.js', content: 'Login form posts to /api/session' }),
+    loginCaution: await save({ file_path: 'src/auth/login.js', wisdom_type: 'caution', content: 'Never log the password field' }),
+    tokenDecision: await save({ file_path: 'src/auth/token.js', wisdom_type: 'decision', content: 'Tokens are JWTs signed with RS256' }),
+    uiLesson: await save({ file_path: 'src/ui/app.js', content: 'The app shell renders before auth resolves' }),
+    authSection: await save({ section: 'auth', content: 'Sessions live in Redis for two weeks' }),
+    billingSection: await save({ section: 'billing', content: 'Invoices are generated nightly' }),
+    globalCaution: await save({ scope: 'global', wisdom_type: 'caution', content: 'Rotate secrets after every incident', keywords: ['secrets'] }),
+    globalLesson: await save({ scope: 'global', content: 'Prefer small pull requests', keywords: ['prs'] })
+  };
+  await handleUpdatePlan({ name: 'sso', status: 'active', description: 'Add single sign-on', files: ['src/auth/login.js'], sections: ['auth'] });
+  await handleUpdatePlan({ name: 'old-login', status: 'completed', description: 'Legacy login rewrite', files: ['src/auth/login.js'] });
+  const index = readIndex(WISDOM_DIR);
+  index.sections.billing = { files: ['src/billing/'], plans: [] };
+  writeIndex(WISDOM_DIR, index);
+  return ids;
+}
+
+test('glob and path patterns', () => {
+  assert.ok(globToRegExp('src/**/*.js').test('src/auth/login.js'));
+  assert.ok(globToRegExp('src/**/*.js').test('src/app.js'));
+  assert.ok(!globToRegExp('src/*.js').test('src/auth/login.js'));
+  assert.ok(globToRegExp('*.{js,ts}').test('src/auth/login.ts'));
+  assert.ok(matchesPattern('src/auth/login.js', 'src/auth/'));
+  assert.ok(matchesPattern('src/auth/login.js', 'src/auth'));
+  assert.ok(!matchesPattern('src/authz/x.js', 'src/auth'));
+});
+
+test('gathers sidecars, mapped sections, active plans and global cautions', async () => {
+  freshProject();
+  const ids = await seed();
+
+  const { files, items, omitted } = gatherContext(PROJECT, { files: ['src/auth/*.js'] });
+  assert.deepEqual(files.sort(), ['src/auth/login.js', 'src/auth/token.js']);
+  assert.equal(omitted, 0);
+  const got = items.map(i => i.id || i.ref);
+  for (const id of [ids.loginLesson, ids.loginCaution, ids.tokenDecision, ids.authSection, ids.globalCaution, 'plans/sso.md']) {
+    assert.ok(got.includes(id), `missing ${id}`);
+  }
+  for (const id of [ids.uiLesson, ids.billingSection, ids.globalLesson, 'plans/old-login.md']) {
+    assert.ok(!got.includes(id), `unexpected ${id}`);
+  }
+
+  // Cautions first, lessons last
+  const rank = ['caution', 'edge_case', 'decision', 'plan', 'pattern', 'lesson'];
+  const ranks = items.map(i => rank.indexOf(i.type));
+  assert.deepEqual(ranks, [...ranks].sort((a, b) => a - b));
+  assert.equal(items[0].type, 'caution');
+});
+
+test('trims to the token budget, keeping higher-priority items', async () => {
+  freshProject();
+  const ids = await seed();
+  const full = gatherContext(PROJECT, { files: ['src/auth/login.js'] });
+  const budget = full.items.filter(i => i.type === 'caution').reduce((n, i) => n + i.tokens, 0);
+
+  const trimmed = gatherContext(PROJECT, { files: ['src/auth/login.js'], maxTokens: budget });
+  assert.ok(trimmed.tokens <= budget);
+  assert.deepEqual(trimmed.items.map(i => i.id).sort(), [ids.loginCaution, ids.globalCaution].sort());
+  assert.equal(trimmed.omitted, full.items.length - 2);
+});
+
+test('get_wisdom(files, max_tokens) renders grouped output with an omitted note', async () => {
+  freshProject();
+  await seed();
+  const text = (await handleGetWisdom({ files: ['src/auth/login.js'], max_tokens: 40 })).content[0].text;
+  assert.match(text, /^## Wisdom for 1 file \(~\d+\/40 tokens\)/);
+  assert.match(text, /### Cautions/);
+  assert.match(text, /omitted to fit the budget/);
+
+  const all = (await handleGetWisdom({ files: ['src/auth/login.js'] })).content[0].text;
+  assert.match(all, /### Plans\n- \*\*sso\*\* \*Status\*: active/);
+  assert.match(all, /Sessions live in Redis for two weeks _\(section auth\)_/);
+  assert.match(all, /Rotate secrets after every incident _\(team\)_/);
+});
+
+test('git_diff picks up changed files', async () => {
+  freshProject();
+  await seed();
+  const git = (...args) => execFileSync('git', args, { cwd: PROJECT, stdio: 'ignore' });
+  git('init', '-q');
+  git('-c', 'user.email=t@t', '-c', 'user.name=t', 'add', '-A');
+  git('-c', 'user.email=t@t', '-c', 'user.name=t', 'commit', '-qm', 'init');
+  fs.appendFileSync(path.join(PROJECT, 'src/ui/app.js'), '// changed\n');
+
+  const text = (await handleGetWisdom({ git_diff: 'HEAD' })).content[0].text;
+  assert.match(text, /src\/ui\/app\.js/);
+  assert.match(text, /The app shell renders before auth resolves/);
+  assert.doesNotMatch(text, /Never log the password field/);
+
+  const bad = await handleGetWisdom({ git_diff: 'no-such-ref' });
+  assert.equal(bad.isError, true);
+  assert.match(bad.content[0].text, /git diff no-such-ref failed/);
+
+  // Option-like ranges never reach git
+  const target = path.join(PROJECT, 'PWNED');
+  const injected = await handleGetWisdom({ git_diff: `--output=${target}` });
+  assert.equal(injected.isError, true);
+  assert.match(injected.content[0].text, /Invalid git diff range: --output=/);
+  assert.ok(!fs.existsSync(target));
+});
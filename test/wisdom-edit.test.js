@@ -0,0 +1,134 @@
+/**
+ * Tests for entry-level wisdom mutations: edit_wisdom, delete_wisdom,
+ * supersede_wisdom, and the index.json keyword refs that follow them.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { readIndex, readSidecar, readSection, parseWisdomMarkdown, findEntry } from '../src/mcp-server/lib/wisdom.js';
+import { locateEntry } from '../src/mcp-server/lib/wisdom-edit.js';
+import { handleSaveWisdom } from '../src/mcp-server/tools/save-wisdom.js';
+import { handleGetWisdom } from '../src/mcp-server/tools/get-wisdom.js';
+import { handleEditWisdom } from '../src/mcp-server/tools/edit-wisdom.js';
+import { handleDeleteWisdom } from '../src/mcp-server/tools/delete-wisdom.js';
+import { handleSupersedeWisdom } from '../src/mcp-server/tools/supersede-wisdom.js';
+import { scratchProject } from './helpers.js';
+
+const { root: TMP_DIR, fresh: freshProject } = scratchProject('wisdom-edit', { dirs: ['src'] });
+
+async function save(args) {
+  const r = await handleSaveWisdom(args);
+  assert.equal(r.isError, undefined, r.content[0].text);
+  return r.content[0].text.match(/w-[0-9a-f]{8}/)[0];
+}
+
+const wisdomDir = () => path.join(TMP_DIR, '.wisdom');
+
+test('edit_wisdom: rewrites sidecar entry text and keeps its id', async () => {
+  freshProject();
+  const id = await save({ content: 'Retry twice', file_path: 'src/up.js', wisdom_type: 'caution' });
+  const r = await handleEditWisdom({ entry_id: id, content: 'Retry three times' });
+  assert.equal(r.isError, undefined, r.content[0].text);
+  assert.match(r.content[0].text, /Before: Retry twice/);
+
+  const entry = findEntry(readSidecar(path.join(TMP_DIR, 'src/up.js')), id);
+  assert.equal(entry.text, 'Retry three times');
+  assert.notEqual(entry.meta.updated, entry.meta.created);
+});
+
+test('edit_wisdom: type change moves entry under the new header', async () => {
+  freshProject();
+  const id = await save({ content: 'Use UTC everywhere', section: 'dates' });
+  await handleEditWisdom({ entry_id: id, wisdom_type: 'decision' });
+  const doc = parseWisdomMarkdown(readSection(wisdomDir(), 'dates'));
+  const entry = findEntry(doc, id);
+  assert.equal(entry.header, 'Decisions');
+  assert.equal(entry.type, 'decision');
+  assert.equal(entry.bold, true);
+});
+
+test('edit_wisdom: keywords replace the entry refs in index.json', async () => {
+  freshProject();
+  const id = await save({ content: 'Sessions live in redis', section: 'auth', keywords: ['redis'] });
+  await handleEditWisdom({ entry_id: id, keywords: ['cache', 'session'] });
+  const index = readIndex(wisdomDir());
+  assert.equal(index.keywords.redis, undefined);
+  assert.deepEqual(index.keywords.cache, [`sections/auth.md#${id}`]);
+  assert.deepEqual(index.keywords.session, [`sections/auth.md#${id}`]);
+});
+
+test('edit_wisdom: unknown id is an error', async () => {
+  freshProject();
+  const r = await handleEditWisdom({ entry_id: 'w-deadbeef', content: 'x' });
+  assert.equal(r.isError, true);
+});
+
+test('delete_wisdom: moves entry + annotations to history and drops index refs', async () => {
+  freshProject();
+  const keep = await save({ content: 'Keep me', file_path: 'src/a.js' });
+  const gone = await save({ content: 'Wrong lesson', file_path: 'src/a.js', keywords: ['wrong'] });
+  const sidecar = path.join(TMP_DIR, 'src/a.js.wisdom');
+  fs.writeFileSync(sidecar, fs.readFileSync(sidecar, 'utf8').replace(/(Wrong lesson.*\n)/, '$1  > _2026-01-01_: note\n'));
+
+  const r = await handleDeleteWisdom({ entry_id: gone, reason: 'disproved' });
+  assert.equal(r.isError, undefined, r.content[0].text);
+
+  const doc = readSidecar(path.join(TMP_DIR, 'src/a.js'));
+  assert.deepEqual(doc.entries.map(e => e.id), [keep]);
+  assert.equal(readIndex(wisdomDir()).keywords.wrong, undefined);
+
+  const history = parseWisdomMarkdown(fs.readFileSync(path.join(wisdomDir(), 'history/sidecars/src/a.js.md'), 'utf8'));
+  const retired = findEntry(history, gone);
+  assert.equal(retired.text, 'Wrong lesson');
+  assert.equal(retired.meta.retired_reason, 'disproved');
+  assert.deepEqual(retired.annotations, ['  > _2026-01-01_: note']);
+  assert.equal(locateEntry(TMP_DIR, gone), null);
+});
+
+test('supersede_wisdom: content writes replacement; get_wisdom hides old and points to new', async () => {
+  freshProject();
+  const oldId = await save({ content: 'Always use bullseye-slim', section: 'docker', wisdom_type: 'caution', keywords: ['base-image'] });
+  const r = await handleSupersedeWisdom({ entry_id: oldId, content: 'Alpine is fine since musl fix', reason: 'upstream fixed' });
+  assert.equal(r.isError, undefined, r.content[0].text);
+  const newId = r.content[0].text.match(/with (w-[0-9a-f]{8})/)[1];
+
+  const doc = parseWisdomMarkdown(readSection(wisdomDir(), 'docker'));
+  assert.equal(findEntry(doc, oldId).meta.superseded_by, newId);
+  assert.deepEqual(findEntry(doc, newId).meta.supersedes, [oldId]);
+  assert.equal(findEntry(doc, newId).header, 'Cautions');
+
+  const shown = (await handleGetWisdom({ section: 'docker' })).content[0].text;
+  assert.ok(!shown.includes('bullseye-slim'));
+  assert.ok(shown.includes(`${oldId} → ${newId}`));
+  assert.ok(shown.includes(`supersedes ${oldId}`));
+
+  const all = (await handleGetWisdom({ section: 'docker', include_superseded: true })).content[0].text;
+  assert.ok(all.includes(`superseded by ${newId}`));
+
+  // Keywords carried over to the replacement
+  assert.deepEqual(readIndex(wisdomDir()).keywords['base-image'], [`sections/docker.md#${newId}`]);
+});
+
+test('supersede_wisdom: by links two existing entries in the same file', async () => {
+  freshProject();
+  const a = await save({ content: 'Old way', file_path: 'src/b.js' });
+  const b = await save({ content: 'New way', file_path: 'src/b.js' });
+  const r = await handleSupersedeWisdom({ entry_id: a, by: b });
+  assert.equal(r.isError, undefined, r.content[0].text);
+  const doc = readSidecar(path.join(TMP_DIR, 'src/b.js'));
+  assert.equal(findEntry(doc, a).meta.superseded_by, b);
+  assert.deepEqual(findEntry(doc, b).meta.supersedes, [a]);
+
+  const shown = (await handleGetWisdom({ file_path: 'src/b.js' })).content[0].text;
+  assert.ok(!shown.includes('Old way'));
+  assert.ok(shown.includes(`${a} → ${b}`));
+});
+
+test('supersede_wisdom: requires exactly one of content / by', async () => {
+  freshProject();
+  const a = await save({ content: 'x', section: 's' });
+  assert.equal((await handleSupersedeWisdom({ entry_id: a })).isError, true);
+  assert.equal((await handleSupersedeWisdom({ entry_id: a, content: 'y', by: a })).isError, true);
+});
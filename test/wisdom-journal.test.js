@@ -0,0 +1,134 @@
+/**
+ * Tests for the wisdom change journal: wisdom_history and undo_wisdom_change.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { readIndex, readSection, readPlan, parseWisdomMarkdown } from '../src/mcp-server/lib/wisdom.js';
+import { readJournal } from '../src/mcp-server/lib/wisdom-journal.js';
+import { handleSaveWisdom } from '../src/mcp-server/tools/save-wisdom.js';
+import { handleAnnotateWisdom } from '../src/mcp-server/tools/annotate-wisdom.js';
+import { handleUpdatePlan } from '../src/mcp-server/tools/update-plan.js';
+import { handleDeleteWisdom } from '../src/mcp-server/tools/delete-wisdom.js';
+import { handleWisdomHistory } from '../src/mcp-server/tools/wisdom-history.js';
+import { handleUndoWisdomChange } from '../src/mcp-server/tools/undo-wisdom-change.js';
+import { scratchProject } from './helpers.js';
+
+const { root: TMP_DIR, fresh: freshProject } = scratchProject('wisdom-journal');
+const WISDOM_DIR = path.join(TMP_DIR, '.wisdom');
+
+async function save(args) {
+  const r = await handleSaveWisdom({ on_duplicate: 'save', ...args });
+  assert.equal(r.isError, undefined, r.content[0].text);
+  return r.content[0].text.match(/w-[0-9a-f]{8}/)[0];
+}
+const sectionIds = name => parseWisdomMarkdown(readSection(WISDOM_DIR, name) || '').entries.map(e => e.id);
+
+test('saves, annotations and plan rewrites are journaled with before/after', async () => {
+  freshProject();
+  const id = await save({ section: 'auth', content: 'Tokens expire after one hour', keywords: ['token'] });
+  await handleAnnotateWisdom({ section: 'auth', entry_id: id, comment: 'Refresh tokens last a week' });
+  await handleUpdatePlan({ name: 'login', description: 'First draft' });
+  await handleUpdatePlan({ name: 'login', content: '# login\n\nRewritten from scratch\n' });
+
+  const journal = readJournal(TMP_DIR);
+  assert.deepEqual(journal.map(r => r.op), ['update_plan', 'update_plan', 'annotate', 'save']);
+  const [rewrite, , annotate, saved] = journal;
+  assert.equal(saved.ref, 'sections/auth.md');
+  assert.equal(saved.before, null);
+  assert.deepEqual(saved.entries.added, [id]);
+  assert.deepEqual(annotate.entries.changed, [id]);
+  assert.match(rewrite.before, /First draft/);
+  assert.match(rewrite.after, /Rewritten from scratch/);
+
+  assert.deepEqual(readJournal(TMP_DIR, { entryId: id }).map(r => r.op), ['annotate', 'save']);
+  assert.deepEqual(readJournal(TMP_DIR, { ref: 'plans/login.md' }).length, 2);
+});
+
+test('wisdom_history lists changes and shows one in detail', async () => {
+  freshProject();
+  const id = await save({ section: 'auth', content: 'Tokens expire after one hour' });
+
+  const list = (await handleWisdomHistory({ section: 'auth' })).content[0].text;
+  const [journalId] = list.match(/j-[0-9a-f]{8}/);
+  assert.match(list, /\*\*save\*\* sections\/auth\.md \(created\) — added w-/);
+
+  const detail = (await handleWisdomHistory({ journal_id: journalId })).content[0].text;
+  assert.match(detail, /```diff/);
+  assert.ok(detail.includes(`+- **Tokens expire after one hour**`));
+  assert.ok(detail.includes(id));
+
+  const none = (await handleWisdomHistory({ entry_id: 'w-00000000' })).content[0].text;
+  assert.match(none, /No recorded wisdom changes/);
+});
+
+test('undo reverts a plan replacement', async () => {
+  freshProject();
+  await handleUpdatePlan({ name: 'login', description: 'Keep me' });
+  await handleUpdatePlan({ name: 'login', content: '# login\n\nOverwritten\n' });
+  const [replace] = readJournal(TMP_DIR, { ref: 'plans/login.md' });
+
+  const r = await handleUndoWisdomChange({ journal_id: replace.id });
+  assert.equal(r.isError, undefined, r.content[0].text);
+  assert.match(readPlan(WISDOM_DIR, 'login'), /Keep me/);
+  assert.equal(readJournal(TMP_DIR)[0].undoes, replace.id);
+});
+
+test('undoing a save removes the entry and its keyword refs; undoing the undo restores them', async () => {
+  freshProject();
+  const keep = await save({ section: 'auth', content: 'Sessions are stored in Redis', keywords: ['session'] });
+  const id = await save({ section: 'auth', content: 'Tokens expire after one hour', keywords: ['token'] });
+  const [saved] = readJournal(TMP_DIR, { entryId: id });
+
+  const text = (await handleUndoWisdomChange({ journal_id: saved.id })).content[0].text;
+  assert.match(text, new RegExp(`Removed entries: ${id}`));
+  assert.deepEqual(sectionIds('auth'), [keep]);
+  assert.equal(readIndex(WISDOM_DIR).keywords.token, undefined);
+  assert.deepEqual(readIndex(WISDOM_DIR).keywords.session, [`sections/auth.md#${keep}`]);
+
+  const [undo] = readJournal(TMP_DIR);
+  await handleUndoWisdomChange({ journal_id: undo.id });
+  assert.deepEqual(sectionIds('auth').sort(), [keep, id].sort());
+  assert.deepEqual(readIndex(WISDOM_DIR).keywords.token, [`sections/auth.md#${id}`]);
+});
+
+test('undo is refused when the file changed since, unless forced', async () => {
+  freshProject();
+  const first = await save({ section: 'auth', content: 'Tokens expire after one hour' });
+  const [saved] = readJournal(TMP_DIR);
+  await save({ section: 'auth', content: 'Passwords are hashed with bcrypt' });
+  const [later] = readJournal(TMP_DIR);
+
+  const refused = await handleUndoWisdomChange({ journal_id: saved.id });
+  assert.equal(refused.isError, true);
+  assert.match(refused.content[0].text, new RegExp(`later changes: ${later.id}`));
+  assert.ok(sectionIds('auth').includes(first));
+
+  const forced = await handleUndoWisdomChange({ journal_id: saved.id, force: true });
+  assert.equal(forced.isError, undefined);
+  assert.equal(fs.existsSync(path.join(WISDOM_DIR, 'sections', 'auth.md')), false);
+});
+
+test('retiring an entry journals the file and its history, and can be undone', async () => {
+  freshProject();
+  const id = await save({ section: 'auth', content: 'Tokens expire after one hour', keywords: ['token'] });
+  await handleDeleteWisdom({ entry_id: id, reason: 'wrong' });
+
+  const retire = readJournal(TMP_DIR).filter(r => r.op === 'retire');
+  assert.deepEqual(retire.map(r => r.ref).sort(), ['history/sections/auth.md', 'sections/auth.md']);
+
+  const fromSection = retire.find(r => r.ref === 'sections/auth.md');
+  assert.deepEqual(fromSection.entries.removed, [id]);
+  await handleUndoWisdomChange({ journal_id: fromSection.id });
+  assert.deepEqual(sectionIds('auth'), [id]);
+  assert.deepEqual(readIndex(WISDOM_DIR).keywords.token, [`sections/auth.md#${id}`]);
+});
+
+test('undo_wisdom_change reports unknown IDs', async () => {
+  freshProject();
+  const r = await handleUndoWisdomChange({ journal_id: 'j-00000000' });
+  assert.equal(r.isError, true);
+  assert.match(r.content[0].text, /No journal entry/);
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for keyword extraction and symbol links on save_wisdom, and
+ * get_wisdom(symbol).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { readIndex, readSection, parseWisdomMarkdown } from '../src/mcp-server/lib/wisdom.js';
+import { scanProject, writeSymbols } from '../src/mcp-server/lib/indexer.js';
+import { extractKeywords } from '../src/mcp-server/lib/wisdom-keywords.js';
+import { handleSaveWisdom } from '../src/mcp-server/tools/save-wisdom.js';
+import { handleGetWisdom } from '../src/mcp-server/tools/get-wisdom.js';
+import { handleSupersedeWisdom } from '../src/mcp-server/tools/supersede-wisdom.js';
+import { scratchProject } from './helpers.js';
+
+const LOGIN_JS = [
+  'export function handleLogin(req, res) {',
+  '  return createSession(req.body.user);',
+  '}',
+  '',
+  'function createSession(user) {',
+  '  return { user };',
+  '}',
+  '',
+  'export class TokenStore {}',
+  '',
+  "router.post('/api/login', handleLogin);",
+  ''
+].join('\n');
+
+const { root: TMP_DIR, fresh } = scratchProject('wisdom-keywords', { files: { 'src/auth/login.js': LOGIN_JS } });
+const WISDOM_DIR = path.join(TMP_DIR, '.wisdom');
+fresh();
+fs.mkdirSync(WISDOM_DIR, { recursive: true });
+writeSymbols(WISDOM_DIR, scanProject(TMP_DIR).symbols);
+
+async function save(args) {
+  const r = await handleSaveWisdom({ on_duplicate: 'save', ...args });
+  return r.content[0].text.match(/w-[0-9a-f]{8}/)[0];
+}
+
+test('extracts registry symbols, routes, file paths and salient terms', () => {
+  const { keywords, symbols } = extractKeywords(TMP_DIR,
+    'handleLogin must call createSession before POST /api/login returns; see src/auth/login.js. Throttling matters: throttling prevents lockouts.');
+  assert.deepEqual(symbols, ['handleLogin', 'createSession', 'POST /api/login']);
+  for (const k of ['handlelogin', 'createsession', '/api/login', 'src/auth/login.js', 'throttling']) {
+    assert.ok(keywords.includes(k), `missing ${k} in ${keywords.join(', ')}`);
+  }
+  assert.ok(!keywords.includes('before'));
+});
+
+test('plain-English words only match the registry when written as code', () => {
+  assert.deepEqual(extractKeywords(TMP_DIR, 'The user session is created lazily').symbols, []);
+  assert.deepEqual(extractKeywords(TMP_DIR, 'Never construct `TokenStore` twice').symbols, ['TokenStore']);
+  assert.deepEqual(extractKeywords(TMP_DIR, 'Calls to unknownThing() are fine').symbols, []);
+});
+
+test('save_wisdom indexes extracted keywords and links symbols', async () => {
+  const id = await save({ section: 'auth', content: 'handleLogin rejects locked accounts before POST /api/login creates a session', keywords: ['Lockout'] });
+  const entry = parseWisdomMarkdown(readSection(WISDOM_DIR, 'auth')).entries.find(e => e.id === id);
+  assert.deepEqual(entry.meta.symbols, ['handleLogin', 'POST /api/login']);
+  assert.ok(entry.meta.keywords.includes('lockout'));
+  assert.ok(entry.meta.keywords.includes('handlelogin'));
+
+  const index = readIndex(WISDOM_DIR);
+  assert.deepEqual(index.keywords.handlelogin, [`sections/auth.md#${id}`]);
+  assert.deepEqual(index.keywords['/api/login'], [`sections/auth.md#${id}`]);
+
+  const manual = await save({ section: 'auth', content: 'createSession is not idempotent', keywords: ['sessions'], auto_keywords: false });
+  const manualEntry = parseWisdomMarkdown(readSection(WISDOM_DIR, 'auth')).entries.find(e => e.id === manual);
+  assert.deepEqual(manualEntry.meta.keywords, ['sessions']);
+  assert.equal(manualEntry.meta.symbols, undefined);
+  assert.equal(readIndex(WISDOM_DIR).keywords.createsession, undefined);
+});
+
+test('get_wisdom(symbol) returns every entry linked to a function or route', async () => {
+  const sidecar = await save({ file_path: 'src/auth/login.js', content: 'handleLogin trims the username before lookup' });
+  const section = await save({ section: 'api', content: 'Clients retry POST /api/login on 503' });
+  const old = await save({ section: 'api', content: 'handleLogin used to log passwords' });
+  await handleSupersedeWisdom({ entry_id: old, content: 'handleLogin no longer logs request bodies' });
+
+  const text = (await handleGetWisdom({ symbol: 'handleLogin' })).content[0].text;
+  assert.match(text, /^## Wisdom for handleLogin/);
+  assert.match(text, /_function — src\/auth\/login\.js:1_/);
+  assert.ok(text.includes(sidecar));
+  assert.match(text, new RegExp(`${sidecar}.*_\\(src/auth/login\\.js\\)_`));
+  assert.ok(!text.includes(`- [${old}]`), 'superseded entry hidden');
+  assert.match(text, /no longer logs request bodies/);
+  assert.ok((await handleGetWisdom({ symbol: 'handleLogin', include_superseded: true })).content[0].text.includes(`- [${old}]`));
+
+  // A route matches with or without its method
+  for (const symbol of ['POST /api/login', '/api/login']) {
+    const routeText = (await handleGetWisdom({ symbol })).content[0].text;
+    assert.ok(routeText.includes(section), symbol);
+    assert.match(routeText, /_POST \/api\/login — src\/auth\/login\.js:11_/);
+  }
+
+  assert.match((await handleGetWisdom({ symbol: 'TokenStore' })).content[0].text, /No wisdom linked to TokenStore \(defined in src\/auth\/login\.js:9\)/);
+});
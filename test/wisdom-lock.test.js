@@ -0,0 +1,128 @@
+/**
+ * Tests for locked, atomic wisdom writes: concurrent saves from several
+ * processes, stale lock recovery, and re-entrant locking.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { spawn, spawnSync } from 'child_process';
+import { pathToFileURL } from 'url';
+import { readIndex, readSection, parseWisdomMarkdown, readSidecar } from '../src/mcp-server/lib/wisdom.js';
+import { withWisdomLock, writeFileAtomic } from '../src/mcp-server/lib/wisdom-lock.js';
+import { scratchProject } from './helpers.js';
+
+const { root: TMP_DIR, fresh: freshProject } = scratchProject('wisdom-lock', { files: { 'worker.js': 'export const x = 1;\n' } });
+const WISDOM_DIR = path.join(TMP_DIR, '.wisdom');
+const LOCK_PATH = path.join(WISDOM_DIR, '.lock');
+const SAVE_TOOL = pathToFileURL(path.resolve('src/mcp-server/tools/save-wisdom.js')).href;
+
+function listFiles(dir) {
+  return fs.readdirSync(dir, { recursive: true }).map(String);
+}
+
+// Each worker saves `count` entries to a shared section and a shared sidecar
+function runWorker(worker, count) {
+  const script = `
+    import { handleSaveWisdom } from ${JSON.stringify(SAVE_TOOL)};
+    for (let i = 0; i < ${count}; i++) {
+      const target = i % 2 === 0 ? { section: 'concurrent' } : { file_path: 'worker.js' };
+      const r = await handleSaveWisdom({
+        ...target,
+        content: 'worker ${worker} note ' + i,
+        keywords: ['shared', 'worker${worker}'],
+        on_duplicate: 'save'
+      });
+      if (r.isError) throw new Error(r.content[0].text);
+    }
+  `;
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['--input-type=module', '-e', script], { cwd: TMP_DIR, stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', d => { stderr += d; });
+    child.on('error', reject);
+    child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`worker ${worker} exited ${code}: ${stderr}`))));
+  });
+}
+
+test('concurrent saves from several processes all land', { timeout: 90000 }, async () => {
+  freshProject();
+  const WORKERS = 4;
+  const PER_WORKER = 10;
+  await Promise.all(Array.from({ length: WORKERS }, (_, w) => runWorker(w, PER_WORKER)));
+
+  const section = parseWisdomMarkdown(readSection(WISDOM_DIR, 'concurrent'));
+  const sidecar = readSidecar(path.join(TMP_DIR, 'worker.js'));
+  const texts = [...section.entries, ...sidecar.entries].map(e => e.text.replace(/\*\*/g, ''));
+  assert.equal(texts.length, WORKERS * PER_WORKER);
+  for (let w = 0; w < WORKERS; w++) {
+    for (let i = 0; i < PER_WORKER; i++) assert.ok(texts.includes(`worker ${w} note ${i}`), `missing worker ${w} note ${i}`);
+  }
+
+  const index = readIndex(WISDOM_DIR);
+  assert.equal(index.keywords.shared.length, WORKERS * PER_WORKER);
+  for (let w = 0; w < WORKERS; w++) assert.equal(index.keywords[`worker${w}`].length, PER_WORKER);
+
+  const leftovers = listFiles(TMP_DIR).filter(f => f.endsWith('.lock') || f.includes('.tmp-'));
+  assert.deepEqual(leftovers, []);
+});
+
+test('a lock left by a dead process is broken', () => {
+  freshProject();
+  const dead = spawnSync(process.execPath, ['-e', '']).pid;
+  fs.mkdirSync(WISDOM_DIR, { recursive: true });
+  fs.writeFileSync(LOCK_PATH, `${dead} ${new Date().toISOString()}\n`);
+
+  const started = Date.now();
+  assert.equal(withWisdomLock(WISDOM_DIR, () => 'ran'), 'ran');
+  assert.ok(Date.now() - started < 5000);
+  assert.equal(fs.existsSync(LOCK_PATH), false);
+});
+
+test('a live owner keeps its lock until it is abandoned', () => {
+  freshProject();
+  fs.mkdirSync(WISDOM_DIR, { recursive: true });
+  const live = `${process.ppid} 2020-01-01T00:00:00.000Z\n`;
+  fs.writeFileSync(LOCK_PATH, live);
+  const recent = new Date(Date.now() - 120000);
+  fs.utimesSync(LOCK_PATH, recent, recent);
+
+  assert.throws(() => withWisdomLock(WISDOM_DIR, () => 'ran', { timeoutMs: 200 }), /Timed out waiting for wisdom lock/);
+  assert.equal(fs.readFileSync(LOCK_PATH, 'utf8'), live);
+
+  const abandoned = new Date(Date.now() - 3600000);
+  fs.utimesSync(LOCK_PATH, abandoned, abandoned);
+  assert.equal(withWisdomLock(WISDOM_DIR, () => 'ran'), 'ran');
+  assert.equal(fs.existsSync(LOCK_PATH), false);
+  assert.deepEqual(fs.readdirSync(WISDOM_DIR).filter(f => f.startsWith('.lock')), []);
+});
+
+test('releasing leaves a lock taken over by someone else alone', () => {
+  freshProject();
+  const other = `${process.ppid} 2026-01-01T00:00:00.000Z other\n`;
+  withWisdomLock(WISDOM_DIR, () => fs.writeFileSync(LOCK_PATH, other));
+  assert.equal(fs.readFileSync(LOCK_PATH, 'utf8'), other);
+});
+
+test('the lock is re-entrant and released when fn throws', () => {
+  freshProject();
+  const result = withWisdomLock(WISDOM_DIR, () => {
+    assert.equal(fs.existsSync(LOCK_PATH), true);
+    return withWisdomLock(WISDOM_DIR, () => 'nested');
+  });
+  assert.equal(result, 'nested');
+  assert.equal(fs.existsSync(LOCK_PATH), false);
+
+  assert.throws(() => withWisdomLock(WISDOM_DIR, () => { throw new Error('boom'); }), /boom/);
+  assert.equal(fs.existsSync(LOCK_PATH), false);
+});
+
+test('writeFileAtomic replaces content and leaves no temp files', () => {
+  freshProject();
+  const file = path.join(WISDOM_DIR, 'sections', 'a.md');
+  writeFileAtomic(file, 'one\n');
+  writeFileAtomic(file, 'two\n');
+  assert.equal(fs.readFileSync(file, 'utf8'), 'two\n');
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ['a.md']);
+});
@@ -0,0 +1,157 @@
+/**
+ * Tests for the wisdom merge driver: structural merges of wisdom markdown
+ * and index.json, installation, and a real git merge of two branches that
+ * both add wisdom.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { createEntry, insertEntry, headerForType } from '../src/mcp-server/lib/wisdom.js';
+import { mergeWisdomMarkdown, mergeIndexJson } from '../src/mcp-server/lib/wisdom-merge.js';
+import { handleInstallMergeDriver } from '../src/mcp-server/tools/install-merge-driver.js';
+import { scratchProject } from './helpers.js';
+
+const { root: TMP_DIR, fresh: freshProject } = scratchProject('merge');
+
+const line = (id, text) => `- **${text}** (2026-10-19) <!-- wisdom {"id":"${id}","type":"lesson"} -->`;
+
+const BASE = `# auth
+
+## Lessons
+${line('w-00000001', 'Tokens expire after an hour')}
+${line('w-00000002', 'Refresh before retrying')}
+`;
+
+test('entries added under the same header on both sides are unioned', () => {
+  const ours = BASE.replace('## Lessons\n', `## Lessons\n${line('w-0000000a', 'Ours first')}\n`);
+  const theirs = BASE.replace(`${line('w-00000002', 'Refresh before retrying')}\n`, `${line('w-00000002', 'Refresh before retrying')}\n${line('w-0000000b', 'Theirs last')}\n`);
+  const { content, conflicts } = mergeWisdomMarkdown(BASE, ours, theirs);
+  assert.equal(conflicts, 0);
+  assert.equal(content, `# auth
+
+## Lessons
+${line('w-0000000a', 'Ours first')}
+${line('w-00000001', 'Tokens expire after an hour')}
+${line('w-00000002', 'Refresh before retrying')}
+${line('w-0000000b', 'Theirs last')}
+`);
+});
+
+test('identical bullets collapse, annotations stay with their entry, deletions apply', () => {
+  const ours = BASE
+    .replace('## Lessons\n', `## Lessons\n${line('w-0000000a', 'Use the shared client')}\n  - ours note\n`)
+    .replace(`${line('w-00000002', 'Refresh before retrying')}\n`, `${line('w-00000002', 'Refresh before retrying')}\n  - why: clock skew\n`)
+    + '\n## Cautions\n- Plain caution\n';
+  const theirs = BASE
+    .replace('## Lessons\n', `## Lessons\n${line('w-0000000b', 'Use the shared client')}\n  - theirs note\n`)
+    .replace(`${line('w-00000001', 'Tokens expire after an hour')}\n`, '')
+    .replace(`${line('w-00000002', 'Refresh before retrying')}\n`, `${line('w-00000002', 'Refresh before retrying')}\n  - seen in prod\n`)
+    + '\n## Cautions\n- Plain caution\n\n## Edge Cases\n- Empty token\n';
+  const { content, conflicts } = mergeWisdomMarkdown(BASE, ours, theirs);
+  assert.equal(conflicts, 0);
+  assert.equal(content, `# auth
+
+## Lessons
+${line('w-0000000a', 'Use the shared client')}
+  - ours note
+  - theirs note
+${line('w-00000002', 'Refresh before retrying')}
+  - why: clock skew
+  - seen in prod
+
+## Cautions
+- Plain caution
+
+## Edge Cases
+- Empty token
+`);
+});
+
+test('rewording one entry differently on both sides leaves conflict markers', () => {
+  const ours = BASE.replace('Tokens expire after an hour', 'Tokens expire after 30 minutes');
+  const theirs = BASE.replace('Tokens expire after an hour', 'Tokens expire after 2 hours');
+  const oneSided = mergeWisdomMarkdown(BASE, ours, BASE);
+  assert.equal(oneSided.conflicts, 0);
+  assert.match(oneSided.content, /30 minutes/);
+
+  const { content, conflicts } = mergeWisdomMarkdown(BASE, ours, theirs);
+  assert.equal(conflicts, 1);
+  assert.match(content, /## Lessons\n<<<<<<< ours\n.*30 minutes.*\n=======\n.*2 hours.*\n>>>>>>> theirs\n- \*\*Refresh/);
+
+  // Plan status lines are prose: one-sided changes win, two-sided ones conflict
+  const plan = '# v2\n\n*Status*: active | *Created*: 2026-10-01\n\n## Status History\n- 2026-10-01 10:00: created as active\n';
+  const done = plan.replace('active |', 'completed |') + '- 2026-10-19 10:00: active → completed\n';
+  const paused = plan.replace('active |', 'paused |') + '- 2026-10-19 11:00: active → paused\n';
+  assert.equal(mergeWisdomMarkdown(plan, done, plan.replace('## Status', '## Tasks\n- [ ] ship it\n\n## Status')).content,
+    '# v2\n\n*Status*: completed | *Created*: 2026-10-01\n\n## Status History\n- 2026-10-01 10:00: created as active\n- 2026-10-19 10:00: active → completed\n\n## Tasks\n- [ ] ship it\n');
+  const clash = mergeWisdomMarkdown(plan, done, paused);
+  assert.equal(clash.conflicts, 1);
+  assert.match(clash.content, /^# v2\n\n<<<<<<< ours\n\*Status\*: completed[^\n]*\n=======\n\*Status\*: paused[^\n]*\n>>>>>>> theirs\n\n## Status History\n.*created as active\n.*→ completed\n.*→ paused\n$/);
+});
+
+test('plan status history and file lists added on both sides are unioned', () => {
+  const plan = '# Plan: sso\n\n## Files\n- src/auth.js\n\n## Status History\n- 2026-10-19 09:00: created as active\n';
+  const ours = plan.replace('- src/auth.js\n', '- src/auth.js\n- src/login.js\n') + '- 2026-10-20 10:00: active → paused\n';
+  const theirs = plan.replace('- src/auth.js\n', '- src/auth.js\n- src/sso.js\n') + '- 2026-10-21 11:00: active → completed\n';
+  const { content, conflicts } = mergeWisdomMarkdown(plan, ours, theirs);
+  assert.equal(conflicts, 0);
+  assert.equal(content, '# Plan: sso\n\n## Files\n- src/auth.js\n- src/login.js\n- src/sso.js\n\n## Status History\n- 2026-10-19 09:00: created as active\n- 2026-10-20 10:00: active → paused\n- 2026-10-21 11:00: active → completed\n');
+});
+
+test('index.json keyword arrays are deep-merged', () => {
+  const base = { sections: { auth: { files: ['a.js'], plans: [] } }, plans: {}, keywords: { token: ['sections/auth.md#w-1'], old: ['x.js'] } };
+  const ours = structuredClone(base);
+  ours.keywords.token.push('sections/auth.md#w-2');
+  ours.keywords.retry = ['sections/auth.md#w-2'];
+  ours.sections.auth.files.push('b.js');
+  const theirs = structuredClone(base);
+  theirs.keywords.token.push('src/c.js#w-3');
+  delete theirs.keywords.old;
+  theirs.plans.v2 = { file: 'plans/v2.md', status: 'active' };
+  const merged = JSON.parse(mergeIndexJson(JSON.stringify(base), JSON.stringify(ours), JSON.stringify(theirs)));
+  assert.deepEqual(merged, {
+    sections: { auth: { files: ['a.js', 'b.js'], plans: [] } },
+    plans: { v2: { file: 'plans/v2.md', status: 'active' } },
+    keywords: { token: ['sections/auth.md#w-1', 'sections/auth.md#w-2', 'src/c.js#w-3'], retry: ['sections/auth.md#w-2'] }
+  });
+});
+
+test('install_merge_driver sets up git so concurrent wisdom merges cleanly', async () => {
+  freshProject();
+  assert.equal((await handleInstallMergeDriver({})).isError, true);
+
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@example.com', ...args], { cwd: TMP_DIR, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+  git('init', '-q', '-b', 'main');
+  fs.writeFileSync(path.join(TMP_DIR, '.gitattributes'), '*.png binary\n');
+  const installed = (await handleInstallMergeDriver({})).content[0].text;
+  assert.match(installed, /^Wisdom merge driver installed:\n- git config merge\.wisdom\.driver = node ".*wisdom-merge-driver\.js" %O %A %B %P\n- \.gitattributes: added .*\n- \.wisdom\/\.gitignore: added `search-index\.json`, `journal\.jsonl`/);
+  assert.equal(fs.readFileSync(path.join(TMP_DIR, '.gitattributes'), 'utf8'),
+    '*.png binary\n\n# wisdom-store: merge wisdom files structurally (install_merge_driver)\n.wisdom/**/*.md merge=wisdom\n.wisdom/index.json merge=wisdom\n*.wisdom merge=wisdom\n');
+  assert.match((await handleInstallMergeDriver({})).content[0].text, /^Wisdom merge driver already installed:\n.*\n.*up to date\n- \.wisdom\/\.gitignore: up to date/);
+
+  const section = path.join(TMP_DIR, '.wisdom/sections/auth.md');
+  const save = (text) => {
+    const content = fs.readFileSync(section, 'utf8');
+    fs.writeFileSync(section, insertEntry(content, headerForType('lesson', 'section'), createEntry('lesson', text, { bold: true })));
+  };
+  fs.mkdirSync(path.dirname(section), { recursive: true });
+  fs.writeFileSync(section, '# auth\n');
+  save('Base lesson');
+  git('add', '-A');
+  git('commit', '-qm', 'base');
+
+  git('checkout', '-qb', 'feature');
+  save('Feature lesson');
+  git('commit', '-qam', 'feature');
+  git('checkout', '-q', 'main');
+  save('Main lesson');
+  git('commit', '-qam', 'main');
+
+  git('merge', '-q', '--no-edit', 'feature');
+  const merged = fs.readFileSync(section, 'utf8');
+  assert.doesNotMatch(merged, /<<<<<<<|>>>>>>>/);
+  assert.deepEqual(merged.match(/\*\*\w+ lesson\*\*/g), ['**Main lesson**', '**Feature lesson**', '**Base lesson**']);
+});
@@ -0,0 +1,108 @@
+/**
+ * Tests for linking plans to git commits and flagging plan drift.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { readPlan } from '../src/mcp-server/lib/wisdom.js';
+import { planActivity, attachPlanCommits } from '../src/mcp-server/lib/wisdom-plan-activity.js';
+import { handleUpdatePlan } from '../src/mcp-server/tools/update-plan.js';
+import { handlePlanReport } from '../src/mcp-server/tools/plan-report.js';
+import { handleGetWisdom } from '../src/mcp-server/tools/get-wisdom.js';
+import { scratchProject } from './helpers.js';
+
+const { root: TMP_DIR, fresh } = scratchProject('plan-activity', { dirs: ['src/auth'] });
+const WISDOM_DIR = path.join(TMP_DIR, '.wisdom');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function freshProject() {
+  fresh();
+  execFileSync('git', ['init', '-q'], { cwd: TMP_DIR });
+}
+
+/** Commit a change to `file` with the given message, dated `offsetMs` from now. */
+function commit(file, message, offsetMs = 0) {
+  fs.appendFileSync(path.join(TMP_DIR, file), `// ${message}\n`);
+  const date = new Date(Date.now() + offsetMs).toISOString();
+  const env = { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date };
+  const opts = { cwd: TMP_DIR, env, stdio: 'ignore' };
+  execFileSync('git', ['add', file], opts);
+  execFileSync('git', ['-c', 'user.email=t@t', '-c', 'user.name=t', 'commit', '-qm', message], opts);
+}
+
+test('finds commits by file and by slug mention, and flags stale active plans', async () => {
+  freshProject();
+  await handleUpdatePlan({ name: 'sso', status: 'active', files: ['src/auth/'] });
+  commit('src/auth/login.js', 'Add login form', -60 * DAY_MS);
+  commit('README.md', 'Document the lesson format', -50 * DAY_MS);
+
+  let activity = planActivity(TMP_DIR, WISDOM_DIR, 'sso');
+  assert.deepEqual(activity.commits.map(c => [c.subject, c.via]), [['Add login form', ['files']]]);
+  assert.equal(activity.drift.stale.days, 60);
+
+  commit('README.md', 'Describe the SSO rollout', -1 * DAY_MS);
+  activity = planActivity(TMP_DIR, WISDOM_DIR, 'sso');
+  assert.deepEqual(activity.commits.map(c => c.via), [['mention'], ['files']]);
+  assert.equal(activity.drift.stale, null);
+  assert.equal(planActivity(TMP_DIR, WISDOM_DIR, 'sso', { staleDays: 1 }).drift.stale.days, 1);
+});
+
+test('flags completed plans whose files kept changing', async () => {
+  freshProject();
+  commit('src/auth/legacy.js', 'Rewrite legacy login', -10 * DAY_MS);
+  await handleUpdatePlan({ name: 'legacy', status: 'completed', files: ['src/auth/*.js'] });
+  assert.equal(planActivity(TMP_DIR, WISDOM_DIR, 'legacy').drift.changedAfterCompletion, null);
+
+  commit('src/auth/legacy.js', 'Patch legacy login again', 2 * 60 * 1000);
+  const { drift } = planActivity(TMP_DIR, WISDOM_DIR, 'legacy');
+  assert.deepEqual(drift.changedAfterCompletion.commits.map(c => c.subject), ['Patch legacy login again']);
+});
+
+test('plan_report reports drift and attaches commits to the plan file', async () => {
+  freshProject();
+  commit('src/auth/login.js', 'Add login form', -40 * DAY_MS);
+  await handleUpdatePlan({ name: 'sso', status: 'active', files: ['src/auth/login.js'] });
+  await handleUpdatePlan({ name: 'billing', status: 'active', description: 'Invoices' });
+
+  const text = (await handlePlanReport({})).content[0].text;
+  assert.match(text, /^## Plan report \(2 plans, 1 drifting\)/);
+  assert.match(text, /### sso \[active\]\nFiles: src\/auth\/login\.js\n⚠ Active but stale: last related commit 40 days ago/);
+  assert.match(text, /### billing \[active\]\nFiles: none listed\nNo related commits\./);
+  assert.match(text, /Updated the Commits section of: sso/);
+
+  const plan = readPlan(WISDOM_DIR, 'sso');
+  assert.match(plan, /## Commits\n- [0-9a-f]{7} \d{4}-\d{2}-\d{2} Add login form \(files\)\n\n## Status History/);
+  assert.doesNotMatch(readPlan(WISDOM_DIR, 'billing'), /## Commits/);
+
+  // Re-running is a no-op for the plan file
+  const again = (await handlePlanReport({ plan: 'sso', stale_days: 90 })).content[0].text;
+  assert.match(again, /^## Plan report \(1 plan, 0 drifting\)/);
+  assert.doesNotMatch(again, /Updated the Commits section/);
+  assert.equal((await handlePlanReport({ plan: 'nope' })).isError, true);
+});
+
+test('attachPlanCommits replaces an existing Commits section', () => {
+  const c = subject => ({ short: 'abc1234', date: '2026-10-01T00:00:00Z', subject, via: ['files'] });
+  let content = '# p\n\n## Description\nx\n';
+  content = attachPlanCommits(content, [c('one')]);
+  content = attachPlanCommits(content, [c('two'), c('one')]);
+  assert.equal(content, '# p\n\n## Description\nx\n\n## Commits\n- abc1234 2026-10-01 two (files)\n- abc1234 2026-10-01 one (files)\n');
+});
+
+test('get_wisdom(plan) shows git activity; plan_report needs git', async () => {
+  freshProject();
+  commit('src/auth/login.js', 'Add login form', -40 * DAY_MS);
+  await handleUpdatePlan({ name: 'sso', files: ['src/auth/login.js'] });
+  const text = (await handleGetWisdom({ plan: 'sso' })).content[0].text;
+  assert.match(text, /\*\*Git activity\*\*: 1 related commit\n⚠ Active but stale/);
+  assert.match(text, /- [0-9a-f]{7} \d{4}-\d{2}-\d{2} Add login form \(files\)/);
+
+  fs.rmSync(path.join(TMP_DIR, '.git'), { recursive: true, force: true });
+  assert.doesNotMatch((await handleGetWisdom({ plan: 'sso' })).content[0].text, /Git activity/);
+  const report = await handlePlanReport({});
+  assert.equal(report.isError, true);
+  assert.match(report.content[0].text, /Not a git repository/);
+});
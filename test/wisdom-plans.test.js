@@ -0,0 +1,131 @@
+/**
+ * Tests for plan task checklists, status history, and plan progress.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { readPlan, parseWisdomMarkdown } from '../src/mcp-server/lib/wisdom.js';
+import { parsePlanTasks, planProgress, planStatus } from '../src/mcp-server/lib/wisdom-plans.js';
+import { handleUpdatePlan } from '../src/mcp-server/tools/update-plan.js';
+import { handleUpdatePlanTask } from '../src/mcp-server/tools/update-plan-task.js';
+import { handleListWisdom } from '../src/mcp-server/tools/list-wisdom.js';
+import { handleGetWisdom } from '../src/mcp-server/tools/get-wisdom.js';
+import { handleWisdomStats } from '../src/mcp-server/tools/wisdom-stats.js';
+import { scratchProject } from './helpers.js';
+
+const { root: TMP_DIR, fresh: freshProject } = scratchProject('wisdom-plans');
+const WISDOM_DIR = path.join(TMP_DIR, '.wisdom');
+
+const plan = () => readPlan(WISDOM_DIR, 'sso');
+
+async function task(args) {
+  const r = await handleUpdatePlanTask({ plan: 'sso', ...args });
+  assert.equal(r.isError, undefined, r.content[0].text);
+  return r.content[0].text;
+}
+
+test('update_plan creates tasks and starts the status history', async () => {
+  freshProject();
+  const r = await handleUpdatePlan({ name: 'sso', description: 'Single sign-on', tasks: ['Add login button', 'Handle callback'] });
+  assert.match(r.content[0].text, /added task t-[0-9a-f]{8}: Add login button/);
+
+  const tasks = parsePlanTasks(plan());
+  assert.deepEqual(tasks.map(t => [t.text, t.status]), [['Add login button', 'todo'], ['Handle callback', 'todo']]);
+  assert.match(plan(), /^- \[ \] Add login button <!-- wisdom \{"id":"t-/m);
+  assert.match(plan(), /## Status History\n- \d{4}-\d{2}-\d{2} \d{2}:\d{2}: created as active\n/);
+
+  // Merging adds to the same checklist, in order
+  await handleUpdatePlan({ name: 'sso', tasks: ['Write docs'] });
+  assert.deepEqual(parsePlanTasks(plan()).map(t => t.text), ['Add login button', 'Handle callback', 'Write docs']);
+});
+
+test('update_plan_task ticks off tasks, links commits, and reports progress', async () => {
+  freshProject();
+  await handleUpdatePlan({ name: 'sso', tasks: ['Add login button', 'Handle callback', 'Support SAML'] });
+  const [button, callback, saml] = parsePlanTasks(plan());
+
+  let text = await task({ task_id: button.id, status: 'done', commits: ['abc1234'] });
+  assert.match(text, new RegExp(`Task ${button.id} \\[todo → done\\]: Add login button \\(commits: abc1234\\)`));
+  assert.match(text, /1\/3 tasks done/);
+  await task({ task_id: button.id, commits: ['def5678', 'abc1234'] });
+  await task({ task_id: callback.id, status: 'in_progress', text: 'Handle the OAuth callback' });
+  text = await task({ task_id: saml.id, status: 'dropped' });
+  assert.match(text, /1\/2 tasks done/);
+
+  const tasks = parsePlanTasks(plan());
+  assert.deepEqual(tasks[0].commits, ['abc1234', 'def5678']);
+  assert.equal(tasks[1].text, 'Handle the OAuth callback');
+  assert.match(plan(), /^- \[x\] Add login button/m);
+  assert.match(plan(), /^- \[~\] Handle the OAuth callback/m);
+  assert.match(plan(), /^- \[-\] Support SAML/m);
+  assert.deepEqual(planProgress(plan()), { done: 1, total: 2 });
+
+  text = await task({ add: ['Load test'] });
+  assert.match(text, /Added task t-[0-9a-f]{8}: Load test/);
+  assert.match(text, /1\/3 tasks done/);
+});
+
+test('update_plan_task rejects unknown plans, tasks, and statuses', async () => {
+  freshProject();
+  await handleUpdatePlan({ name: 'sso', tasks: ['Add login button'] });
+  assert.equal((await handleUpdatePlanTask({ plan: 'nope', add: ['x'] })).isError, true);
+  assert.equal((await handleUpdatePlanTask({ plan: 'sso', task_id: 't-00000000', status: 'done' })).isError, true);
+  assert.equal((await handleUpdatePlanTask({ plan: 'sso', task_id: 't-00000000', status: 'finished' })).isError, true);
+  assert.equal((await handleUpdatePlanTask({ plan: 'sso' })).isError, true);
+});
+
+test('status changes are logged and keep the rest of the status line', async () => {
+  freshProject();
+  await handleUpdatePlan({ name: 'sso', description: 'Single sign-on' });
+  await handleUpdatePlan({ name: 'sso', status: 'paused' });
+  await handleUpdatePlan({ name: 'sso', status: 'paused' });
+  await handleUpdatePlan({ name: 'sso', status: 'completed' });
+
+  assert.equal(planStatus(plan()), 'completed');
+  assert.match(plan(), /^\*Status\*: completed \| \*Created\*: \d{4}-\d{2}-\d{2} \| \*Last reviewed\*: \d{4}-\d{2}-\d{2} \| \*Updated\*: \d{4}-\d{2}-\d{2}$/m);
+  const history = plan().split('## Status History\n')[1].trim().split('\n');
+  assert.equal(history.length, 3);
+  assert.match(history[0], /created as active$/);
+  assert.match(history[1], /active → paused$/);
+  assert.match(history[2], /paused → completed$/);
+});
+
+test('file lists, section lists and status history are not wisdom entries', async () => {
+  freshProject();
+  await handleUpdatePlan({ name: 'sso', files: ['src/auth.js'], sections: ['auth'], tasks: ['Add login button'] });
+  await handleUpdatePlan({ name: 'sso', status: 'completed' });
+
+  const entries = parseWisdomMarkdown(plan()).entries;
+  assert.deepEqual(entries.map(e => [e.header, e.text]), [['Tasks', '[ ] Add login button']]);
+  const stats = (await handleWisdomStats({})).content[0].text;
+  assert.match(stats, /### Never read \(1\)\n- `t-[0-9a-f]{8}` plans\/sso\.md/);
+  assert.doesNotMatch(stats, /src\/auth\.js|→ completed/);
+});
+
+test('merging a description replaces it even when it is the last section', async () => {
+  freshProject();
+  fs.mkdirSync(path.join(WISDOM_DIR, 'plans'), { recursive: true });
+  fs.writeFileSync(path.join(WISDOM_DIR, 'plans', 'sso.md'), '# sso\n\n*Status*: active\n\n## Description\nOld text\n');
+  await handleUpdatePlan({ name: 'sso', description: 'New text' });
+
+  assert.doesNotMatch(plan(), /Old text/);
+  assert.equal(plan().match(/## Description/g).length, 1);
+  assert.match(plan(), /## Description\nNew text\n/);
+});
+
+test('list_wisdom and get_wisdom show plan progress and task IDs', async () => {
+  freshProject();
+  await handleUpdatePlan({ name: 'sso', tasks: ['Add login button', 'Handle callback'] });
+  await handleUpdatePlan({ name: 'notes', description: 'No tasks here' });
+  const [button] = parsePlanTasks(plan());
+  await task({ task_id: button.id, status: 'done' });
+
+  const list = (await handleListWisdom({ filter: 'plans' })).content[0].text;
+  assert.match(list, /- \*\*sso\*\* \[active\] — 1\/2 tasks done/);
+  assert.match(list, /- \*\*notes\*\* \[active\]$/m);
+
+  const shown = (await handleGetWisdom({ plan: 'sso' })).content[0].text;
+  assert.ok(shown.includes(`[${button.id}] [x] Add login button`));
+});
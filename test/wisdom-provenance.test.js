@@ -0,0 +1,131 @@
+/**
+ * Tests for wisdom provenance: capturing the saving message from the
+ * conversation JSONL, and wisdom_source reopening that turn.
+ *
+ * Conversations are synthetic JSONLs under `~/.claude/projects/<hash>/`, as in
+ * apply-archive-plan.test.js.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { randomUUID } from 'crypto';
+import { readSection, writeSection, parseWisdomMarkdown, serializeWisdomMarkdown, findEntry } from '../src/mcp-server/lib/wisdom.js';
+import { locateEntry } from '../src/mcp-server/lib/wisdom-edit.js';
+import { captureSource } from '../src/mcp-server/lib/wisdom-provenance.js';
+import { handleSaveWisdom } from '../src/mcp-server/tools/save-wisdom.js';
+import { handleWisdomSource } from '../src/mcp-server/tools/wisdom-source.js';
+import { scratchProject } from './helpers.js';
+
+const { root: TMP_DIR, fresh: freshProject } = scratchProject('wisdom-provenance');
+const WISDOM_DIR = path.join(TMP_DIR, '.wisdom');
+const CONV_DIR = path.join(os.homedir(), '.claude', 'projects', '-tmp-wisdom-store-provenance-test-' + process.pid);
+const LESSON = 'Use bullseye-slim; alpine breaks native modules';
+
+test.after(() => {
+  try { fs.rmSync(CONV_DIR, { recursive: true, force: true }); } catch {}
+});
+
+/**
+ * Two turns: the first ends with a save_wisdom call, the second is unrelated.
+ * Returns the conversation ID and the message UUIDs in file order.
+ */
+function buildConversation() {
+  const conversationId = randomUUID();
+  const bodies = [
+    ['user', 'The build fails on alpine, switch the base image'],
+    ['assistant', [{ type: 'tool_use', id: 't1', name: 'Bash', input: { command: 'docker build .' } }]],
+    ['user', [{ type: 'tool_result', tool_use_id: 't1', content: 'gyp ERR! build error' }]],
+    ['assistant', [{ type: 'tool_use', id: 't2', name: 'mcp__wisdom-store__save_wisdom', input: { file_path: 'Dockerfile', content: LESSON } }]],
+    ['user', [{ type: 'tool_result', tool_use_id: 't2', content: 'Saved lesson w-00000000 to Dockerfile.wisdom' }]],
+    ['assistant', [{ type: 'text', text: 'Switched to bullseye-slim and noted why.' }]],
+    ['user', 'Now bump the node version'],
+    ['assistant', [{ type: 'text', text: 'Bumped to node 20.' }]]
+  ];
+  const uuids = [];
+  const lines = bodies.map(([role, content], i) => {
+    const uuid = randomUUID();
+    const line = {
+      parentUuid: uuids[i - 1] || null,
+      type: role,
+      uuid,
+      timestamp: new Date(Date.UTC(2026, 0, 1, 0, 0, i)).toISOString(),
+      sessionId: conversationId,
+      message: { role, content }
+    };
+    uuids.push(uuid);
+    return JSON.stringify(line);
+  });
+  fs.mkdirSync(CONV_DIR, { recursive: true });
+  fs.writeFileSync(path.join(CONV_DIR, `${conversationId}.jsonl`), lines.join('\n') + '\n');
+  return { conversationId, uuids };
+}
+
+async function saveSection(content) {
+  const r = await handleSaveWisdom({ section: 'docker', content, on_duplicate: 'save', auto_keywords: false });
+  return r.content[0].text.match(/w-[0-9a-f]{8}/)[0];
+}
+
+function setMeta(id, meta) {
+  const doc = parseWisdomMarkdown(readSection(WISDOM_DIR, 'docker'));
+  Object.assign(findEntry(doc, id).meta, meta);
+  findEntry(doc, id).raw = null;
+  writeSection(WISDOM_DIR, 'docker', serializeWisdomMarkdown(doc));
+}
+
+test('captureSource finds the message that made the save', () => {
+  const { conversationId, uuids } = buildConversation();
+
+  const source = captureSource(conversationId, LESSON);
+  assert.equal(source.conversation, conversationId);
+  assert.equal(source.message, uuids[3]);
+  assert.match(source.time, /^\d{4}-\d\d-\d\dT/);
+
+  // No matching call yet: the latest assistant message stands in
+  assert.equal(captureSource(conversationId, 'Something else').message, uuids[7]);
+  // Conversation known but its file isn't: no message
+  assert.deepEqual(Object.keys(captureSource(randomUUID(), LESSON)), ['conversation', 'time']);
+  assert.equal(captureSource(null, LESSON), null);
+});
+
+test('wisdom_source opens the turn an entry was saved in', async () => {
+  freshProject();
+  const { conversationId, uuids } = buildConversation();
+  const id = await saveSection(LESSON);
+  assert.equal(locateEntry(TMP_DIR, id).entry.meta.source, undefined, 'no source outside a session');
+  setMeta(id, { source: { conversation: conversationId, message: uuids[3], time: '2026-01-01T00:00:03.000Z' } });
+
+  const text = (await handleWisdomSource({ entry_id: id })).content[0].text;
+  assert.match(text, new RegExp(`^## Source of \`${id}\` \\(sections/docker\\.md\\)\\n> ${LESSON}`));
+  assert.match(text, new RegExp(`Saved 2026-01-01 00:00 in conversation ${conversationId}, message 4 \\(turn 1\\)\\.`));
+  assert.match(text, /> The build fails on alpine, switch the base image/);
+  assert.match(text, /🔧 mcp__wisdom-store__save_wisdom: file_path=Dockerfile/);
+  assert.match(text, new RegExp(`inspect_pruned_messages\\(\\{ conversation_id: "${conversationId}", turn_id: 1, action_id: N \\}\\)`));
+  assert.doesNotMatch(text, /node version/);
+});
+
+test('older entries are placed by author session and save time', async () => {
+  freshProject();
+  const { conversationId } = buildConversation();
+  const id = await saveSection(LESSON);
+  setMeta(id, { session: conversationId, created: '2026-01-01T00:00:06.500Z' });
+
+  const text = (await handleWisdomSource({ entry_id: id })).content[0].text;
+  assert.match(text, /message 7 \(turn 2\) — placed by save time/);
+  assert.match(text, /> Now bump the node version/);
+});
+
+test('wisdom_source errors', async () => {
+  freshProject();
+  const id = await saveSection(LESSON);
+  assert.match((await handleWisdomSource({ entry_id: id })).content[0].text, /has no recorded source/);
+  assert.equal((await handleWisdomSource({ entry_id: 'w-00000000' })).isError, true);
+  assert.equal((await handleWisdomSource({})).isError, true);
+
+  setMeta(id, { source: { conversation: randomUUID(), time: '2026-01-01T00:00:00.000Z' } });
+  const missing = await handleWisdomSource({ entry_id: id });
+  assert.equal(missing.isError, true);
+  assert.match(missing.content[0].text, /no longer on disk/);
+});
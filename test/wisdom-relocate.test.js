@@ -0,0 +1,120 @@
+/**
+ * Tests for orphaned-sidecar detection and relocate_wisdom.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { readIndex, readSidecar, findEntry } from '../src/mcp-server/lib/wisdom.js';
+import { findOrphanedSidecars, listOrphanedSidecars } from '../src/mcp-server/lib/wisdom-relocate.js';
+import { handleSaveWisdom } from '../src/mcp-server/tools/save-wisdom.js';
+import { handleGetWisdom } from '../src/mcp-server/tools/get-wisdom.js';
+import { handleRelocateWisdom } from '../src/mcp-server/tools/relocate-wisdom.js';
+import { scratchProject } from './helpers.js';
+
+const SOURCE = [
+  'export function uploadChunk(buf) {',
+  '  return send(buf);',
+  '}',
+  '',
+  'export function retryUpload(buf, attempts) {',
+  '  for (let i = 0; i < attempts; i++) {',
+  '    if (uploadChunk(buf)) return true;',
+  '  }',
+  '  return false;',
+  '}',
+  ''
+].join('\n');
+
+const { root: TMP_DIR, fresh: freshProject } = scratchProject('wisdom-relocate', { files: { 'src/upload.js': SOURCE } });
+
+function git(...args) {
+  execFileSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@t', ...args], { cwd: TMP_DIR, stdio: 'ignore' });
+}
+
+function hasGit() {
+  try { execFileSync('git', ['--version'], { stdio: 'ignore' }); return true; } catch { return false; }
+}
+
+async function save(args) {
+  const r = await handleSaveWisdom(args);
+  assert.equal(r.isError, undefined, r.content[0].text);
+  return r.content[0].text.match(/w-[0-9a-f]{8}/)[0];
+}
+
+test('orphan detection: git mv is suggested as a git rename', async (t) => {
+  if (!hasGit()) { t.skip('git not available'); return; }
+  freshProject();
+  await save({ content: 'retryUpload gives up silently', file_path: 'src/upload.js', wisdom_type: 'caution' });
+  git('init', '-q');
+  git('add', '-A');
+  git('commit', '-qm', 'init');
+  fs.mkdirSync(path.join(TMP_DIR, 'lib'));
+  git('mv', 'src/upload.js', 'lib/transfer.js');
+
+  const orphans = findOrphanedSidecars(TMP_DIR);
+  assert.equal(orphans.length, 1);
+  assert.equal(orphans[0].ref, 'src/upload.js');
+  assert.deepEqual(orphans[0].suggestions[0], { to: 'lib/transfer.js', score: 1, reason: 'git rename' });
+});
+
+test('orphan detection without git: anchored symbols locate the moved file', async () => {
+  freshProject();
+  await save({ content: 'retryUpload gives up silently', file_path: 'src/upload.js', wisdom_type: 'caution' });
+  fs.writeFileSync(path.join(TMP_DIR, 'src/other.js'), 'export function unrelated() {}\n');
+  fs.renameSync(path.join(TMP_DIR, 'src/upload.js'), path.join(TMP_DIR, 'src/uploader.js'));
+
+  const [orphan] = findOrphanedSidecars(TMP_DIR);
+  assert.equal(orphan.suggestions.length, 1);
+  assert.equal(orphan.suggestions[0].to, 'src/uploader.js');
+  assert.equal(orphan.suggestions[0].reason, 'defines anchored symbols');
+});
+
+test('relocate_wisdom: moves sidecar, retitles it, and rewrites anchors and index refs', async () => {
+  freshProject();
+  const id = await save({ content: 'retryUpload gives up silently', file_path: 'src/upload.js', keywords: ['retry'] });
+  fs.renameSync(path.join(TMP_DIR, 'src/upload.js'), path.join(TMP_DIR, 'src/uploader.js'));
+
+  const overview = (await handleGetWisdom({})).content[0].text;
+  assert.match(overview, /### Orphaned Sidecars \(1\)\n- src\/upload\.js — source file missing/);
+
+  const r = await handleRelocateWisdom({ from: 'src/upload.js', to: 'src/uploader.js' });
+  assert.equal(r.isError, undefined, r.content[0].text);
+  assert.match(r.content[0].text, /Moved src\/upload\.js\.wisdom → src\/uploader\.js\.wisdom \(1 entries, 1 anchors, 4 index refs\)/);
+
+  assert.ok(!fs.existsSync(path.join(TMP_DIR, 'src/upload.js.wisdom')));
+  const raw = fs.readFileSync(path.join(TMP_DIR, 'src/uploader.js.wisdom'), 'utf8');
+  assert.match(raw, /^# uploader\.js — Wisdom$/m);
+  assert.equal(findEntry(readSidecar(path.join(TMP_DIR, 'src/uploader.js')), id).meta.anchors[0].file, 'src/uploader.js');
+
+  // retry, and the gives / silently / retryupload keywords extracted on save
+  const { keywords } = readIndex(path.join(TMP_DIR, '.wisdom'));
+  for (const keyword of ['retry', 'gives', 'silently', 'retryupload']) {
+    assert.deepEqual(keywords[keyword], [`src/uploader.js#${id}`], keyword);
+  }
+  assert.equal(listOrphanedSidecars(TMP_DIR).length, 0);
+});
+
+test('relocate_wisdom: apply_suggestions moves confident matches only', async () => {
+  freshProject();
+  await save({ content: 'retryUpload gives up silently', file_path: 'src/upload.js' });
+  await save({ content: 'Nothing to anchor here', file_path: 'src/gone.js' });
+  fs.renameSync(path.join(TMP_DIR, 'src/upload.js'), path.join(TMP_DIR, 'src/uploader.js'));
+
+  const r = await handleRelocateWisdom({ apply_suggestions: true });
+  assert.match(r.content[0].text, /Moved src\/upload\.js\.wisdom → src\/uploader\.js\.wisdom/);
+  assert.match(r.content[0].text, /Left in place \(no confident match\): src\/gone\.js/);
+  assert.ok(fs.existsSync(path.join(TMP_DIR, 'src/uploader.js.wisdom')));
+});
+
+test('relocate_wisdom: refuses to overwrite an existing sidecar', async () => {
+  freshProject();
+  await save({ content: 'A', file_path: 'src/upload.js' });
+  fs.writeFileSync(path.join(TMP_DIR, 'src/b.js'), '');
+  await save({ content: 'B', file_path: 'src/b.js' });
+  const r = await handleRelocateWisdom({ from: 'src/upload.js', to: 'src/b.js' });
+  assert.equal(r.isError, true);
+  assert.match(r.content[0].text, /already has a sidecar/);
+});
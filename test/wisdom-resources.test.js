@@ -0,0 +1,145 @@
+/**
+ * Tests for wisdom MCP resources, change notifications, and prompts.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import {
+  listResources,
+  readResource,
+  resourceUrisForPath,
+  SYMBOLS_URI
+} from '../src/mcp-server/lib/wisdom-resources.js';
+import { onWisdomChange } from '../src/mcp-server/lib/wisdom-events.js';
+import { getPrompt, PROMPTS } from '../src/mcp-server/lib/wisdom-prompts.js';
+import { handleSaveWisdom } from '../src/mcp-server/tools/save-wisdom.js';
+import { handleUpdatePlan } from '../src/mcp-server/tools/update-plan.js';
+import { scratchProject } from './helpers.js';
+
+const { root: TMP_DIR, dir: PROJECT, fresh } = scratchProject('wisdom-resources', {
+  project: 'project',
+  files: { 'src/app.js': 'export function main() {}\n' }
+});
+const SERVER = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../src/mcp-server/index.js');
+
+function freshProject() {
+  fresh();
+  process.env.WISDOM_PATH = `team=${path.join(TMP_DIR, 'team')}`;
+}
+
+test('lists and reads every kind of wisdom file', async () => {
+  freshProject();
+  await handleSaveWisdom({ section: 'auth', content: 'Sessions live in Redis', on_duplicate: 'save' });
+  await handleSaveWisdom({ file_path: 'src/app.js', wisdom_type: 'caution', content: 'main() must stay sync', on_duplicate: 'save' });
+  await handleSaveWisdom({ scope: 'global', content: 'Prefer small pull requests', keywords: ['prs'], on_duplicate: 'save' });
+  await handleUpdatePlan({ name: 'sso', description: 'Single sign-on' });
+
+  const uris = listResources(PROJECT).map(r => r.uri);
+  for (const uri of ['wisdom://overview', 'wisdom://project-overview', 'wisdom://project/sections/auth.md', 'wisdom://project/plans/sso.md', 'wisdom://sidecar/src/app.js']) {
+    assert.ok(uris.includes(uri), `missing ${uri}`);
+  }
+  assert.ok(!uris.includes(SYMBOLS_URI));
+  const global = uris.find(u => u.startsWith('wisdom://global/team/lessons/'));
+  assert.ok(global);
+
+  const section = readResource(PROJECT, 'wisdom://project/sections/auth.md');
+  assert.equal(section.mimeType, 'text/markdown');
+  assert.match(section.text, /- \[w-[0-9a-f]{8}\] (\*\*)?Sessions live in Redis/);
+  assert.doesNotMatch(section.text, /<!-- wisdom/);
+  assert.match(readResource(PROJECT, 'wisdom://sidecar/src/app.js').text, /main\(\) must stay sync/);
+  assert.match(readResource(PROJECT, global).text, /Prefer small pull requests/);
+  assert.match(readResource(PROJECT, 'wisdom://project-overview').text, /^# Project Overview/);
+});
+
+test('rejects unknown and escaping URIs', () => {
+  freshProject();
+  for (const uri of [
+    'wisdom://project/sections/nope.md',
+    'wisdom://project/../package.json',
+    'wisdom://project/index.json',
+    'wisdom://sidecar/%2E%2E/secret',
+    'wisdom://global/team/../../etc/passwd',
+    'wisdom://symbols',
+    'file:///etc/passwd'
+  ]) {
+    assert.throws(() => readResource(PROJECT, uri), undefined, uri);
+  }
+});
+
+test('writes emit change events that map back to resource URIs', async () => {
+  freshProject();
+  const events = [];
+  const off = onWisdomChange(e => events.push(e));
+  try {
+    await handleSaveWisdom({ section: 'auth', content: 'First', on_duplicate: 'save' });
+    await handleSaveWisdom({ section: 'auth', content: 'Second', on_duplicate: 'save' });
+  } finally {
+    off();
+  }
+  const section = events.filter(e => e.filePath.endsWith('auth.md'));
+  assert.deepEqual(section.map(e => e.created), [true, false]);
+  assert.deepEqual(resourceUrisForPath(PROJECT, section[0].filePath), ['wisdom://project/sections/auth.md']);
+  assert.ok(events.some(e => resourceUrisForPath(PROJECT, e.filePath).includes('wisdom://overview')));
+  assert.deepEqual(resourceUrisForPath(PROJECT, path.join(PROJECT, 'src/app.js.wisdom')), ['wisdom://sidecar/src/app.js']);
+});
+
+test('session_handoff prompt comes from the hand-off template', () => {
+  assert.deepEqual(PROMPTS.map(p => p.name), ['session_handoff']);
+  const plain = getPrompt('session_handoff').messages[0].content.text;
+  assert.match(plain, /^Time to write a hand-off/);
+  assert.match(plain, /`## SESSION HANDOFF`/);
+  assert.doesNotMatch(plain, /^>/m);
+
+  const custom = getPrompt('session_handoff', { context_percent: '82', marker: '## HANDOFF v2', focus: 'the open PRs' }).messages[0].content.text;
+  assert.match(custom, /^Context is at 82% — Time to write a hand-off/);
+  assert.match(custom, /`## HANDOFF v2`/);
+  assert.doesNotMatch(custom, /SESSION HANDOFF/);
+  assert.match(custom, /covers: the open PRs$/);
+  assert.throws(() => getPrompt('nope'));
+});
+
+test('the server exposes resources, notifies subscribers, and serves prompts', { timeout: 30000 }, async () => {
+  freshProject();
+  await handleSaveWisdom({ section: 'auth', content: 'Sessions live in Redis', on_duplicate: 'save' });
+  await handleUpdatePlan({ name: 'sso', description: 'Single sign-on' });
+
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER],
+    cwd: PROJECT,
+    env: { ...process.env, WISDOM_PATH: process.env.WISDOM_PATH },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+  try {
+    const caps = client.getServerCapabilities();
+    assert.deepEqual(caps.resources, { subscribe: true, listChanged: true });
+    assert.ok(caps.prompts);
+
+    const { resources } = await client.listResources();
+    assert.ok(resources.some(r => r.uri === 'wisdom://project/sections/auth.md'));
+    const overview = await client.readResource({ uri: 'wisdom://overview' });
+    assert.match(overview.contents[0].text, /## Wisdom Overview[\s\S]*\*\*sso\*\*/);
+    await assert.rejects(client.readResource({ uri: 'wisdom://project/sections/nope.md' }), /Unknown resource/);
+
+    const updated = new Promise(resolve => {
+      client.setNotificationHandler(ResourceUpdatedNotificationSchema, n => resolve(n.params.uri));
+    });
+    await client.subscribeResource({ uri: 'wisdom://project/sections/auth.md' });
+    await client.callTool({ name: 'save_wisdom', arguments: { section: 'auth', content: 'Tokens expire hourly', on_duplicate: 'save' } });
+    assert.equal(await updated, 'wisdom://project/sections/auth.md');
+
+    const { prompts } = await client.listPrompts();
+    assert.equal(prompts[0].name, 'session_handoff');
+    const prompt = await client.getPrompt({ name: 'session_handoff', arguments: { context_percent: '75' } });
+    assert.match(prompt.messages[0].content.text, /^Context is at 75%/);
+  } finally {
+    await client.close();
+  }
+});
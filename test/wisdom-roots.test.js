@@ -0,0 +1,101 @@
+/**
+ * Tests for multiple global wisdom roots (WISDOM_PATH / WISDOM_READONLY).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { getGlobalRoots, findGlobalRoot, createEntry, formatGlobalWisdom } from '../src/mcp-server/lib/wisdom.js';
+import { handleSaveWisdom } from '../src/mcp-server/tools/save-wisdom.js';
+import { handleGetWisdom } from '../src/mcp-server/tools/get-wisdom.js';
+import { handleEditWisdom } from '../src/mcp-server/tools/edit-wisdom.js';
+import { scratchProject } from './helpers.js';
+
+const { root: TMP_DIR, fresh } = scratchProject('wisdom-roots', { project: 'project' });
+
+function freshSetup() {
+  fresh();
+  process.env.WISDOM_PATH = [
+    `personal=${path.join(TMP_DIR, 'personal')}`,
+    `team=${path.join(TMP_DIR, 'team')}`,
+    `org=${path.join(TMP_DIR, 'org')}`
+  ].join(path.delimiter);
+  process.env.WISDOM_READONLY = 'org';
+}
+
+function seedOrgLesson(text) {
+  const dir = path.join(TMP_DIR, 'org', 'lessons');
+  fs.mkdirSync(dir, { recursive: true });
+  const entry = createEntry('lesson', text);
+  fs.writeFileSync(path.join(dir, 'org-rule.md'), formatGlobalWisdom(entry, 'Org rule'));
+  return entry.id;
+}
+
+test('getGlobalRoots: parses named and bare entries, expands ~, honours WISDOM_READONLY', () => {
+  process.env.WISDOM_PATH = ['a=~/wisdom-a', '/srv/shared-wisdom', '/other/shared-wisdom'].join(path.delimiter);
+  process.env.WISDOM_READONLY = 'shared-wisdom';
+  const roots = getGlobalRoots();
+  assert.deepEqual(roots.map(r => r.name), ['a', 'shared-wisdom', 'shared-wisdom-2']);
+  assert.equal(roots[0].dir, path.join(os.homedir(), 'wisdom-a'));
+  assert.equal(roots[1].readOnly, true);
+  assert.equal(roots[2].readOnly, false);
+
+  delete process.env.WISDOM_PATH;
+  delete process.env.WISDOM_READONLY;
+  const defaults = getGlobalRoots();
+  assert.equal(defaults.length, 1);
+  assert.equal(defaults[0].name, 'global');
+  assert.equal(defaults[0].dir, path.join(os.homedir(), '.claude', 'wisdom'));
+});
+
+test('save_wisdom: root picks the target; default is the first writable root; read-only refused', async () => {
+  freshSetup();
+  const team = await handleSaveWisdom({ content: 'Prefer feature flags over branches', scope: 'global', root: 'team', keywords: ['flags'] });
+  assert.equal(team.isError, undefined, team.content[0].text);
+  assert.match(team.content[0].text, /\(root: team\)$/);
+  assert.ok(fs.existsSync(path.join(TMP_DIR, 'team', 'lessons', 'flags.md')));
+
+  await handleSaveWisdom({ content: 'Personal note', scope: 'global', keywords: ['note'] });
+  assert.ok(fs.existsSync(path.join(TMP_DIR, 'personal', 'lessons', 'note.md')));
+
+  const ro = await handleSaveWisdom({ content: 'x', scope: 'global', root: 'org' });
+  assert.equal(ro.isError, true);
+  assert.match(ro.content[0].text, /read-only/);
+
+  const unknown = await handleSaveWisdom({ content: 'x', scope: 'global', root: 'nope' });
+  assert.match(unknown.content[0].text, /Unknown wisdom root: nope\. Configured: personal, team, org/);
+});
+
+test('findGlobalRoot: with every root read-only there is no default', () => {
+  freshSetup();
+  process.env.WISDOM_READONLY = 'personal,team,org';
+  assert.equal(findGlobalRoot(), null);
+  assert.equal(findGlobalRoot('team').readOnly, true);
+});
+
+test('get_wisdom keyword: merges results across roots, labelled by source', async () => {
+  freshSetup();
+  seedOrgLesson('Deploys freeze on Fridays');
+  await handleSaveWisdom({ content: 'Team deploys go through the release train', scope: 'global', root: 'team', keywords: ['release'] });
+  await handleSaveWisdom({ content: 'This service deploys with blue-green', section: 'ops' });
+
+  const text = (await handleGetWisdom({ keyword: 'deploys' })).content[0].text;
+  assert.match(text, /\[org\] \*\*org\/lessons\/org-rule\.md\*\*/);
+  assert.match(text, /\[team\] \*\*team\/lessons\/release\.md\*\*/);
+  assert.match(text, /\[project\] \*\*sections\/ops\.md › Lessons\*\*/);
+
+  const overview = (await handleGetWisdom({})).content[0].text;
+  assert.match(overview, /### Global Roots \(3\)/);
+  assert.match(overview, /- \*\*org\*\* \(read-only\): 1 entries/);
+});
+
+test('edit_wisdom: entries in a read-only root cannot be changed', async () => {
+  freshSetup();
+  const id = seedOrgLesson('Never store secrets in wisdom');
+  const r = await handleEditWisdom({ entry_id: id, content: 'changed' });
+  assert.equal(r.isError, true);
+  assert.match(r.content[0].text, /read-only wisdom root "org"/);
+  assert.match(fs.readFileSync(path.join(TMP_DIR, 'org', 'lessons', 'org-rule.md'), 'utf8'), /Never store secrets/);
+});
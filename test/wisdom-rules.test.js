@@ -0,0 +1,130 @@
+/**
+ * Tests for export_rules: what goes into rule files, marker handling,
+ * idempotent re-runs, size limits, and check mode.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { getWisdomDir, writePattern } from '../src/mcp-server/lib/wisdom.js';
+import { collectRules, exportRules, BEGIN_MARKER, END_MARKER } from '../src/mcp-server/lib/wisdom-rules.js';
+import { handleSaveWisdom } from '../src/mcp-server/tools/save-wisdom.js';
+import { handleSupersedeWisdom } from '../src/mcp-server/tools/supersede-wisdom.js';
+import { handleExportRules } from '../src/mcp-server/tools/export-rules.js';
+import { scratchProject } from './helpers.js';
+
+const { root: TMP_DIR, fresh: freshProject } = scratchProject('wisdom-rules', { files: { 'src/db.js': 'export function flush() {}\n' } });
+
+async function save(args) {
+  const r = await handleSaveWisdom({ on_duplicate: 'save', auto_keywords: false, ...args });
+  return r.content[0].text.match(/w-[0-9a-f]{8}/)[0];
+}
+
+async function seed() {
+  await save({ section: 'auth', content: 'Sessions live in Redis' });
+  await save({ section: 'auth', content: 'Never log tokens', wisdom_type: 'caution' });
+  await save({ section: 'billing', content: 'Invoices round half-even', wisdom_type: 'decision' });
+  await save({ file_path: 'src/db.js', content: 'Never call flush() twice', wisdom_type: 'caution' });
+  await save({ file_path: 'src/db.js', content: 'Connections are pooled' });
+  writePattern(getWisdomDir(TMP_DIR), 'retry', '# retry\n\n## Patterns\n- Wrap network calls in withRetry\n');
+}
+
+const read = (rel) => fs.readFileSync(path.join(TMP_DIR, rel), 'utf8');
+
+test('collectRules takes cautions, sections and patterns, not other sidecar entries', async () => {
+  freshProject();
+  await seed();
+  const old = await save({ section: 'billing', content: 'Invoices round half-up' });
+  await handleSupersedeWisdom({ entry_id: old, content: 'Invoices round half-even, see finance' });
+
+  const rules = collectRules(TMP_DIR);
+  assert.deepEqual(rules.cautions, [
+    { text: 'Never log tokens', from: null },
+    { text: 'Never call flush() twice', from: 'src/db.js' }
+  ]);
+  assert.deepEqual(rules.sections, [
+    { name: 'auth', entries: ['Sessions live in Redis'] },
+    { name: 'billing', entries: ['Invoices round half-even', 'Invoices round half-even, see finance'] }
+  ]);
+  assert.deepEqual(rules.patterns, [{ name: 'retry', entries: ['Wrap network calls in withRetry'] }]);
+  assert.deepEqual(collectRules(TMP_DIR, { sections: ['auth'] }).sections.map(s => s.name), ['auth']);
+});
+
+test('export keeps hand-written content and is idempotent', async () => {
+  freshProject();
+  await seed();
+  fs.writeFileSync(path.join(TMP_DIR, 'AGENTS.md'), '# Agents\n\nRun npm test before pushing.\n');
+
+  // Existing AGENTS.md is the only default target
+  const first = exportRules(TMP_DIR);
+  assert.deepEqual(first.map(r => [r.target, r.status, r.included]), [['agents', 'updated', 5]]);
+  const agents = read('AGENTS.md');
+  assert.ok(agents.startsWith('# Agents\n\nRun npm test before pushing.\n\n' + BEGIN_MARKER));
+  assert.ok(agents.endsWith(END_MARKER + '\n'));
+  assert.match(agents, /## Project wisdom\n\n### Cautions\n- Never log tokens\n- Never call flush\(\) twice \(`src\/db\.js`\)\n\n### auth\n- Sessions live in Redis\n/);
+  assert.match(agents, /### Pattern: retry\n- Wrap network calls in withRetry\n/);
+  assert.doesNotMatch(agents, /Connections are pooled/);
+
+  assert.deepEqual(exportRules(TMP_DIR).map(r => r.status), ['unchanged']);
+  assert.equal(read('AGENTS.md'), agents);
+
+  // Edits outside the block survive a regeneration
+  fs.writeFileSync(path.join(TMP_DIR, 'AGENTS.md'), agents + '\nFooter kept.\n');
+  await save({ section: 'auth', content: 'Cookies are SameSite=Lax' });
+  assert.deepEqual(exportRules(TMP_DIR).map(r => r.status), ['updated']);
+  assert.match(read('AGENTS.md'), /^# Agents\n[\s\S]*- Cookies are SameSite=Lax\n[\s\S]*export_rules -->\n\nFooter kept\.\n$/);
+
+  const cursor = exportRules(TMP_DIR, { targets: ['cursor'] });
+  assert.equal(cursor[0].status, 'created');
+  assert.match(read('.cursor/rules/wisdom.mdc'), /^---\ndescription: .*\nglobs:\nalwaysApply: true\n---\n\n<!-- wisdom-store:begin export_rules -->\n.*\n# Project wisdom\n\n## Cautions\n/);
+});
+
+test('size limits leave out the lowest-priority entries', async () => {
+  freshProject();
+  await seed();
+  const [result] = exportRules(TMP_DIR, { targets: ['copilot'], maxChars: 420 });
+  const text = read('.github/copilot-instructions.md');
+  assert.ok(text.length <= 421, `${text.length} chars`);
+  assert.ok(result.omitted > 0 && result.included > 0);
+  assert.match(text, /### Cautions\n- Never log tokens/);
+  assert.doesNotMatch(text, /Pattern: retry/);
+  assert.match(text, new RegExp(`_${result.omitted} more entr(y|ies) left out to stay under 420 characters`));
+});
+
+test('check mode reports drift without writing', async () => {
+  freshProject();
+  await seed();
+  await handleExportRules({ targets: ['agents'] });
+  fs.mkdirSync(path.join(TMP_DIR, '.github'));
+  fs.writeFileSync(path.join(TMP_DIR, '.github/copilot-instructions.md'), 'Use tabs.\n');
+
+  let text = (await handleExportRules({ targets: ['agents', 'copilot', 'cursor'], check: true })).content[0].text;
+  assert.match(text, /^## Rule files \(check\)/);
+  assert.match(text, /- agents → `AGENTS\.md`: up to date \(5 entries\)/);
+  assert.match(text, /- copilot → `\.github\/copilot-instructions\.md`: no generated block/);
+  assert.match(text, /- cursor → `\.cursor\/rules\/wisdom\.mdc`: missing/);
+  assert.match(text, /2 of 3 rule files drifted/);
+  assert.equal(read('.github/copilot-instructions.md'), 'Use tabs.\n');
+  assert.ok(!fs.existsSync(path.join(TMP_DIR, '.cursor')));
+
+  await save({ section: 'auth', content: 'Cookies are SameSite=Lax' });
+  text = (await handleExportRules({ check: true })).content[0].text;
+  assert.match(text, /agents → `AGENTS\.md`: out of date/);
+  assert.match(text, /copilot → .*: no generated block/);
+
+  await handleExportRules({});
+  assert.match((await handleExportRules({ check: true })).content[0].text, /All rule files match the wisdom\./);
+  assert.match(read('.github/copilot-instructions.md'), /^Use tabs\.\n\n<!-- wisdom-store:begin/);
+});
+
+test('damaged markers and unknown targets are refused', async () => {
+  freshProject();
+  await seed();
+  fs.writeFileSync(path.join(TMP_DIR, 'AGENTS.md'), `Intro\n${BEGIN_MARKER}\nhalf a block\n`);
+  const r = await handleExportRules({});
+  assert.equal(r.isError, true);
+  assert.match(r.content[0].text, /not written: export_rules markers are damaged/);
+  assert.equal(read('AGENTS.md'), `Intro\n${BEGIN_MARKER}\nhalf a block\n`);
+  assert.equal((await handleExportRules({ targets: ['vim'] })).isError, true);
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for ranked wisdom search: tokenizing, BM25 ordering, phrase queries,
+ * and the incrementally refreshed on-disk index.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { tokenize, parseQuery, searchWisdom, refreshSearchIndex } from '../src/mcp-server/lib/wisdom-search.js';
+import { writeSidecar, getWisdomDir, writeSection, writePlan } from '../src/mcp-server/lib/wisdom.js';
+import { handleGetWisdom } from '../src/mcp-server/tools/get-wisdom.js';
+import { scratchProject } from './helpers.js';
+
+const { root: TMP_DIR, fresh } = scratchProject('wisdom-search');
+
+function freshProject() {
+  return getWisdomDir(fresh(), true);
+}
+
+test('tokenize: lowercases, drops stopwords, stems plurals, splits identifiers', () => {
+  assert.deepEqual(tokenize('The Caches of entries'), ['cache', 'entry']);
+  const t = tokenize('call saveWisdom first');
+  assert.ok(t.includes('savewisdom'));
+  assert.ok(t.includes('save'));
+  assert.ok(t.includes('wisdom'));
+});
+
+test('parseQuery: separates quoted phrases from terms', () => {
+  const q = parseQuery('upload "do not retry" timeout');
+  assert.deepEqual(q.phrases, [['do', 'not', 'retry']]);
+  assert.ok(q.terms.includes('upload'));
+  assert.ok(q.terms.includes('timeout'));
+  assert.ok(q.terms.includes('retry'));
+});
+
+test('searchWisdom: ranks individual entries, best match first', () => {
+  const wisdomDir = freshProject();
+  const file = path.join(TMP_DIR, 'upload.js');
+  writeSidecar(file, 'caution', 'Upload retry must back off; retry storms took prod down');
+  writeSidecar(file, 'lesson', 'Config is cached per process');
+  writeSection(wisdomDir, 'net', '# net\n\n## Lessons\n- **A single retry is enough for DNS** (2026-01-01)\n');
+
+  const results = searchWisdom(TMP_DIR, 'upload retry');
+  assert.equal(results.length, 2);
+  assert.equal(results[0].ref, 'upload.js');
+  assert.match(results[0].text, /^Upload retry/);
+  assert.ok(results[0].score > results[1].score);
+  assert.equal(results[1].ref, 'sections/net.md');
+  assert.match(results[0].id, /^w-[0-9a-f]{8}$/);
+});
+
+test('searchWisdom: phrase queries require the exact word sequence', () => {
+  const wisdomDir = freshProject();
+  writeSection(wisdomDir, 'api', '# api\n\n## Cautions\n- **Do not retry POST requests** (2026-01-01)\n- **Retry is not safe here, do check** (2026-01-01)\n');
+  const results = searchWisdom(TMP_DIR, '"not retry"');
+  assert.equal(results.length, 1);
+  assert.match(results[0].text, /^Do not retry/);
+});
+
+test('searchWisdom: covers plan prose and hides superseded entries', () => {
+  const wisdomDir = freshProject();
+  writePlan(wisdomDir, 'billing', '# billing\n\n## Description\nMove invoices to the ledger service.\n');
+  writeSection(wisdomDir, 'ops', [
+    '# ops', '', '## Lessons',
+    '- **Ledger restarts nightly** (2026-01-01) <!-- wisdom {"id":"w-00000001","superseded_by":"w-00000002"} -->',
+    '- **Ledger restarts weekly** (2026-01-02) <!-- wisdom {"id":"w-00000002","supersedes":["w-00000001"]} -->',
+    ''
+  ].join('\n'));
+
+  const results = searchWisdom(TMP_DIR, 'ledger');
+  assert.deepEqual(results.map(r => r.id).filter(Boolean), ['w-00000002']);
+  assert.ok(results.some(r => r.ref === 'plans/billing.md' && r.header === 'Description'));
+
+  const withOld = searchWisdom(TMP_DIR, 'ledger', { includeSuperseded: true });
+  assert.ok(withOld.some(r => r.id === 'w-00000001'));
+});
+
+test('refreshSearchIndex: persists to disk and only re-reads changed files', () => {
+  const wisdomDir = freshProject();
+  writeSection(wisdomDir, 'a', '# a\n\n## Lessons\n- **alpha** (2026-01-01)\n');
+  writeSection(wisdomDir, 'b', '# b\n\n## Lessons\n- **beta** (2026-01-01)\n');
+
+  assert.equal(refreshSearchIndex(TMP_DIR).changed, 2);
+  assert.ok(fs.existsSync(path.join(wisdomDir, 'search-index.json')));
+  assert.equal(refreshSearchIndex(TMP_DIR).changed, 0);
+
+  writeSection(wisdomDir, 'b', '# b\n\n## Lessons\n- **gamma ray** (2026-01-01)\n');
+  assert.equal(refreshSearchIndex(TMP_DIR).changed, 1);
+  assert.equal(searchWisdom(TMP_DIR, 'gamma')[0].ref, 'sections/b.md');
+
+  fs.unlinkSync(path.join(wisdomDir, 'sections', 'a.md'));
+  assert.equal(refreshSearchIndex(TMP_DIR).changed, 1);
+  assert.equal(searchWisdom(TMP_DIR, 'alpha').length, 0);
+});
+
+test('get_wisdom keyword: shows ranked entries with ids and scores', async () => {
+  freshProject();
+  writeSidecar(path.join(TMP_DIR, 'x.js'), 'caution', 'Never cache auth tokens');
+  const r = await handleGetWisdom({ keyword: 'auth token' });
+  const text = r.content[0].text;
+  assert.match(text, /1\. \[project\] \*\*x\.js › Cautions\*\* `w-[0-9a-f]{8}` caution — score \d/);
+  assert.ok(text.includes('Never cache auth tokens'));
+});
@@ -0,0 +1,124 @@
+/**
+ * Tests for near-duplicate detection: save_wisdom's on_duplicate handling
+ * and dedupe_wisdom clustering/merging.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { readIndex, readSection, parseWisdomMarkdown, findEntry } from '../src/mcp-server/lib/wisdom.js';
+import { findDuplicateClusters } from '../src/mcp-server/lib/wisdom-similar.js';
+import { handleSaveWisdom } from '../src/mcp-server/tools/save-wisdom.js';
+import { handleDedupeWisdom } from '../src/mcp-server/tools/dedupe-wisdom.js';
+import { handleUpdatePlan } from '../src/mcp-server/tools/update-plan.js';
+import { scratchProject } from './helpers.js';
+
+const { root: TMP_DIR, fresh: freshProject } = scratchProject('wisdom-similar');
+
+const FIRST = 'Always retry the upload when the storage server returns 409';
+const REPHRASED = 'Retry uploads if the storage server returns a 409';
+const UNRELATED = 'Dates in invoices are rendered in the customer timezone';
+
+async function save(args) {
+  const r = await handleSaveWisdom(args);
+  assert.equal(r.isError, undefined, r.content[0].text);
+  return r.content[0].text;
+}
+const section = () => parseWisdomMarkdown(readSection(path.join(TMP_DIR, '.wisdom'), 'uploads'));
+
+test('save_wisdom: near-duplicate is reported and not written', async () => {
+  freshProject();
+  const id = (await save({ content: FIRST, section: 'uploads' })).match(/w-[0-9a-f]{8}/)[0];
+  const text = await save({ content: REPHRASED, section: 'uploads' });
+  assert.match(text, /^Not saved — similar wisdom already exists/);
+  assert.ok(text.includes(`\`${id}\` sections/uploads.md › Lessons`));
+  assert.equal(section().entries.length, 1);
+
+  // Unrelated content is saved normally
+  assert.match(await save({ content: UNRELATED, section: 'uploads' }), /^Saved lesson/);
+  assert.equal(section().entries.length, 2);
+});
+
+test('save_wisdom: on_duplicate annotate / merge / save', async () => {
+  freshProject();
+  const id = (await save({ content: FIRST, section: 'uploads', keywords: ['upload'] })).match(/w-[0-9a-f]{8}/)[0];
+
+  assert.match(await save({ content: REPHRASED, section: 'uploads', on_duplicate: 'annotate' }), new RegExp(`^Annotated ${id}`));
+  assert.match(findEntry(section(), id).annotations[0], /: Retry uploads if the storage server returns a 409$/);
+
+  assert.match(await save({ content: REPHRASED, section: 'uploads', keywords: ['409'], on_duplicate: 'merge' }), new RegExp(`^Merged into ${id}`));
+  const merged = findEntry(section(), id);
+  assert.equal(merged.text, REPHRASED);
+  assert.match(merged.annotations.at(-1), /earlier wording: Always retry the upload/);
+  // Both wordings' keywords, extracted and given
+  assert.deepEqual(merged.meta.keywords, ['upload', 'storage', 'returns', '409']);
+  assert.deepEqual(readIndex(path.join(TMP_DIR, '.wisdom')).keywords['409'], [`sections/uploads.md#${id}`]);
+
+  assert.match(await save({ content: FIRST, section: 'uploads', on_duplicate: 'save' }), /^Saved lesson/);
+  assert.equal(section().entries.length, 2);
+});
+
+test('save_wisdom: a sidecar note duplicating section wisdom is caught via related files', async () => {
+  freshProject();
+  await save({ content: FIRST, section: 'uploads' });
+  const text = await save({ content: REPHRASED, file_path: 'upload.js' });
+  assert.match(text, /^Not saved/);
+  assert.ok(!fs.existsSync(path.join(TMP_DIR, 'upload.js.wisdom')));
+});
+
+test('dedupe_wisdom: lists clusters and merge_all folds duplicates into the kept entry', async () => {
+  freshProject();
+  const a = (await save({ content: FIRST, section: 'uploads', keywords: ['retry'] })).match(/w-[0-9a-f]{8}/)[0];
+  const b = (await save({ content: REPHRASED, file_path: 'upload.js', keywords: ['409'], on_duplicate: 'save' })).match(/w-[0-9a-f]{8}/)[0];
+  await save({ content: UNRELATED, section: 'uploads' });
+
+  const clusters = findDuplicateClusters(TMP_DIR);
+  assert.equal(clusters.length, 1);
+  assert.deepEqual(clusters[0].entries.map(e => e.id), [a, b]);
+
+  const listed = (await handleDedupeWisdom({})).content[0].text;
+  assert.match(listed, new RegExp(`\`${a}\` \\*\\*\\(keep\\)\\*\\* sections/uploads\\.md`));
+
+  const merged = (await handleDedupeWisdom({ merge_all: true })).content[0].text;
+  assert.equal(merged, `- Kept ${a} (sections/uploads.md), merged ${b}`);
+
+  const kept = findEntry(section(), a);
+  assert.match(kept.annotations[0], new RegExp(`merged ${b}: Retry uploads`));
+  assert.deepEqual(kept.meta.keywords, ['retry', 'storage', 'returns', 'upload', '409', 'uploads']);
+  assert.deepEqual(readIndex(path.join(TMP_DIR, '.wisdom')).keywords['409'], [`sections/uploads.md#${a}`]);
+  assert.ok(!fs.existsSync(path.join(TMP_DIR, 'upload.js.wisdom')) || !fs.readFileSync(path.join(TMP_DIR, 'upload.js.wisdom'), 'utf8').includes(b));
+  assert.match(fs.readFileSync(path.join(TMP_DIR, '.wisdom/history/sidecars/upload.js.md'), 'utf8'), /merged into/);
+  assert.equal(findDuplicateClusters(TMP_DIR).length, 0);
+});
+
+test('dedupe_wisdom: clusters only hold entries similar to the kept one', async () => {
+  freshProject();
+  const ids = [];
+  for (const content of [
+    'Retry the upload when the storage server returns 409',
+    'Retry the upload when the storage server times out',
+    'Log when the storage server times out',
+    UNRELATED
+  ]) ids.push((await save({ content, section: 'uploads', on_duplicate: 'save' })).match(/w-[0-9a-f]{8}/)[0]);
+
+  // The second is like both others, but the first and third are unrelated
+  const clusters = findDuplicateClusters(TMP_DIR, { threshold: 0.5 });
+  assert.deepEqual(clusters.map(c => c.entries.map(e => e.id)), [[ids[0], ids[1]]]);
+  assert.ok(clusters[0].score >= 0.5);
+
+  await handleDedupeWisdom({ merge_all: true, threshold: 0.5 });
+  assert.deepEqual(section().entries.map(e => e.id).sort(), [ids[0], ids[2], ids[3]].sort());
+});
+
+test('plan tasks are left out of duplicate detection', async () => {
+  freshProject();
+  await handleUpdatePlan({ name: 'uploads', tasks: [FIRST, REPHRASED] });
+  const plan = () => fs.readFileSync(path.join(TMP_DIR, '.wisdom/plans/uploads.md'), 'utf8');
+  const before = plan();
+
+  assert.deepEqual(findDuplicateClusters(TMP_DIR), []);
+  assert.match((await handleDedupeWisdom({ merge_all: true })).content[0].text, /^No duplicate/);
+  assert.match(await save({ content: REPHRASED, section: 'uploads', on_duplicate: 'merge' }), /^Saved lesson/);
+  assert.equal(plan(), before);
+});
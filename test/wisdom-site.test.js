@@ -0,0 +1,113 @@
+/**
+ * Tests for build_wisdom_site: the pages generated for each kind of wisdom,
+ * backlinks and source links, the search index, and rebuilds.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { handleSaveWisdom } from '../src/mcp-server/tools/save-wisdom.js';
+import { handleSupersedeWisdom } from '../src/mcp-server/tools/supersede-wisdom.js';
+import { handleUpdatePlan } from '../src/mcp-server/tools/update-plan.js';
+import { handleUpdatePlanTask } from '../src/mcp-server/tools/update-plan-task.js';
+import { handleProposeAdr } from '../src/mcp-server/tools/propose-adr.js';
+import { handleSupersedeAdr } from '../src/mcp-server/tools/supersede-adr.js';
+import { handleBuildWisdomSite } from '../src/mcp-server/tools/build-wisdom-site.js';
+import { scratchProject } from './helpers.js';
+
+const { root: TMP_DIR, fresh } = scratchProject('site', {
+  files: { 'src/auth/session.js': 'export function login() {}\n', 'src/db.js': 'export const pool = null;\n' }
+});
+const SITE = path.join(TMP_DIR, '.wisdom/site');
+
+test.before(async () => {
+  fresh();
+  process.env.WISDOM_PATH = `team=${path.join(TMP_DIR, 'team')}`;
+
+  await handleProposeAdr({ title: 'Use Redis for sessions', decision: 'Store sessions in Redis.', status: 'accepted' });
+  await handleSupersedeAdr({ adr: 'ADR-0001', title: 'Use Postgres for sessions', decision: 'Store sessions in Postgres.' });
+  await handleSaveWisdom({ section: 'auth', wisdom_type: 'caution', content: 'Never log <tokens> from src/db.js — see ADR-0002', auto_keywords: false });
+  await handleSaveWisdom({ section: 'auth', wisdom_type: 'lesson', content: 'Sessions last a day', auto_keywords: false });
+  await handleSaveWisdom({ file_path: 'src/auth/session.js', wisdom_type: 'edge_case', content: 'login() with an expired `token` retries once', auto_keywords: false });
+  await handleUpdatePlan({ name: 'sessions', description: 'Move sessions to Postgres', files: ['src/auth/session.js'], decisions: ['ADR-0002'] });
+  await handleUpdatePlanTask({ plan: 'sessions', add: ['Write the migration', 'Drop Redis'] });
+  await handleSaveWisdom({ scope: 'global', wisdom_type: 'lesson', content: 'Pin the Node version in CI', auto_keywords: false });
+});
+
+const read = (rel) => fs.readFileSync(path.join(SITE, rel), 'utf8');
+
+test('renders every kind of wisdom with status, backlinks and source links', async () => {
+  const result = await handleBuildWisdomSite({});
+  assert.match(result.content[0].text, /^Built wisdom site in \.wisdom\/site: 8 pages \(11 files written\)\n- \d+ entries, 2 source files with backlinks\n\nOpen \.wisdom\/site\/index\.html in a browser/);
+
+  const index = read('index.html');
+  assert.match(index, /<meta name="generator" content="wisdom-store build_wisdom_site">/);
+  assert.match(index, /<li><a href="sections\/auth\.html">auth<\/a> <span class="count">2 entries<\/span><\/li>/);
+  assert.match(index, /<li><a href="plans\/sessions\.html">sessions<\/a> <span class="status status-active">active<\/span> <span class="count">0\/2 tasks done<\/span><\/li>/);
+  assert.match(index, /<a href="decisions\/0001-use-redis-for-sessions\.html">ADR-0001<\/a> Use Redis for sessions <span class="status status-superseded">superseded<\/span>/);
+  assert.match(index, /<a href="files\/src-auth\.html">src\/auth\/<\/a> <span class="count">1 file<\/span>/);
+  assert.match(index, /<a href="global\/team\.html">team<\/a>/);
+
+  // Entries keep their IDs, HTML is escaped, and mentions become links
+  const auth = read('sections/auth.html');
+  assert.match(auth, /<li id="w-[0-9a-f]{8}" class="entry type-caution"><strong>Never log &lt;tokens&gt; from <a href="\.\.\/files\.html#f-src-db\.js">src\/db\.js<\/a> — see <a href="\.\.\/decisions\/0002-use-postgres-for-sessions\.html" title="Use Postgres for sessions — accepted">ADR-0002<\/a><\/strong> <span class="date">/);
+
+  const plan = read('plans/sessions.html');
+  assert.match(plan, /<p class="meta"><span class="status status-active">active<\/span> 0 of 2 tasks done<\/p>/);
+  assert.match(plan, /<span class="task task-todo">todo<\/span> Write the migration/);
+  assert.match(plan, /<li id="w-[0-9a-f]{8}" class="entry"><a href="\.\.\/decisions\/0002-use-postgres-for-sessions\.html">ADR-0002<\/a> Use Postgres for sessions/);
+
+  const adr = read('decisions/0001-use-redis-for-sessions.html');
+  assert.match(adr, /now in force: <a href="\.\.\/decisions\/0002-use-postgres-for-sessions\.html">ADR-0002 Use Postgres for sessions<\/a>/);
+  assert.match(read('decisions/0002-use-postgres-for-sessions.html'), /<h2>Mentioned by<\/h2>\n<ul>\n<li><a href="\.\.\/plans\/sessions\.html#w-[0-9a-f]{8}">Plan sessions: /);
+
+  const sidecar = read('files/src-auth.html');
+  assert.match(sidecar, /<section class="sidecar" id="f-src-auth-session\.js">\n<h2><a class="source" href="\.\.\/\.\.\/\.\.\/src\/auth\/session\.js">session\.js<\/a><\/h2>/);
+  assert.match(sidecar, /<h3>Edge Cases<\/h3>\n<ul class="entries">\n<li id="w-[0-9a-f]{8}" class="entry type-edge_case">login\(\) with an expired <code>token<\/code> retries once/);
+
+  const files = read('files.html');
+  assert.match(files, /<h2><a class="source" href="\.\.\/\.\.\/src\/auth\/session\.js">src\/auth\/session\.js<\/a><\/h2>\n<ul>\n<li><a href="files\/src-auth\.html#f-src-auth-session\.js">Sidecar \(1 entry\)<\/a><\/li>\n<li><a href="plans\/sessions\.html">Plan sessions<\/a><\/li>/);
+  assert.match(files, /id="f-src-db\.js">\n<h2>.*src\/db\.js<\/a><\/h2>\n<ul>\n<li><a href="sections\/auth\.html#w-[0-9a-f]{8}">Section auth: Never log &lt;tokens&gt;/);
+
+  assert.match(read('global/team.html'), /<section class="entry type-lesson" id="w-[0-9a-f]{8}">\n<h2>Pin the Node version in CI<\/h2>/);
+});
+
+test('search index loads without a server and covers entries and records', async () => {
+  await handleBuildWisdomSite({});
+  const sandbox = { window: {} };
+  vm.runInNewContext(read('search-index.js'), sandbox);
+  const docs = sandbox.window.WISDOM_SEARCH;
+  const caution = docs.find(d => d.t.startsWith('Never log'));
+  assert.equal(caution.k, 'caution · Section auth');
+  assert.match(caution.u, /^sections\/auth\.html#w-[0-9a-f]{8}$/);
+  assert.ok(docs.some(d => d.t === 'ADR-0002: Use Postgres for sessions' && d.k === 'decision record · accepted'));
+  assert.ok(docs.some(d => d.t === 'Pin the Node version in CI' && d.u.startsWith('global/team.html#')));
+  assert.doesNotMatch(read('search-index.js'), /<tokens>/);
+  assert.doesNotThrow(() => new vm.Script(read('search.js')));
+  for (const page of ['index.html', 'plans/sessions.html']) {
+    assert.doesNotMatch(read(page), /<(?:script|link)[^>]+(?:src|href)="(?:https?:)?\/\//);
+  }
+});
+
+test('rebuilds write only what changed, drop stale pages, and honour options', async () => {
+  await handleBuildWisdomSite({});
+  assert.match((await handleBuildWisdomSite({})).content[0].text, /: 8 pages \(nothing changed\)/);
+
+  const lesson = fs.readFileSync(path.join(TMP_DIR, '.wisdom/sections/auth.md'), 'utf8').match(/Sessions last a day.*"id":"(w-[0-9a-f]{8})"/)[1];
+  await handleSupersedeWisdom({ entry_id: lesson, content: 'Sessions last twelve hours' });
+  fs.rmSync(path.join(TMP_DIR, 'team'), { recursive: true });
+  assert.match((await handleBuildWisdomSite({})).content[0].text, /: 7 pages \(\d+ files written, 1 stale page removed\)/);
+  assert.ok(!fs.existsSync(path.join(SITE, 'global/team.html')));
+  assert.match(read('sections/auth.html'), new RegExp(`<li id="${lesson}" class="entry type-lesson superseded">.*superseded by <a href="\\.\\./sections/auth\\.html#w-[0-9a-f]{8}">`));
+
+  await handleBuildWisdomSite({ out_dir: 'public/wisdom', source_url: 'https://example.com/repo/blob/main' });
+  assert.match(fs.readFileSync(path.join(TMP_DIR, 'public/wisdom/files.html'), 'utf8'),
+    /<a class="source" href="https:\/\/example\.com\/repo\/blob\/main\/src\/auth\/session\.js">/);
+
+  fs.writeFileSync(path.join(TMP_DIR, 'notes.txt'), 'mine\n');
+  const refused = await handleBuildWisdomSite({ out_dir: '.' });
+  assert.equal(refused.isError, true);
+  assert.match(refused.content[0].text, /is not empty and was not built by build_wisdom_site/);
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for import_wisdom_sources: discovering and parsing CLAUDE.md,
+ * CONTRIBUTING, ADRs and Claude memory files, the preview / confirm flow,
+ * and links back to the documents.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { projectHash } from '../src/mcp-server/lib/jsonl.js';
+import { locateEntry } from '../src/mcp-server/lib/wisdom-edit.js';
+import { collectImports } from '../src/mcp-server/lib/wisdom-sources.js';
+import { BEGIN_MARKER, END_MARKER } from '../src/mcp-server/lib/wisdom-rules.js';
+import { handleImportWisdomSources } from '../src/mcp-server/tools/import-wisdom-sources.js';
+import { handleWisdomSource } from '../src/mcp-server/tools/wisdom-source.js';
+import { scratchProject } from './helpers.js';
+
+const { root: TMP_DIR, fresh } = scratchProject('wisdom-sources');
+const MEMORY_DIR = path.join(os.homedir(), '.claude', 'projects', projectHash(TMP_DIR), 'memory');
+
+const CLAUDE_MD = `# Shop
+
+Notes for agents.
+
+## Testing
+- Never mock the database in integration tests
+- Run the suite with npm test; it needs Docker
+  running for the Postgres container
+- [ ] write more tests
+- short one
+
+\`\`\`
+- not a bullet, just code
+\`\`\`
+
+## Code style
+- Prefer small modules over large classes
+- [Memory index](memory/MEMORY.md)
+
+${BEGIN_MARKER}
+- Exported rule that must not be re-imported
+${END_MARKER}
+`;
+
+function write(rel, content) {
+  const filePath = path.isAbsolute(rel) ? rel : path.join(TMP_DIR, rel);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+function freshProject() {
+  fresh();
+  fs.rmSync(MEMORY_DIR, { recursive: true, force: true });
+  write('CLAUDE.md', CLAUDE_MD);
+  write('CONTRIBUTING.md', '# Contributing\n\n- Open an issue before large changes\n');
+  write('docs/adr/0001-use-postgres.md', '# 1. Use Postgres\n\nStatus: Accepted\n\n## Context\nWe need transactions.\n\n## Decision\nWe will use Postgres 16\nfor all services.\n');
+  write('docs/adr/0002-use-mongo.md', '# ADR-002: Use Mongo\n\n## Status\nSuperseded by 0001\n\n## Decision\nUse Mongo.\n');
+  write('docs/adr/README.md', '# ADRs\n\n- index of records\n');
+  write(path.join(MEMORY_DIR, 'MEMORY.md'), '- [Deploys](deploys.md) — deploy freeze\n');
+  write(path.join(MEMORY_DIR, 'deploys.md'), '---\nname: deploys\ndescription: deploy freeze\nmetadata:\n  type: feedback\n---\n\nDon\'t deploy on Fridays.\n**Why:** no one is on call over the weekend. See [[on-call]].\n');
+}
+test.after(() => {
+  try { fs.rmSync(path.dirname(MEMORY_DIR), { recursive: true, force: true }); } catch {}
+});
+
+test('documents are parsed into typed entries in sections', () => {
+  freshProject();
+  const { sources, candidates } = collectImports(TMP_DIR);
+
+  assert.deepEqual(sources.map(s => [s.file, s.kind, s.count, s.skipped]), [
+    ['CLAUDE.md', 'doc', 3, null],
+    ['CONTRIBUTING.md', 'doc', 1, null],
+    ['docs/adr/0001-use-postgres.md', 'adr', 1, null],
+    ['docs/adr/0002-use-mongo.md', 'adr', 0, 'status superseded'],
+    [`~${MEMORY_DIR.slice(os.homedir().length)}/deploys.md`, 'memory', 1, null]
+  ]);
+  assert.deepEqual(candidates.map(c => [c.n, c.type, c.section, c.text]), [
+    [1, 'caution', 'testing', 'Never mock the database in integration tests'],
+    [2, 'lesson', 'testing', 'Run the suite with npm test; it needs Docker running for the Postgres container'],
+    [3, 'pattern', 'code-style', 'Prefer small modules over large classes'],
+    [4, 'lesson', 'contributing', 'Open an issue before large changes'],
+    [5, 'decision', 'decisions', 'Use Postgres: We will use Postgres 16 for all services.'],
+    [6, 'caution', 'feedback', "Don't deploy on Fridays. **Why:** no one is on call over the weekend. See on-call."]
+  ]);
+  assert.deepEqual(candidates[0].origin, { file: 'CLAUDE.md', line: 6 });
+  assert.deepEqual(candidates[4].origin, { file: 'docs/adr/0001-use-postgres.md', line: 9 });
+  assert.equal(candidates[5].origin.line, 7);
+});
+
+test('preview first, then confirm with the preview ID', async () => {
+  freshProject();
+  const preview = (await handleImportWisdomSources({})).content[0].text;
+  assert.match(preview, /^## Import preview: 6 new entries from 5 documents/);
+  assert.match(preview, /### CLAUDE\.md \(doc\)\n1\. caution → testing: Never mock the database in integration tests _\(line 6\)_/);
+  assert.match(preview, /### docs\/adr\/0002-use-mongo\.md \(adr\) — skipped: status superseded/);
+  const previewId = preview.match(/preview_id: "([0-9a-f]{8})"/)[1];
+  assert.ok(!fs.existsSync(path.join(TMP_DIR, '.wisdom')), 'preview writes nothing');
+
+  assert.equal((await handleImportWisdomSources({ confirm: true })).isError, true);
+  const stale = await handleImportWisdomSources({ confirm: true, preview_id: 'deadbeef' });
+  assert.equal(stale.isError, true);
+  assert.match(stale.content[0].text, /out of date/);
+
+  const done = (await handleImportWisdomSources({ confirm: true, preview_id: previewId, skip: [4] })).content[0].text;
+  assert.match(done, /^Imported 5 entries into 4 sections:/);
+  assert.match(done, /- \.wisdom\/sections\/testing\.md: 2/);
+  assert.ok(!fs.existsSync(path.join(TMP_DIR, '.wisdom/sections/contributing.md')));
+
+  const testing = fs.readFileSync(path.join(TMP_DIR, '.wisdom/sections/testing.md'), 'utf8');
+  assert.match(testing, /## Cautions\n- \*\*Never mock the database in integration tests\*\*/);
+  const id = testing.match(/"id":"(w-[0-9a-f]{8})"/)[1];
+  assert.deepEqual(locateEntry(TMP_DIR, id).entry.meta.origin, { file: 'CLAUDE.md', line: 6 });
+  assert.match((await handleWisdomSource({ entry_id: id })).content[0].text, /imported from `CLAUDE\.md` line 6 by import_wisdom_sources/);
+
+  // A second run finds what was imported and offers only the skipped entry
+  const again = (await handleImportWisdomSources({})).content[0].text;
+  assert.match(again, /^## Import preview: 1 new entry from 5 documents/);
+  assert.match(again, /1\. lesson → contributing: Open an issue/);
+  assert.match(again, /- = already in wisdom as `w-[0-9a-f]{8}`: Never mock the database/);
+});
+
+test('paths limits the import; repeats across documents are left out', () => {
+  freshProject();
+  write('notes/ops.md', '## Deploys\n- Never mock the database in integration tests\n- Tag releases from main only\n');
+  const { sources, candidates, duplicates } = collectImports(TMP_DIR, { paths: ['CLAUDE.md', 'notes', '.wisdom/sections/x.md'] });
+  assert.deepEqual(sources.map(s => s.file), ['CLAUDE.md', 'notes/ops.md']);
+  assert.deepEqual(candidates.map(c => c.text).slice(3), ['Tag releases from main only']);
+  assert.deepEqual(duplicates.map(d => [d.text, d.of]), [['Never mock the database in integration tests', null]]);
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for usage stats: retrievals recorded by get_wisdom / list_wisdom,
+ * the wisdom_stats report, and the search ranking signal.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { readSection, writeSection, parseWisdomMarkdown, serializeWisdomMarkdown, findEntry } from '../src/mcp-server/lib/wisdom.js';
+import { readUsage, recordRetrieval, usageReport } from '../src/mcp-server/lib/wisdom-usage.js';
+import { searchWisdom } from '../src/mcp-server/lib/wisdom-search.js';
+import { handleSaveWisdom } from '../src/mcp-server/tools/save-wisdom.js';
+import { handleGetWisdom } from '../src/mcp-server/tools/get-wisdom.js';
+import { handleListWisdom } from '../src/mcp-server/tools/list-wisdom.js';
+import { handleWisdomStats } from '../src/mcp-server/tools/wisdom-stats.js';
+import { scratchProject } from './helpers.js';
+
+const { root: TMP_DIR, fresh: freshProject } = scratchProject('wisdom-usage', { files: { 'src/app.js': '// app\n' } });
+const WISDOM_DIR = path.join(TMP_DIR, '.wisdom');
+
+async function save(args) {
+  const r = await handleSaveWisdom({ on_duplicate: 'save', auto_keywords: false, ...args });
+  return r.content[0].text.match(/w-[0-9a-f]{8}/)[0];
+}
+
+test('get_wisdom and list_wisdom record what they return', async () => {
+  freshProject();
+  const redis = await save({ section: 'auth', content: 'Sessions live in Redis' });
+  const cookie = await save({ section: 'auth', content: 'Cookies are SameSite=Lax' });
+  const boot = await save({ file_path: 'src/app.js', content: 'Boot order matters' });
+  assert.equal(readUsage(TMP_DIR).size, 0, 'saving is not reading');
+
+  await handleGetWisdom({ section: 'auth' });
+  await handleGetWisdom({ keyword: 'redis' });
+  await handleGetWisdom({ file_path: 'src/app.js' });
+  await handleListWisdom({ filter: 'sections', entries: true });
+  await handleGetWisdom({}); // overview lists no entries
+
+  const usage = readUsage(TMP_DIR);
+  assert.equal(usage.get(redis).reads, 3);
+  assert.deepEqual(usage.get(redis).byTool, { get_wisdom: 2, list_wisdom: 1 });
+  assert.equal(usage.get(cookie).reads, 2);
+  assert.equal(usage.get(boot).reads, 1);
+
+  const lines = fs.readFileSync(path.join(WISDOM_DIR, 'usage.jsonl'), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  assert.equal(lines.length, 4);
+  assert.ok(lines.every(l => l.time && 'session' in l));
+});
+
+test('nothing is recorded without a .wisdom directory', () => {
+  freshProject();
+  recordRetrieval(TMP_DIR, 'get_wisdom', ['w-12345678']);
+  assert.ok(!fs.existsSync(WISDOM_DIR));
+});
+
+test('wisdom_stats reports most used, never read, and unreviewed entries', async () => {
+  freshProject();
+  const hot = await save({ section: 'auth', content: 'Sessions live in Redis' });
+  const cold = await save({ section: 'auth', content: 'Cookies are SameSite=Lax' });
+  const old = await save({ section: 'billing', content: 'Invoices round half-even' });
+  for (const session of ['s1', 's2', 's1']) recordRetrieval(TMP_DIR, 'get_wisdom', [hot], { session });
+  recordRetrieval(TMP_DIR, 'list_wisdom', [hot, old], { session: 's2' });
+
+  // Backdate one entry well past the review window
+  const doc = parseWisdomMarkdown(readSection(WISDOM_DIR, 'billing'));
+  Object.assign(findEntry(doc, old).meta, { created: '2025-01-01T00:00:00.000Z', updated: '2025-01-01T00:00:00.000Z' });
+  findEntry(doc, old).raw = null;
+  writeSection(WISDOM_DIR, 'billing', serializeWisdomMarkdown(doc));
+
+  const report = usageReport(TMP_DIR);
+  assert.deepEqual(report.totals, { entries: 3, read: 2, retrievals: 4, sessions: 2 });
+  assert.deepEqual(report.mostUsed.map(e => e.entry.id), [hot, old]);
+  assert.equal(report.mostUsed[0].stats.sessions, 2);
+  assert.deepEqual(report.neverRead.map(e => e.entry.id), [cold]);
+  assert.deepEqual(report.unreviewed.map(e => e.entry.id), [old]);
+
+  const text = (await handleWisdomStats({})).content[0].text;
+  assert.match(text, /2 of 3 entries read — 4 retrievals across 2 sessions/);
+  assert.match(text, new RegExp(`\`${hot}\` sections/auth\\.md — 4 reads in 2 sessions, last \\d{4}-\\d\\d-\\d\\d \\(get_wisdom 3, list_wisdom 1\\)`));
+  assert.match(text, new RegExp(`### Never read \\(1\\)\\n- \`${cold}\``));
+  assert.match(text, new RegExp(`### Not reviewed in 90\\+ days \\(1\\)\\n- \`${old}\` sections/billing\\.md — \\d+ days \\(2025-01-01\\)`));
+  assert.match((await handleWisdomStats({ review_days: 100000 })).content[0].text, /Not reviewed in 100000\+ days \(0\)/);
+});
+
+test('keyword search ranks entries read in more sessions higher', async () => {
+  freshProject();
+  const a = await save({ section: 'a', content: 'Retry uploads on timeout' });
+  const b = await save({ section: 'b', content: 'Retry uploads on timeout' });
+  const ids = () => searchWisdom(TMP_DIR, 'retry uploads').map(r => r.id);
+  assert.equal(ids().length, 2);
+
+  // Repeat reads in one session barely move it; reads across sessions do
+  for (const session of ['s1', 's2', 's3']) recordRetrieval(TMP_DIR, 'get_wisdom', [b], { session });
+  assert.deepEqual(ids(), [b, a]);
+  for (let i = 0; i < 10; i++) recordRetrieval(TMP_DIR, 'get_wisdom', [a], { session: 's1' });
+  assert.deepEqual(ids(), [b, a]);
+});
@@ -0,0 +1,200 @@
+/**
+ * Tests for the wisdom entry model: stable IDs, metadata comments, and
+ * parse → serialize round-trips of sidecar and section markdown.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import {
+  parseWisdomMarkdown,
+  serializeWisdomMarkdown,
+  renderWisdomMarkdown,
+  writeSidecar,
+  readSidecar,
+  readIndex,
+  findEntry,
+  writeWisdomGitignore,
+  headerToType
+} from '../src/mcp-server/lib/wisdom.js';
+import { locateEntry } from '../src/mcp-server/lib/wisdom-edit.js';
+import { handleSaveWisdom } from '../src/mcp-server/tools/save-wisdom.js';
+import { handleGetWisdom } from '../src/mcp-server/tools/get-wisdom.js';
+import { handleAnnotateWisdom } from '../src/mcp-server/tools/annotate-wisdom.js';
+import { scratchProject } from './helpers.js';
+
+const { root: TMP_DIR, fresh: freshProject } = scratchProject('wisdom');
+
+const LEGACY_SIDECAR = [
+  '# sync.js — Wisdom',
+  '',
+  '## Cautions',
+  '- Never call flush() twice (2025-01-02)',
+  '  > _2025-02-01_: still true after the v2 rewrite',
+  '- Locks are per-process (2025-01-03)',
+  '',
+  '## Edge Cases',
+  '- Empty batch returns early (2025-01-04)',
+  ''
+].join('\n');
+
+test('parse: legacy bullets get stable derived IDs and header-derived types', () => {
+  const a = parseWisdomMarkdown(LEGACY_SIDECAR);
+  const b = parseWisdomMarkdown(LEGACY_SIDECAR);
+  assert.equal(a.entries.length, 3);
+  assert.deepEqual(a.entries.map(e => e.id), b.entries.map(e => e.id));
+  assert.match(a.entries[0].id, /^w-[0-9a-f]{8}$/);
+  assert.equal(a.entries[0].type, 'caution');
+  assert.equal(a.entries[0].text, 'Never call flush() twice');
+  assert.equal(a.entries[0].date, '2025-01-02');
+  assert.deepEqual(a.entries[0].annotations, ['  > _2025-02-01_: still true after the v2 rewrite']);
+  assert.equal(a.entries[2].type, 'edge_case');
+});
+
+test('serialize: untouched document round-trips byte-for-byte', () => {
+  assert.equal(serializeWisdomMarkdown(parseWisdomMarkdown(LEGACY_SIDECAR)), LEGACY_SIDECAR);
+});
+
+test('serialize: mutated legacy entry gains a metadata comment that parses back', () => {
+  const doc = parseWisdomMarkdown(LEGACY_SIDECAR);
+  const entry = doc.entries[1];
+  const id = entry.id;
+  entry.raw = null;
+  const out = serializeWisdomMarkdown(doc);
+  assert.match(out, /- Locks are per-process \(2025-01-03\) <!-- wisdom \{"id":"w-[0-9a-f]{8}","type":"caution"\} -->/);
+  const reparsed = parseWisdomMarkdown(out);
+  assert.equal(reparsed.entries[1].id, id);
+  assert.equal(serializeWisdomMarkdown(reparsed), out);
+});
+
+test('headerToType: maps sidecar and section header spellings', () => {
+  assert.equal(headerToType('Edge Cases'), 'edge_case');
+  assert.equal(headerToType('Edge cases'), 'edge_case');
+  assert.equal(headerToType('Lessons'), 'lesson');
+  assert.equal(headerToType('Files'), null);
+});
+
+test('writeSidecar: new entry carries id + metadata and is found by id', () => {
+  const root = freshProject();
+  const file = path.join(root, 'foo.js');
+  const first = writeSidecar(file, 'caution', 'Do not mutate args', { keywords: ['Args'], session: 'sess-1' });
+  const second = writeSidecar(file, 'caution', 'Validate input first');
+  assert.notEqual(first.id, second.id);
+
+  const doc = readSidecar(file);
+  assert.equal(doc.entries.length, 2);
+  // Newest first under the header
+  assert.equal(doc.entries[0].id, second.id);
+  const found = findEntry(doc, first.id);
+  assert.equal(found.text, 'Do not mutate args');
+  assert.deepEqual(found.meta.keywords, ['args']);
+  assert.equal(found.meta.session, 'sess-1');
+  assert.ok(found.meta.created);
+  assert.ok(found.meta.updated);
+});
+
+test('renderWisdomMarkdown: hides metadata comments, shows [id] tags', () => {
+  const root = freshProject();
+  const file = path.join(root, 'bar.js');
+  const entry = writeSidecar(file, 'lesson', 'Cache the parsed config');
+  const rendered = renderWisdomMarkdown(fs.readFileSync(file + '.wisdom', 'utf8'));
+  assert.ok(!rendered.includes('<!--'));
+  assert.ok(rendered.includes(`- [${entry.id}] Cache the parsed config (`));
+});
+
+test('save_wisdom section → get_wisdom shows id; keywords index points at the entry', async () => {
+  freshProject();
+  const saved = await handleSaveWisdom({
+    content: 'Tokens expire after 15 minutes',
+    wisdom_type: 'caution',
+    section: 'auth',
+    keywords: ['jwt']
+  });
+  assert.equal(saved.isError, undefined, saved.content[0].text);
+  const id = saved.content[0].text.match(/w-[0-9a-f]{8}/)[0];
+
+  const raw = fs.readFileSync(path.join(TMP_DIR, '.wisdom', 'sections', 'auth.md'), 'utf8');
+  assert.match(raw, /^## Cautions$/m);
+  assert.ok(raw.includes(`- **Tokens expire after 15 minutes** (`));
+
+  const got = await handleGetWisdom({ section: 'auth' });
+  assert.ok(got.content[0].text.includes(`[${id}] **Tokens expire after 15 minutes**`));
+
+  const index = readIndex(path.join(TMP_DIR, '.wisdom'));
+  assert.deepEqual(index.keywords.jwt, [`sections/auth.md#${id}`]);
+});
+
+test('creating the store writes a .gitignore for its machine-local files', async () => {
+  freshProject();
+  execFileSync('git', ['init', '-q'], { cwd: TMP_DIR });
+  await handleSaveWisdom({ content: 'Tokens expire after 15 minutes', wisdom_type: 'caution', section: 'auth' });
+
+  const gitignore = path.join(TMP_DIR, '.wisdom', '.gitignore');
+  const ignored = execFileSync('git', ['check-ignore', '--no-index', '.wisdom/search-index.json', '.wisdom/usage.jsonl', '.wisdom/journal.jsonl',
+    '.wisdom/.lock', '.wisdom/index.corrupt-1.json', '.wisdom/site/index.html', '.wisdom/index.json.tmp-1-ab', '.wisdom/exports/app-2026-01-01.wisdom-bundle.json'],
+    { cwd: TMP_DIR, encoding: 'utf8' });
+  assert.equal(ignored.trim().split('\n').length, 8);
+  assert.throws(() => execFileSync('git', ['check-ignore', '-q', '--no-index', '.wisdom/index.json', '.wisdom/sections/auth.md'], { cwd: TMP_DIR }));
+
+  // Lines the user added are kept, and nothing is repeated
+  fs.writeFileSync(gitignore, 'drafts/\nsite/\n');
+  assert.equal(writeWisdomGitignore(path.join(TMP_DIR, '.wisdom')).length, 8);
+  assert.deepEqual(writeWisdomGitignore(path.join(TMP_DIR, '.wisdom')), []);
+  assert.match(fs.readFileSync(gitignore, 'utf8'), /^drafts\/\nsite\/\n\n# wisdom-store: machine-local files\nsearch-index\.json\n/);
+});
+
+test('save_wisdom: multi-line content stays one entry, found by the returned id', async () => {
+  freshProject();
+  const saved = await handleSaveWisdom({
+    content: 'Tokens expire after 1h.\nRefresh them in the middleware, not in handlers.',
+    wisdom_type: 'lesson',
+    section: 'auth',
+    keywords: ['refresh']
+  });
+  const id = saved.content[0].text.match(/w-[0-9a-f]{8}/)[0];
+
+  const raw = fs.readFileSync(path.join(TMP_DIR, '.wisdom', 'sections', 'auth.md'), 'utf8');
+  const doc = parseWisdomMarkdown(raw);
+  assert.equal(doc.entries.length, 1);
+  assert.equal(doc.entries[0].id, id);
+  assert.equal(doc.entries[0].text, 'Tokens expire after 1h. Refresh them in the middleware, not in handlers.');
+
+  assert.equal(locateEntry(TMP_DIR, id).entry.id, id);
+  const got = (await handleGetWisdom({ section: 'auth' })).content[0].text;
+  assert.ok(got.includes(`[${id}] **Tokens expire after 1h. Refresh them`));
+  assert.doesNotMatch(got, /<!-- wisdom/);
+  assert.deepEqual(readIndex(path.join(TMP_DIR, '.wisdom')).keywords.refresh, [`sections/auth.md#${id}`]);
+});
+
+test('annotate_wisdom: entry_id places annotation under that entry only', async () => {
+  const root = freshProject();
+  const file = path.join(root, 'baz.js');
+  const a = writeSidecar(file, 'lesson', 'First lesson');
+  const b = writeSidecar(file, 'lesson', 'Second lesson');
+
+  const r = await handleAnnotateWisdom({ file_path: 'baz.js', entry_id: a.id, comment: 'confirmed' });
+  assert.equal(r.isError, undefined, r.content[0].text);
+
+  const doc = readSidecar(file);
+  assert.equal(findEntry(doc, a.id).annotations.length, 1);
+  assert.match(findEntry(doc, a.id).annotations[0], /confirmed$/);
+  assert.equal(findEntry(doc, b.id).annotations.length, 0);
+
+  const missing = await handleAnnotateWisdom({ file_path: 'baz.js', entry_id: 'w-00000000', comment: 'x' });
+  assert.equal(missing.isError, true);
+});
+
+test('annotate_wisdom: a multi-line comment stays one annotation', async () => {
+  const root = freshProject();
+  const file = path.join(root, 'baz.js');
+  const a = writeSidecar(file, 'lesson', 'First lesson');
+
+  await handleAnnotateWisdom({ file_path: 'baz.js', entry_id: a.id, comment: 'still true\n- except on Windows\n' });
+  await handleAnnotateWisdom({ file_path: 'baz.js', search: 'First lesson', comment: 'see also\n\n- the CI notes' });
+
+  const doc = readSidecar(file);
+  assert.equal(doc.entries.length, 1);
+  assert.deepEqual(findEntry(doc, a.id).annotations.map(l => l.replace(/^.*_: /, '')), ['see also - the CI notes', 'still true - except on Windows']);
+});